@@ -19,10 +19,14 @@ const char* password = "99990000"; // Replace with your WiFi password
 const char* mqtt_server = "broker.hivemq.com";
 const int mqtt_port = 1883;
 
+// Device ID used by the server to tell beds apart; must match the last topic segment
+const char* device_id = "unifi";
+
 // MQTT Topics (Use unique topics to avoid conflicts with other users)
 const char* sensor_topic = "plant_monitoring/sensors/unifi"; // Replace 'your_unique_id' with something unique
 const char* servo_topic = "plant_monitoring/servo/unifi";   // Replace 'your_unique_id' with something unique
 const char* status_topic = "plant_monitoring/status/unifi";  // Replace 'your_unique_id' with something unique
+const char* servo_command_topic = "plant_monitoring/servo/unifi/set"; // Commands from the dashboard/server
 
 // Sensor variables
 // pH Calibration (adjust based on your sensor)
@@ -43,6 +47,14 @@ int servoPosition = 0;  // 0 = closed, 180 = open
 unsigned long lastServoCheck = 0;
 const unsigned long SERVO_CHECK_INTERVAL = 5000; // Check every 5 seconds
 
+// Remote control: in manual mode the server decides the angle and fuzzy logic is paused
+bool manualMode = false;
+int manualAngle = 0;
+// In auto mode the server's fuzzy controller may send an angle; local rules are the fallback
+int serverAngle = -1;
+unsigned long lastServerAngleAt = 0;
+const unsigned long SERVER_ANGLE_TIMEOUT = 30000; // Fall back to local rules after 30 seconds
+
 void setup() {
   Serial.begin(115200);
   
@@ -72,7 +84,7 @@ void setup() {
   
   // Configure MQTT client
   client.setServer(mqtt_server, mqtt_port);
-  // client.setCallback(callback); // Uncomment if you want to receive MQTT messages
+  client.setCallback(callback);
   
   Serial.println("NodeMCU ESP32 System Ready with HiveMQ!");
   Serial.println("pH: GPIO 35, Soil: GPIO 34, DHT22: GPIO 27, Servo: GPIO 26");
@@ -95,9 +107,16 @@ void loop() {
     lastReadTime = millis();
   }
   
-  // Check servo control every 5 seconds using fuzzy logic
-  if (millis() - lastServoCheck > SERVO_CHECK_INTERVAL) {
-    controlServoWithFuzzyLogic();
+  // Check servo control every 5 seconds using fuzzy logic (skipped while in manual mode)
+  if (!manualMode && millis() - lastServoCheck > SERVO_CHECK_INTERVAL) {
+    if (serverAngle >= 0 && millis() - lastServerAngleAt < SERVER_ANGLE_TIMEOUT) {
+      if (abs(serverAngle - servoPosition) > 10) {
+        moveServo(serverAngle, "auto");
+        Serial.printf("⚙️ Servo moved to server fuzzy angle: %d°\n", servoPosition);
+      }
+    } else {
+      controlServoWithFuzzyLogic();
+    }
     lastServoCheck = millis();
   }
   
@@ -144,6 +163,7 @@ void sendToMQTT() {
     doc["servo_position"] = servoPosition;
     doc["timestamp"] = millis();
     doc["board_type"] = "NodeMCU_ESP32";
+    doc["device_id"] = device_id;
     
     String jsonString;
     serializeJson(doc, jsonString);
@@ -196,22 +216,27 @@ void controlServoWithFuzzyLogic() {
   
   // Smooth servo movement to avoid sudden changes
   if (abs(newServoPos - servoPosition) > 10) {
-    servoPosition = newServoPos;
-    servo.write(servoPosition);
+    moveServo(newServoPos, "auto");
     Serial.printf("⚙️ Servo moved to: %d° (pH: %.2f, Soil: %.1f%%)\n", servoPosition, phValue, soilMoisture);
-    
-    // Also send servo position change via MQTT
-    StaticJsonDocument<100> servoDoc;
-    servoDoc["servo_position"] = servoPosition;
-    servoDoc["timestamp"] = millis();
-    
-    String servoJson;
-    serializeJson(servoDoc, servoJson);
-    
-    client.publish(servo_topic, servoJson.c_str());
   }
 }
 
+// Move the servo and report the new position via MQTT
+void moveServo(int position, const char* mode) {
+  servoPosition = position;
+  servo.write(servoPosition);
+  
+  StaticJsonDocument<100> servoDoc;
+  servoDoc["servo_position"] = servoPosition;
+  servoDoc["mode"] = mode;
+  servoDoc["timestamp"] = millis();
+  
+  String servoJson;
+  serializeJson(servoDoc, servoJson);
+  
+  client.publish(servo_topic, servoJson.c_str());
+}
+
 void reconnectMQTT() {
   // Loop until we're reconnected
   while (!client.connected()) {
@@ -221,11 +246,13 @@ void reconnectMQTT() {
     String clientId = "ESP32Client-";
     clientId += String(random(0xffff), HEX);
     
-    // Attempt to connect (no username/password needed)
-    if (client.connect(clientId.c_str())) {
+    // Attempt to connect (no username/password needed); the broker publishes the
+    // last-will "offline" status for us if the connection drops without a disconnect
+    if (client.connect(clientId.c_str(), status_topic, 0, true, "{\"status\":\"offline\"}")) {
       Serial.println(" ✓ HiveMQ connected");
-      // Once connected, publish an announcement...
-      client.publish(status_topic, "ESP32 NodeMCU connected");
+      // Once connected, publish an announcement (retained, replacing the last-will)
+      client.publish(status_topic, "{\"status\":\"online\",\"message\":\"ESP32 NodeMCU connected\"}", true);
+      client.subscribe(servo_command_topic);
       Serial.println("Client ID: " + clientId);
     } else {
       Serial.print(" ✗ failed, rc=");
@@ -237,15 +264,36 @@ void reconnectMQTT() {
   }
 }
 
-// Uncomment and implement this function if you want to receive MQTT commands
-/*
+// Handle servo commands: {"mode":"manual","angle":90}, {"mode":"auto"} or {"mode":"auto","angle":45}
+// Timed overrides are reverted by the server, which publishes an "auto" command on expiry
 void callback(char* topic, byte* payload, unsigned int length) {
-  Serial.print("Message arrived [");
-  Serial.print(topic);
-  Serial.print("] ");
-  for (int i = 0; i < length; i++) {
-    Serial.print((char)payload[i]);
+  if (strcmp(topic, servo_command_topic) != 0) {
+    return;
+  }
+  
+  StaticJsonDocument<200> doc;
+  DeserializationError error = deserializeJson(doc, payload, length);
+  if (error) {
+    Serial.print("✗ Invalid servo command: ");
+    Serial.println(error.c_str());
+    return;
+  }
+  
+  const char* mode = doc["mode"] | "auto";
+  if (strcmp(mode, "manual") == 0) {
+    manualMode = true;
+    manualAngle = constrain((int)(doc["angle"] | 0), 0, 180);
+    moveServo(manualAngle, "manual");
+    Serial.printf("🕹️ Manual mode: Servo set to %d°\n", manualAngle);
+  } else if (!doc["angle"].isNull()) {
+    manualMode = false;
+    serverAngle = constrain((int)doc["angle"], 0, 180);
+    lastServerAngleAt = millis();
+    lastServoCheck = 0; // Apply the server's angle on the next loop
+  } else {
+    manualMode = false;
+    serverAngle = -1;
+    lastServoCheck = 0; // Let fuzzy logic take over on the next loop
+    Serial.println("🔍 Auto mode: fuzzy logic resumed");
   }
-  Serial.println();
 }
-*/
\ No newline at end of file
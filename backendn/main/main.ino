@@ -19,6 +19,11 @@ const char* password = "99990000"; // Replace with your WiFi password
 const char* serverName = "192.168.1.100"; // Replace with your laptop's IP
 const int serverPort = 3000;
 
+// Device ID used by the server to tell beds apart
+const char* device_id = "unifi";
+// API key issued for this device on the dashboard (Device API Keys card)
+const char* api_key = "REPLACE_WITH_DEVICE_API_KEY";
+
 // Sensor variables
 float phValue = 0.0;
 float soilMoisture = 0.0;
@@ -27,6 +32,23 @@ float humidity = 0.0;
 DHT dht(DHT_PIN, DHT_TYPE);
 Servo servo;
 
+// Readings taken while the server is unreachable; sent later to /api/sensors/batch
+struct BufferedReading {
+  float ph;
+  float soil;
+  float temperature;
+  float humidity;
+  int servoPosition;
+  unsigned long takenAt; // millis() when the reading was taken
+};
+const int BUFFER_SIZE = 300;  // 10 minutes at one reading every 2 seconds
+const int BATCH_SIZE = 50;    // readings per upload
+BufferedReading readingBuffer[BUFFER_SIZE];
+int bufferStart = 0;
+int bufferCount = 0;
+// Declared up here so the IDE's generated function prototypes can use it
+enum UploadResult { UPLOAD_DELIVERED, UPLOAD_REJECTED, UPLOAD_RETRY };
+
 // Servo control variables
 int servoPosition = 0;  // 0 = closed, 180 = open
 unsigned long lastServoCheck = 0;
@@ -108,13 +130,92 @@ void readSensors() {
                 phValue, soilMoisture, temperature, humidity, servoPosition);
 }
 
+// Oldest readings are overwritten once the buffer is full
+void bufferReading() {
+  int index = (bufferStart + bufferCount) % BUFFER_SIZE;
+  if (bufferCount == BUFFER_SIZE) {
+    bufferStart = (bufferStart + 1) % BUFFER_SIZE;
+  } else {
+    bufferCount++;
+  }
+  readingBuffer[index] = { phValue, soilMoisture, temperature, humidity, servoPosition, millis() };
+}
+
+// What an upload's response means for the readings in it. 2xx: stored. 400/422: the server will
+// never accept them, and keeping them would block the buffer. Anything else (no connection, a
+// rejected API key, 408, 429, 5xx...) may work later, so the readings are kept.
+UploadResult classifyResponse(int httpResponseCode) {
+  if (httpResponseCode >= 200 && httpResponseCode < 300) return UPLOAD_DELIVERED;
+  if (httpResponseCode == 400 || httpResponseCode == 422) return UPLOAD_REJECTED;
+  if (httpResponseCode == 401 || httpResponseCode == 403) {
+    Serial.printf("✗ Configuration error: server refused the API key (HTTP %d); set api_key to this device's key\n", httpResponseCode);
+  }
+  return UPLOAD_RETRY;
+}
+
+// Uploads buffered readings in batches; "millis" lets the server turn each reading's
+// millis() timestamp into the time it was measured
+bool flushBuffer() {
+  while (bufferCount > 0) {
+    int count = min(bufferCount, BATCH_SIZE);
+    DynamicJsonDocument doc(256 + count * 160);
+    doc["device_id"] = device_id;
+    JsonArray readings = doc.createNestedArray("readings");
+    for (int i = 0; i < count; i++) {
+      const BufferedReading& reading = readingBuffer[(bufferStart + i) % BUFFER_SIZE];
+      JsonObject item = readings.createNestedObject();
+      item["ph"] = reading.ph;
+      item["soil"] = reading.soil;
+      item["temperature"] = reading.temperature;
+      item["humidity"] = reading.humidity;
+      item["servo_position"] = reading.servoPosition;
+      item["timestamp"] = reading.takenAt;
+    }
+    doc["millis"] = millis();
+
+    String jsonString;
+    serializeJson(doc, jsonString);
+
+    HTTPClient http;
+    String serverPath = "http://" + String(serverName) + ":" + String(serverPort) + "/api/sensors/batch";
+    http.begin(serverPath);
+    http.addHeader("Content-Type", "application/json");
+    http.addHeader("X-API-Key", api_key);
+    int httpResponseCode = http.POST(jsonString);
+    http.end();
+
+    // Keep the readings for the next attempt unless the server took (or refused) the batch
+    UploadResult result = classifyResponse(httpResponseCode);
+    if (result == UPLOAD_RETRY) {
+      Serial.print("✗ Error sending buffered readings, code: ");
+      Serial.println(httpResponseCode);
+      return false;
+    }
+    bufferStart = (bufferStart + count) % BUFFER_SIZE;
+    bufferCount -= count;
+    if (result == UPLOAD_REJECTED) {
+      Serial.printf("✗ Server rejected %d buffered readings (HTTP %d), %d left\n", count, httpResponseCode, bufferCount);
+    } else {
+      Serial.printf("✓ Sent %d buffered readings, %d left\n", count, bufferCount);
+    }
+  }
+  return true;
+}
+
 void sendToDatabase() {
   if (WiFi.status() == WL_CONNECTED) {
+    // Send anything left over from an outage first so readings arrive in order
+    if (bufferCount > 0 && !flushBuffer()) {
+      bufferReading();
+      return;
+    }
+
     HTTPClient http;
     String serverPath = "http://" + String(serverName) + ":" + String(serverPort) + "/api/sensors";
     
     http.begin(serverPath);
     http.addHeader("Content-Type", "application/json");
+    http.addHeader("X-API-Key", api_key);
     
     // Create JSON payload with NodeMCU sensor data
     StaticJsonDocument<250> doc;
@@ -125,22 +226,29 @@ void sendToDatabase() {
     doc["servo_position"] = servoPosition;
     doc["timestamp"] = millis();
     doc["board_type"] = "NodeMCU_ESP32";
+    doc["device_id"] = device_id;
     
     String jsonString;
     serializeJson(doc, jsonString);
     
     int httpResponseCode = http.POST(jsonString);
     
-    if (httpResponseCode > 0) {
+    UploadResult result = classifyResponse(httpResponseCode);
+    if (result == UPLOAD_DELIVERED) {
       Serial.println("✓ Data sent to database: Success");
+    } else if (result == UPLOAD_REJECTED) {
+      Serial.print("✗ Server rejected the reading, code: ");
+      Serial.println(httpResponseCode);
     } else {
       Serial.print("✗ Error sending data, code: ");
       Serial.println(httpResponseCode);
+      bufferReading();
     }
     
     http.end();
   } else {
-    Serial.println("✗ WiFi not connected, skipping data send");
+    Serial.println("✗ WiFi not connected, buffering reading");
+    bufferReading();
   }
 }
 
@@ -0,0 +1,4065 @@
+const express = require('express');
+const mqtt = require('mqtt');
+const cors = require('cors');
+const fs = require('fs');
+const path = require('path');
+const { randomUUID } = require('crypto');
+const fuzzy = require('./lib/fuzzy');
+const alerts = require('./lib/alerts');
+const aggregate = require('./lib/aggregate');
+const { createNotifiers } = require('./lib/notifiers');
+const { createEventHub, formatEvent } = require('./lib/stream');
+const schema = require('./lib/schema');
+const quality = require('./lib/quality');
+const ingest = require('./lib/ingest');
+const exporter = require('./lib/export');
+const auth = require('./lib/auth');
+const { createPresenceTracker } = require('./lib/presence');
+const { createStorage } = require('./lib/storage');
+const { describe: describeConfig } = require('./lib/config');
+const { createLogger } = require('./lib/logger');
+const { CONTENT_TYPE: METRICS_CONTENT_TYPE, createRegistry } = require('./lib/metrics');
+const { createClock, parseTimeZone } = require('./lib/timezone');
+const { JOBS: RETENTION_JOBS, ROLLUPS, createRetention } = require('./lib/retention');
+const irrigation = require('./lib/irrigation');
+const water = require('./lib/water');
+const calibration = require('./lib/calibration');
+const anomaly = require('./lib/anomaly');
+
+// Builds the server from a loaded configuration (lib/config.js loadConfig()) without starting
+// anything; start() connects storage and MQTT and listens, stop() undoes it. main.js runs one
+// instance, the tests create their own.
+function createApp({ loadedConfig, log = createLogger() }) {
+  const { config } = loadedConfig;
+
+  // Prometheus metrics served on GET /metrics. Gauges are read at scrape time.
+  const registry = createRegistry();
+  const metrics = {
+    mqttMessages: registry.counter('plant_mqtt_messages_total', 'MQTT messages received, by topic kind', ['kind']),
+    mqttReconnects: registry.counter('plant_mqtt_reconnects_total', 'MQTT reconnect attempts'),
+    ingestedReadings: registry.counter('plant_ingest_readings_total', 'Sensor readings ingested, by source and outcome', ['source', 'outcome']),
+    parseErrors: registry.counter('plant_ingest_parse_errors_total', 'Messages rejected by schema validation', ['source', 'kind']),
+    ingestSeconds: registry.histogram('plant_ingest_latency_seconds', 'Time from receiving a reading to storing it', ['source']),
+    dbWriteFailures: registry.counter('plant_db_write_failures_total', 'Failed storage writes', ['collection', 'operation']),
+    dbWriteSeconds: registry.histogram('plant_db_write_duration_seconds', 'Storage write duration', ['operation']),
+    httpRequests: registry.counter('plant_http_requests_total', 'HTTP requests, by route and status', ['method', 'route', 'status']),
+    httpSeconds: registry.histogram('plant_http_request_duration_seconds', 'HTTP request duration', ['method', 'route']),
+    anomalies: registry.counter('plant_anomalies_total', 'Anomalies detected on the reading stream', ['metric', 'type']),
+  };
+  registry.gauge('plant_mqtt_connected', 'Whether the MQTT client is connected (1) or not (0)', [], () => [{ value: mqttState.connected ? 1 : 0 }]);
+  registry.gauge('plant_storage_up', 'Whether the last storage ping succeeded', [], () => [{ value: storageHealth.ok ? 1 : 0 }]);
+  registry.gauge('plant_sse_clients', 'Open /api/stream connections', [], () => [{ value: eventHub.clientCount }]);
+  registry.gauge('plant_devices', 'Tracked devices by presence state', ['state'], () => (
+    Object.entries(presence.counts()).map(([state, value]) => ({ labels: { state }, value }))
+  ));
+  registry.gauge('process_uptime_seconds', 'Seconds since the process started', [], () => [{ value: Math.round(process.uptime()) }]);
+  registry.gauge('process_resident_memory_bytes', 'Resident set size', [], () => [{ value: process.memoryUsage().rss }]);
+  registry.gauge('nodejs_heap_used_bytes', 'V8 heap in use', [], () => [{ value: process.memoryUsage().heapUsed }]);
+
+  const app = express();
+  const PORT = config.http.port;
+
+  // Cross-origin access is off unless origins are listed (comma-separated) in CORS_ORIGINS
+  app.use(cors({ origin: config.http.corsOrigins.length ? config.http.corsOrigins : false, credentials: true }));
+  app.use(express.json());
+
+  // Labelled by route pattern (not the raw path) so IDs in URLs do not create new series
+  app.use((req, res, next) => {
+    const observe = metrics.httpSeconds.startTimer({ method: req.method });
+    res.on('finish', () => {
+      const route = req.route ? req.baseUrl + req.route.path : 'unmatched';
+      observe({ route });
+      metrics.httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    });
+    next();
+  });
+
+  // Liveness: the process is up; reports dependencies without failing on them
+  app.get('/healthz', (req, res) => {
+    res.json({
+      status: 'ok',
+      uptimeSeconds: Math.round(process.uptime()),
+      started,
+      storage: { driver: storage.driver, ...storageHealth },
+      mqtt: mqttState,
+    });
+  });
+
+  // Readiness: startup finished and storage answers a ping (and MQTT is up if READY_REQUIRES_MQTT)
+  app.get('/readyz', async (req, res) => {
+    await checkStorage();
+    const checks = {
+      started,
+      storage: storageHealth.ok,
+      mqtt: mqttState.connected,
+    };
+    const ready = started && checks.storage && (checks.mqtt || !config.health.requireMqtt);
+    res.status(ready ? 200 : 503).json({
+      status: ready ? 'ready' : 'not ready',
+      checks,
+      storage: { driver: storage.driver, ...storageHealth },
+      mqtt: mqttState,
+    });
+  });
+
+  app.get('/metrics', (req, res) => {
+    if (config.metrics.token && req.get('authorization') !== `Bearer ${config.metrics.token}`) {
+      return res.status(401).type('text/plain').send('Unauthorized\n');
+    }
+    return res.type(METRICS_CONTENT_TYPE).send(registry.render());
+  });
+
+  app.use(authenticate);
+
+  // mongo (MONGODB_URI, required), memory or file (JSON Lines files under STORAGE_PATH)
+  const storage = createStorage({
+    driver: config.storage.driver,
+    mongoUri: config.storage.mongoUri,
+    mongoDb: config.storage.mongoDb,
+    directory: config.storage.path,
+    onWrite: ({ collection, operation, seconds, error }) => {
+      metrics.dbWriteSeconds.observe({ operation }, seconds);
+      if (error) metrics.dbWriteFailures.inc({ collection, operation });
+    },
+    log: log.child({ component: 'storage' }),
+  });
+
+  // Raw sensor/servo/status documents older than RETENTION_<COLLECTION>_DAYS (0 keeps them forever)
+  // are archived to RETENTION_ARCHIVE_PATH and then deleted; RETENTION_ARCHIVE=false deletes
+  // without archiving. Hourly and daily sensor rollups are kept forever.
+  const retention = createRetention({
+    storage,
+    config: {
+      retentionDays: {
+        sensors: config.retention.sensorsDays,
+        servo: config.retention.servoDays,
+        status: config.retention.statusDays,
+      },
+      archiveDirectory: config.retention.archive ? config.retention.archivePath : null,
+      intervalMs: config.retention.intervalMinutes * 60_000,
+    },
+    // Devices present in the readings, not the registry: a removed device keeps its readings, and
+    // they must be rolled up before prune deletes them
+    listDeviceIds: async () => [...new Set([DEFAULT_DEVICE_ID, ...await storage.collection('sensors').distinct('deviceId')])],
+    deviceMatch: (deviceId) => deviceQuery(deviceId),
+    log: log.child({ component: 'retention' }),
+  });
+
+  // pH and soil calibration profiles, applied to readings as they are stored
+  const calibrator = calibration.createCalibration({
+    storage,
+    deviceMatch: (deviceId) => deviceQuery(deviceId),
+    onRecomputed: ({ from }) => retention.invalidateRollups(from),
+    log: log.child({ component: 'calibration' }),
+  });
+
+  // Spikes, stuck values, drift and impossible rates of change on the stored readings
+  const anomalyDetector = anomaly.createAnomalyDetector({
+    storage,
+    listDeviceIds: async () => [...new Set([DEFAULT_DEVICE_ID, ...(await listDevices()).map((device) => device.deviceId)])],
+    deviceMatch: (deviceId) => deviceQuery(deviceId),
+    onDetection: (found) => metrics.anomalies.inc({ metric: found.metric, type: found.type }),
+    log: log.child({ component: 'anomaly' }),
+  });
+
+  // A detector failure must not fail the ingestion of a reading that is already stored
+  async function detectAnomalies(reading) {
+    try {
+      await anomalyDetector.observe(reading);
+    } catch (error) {
+      log.error('Anomaly detection failed', { deviceId: reading.deviceId, err: error });
+    }
+  }
+
+  // MQTT Configuration
+  const topicPrefix = config.mqtt.topicPrefix;
+  // plant_monitoring/<sensors|servo|status>/<deviceId>
+  const topics = [`${topicPrefix}/+/+`];
+  const DEFAULT_DEVICE_ID = 'unifi';
+  const { DEVICE_ID_PATTERN } = schema;
+  // Only these topic kinds are stored; anything else under the prefix (e.g. our own alerts) is ignored
+  const TOPIC_COLLECTIONS = { sensors: 'sensors', servo: 'servo', status: 'status' };
+  const SERVO_MODES = ['auto', 'manual'];
+  const TIMELINE_KINDS = Object.keys(TOPIC_COLLECTIONS);
+  const MAX_OVERRIDE_MINUTES = 24 * 60;
+
+  let mqttClient;
+  // Broker connection as seen by /healthz, /readyz and /metrics
+  const mqttState = { connected: false, since: null, lastError: null, reconnects: 0 };
+  // Last storage ping; refreshed every STORAGE_CHECK_MS and by /readyz
+  const storageHealth = { ok: false, checkedAt: null, latencyMs: null, error: null };
+  const STORAGE_CHECK_MS = 10_000;
+  const STORAGE_PING_TIMEOUT_MS = 3000;
+  // Set once startServer() has connected storage and loaded its caches
+  let started = false;
+  const knownDevices = new Set();
+
+  // Valve control state per device; mirrors the last command sent to each device
+  const servoControls = new Map();
+  const servoOverrideTimers = new Map();
+  // Active fuzzy rule set; loaded from the control_rules collection on startup
+  let controlRules = fuzzy.DEFAULT_RULE_SET;
+  const lastAutoAngles = new Map();
+
+  // Alerting: rules are cached in memory, active alerts are keyed by `${ruleId}:${deviceId}`
+  let alertRules = [];
+  const activeAlerts = new Map();
+  const pendingAlerts = new Map();
+  // Pushes every stored reading to /api/stream subscribers
+  const eventHub = createEventHub();
+  const qualityChecker = quality.createQualityChecker();
+  const STREAM_HEARTBEAT_MS = 15_000;
+  const notifiers = createNotifiers({ config: config.alerts, publishMqtt: (topic, payload) => publishMessage(topic, payload) });
+  // Devices silent for longer than this are marked offline
+  const DEVICE_OFFLINE_AFTER_MS = config.devices.offlineAfterSeconds * 1000;
+  const PRESENCE_CHECK_MS = 10_000;
+  // Uploaded readings older than this are history and do not drive the stream or alerts
+  const LIVE_READING_MS = 60_000;
+  // Flow through a fully open valve, for devices without their own flow profile
+  const WATER_FLOW_LPM = config.water.flowLitresPerMinute;
+  const MAX_ANALYTICS_DAYS = 366;
+  // lastUsedAt of an API key is written at most this often; every write rewrites the file store's api_keys file
+  const API_KEY_LAST_USED_MS = 60_000;
+
+  // Watering schedules and blackout windows; devices without a policy use SCHEDULE_TIMEZONE
+  const scheduler = irrigation.createIrrigationScheduler({
+    storage,
+    applyServoCommand: (command) => applyServoCommand(command),
+    getServoControl: (deviceId) => getServoControl(deviceId),
+    valveOpenMinutes: (deviceId, start, end) => valveOpenMinutes(deviceId, start, end),
+    // Announced on plant_monitoring/schedule/<deviceId>; not a stored topic kind, so not re-ingested
+    publishEvent: (run) => publishMessage(`${topicPrefix}/schedule/${run.deviceId}`, JSON.stringify(run)),
+    defaultTimeZone: config.schedule.timeZone,
+    log: log.child({ component: 'scheduler' }),
+  });
+  const presence = createPresenceTracker({
+    offlineAfterMs: DEVICE_OFFLINE_AFTER_MS,
+    onChange: (record, previous) => {
+      log.info('Device presence changed', { deviceId: record.deviceId, from: previous, to: record.state, reason: record.stateReason });
+      savePresence(record).catch((error) => log.error('Error saving device presence', { err: error }));
+    },
+  });
+
+  function normalizeDate(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+
+  function normalizeLimit(rawLimit, fallback = 500) {
+    const parsed = parseInt(rawLimit, 10);
+    if (Number.isNaN(parsed) || parsed <= 0) {
+      return fallback;
+    }
+    return Math.min(parsed, 5000); // guard against accidental huge exports
+  }
+
+  // Commands for the valve are published here; the firmware subscribes to it
+  function servoCommandTopic(deviceId) {
+    return `${topicPrefix}/servo/${deviceId}/set`;
+  }
+
+  // Splits plant_monitoring/<kind>/<deviceId> into its parts
+  function parseTopic(topic) {
+    const [prefix, kind, deviceId] = topic.split('/');
+    if (prefix !== topicPrefix) {
+      return { kind: null, deviceId: null };
+    }
+    return { kind, deviceId: deviceId || null };
+  }
+
+  // HTTP without a device key: payload device_id wins, then the board type reported by the firmware
+  function resolveDeviceId(payload) {
+    const candidates = [payload && payload.device_id, payload && payload.board_type];
+    const match = candidates.find((value) => typeof value === 'string' && DEVICE_ID_PATTERN.test(value));
+    return match || DEFAULT_DEVICE_ID;
+  }
+
+  // Readings stored before multi-device support have no deviceId and belong to the default device
+  function deviceQuery(deviceId) {
+    if (!deviceId) return {};
+    if (deviceId === DEFAULT_DEVICE_ID) {
+      return { $or: [{ deviceId }, { deviceId: { $exists: false } }] };
+    }
+    return { deviceId };
+  }
+
+  function rangeQuery({ start, end, deviceId }, timeField) {
+    const query = deviceQuery(deviceId);
+    if (start || end) {
+      query[timeField] = {};
+      if (start) query[timeField].$gte = start;
+      if (end) query[timeField].$lte = end;
+    }
+    return query;
+  }
+
+  // Readings are ordered and filtered by when they were measured, which for buffered uploads can
+  // be long before they were received
+  function sensorRangeQuery(range) {
+    return rangeQuery(range, 'measuredAt');
+  }
+
+  async function getSensorRange({ start, end, deviceId, limit = 500, sortDirection = -1 }) {
+    return storage.collection('sensors').find(sensorRangeQuery({ start, end, deviceId }), { sort: { measuredAt: sortDirection }, limit });
+  }
+
+  // Servo and status messages have no measured time; they are ordered by when they arrived
+  function eventRangeQuery(range) {
+    return rangeQuery(range, 'receivedAt');
+  }
+
+  async function getEventRange(kind, { start, end, deviceId, limit = 500, sortDirection = -1 }) {
+    return storage.collection(kind).find(eventRangeQuery({ start, end, deviceId }), { sort: { receivedAt: sortDirection }, limit });
+  }
+
+  // Readings, valve moves and status messages merged newest first. Servo messages that repeat the
+  // previous position are periodic reports, not moves, and are left out.
+  async function getTimeline({ start, end, deviceId, limit, kinds }) {
+    const range = { start, end, deviceId, limit };
+    const entries = [];
+    const add = (kind, at, doc) => entries.push({ kind, at, deviceId: doc.deviceId || DEFAULT_DEVICE_ID, data: doc });
+    if (kinds.includes('sensors')) {
+      for (const doc of await getSensorRange(range)) add('sensors', doc.measuredAt, doc);
+    }
+    if (kinds.includes('servo')) {
+      const positions = new Map();
+      for (const doc of (await getEventRange('servo', range)).reverse()) {
+        const key = doc.deviceId || DEFAULT_DEVICE_ID;
+        if (positions.get(key) === doc.servo_position) continue;
+        positions.set(key, doc.servo_position);
+        add('servo', doc.receivedAt, doc);
+      }
+    }
+    if (kinds.includes('status')) {
+      for (const doc of await getEventRange('status', range)) add('status', doc.receivedAt, doc);
+    }
+    return entries.sort((a, b) => new Date(b.at) - new Date(a.at)).slice(0, limit);
+  }
+
+  async function findUser(username) {
+    return storage.collection('users').findOne({ username });
+  }
+
+  async function listUsers() {
+    const users = await storage.collection('users').find({});
+    return users
+      .map(({ _id, passwordHash, ...user }) => user)
+      .sort((a, b) => a.username.localeCompare(b.username));
+  }
+
+  async function saveUser(user) {
+    await storage.collection('users').replaceOne({ username: user.username }, user, { upsert: true });
+    const { passwordHash, _id, ...safe } = user;
+    return safe;
+  }
+
+  async function deleteUser(username) {
+    await deleteSessions({ username });
+    return storage.collection('users').deleteOne({ username });
+  }
+
+  // Keeps at least one admin so the system cannot be locked out
+  async function isLastAdmin(username) {
+    const admins = (await listUsers()).filter((user) => user.role === 'admin');
+    return admins.length === 1 && admins[0].username === username;
+  }
+
+  async function ensureAdminUser() {
+    const users = await listUsers();
+    if (users.length) {
+      return;
+    }
+    const { username } = config.admin;
+    const password = config.admin.password || auth.generateToken('pw').slice(3, 19);
+    const now = new Date();
+    await saveUser({ username, passwordHash: auth.hashPassword(password), role: 'admin', createdAt: now, updatedAt: now });
+    if (!config.admin.password) {
+      log.warn('No users found; created admin with a generated password, printed to stderr', { username });
+      // Printed once and outside the logger, whose output is shipped to log storage
+      process.stderr.write(`Generated password for admin user "${username}": ${password}\n`);
+    }
+  }
+
+  async function createSession(user) {
+    const token = auth.generateToken('sess');
+    const now = new Date();
+    const session = {
+      tokenHash: auth.hashToken(token),
+      username: user.username,
+      createdAt: now,
+      expiresAt: new Date(now.getTime() + auth.SESSION_TTL_MS),
+    };
+    await storage.collection('sessions').insertOne(session);
+    return { token, expiresAt: session.expiresAt };
+  }
+
+  async function findSessionUser(token) {
+    const tokenHash = auth.hashToken(token);
+    const session = await storage.collection('sessions').findOne({ tokenHash });
+    if (!session || new Date(session.expiresAt).getTime() <= Date.now()) {
+      return null;
+    }
+    const user = await findUser(session.username);
+    return user ? { username: user.username, role: user.role } : null;
+  }
+
+  async function deleteSessions(filter) {
+    await storage.collection('sessions').deleteMany(filter);
+  }
+
+  async function listApiKeys(deviceId) {
+    const keys = await storage.collection('api_keys').find({ deviceId }, { sort: { createdAt: -1 } });
+    return keys.map(({ _id, hash, ...key }) => key);
+  }
+
+  async function createApiKey(deviceId, createdBy) {
+    const secret = auth.generateToken('pk');
+    const key = {
+      keyId: randomUUID(),
+      deviceId,
+      prefix: secret.slice(0, 10),
+      hash: auth.hashToken(secret),
+      createdBy,
+      createdAt: new Date(),
+      lastUsedAt: null,
+      revokedAt: null,
+    };
+    await storage.collection('api_keys').insertOne(key);
+    const { hash, _id, ...safe } = key;
+    return { ...safe, key: secret };
+  }
+
+  async function revokeApiKey(deviceId, keyId) {
+    return storage.collection('api_keys').updateOne(
+      { keyId, deviceId, revokedAt: null },
+      { $set: { revokedAt: new Date() } },
+    );
+  }
+
+  async function findApiKey(secret) {
+    const hash = auth.hashToken(secret);
+    const key = await storage.collection('api_keys').findOne({ hash, revokedAt: null });
+    if (!key) return null;
+    const now = new Date();
+    if (!key.lastUsedAt || now - new Date(key.lastUsedAt) >= API_KEY_LAST_USED_MS) {
+      await storage.collection('api_keys').updateOne({ keyId: key.keyId }, { $set: { lastUsedAt: now } });
+    }
+    return { deviceId: key.deviceId, keyId: key.keyId };
+  }
+
+  // Resolves the caller: dashboard users via session cookie or Bearer token, devices via X-API-Key
+  async function authenticate(req, res, next) {
+    try {
+      const header = req.get('Authorization') || '';
+      const token = header.startsWith('Bearer ')
+        ? header.slice(7).trim()
+        : auth.parseCookies(req.headers.cookie)[auth.SESSION_COOKIE];
+      if (token) {
+        req.user = await findSessionUser(token);
+      }
+      const apiKey = req.get('X-API-Key');
+      if (apiKey) {
+        req.device = await findApiKey(apiKey);
+      }
+      return next();
+    } catch (error) {
+      log.error('Error authenticating request', { err: error });
+      return res.status(500).json({ error: 'Authentication failed' });
+    }
+  }
+
+  function requireRole(role) {
+    return (req, res, next) => {
+      if (!req.user) {
+        return res.status(401).json({ error: 'Authentication required' });
+      }
+      if (!auth.hasRole(req.user, role)) {
+        return res.status(403).json({ error: `Requires ${role} role` });
+      }
+      return next();
+    };
+  }
+
+  // Dead-letter store for messages that failed schema validation
+  async function recordRejection(rejection) {
+    const doc = { ...rejection, receivedAt: new Date() };
+    try {
+      await storage.collection('ingest_rejections').insertOne(doc);
+    } catch (error) {
+      log.error('Error recording rejected message', { err: error });
+    }
+    metrics.parseErrors.inc({ source: doc.source, kind: doc.kind || 'unknown' });
+    log.warn('Rejected message', {
+      source: doc.source,
+      topic: doc.topic,
+      deviceId: doc.deviceId,
+      errors: doc.errors.map((item) => item.message),
+    });
+  }
+
+  async function getRejections({ start, end, source, deviceId, limit }) {
+    const query = {};
+    if (source) query.source = source;
+    if (deviceId) query.deviceId = deviceId;
+    if (start || end) {
+      query.receivedAt = {};
+      if (start) query.receivedAt.$gte = start;
+      if (end) query.receivedAt.$lte = end;
+    }
+    return storage.collection('ingest_rejections').find(query, { sort: { receivedAt: -1 }, limit });
+  }
+
+  async function getSensorAggregate({ start, end, deviceId, bucketMs, fields }) {
+    const match = deviceQuery(deviceId);
+    match.measuredAt = { $gte: start, $lte: end };
+    return storage.collection('sensors').aggregateBuckets({ match, bucketMs, fields, timeField: 'measuredAt' });
+  }
+
+  async function getLatestReading(deviceId) {
+    return storage.collection('sensors').findOne(deviceQuery(deviceId), { sort: { measuredAt: -1 } });
+  }
+
+  // Presence records are only written on state changes; lastSeenAt between changes lives in memory
+  async function savePresence(record) {
+    await storage.collection('device_presence').replaceOne({ deviceId: record.deviceId }, record, { upsert: true });
+  }
+
+  async function loadPresence() {
+    presence.restore(await storage.collection('device_presence').find({}));
+    intervals.push(setInterval(() => presence.checkTimeouts(), PRESENCE_CHECK_MS).unref());
+  }
+
+  async function listDevices() {
+    return storage.collection('devices').find({}, { sort: { deviceId: 1 } });
+  }
+
+  async function getDevice(deviceId) {
+    return storage.collection('devices').findOne({ deviceId });
+  }
+
+  async function saveDevice(device) {
+    await storage.collection('devices').replaceOne({ deviceId: device.deviceId }, device, { upsert: true });
+    knownDevices.add(device.deviceId);
+    return device;
+  }
+
+  async function deleteDevice(deviceId) {
+    knownDevices.delete(deviceId);
+    return storage.collection('devices').deleteOne({ deviceId });
+  }
+
+  // Registers devices the first time they report so they show up in the registry
+  async function ensureDevice(deviceId) {
+    if (knownDevices.has(deviceId)) {
+      return;
+    }
+    if (!(await getDevice(deviceId))) {
+      const now = new Date();
+      await saveDevice({
+        deviceId,
+        name: deviceId,
+        location: '',
+        description: 'Registered automatically on first message',
+        createdAt: now,
+        updatedAt: now,
+      });
+    }
+    knownDevices.add(deviceId);
+  }
+
+  // Optional ?deviceId= filter shared by the read endpoints
+  function normalizeDeviceId(rawDeviceId) {
+    if (rawDeviceId === undefined || rawDeviceId === '') return { deviceId: null };
+    if (typeof rawDeviceId !== 'string' || !DEVICE_ID_PATTERN.test(rawDeviceId)) {
+      return { error: 'Invalid deviceId' };
+    }
+    return { deviceId: rawDeviceId };
+  }
+
+  // start, end, deviceId and limit of the history routes; returns them or { error }
+  function parseRangeQuery(query, defaultLimit) {
+    const start = normalizeDate(query.start);
+    const end = normalizeDate(query.end);
+    const { deviceId, error } = normalizeDeviceId(query.deviceId);
+    if (query.start && !start) {
+      return { error: 'Invalid start date' };
+    }
+    if (query.end && !end) {
+      return { error: 'Invalid end date' };
+    }
+    if (error) {
+      return { error };
+    }
+    return { start, end, deviceId, limit: normalizeLimit(query.limit, defaultLimit) };
+  }
+
+  function validateDevice(body, { partial = false } = {}) {
+    const device = {};
+    if (!partial) {
+      if (typeof body.deviceId !== 'string' || !DEVICE_ID_PATTERN.test(body.deviceId)) {
+        return { error: 'deviceId must be 1-64 letters, digits, "-" or "_"' };
+      }
+      device.deviceId = body.deviceId;
+    }
+    for (const field of ['name', 'location', 'description']) {
+      if (body[field] === undefined) continue;
+      if (typeof body[field] !== 'string') {
+        return { error: `${field} must be a string` };
+      }
+      device[field] = body[field].trim();
+    }
+    return { device };
+  }
+
+  function getServoControl(deviceId) {
+    return servoControls.get(deviceId) || { mode: 'auto', angle: null, expiresAt: null, requestedBy: null, updatedAt: null };
+  }
+
+  // Resolves to true once the broker has accepted the message, false when offline or on error
+  function publishMessage(topic, payload, options = { qos: 1 }) {
+    if (!mqttClient || !mqttClient.connected) {
+      return Promise.resolve(false);
+    }
+    return new Promise((resolve) => {
+      mqttClient.publish(topic, payload, options, (err) => {
+        if (err) {
+          log.error('Error publishing MQTT message', { topic, err });
+        }
+        resolve(!err);
+      });
+    });
+  }
+
+  function publishServoCommand(deviceId, command) {
+    const payload = JSON.stringify({
+      mode: command.mode,
+      angle: command.angle,
+      expiresAt: command.expiresAt,
+      issuedAt: command.issuedAt,
+    });
+    // Retained so the device picks up the current mode as soon as it reconnects
+    return publishMessage(servoCommandTopic(deviceId), payload, { qos: 1, retain: true });
+  }
+
+  async function saveServoCommand(command) {
+    await storage.collection('servo_commands').insertOne(command);
+  }
+
+  function scheduleOverrideExpiry(deviceId) {
+    clearTimeout(servoOverrideTimers.get(deviceId));
+    servoOverrideTimers.delete(deviceId);
+    const control = getServoControl(deviceId);
+    if (control.mode !== 'manual' || !control.expiresAt) {
+      return;
+    }
+    const delay = Math.max(control.expiresAt.getTime() - Date.now(), 0);
+    servoOverrideTimers.set(deviceId, setTimeout(() => {
+      applyServoCommand({ deviceId, mode: 'auto', requestedBy: 'system', reason: 'Manual override expired' })
+        .catch((error) => log.error('Error reverting servo override', { err: error }));
+    }, delay));
+  }
+
+  // Publishes a command, records it for auditing and updates the control state
+  async function applyServoCommand({ deviceId = DEFAULT_DEVICE_ID, mode, angle = null, durationMinutes = null, requestedBy, reason }) {
+    const issuedAt = new Date();
+    const expiresAt = mode === 'manual' && durationMinutes
+      ? new Date(issuedAt.getTime() + durationMinutes * 60_000)
+      : null;
+    const command = {
+      deviceId,
+      mode,
+      angle: mode === 'manual' ? angle : null,
+      durationMinutes: expiresAt ? durationMinutes : null,
+      expiresAt,
+      requestedBy: requestedBy || 'anonymous',
+      reason: reason || '',
+      issuedAt,
+    };
+
+    command.published = await publishServoCommand(deviceId, command);
+    await saveServoCommand(command);
+
+    servoControls.set(deviceId, {
+      mode: command.mode,
+      angle: command.angle,
+      expiresAt: command.expiresAt,
+      requestedBy: command.requestedBy,
+      updatedAt: issuedAt,
+    });
+    lastAutoAngles.delete(deviceId);
+    scheduleOverrideExpiry(deviceId);
+    log.info('Servo command', { deviceId, mode: command.mode, angle: command.angle, requestedBy: command.requestedBy });
+    return command;
+  }
+
+  async function getServoCommands({ deviceId, limit }) {
+    return storage.collection('servo_commands').find(deviceQuery(deviceId), { sort: { issuedAt: -1 }, limit });
+  }
+
+  // Restore the last known control state so a restart does not silently drop an override
+  async function restoreServoControl(deviceId) {
+    const [last] = await getServoCommands({ deviceId, limit: 1 });
+    if (!last) {
+      return;
+    }
+    const expiresAt = normalizeDate(last.expiresAt);
+    if (last.mode === 'manual' && expiresAt && expiresAt.getTime() <= Date.now()) {
+      await applyServoCommand({ deviceId, mode: 'auto', requestedBy: 'system', reason: 'Manual override expired while offline' });
+      return;
+    }
+    servoControls.set(deviceId, {
+      mode: last.mode,
+      angle: last.angle ?? null,
+      expiresAt,
+      requestedBy: last.requestedBy || null,
+      updatedAt: normalizeDate(last.issuedAt),
+    });
+    scheduleOverrideExpiry(deviceId);
+  }
+
+  async function restoreServoControls() {
+    const devices = await listDevices();
+    const deviceIds = new Set([DEFAULT_DEVICE_ID, ...devices.map((device) => device.deviceId)]);
+    for (const deviceId of deviceIds) {
+      knownDevices.add(deviceId);
+      await restoreServoControl(deviceId);
+    }
+  }
+
+  async function loadControlRules() {
+    const stored = await storage.collection('control_rules').findOne({ _id: 'default' });
+    if (stored) {
+      controlRules = { inputs: stored.inputs, outputs: stored.outputs, rules: stored.rules };
+    }
+  }
+
+  async function saveControlRules(ruleSet, updatedBy) {
+    const doc = {
+      inputs: ruleSet.inputs,
+      outputs: ruleSet.outputs,
+      rules: ruleSet.rules,
+      updatedBy: updatedBy || 'anonymous',
+      updatedAt: new Date(),
+    };
+    await storage.collection('control_rules').replaceOne({ _id: 'default' }, doc, { upsert: true });
+    controlRules = { inputs: doc.inputs, outputs: doc.outputs, rules: doc.rules };
+    lastAutoAngles.clear();
+    return doc;
+  }
+
+  // Runs the rule base on a reading and, in auto mode, sends the resulting angle to the device
+  function applyFuzzyControl(deviceId, reading) {
+    const decision = fuzzy.evaluate(controlRules, reading);
+    if (decision.angle === null || getServoControl(deviceId).mode !== 'auto') {
+      return decision;
+    }
+    // Same deadband as the firmware to avoid jittering the valve
+    const lastAutoAngle = lastAutoAngles.get(deviceId);
+    if (lastAutoAngle === undefined || Math.abs(decision.angle - lastAutoAngle) > 10) {
+      lastAutoAngles.set(deviceId, decision.angle);
+      publishServoCommand(deviceId, { mode: 'auto', angle: decision.angle, expiresAt: null, issuedAt: new Date() });
+    }
+    return decision;
+  }
+
+  // The controller's decision for a stored reading; a failing rule base is logged and the reading
+  // kept with fuzzy: null, since control problems must not cost data
+  function fuzzyDecision(reading) {
+    try {
+      const decision = applyFuzzyControl(reading.deviceId, quality.usableReading(reading));
+      return { angle: decision.angle, activations: decision.activations };
+    } catch (error) {
+      log.error('Fuzzy control failed', { deviceId: reading.deviceId, err: error });
+      return null;
+    }
+  }
+
+  async function loadAlertRules() {
+    let rules = await storage.collection('alert_rules').find({});
+    if (rules.length === 0) {
+      rules = alerts.defaultAlertRules(config.thresholds).map((rule) => newAlertRule(rule));
+      await storage.collection('alert_rules').insertMany(rules);
+    }
+    alertRules = rules;
+  }
+
+  function newAlertRule(rule) {
+    const now = new Date();
+    return {
+      deviceId: null,
+      enabled: true,
+      ...rule,
+      ruleId: randomUUID(),
+      createdAt: now,
+      updatedAt: now,
+    };
+  }
+
+  async function saveAlertRule(rule) {
+    await storage.collection('alert_rules').replaceOne({ ruleId: rule.ruleId }, rule, { upsert: true });
+    alertRules = alertRules.filter((item) => item.ruleId !== rule.ruleId).concat(rule);
+    return rule;
+  }
+
+  async function deleteAlertRule(ruleId) {
+    const before = alertRules.length;
+    alertRules = alertRules.filter((rule) => rule.ruleId !== ruleId);
+    await storage.collection('alert_rules').deleteOne({ ruleId });
+    return alertRules.length < before;
+  }
+
+  async function saveAlert(alert) {
+    await storage.collection('alerts').replaceOne({ alertId: alert.alertId }, alert, { upsert: true });
+    return alert;
+  }
+
+  async function getAlert(alertId) {
+    return storage.collection('alerts').findOne({ alertId });
+  }
+
+  async function listAlerts({ state, deviceId, limit }) {
+    const query = deviceId ? { deviceId } : {};
+    if (state) query.state = state;
+    return storage.collection('alerts').find(query, { sort: { openedAt: -1 }, limit });
+  }
+
+  // Rebuild the active alert cache so alerts opened before a restart can still resolve
+  async function loadActiveAlerts() {
+    const active = await Promise.all([
+      listAlerts({ state: 'open', limit: 5000 }),
+      listAlerts({ state: 'acknowledged', limit: 5000 }),
+    ]);
+    activeAlerts.clear();
+    for (const alert of active.flat()) {
+      activeAlerts.set(`${alert.ruleId}:${alert.deviceId}`, alert);
+    }
+  }
+
+  async function notifyAlert(type, alert, channels) {
+    const targets = Object.keys(notifiers).filter((channel) => !channels || channels.includes(channel));
+    const results = await Promise.all(targets.map(async (channel) => {
+      try {
+        await notifiers[channel]({ type, alert });
+        return { channel, type, ok: true, at: new Date() };
+      } catch (error) {
+        log.error('Alert notification failed', { channel, alertId: alert.alertId, err: error });
+        return { channel, type, ok: false, error: error.message, at: new Date() };
+      }
+    }));
+    return results;
+  }
+
+  // Runs every alert rule against a freshly stored reading; failures never block ingestion
+  async function evaluateAlerts(reading) {
+    const at = normalizeDate(reading.measuredAt) || new Date();
+    for (const rule of alertRules) {
+      if (!alerts.appliesTo(rule, reading)) continue;
+      try {
+        await evaluateAlertRule(rule, reading, at);
+      } catch (error) {
+        log.error('Error evaluating alert rule', { ruleId: rule.ruleId, rule: rule.name, err: error });
+      }
+    }
+  }
+
+  async function evaluateAlertRule(rule, reading, at) {
+    const key = `${rule.ruleId}:${reading.deviceId}`;
+    const value = reading[rule.metric];
+    const active = activeAlerts.get(key);
+    const { action, pendingSince } = alerts.nextAlertAction({
+      rule,
+      value,
+      at,
+      pendingSince: pendingAlerts.get(key),
+      active,
+    });
+
+    if (pendingSince) {
+      pendingAlerts.set(key, pendingSince);
+    } else {
+      pendingAlerts.delete(key);
+    }
+
+    if (action === 'open') {
+      const alert = {
+        alertId: randomUUID(),
+        ruleId: rule.ruleId,
+        ruleName: rule.name,
+        deviceId: reading.deviceId,
+        metric: rule.metric,
+        comparator: rule.comparator,
+        threshold: rule.threshold,
+        severity: rule.severity,
+        state: 'open',
+        value,
+        lastValue: value,
+        openedAt: at,
+        updatedAt: at,
+        acknowledgedAt: null,
+        acknowledgedBy: null,
+        resolvedAt: null,
+        notifications: [],
+      };
+      activeAlerts.set(key, alert);
+      alert.notifications = await notifyAlert('opened', alert, rule.channels);
+      await saveAlert(alert);
+      log.info('Alert opened', { alertId: alert.alertId, rule: rule.name, deviceId: reading.deviceId, value });
+    } else if (action === 'resolve') {
+      activeAlerts.delete(key);
+      const alert = { ...active, state: 'resolved', lastValue: value, resolvedAt: at, updatedAt: at };
+      alert.notifications = [...(active.notifications || []), ...(await notifyAlert('resolved', alert, rule.channels))];
+      await saveAlert(alert);
+      log.info('Alert resolved', { alertId: alert.alertId, rule: rule.name, deviceId: reading.deviceId, value });
+    } else if (action === 'update') {
+      active.lastValue = value;
+      active.updatedAt = at;
+    }
+  }
+
+  function validateServoCommand(body) {
+    const mode = body.mode || (body.angle !== undefined ? 'manual' : null);
+    if (!SERVO_MODES.includes(mode)) {
+      return { error: `mode must be one of: ${SERVO_MODES.join(', ')}` };
+    }
+
+    let angle = null;
+    if (mode === 'manual') {
+      angle = Number(body.angle);
+      if (body.angle === undefined || body.angle === null || body.angle === '' || !Number.isInteger(angle) || angle < 0 || angle > 180) {
+        return { error: 'angle must be an integer between 0 and 180 in manual mode' };
+      }
+    }
+
+    let durationMinutes = null;
+    if (body.durationMinutes !== undefined && body.durationMinutes !== null && body.durationMinutes !== '') {
+      if (mode !== 'manual') {
+        return { error: 'durationMinutes is only valid in manual mode' };
+      }
+      durationMinutes = Number(body.durationMinutes);
+      if (!Number.isFinite(durationMinutes) || durationMinutes <= 0 || durationMinutes > MAX_OVERRIDE_MINUTES) {
+        return { error: `durationMinutes must be between 0 and ${MAX_OVERRIDE_MINUTES}` };
+      }
+    }
+
+    const deviceId = body.deviceId === undefined ? DEFAULT_DEVICE_ID : body.deviceId;
+    if (typeof deviceId !== 'string' || !DEVICE_ID_PATTERN.test(deviceId)) {
+      return { error: 'deviceId is invalid' };
+    }
+
+    return {
+      command: {
+        deviceId,
+        mode,
+        angle,
+        durationMinutes,
+        reason: typeof body.reason === 'string' ? body.reason.trim() : '',
+      },
+    };
+  }
+
+  function connectMQTT() {
+    const { url, username, password, clientId, tls } = config.mqtt;
+    const client = mqtt.connect(url, {
+      clientId: clientId || 'mqtt_to_mongodb_' + Math.random().toString(16).substr(2, 8),
+      clean: true,
+      connectTimeout: 4000,
+      reconnectPeriod: 1000,
+      username: username || undefined,
+      password: password || undefined,
+      ca: tls.ca ? fs.readFileSync(tls.ca) : undefined,
+      cert: tls.cert ? fs.readFileSync(tls.cert) : undefined,
+      key: tls.key ? fs.readFileSync(tls.key) : undefined,
+      rejectUnauthorized: tls.rejectUnauthorized,
+    });
+    mqttClient = client;
+
+    client.on('connect', () => {
+      Object.assign(mqttState, { connected: true, since: new Date(), lastError: null });
+      log.info('Connected to MQTT broker', { host: new URL(url).host });
+      client.subscribe(topics, (err) => {
+        if (err) {
+          log.error('MQTT subscription error', { err: err });
+        } else {
+          log.info('Subscribed to topics', { topics });
+        }
+      });
+      // Re-send the current control state in case a command was issued while disconnected
+      for (const [deviceId, control] of servoControls) {
+        publishServoCommand(deviceId, { ...control, issuedAt: control.updatedAt || new Date() });
+      }
+    });
+
+    client.on('message', async (topic, message, packet) => {
+      const { kind, deviceId: topicDeviceId } = parseTopic(topic);
+      // Determine collection based on topic
+      const collectionName = TOPIC_COLLECTIONS[kind];
+      metrics.mqttMessages.inc({ kind: collectionName ? kind : 'other' });
+      const observeLatency = metrics.ingestSeconds.startTimer({ source: 'mqtt' });
+      try {
+        log.debug('Message received', { topic, payload: message.toString() });
+        if (!collectionName) {
+          log.debug('Ignoring message on unhandled topic', { topic });
+          return;
+        }
+
+        // Device API keys only guard HTTP: MQTT messages are trusted as far as the broker's
+        // credentials and ACLs go, so the device is always the one in the topic (which ACLs can tie
+        // to a client) and never one named in the payload
+        if (!topicDeviceId || !DEVICE_ID_PATTERN.test(topicDeviceId)) {
+          await recordRejection({
+            source: 'mqtt',
+            topic,
+            kind,
+            deviceId: null,
+            payload: message.toString(),
+            errors: [{ field: null, message: 'Topic does not end in a valid device id' }],
+          });
+          return;
+        }
+
+        // Parse and validate the payload; failures go to the dead-letter collection
+        const { payload, errors } = schema.parseMessage(kind, message.toString());
+        // A malformed message still proves the device is alive; retained ones were sent before we subscribed
+        if (!packet.retain && kind !== 'status') {
+          presence.seen(topicDeviceId, { via: kind });
+        }
+        if (errors.length) {
+          await recordRejection({
+            source: 'mqtt',
+            topic,
+            kind,
+            deviceId: topicDeviceId,
+            payload: message.toString(),
+            errors,
+          });
+          return;
+        }
+        const sensorData = payload;
+        sensorData.deviceId = topicDeviceId;
+        sensorData.receivedAt = new Date();
+        sensorData.topic = topic; // Store the topic for reference
+        if (kind === 'sensors') {
+          const { measuredAt, error } = ingest.resolveMeasuredAt(sensorData, { receivedAt: sensorData.receivedAt });
+          if (error) {
+            await recordRejection({
+              source: 'mqtt',
+              topic,
+              kind,
+              deviceId: sensorData.deviceId,
+              payload: message.toString(),
+              errors: [{ field: 'measured_at', message: error }],
+            });
+            return;
+          }
+          delete sensorData.measured_at;
+          sensorData.measuredAt = measuredAt;
+        }
+
+        if (kind === 'status') {
+          presence.statusMessage(sensorData.deviceId, sensorData, { retained: packet.retain });
+        }
+        // The broker replays retained messages on every (re)subscribe; they are already stored
+        if (packet.retain) {
+          return;
+        }
+
+        await ensureDevice(sensorData.deviceId);
+        if (collectionName === 'sensors') {
+          const calibrating = calibrator.apply(sensorData);
+          sensorData.quality = qualityChecker.assess(sensorData.deviceId, sensorData, { calibrating });
+          sensorData.fuzzy = fuzzyDecision(sensorData);
+        }
+
+        await storage.collection(collectionName).insertOne(sensorData);
+        log.debug('Data saved', { collection: collectionName, deviceId: sensorData.deviceId });
+        if (collectionName === 'sensors') {
+          metrics.ingestedReadings.inc({ source: 'mqtt', outcome: 'stored' });
+          observeLatency();
+        }
+        eventHub.publish(kind, sensorData.deviceId, sensorData);
+        if (collectionName === 'sensors') {
+          await evaluateAlerts(quality.usableReading(sensorData));
+          await detectAnomalies(sensorData);
+        }
+
+      } catch (error) {
+        if (collectionName === 'sensors') metrics.ingestedReadings.inc({ source: 'mqtt', outcome: 'failed' });
+        log.error('Error processing message', { topic, err: error });
+      }
+    });
+
+    client.on('error', (error) => {
+      // The client retries every second; repeats of the same failure are only logged at debug
+      const repeated = mqttState.lastError && mqttState.lastError.message === error.message;
+      mqttState.lastError = { message: error.message, at: new Date() };
+      if (repeated) {
+        log.debug('MQTT error', { err: error });
+      } else {
+        log.error('MQTT error', { err: error });
+      }
+    });
+
+    client.on('reconnect', () => {
+      mqttState.reconnects += 1;
+      metrics.mqttReconnects.inc();
+      log.debug('Reconnecting to MQTT broker');
+    });
+
+    client.on('close', () => {
+      if (mqttState.connected) {
+        Object.assign(mqttState, { connected: false, since: new Date() });
+        log.warn('MQTT connection closed');
+      }
+    });
+  }
+
+  // Pings storage with a timeout and records the outcome in storageHealth
+  async function checkStorage() {
+    const startedAt = Date.now();
+    let timer;
+    try {
+      await Promise.race([
+        storage.ping(),
+        new Promise((resolve, reject) => {
+          timer = setTimeout(() => reject(new Error(`No reply within ${STORAGE_PING_TIMEOUT_MS} ms`)), STORAGE_PING_TIMEOUT_MS);
+        }),
+      ]);
+      if (!storageHealth.ok && storageHealth.checkedAt) log.info('Storage reachable again');
+      Object.assign(storageHealth, { ok: true, latencyMs: Date.now() - startedAt, error: null });
+    } catch (error) {
+      if (storageHealth.ok) log.error('Storage ping failed', { err: error });
+      Object.assign(storageHealth, { ok: false, latencyMs: null, error: error.message });
+    } finally {
+      clearTimeout(timer);
+      storageHealth.checkedAt = new Date();
+    }
+    return storageHealth.ok;
+  }
+
+  // Device uploads are refused with 503 while storage is down so devices keep their buffer and retry
+  function requireStorage(req, res, next) {
+    if (storageHealth.ok) return next();
+    res.set('Retry-After', String(STORAGE_CHECK_MS / 1000));
+    return res.status(503).json({ success: false, error: 'Storage unavailable' });
+  }
+
+  async function seedDummyData() {
+    const now = new Date();
+    await storage.collection('sensors').insertMany([
+      {
+        ph: 4.7,
+        soil: 35,
+        temperature: 27.1,
+        humidity: 58.2,
+        servo_position: 120,
+        deviceId: DEFAULT_DEVICE_ID,
+        measuredAt: new Date(now.getTime() - 60_000),
+        receivedAt: new Date(now.getTime() - 60_000),
+      },
+      {
+        ph: 5.0,
+        soil: 55,
+        temperature: 26.4,
+        humidity: 62.3,
+        servo_position: 90,
+        deviceId: DEFAULT_DEVICE_ID,
+        measuredAt: now,
+        receivedAt: now,
+      },
+    ]);
+    await saveDevice({
+      deviceId: DEFAULT_DEVICE_ID,
+      name: 'Unifi bed',
+      location: '',
+      description: 'Dummy device',
+      createdAt: now,
+      updatedAt: now,
+    });
+  }
+
+  async function connectDB() {
+    await storage.connect();
+    log.info('Storage connected', { driver: storage.driver });
+    // Readings stored before measured-time support were measured when they arrived
+    const backfilled = await storage.collection('sensors').backfillField('measuredAt', 'receivedAt');
+    if (backfilled) {
+      log.info('Set measuredAt on older readings', { count: backfilled });
+    }
+    if (config.storage.useDummyData && await storage.collection('sensors').count() === 0) {
+      await seedDummyData();
+      log.info('Seeded dummy sensor data');
+    }
+  }
+
+  // Dashboard login; the session token is set as an HttpOnly cookie and also returned for API clients
+  app.post('/api/auth/login', async (req, res) => {
+    try {
+      const { username, password } = req.body || {};
+      const user = typeof username === 'string' ? await findUser(username) : null;
+      if (!user || !auth.verifyPassword(password, user.passwordHash)) {
+        return res.status(401).json({ error: 'Invalid username or password' });
+      }
+      const session = await createSession(user);
+      const secure = req.secure || req.get('X-Forwarded-Proto') === 'https';
+      res.setHeader('Set-Cookie', auth.sessionCookie(session.token, { secure }));
+      return res.json({
+        token: session.token,
+        expiresAt: session.expiresAt,
+        user: { username: user.username, role: user.role },
+      });
+    } catch (error) {
+      log.error('Error logging in', { err: error });
+      return res.status(500).json({ error: 'Failed to log in' });
+    }
+  });
+
+  app.post('/api/auth/logout', async (req, res) => {
+    try {
+      const header = req.get('Authorization') || '';
+      const token = header.startsWith('Bearer ')
+        ? header.slice(7).trim()
+        : auth.parseCookies(req.headers.cookie)[auth.SESSION_COOKIE];
+      if (token) {
+        await deleteSessions({ tokenHash: auth.hashToken(token) });
+      }
+      res.setHeader('Set-Cookie', auth.sessionCookie('', { maxAgeMs: 0 }));
+      return res.json({ success: true });
+    } catch (error) {
+      log.error('Error logging out', { err: error });
+      return res.status(500).json({ error: 'Failed to log out' });
+    }
+  });
+
+  app.get('/api/auth/me', requireRole('viewer'), (req, res) => {
+    res.json(req.user);
+  });
+
+  // User management (admin only)
+  app.get('/api/users', requireRole('admin'), async (req, res) => {
+    try {
+      const data = await listUsers();
+      return res.json({ data, count: data.length });
+    } catch (error) {
+      log.error('Error fetching users', { err: error });
+      return res.status(500).json({ error: 'Failed to fetch users' });
+    }
+  });
+
+  app.post('/api/users', requireRole('admin'), async (req, res) => {
+    try {
+      const { user, error } = auth.validateUser(req.body || {});
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      if (await findUser(user.username)) {
+        return res.status(409).json({ error: 'User already exists' });
+      }
+      const now = new Date();
+      const saved = await saveUser({
+        username: user.username,
+        passwordHash: auth.hashPassword(user.password),
+        role: user.role,
+        createdAt: now,
+        updatedAt: now,
+      });
+      return res.status(201).json(saved);
+    } catch (error) {
+      log.error('Error creating user', { err: error });
+      return res.status(500).json({ error: 'Failed to create user' });
+    }
+  });
+
+  app.put('/api/users/:username', requireRole('admin'), async (req, res) => {
+    try {
+      const existing = await findUser(req.params.username);
+      if (!existing) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+      const { user, error } = auth.validateUser(req.body || {}, { partial: true });
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      if (user.role && user.role !== 'admin' && await isLastAdmin(existing.username)) {
+        return res.status(409).json({ error: 'Cannot demote the last admin' });
+      }
+      const { _id, ...rest } = existing;
+      const updated = { ...rest, updatedAt: new Date() };
+      if (user.role) updated.role = user.role;
+      if (user.password) {
+        updated.passwordHash = auth.hashPassword(user.password);
+        await deleteSessions({ username: existing.username });
+      }
+      return res.json(await saveUser(updated));
+    } catch (error) {
+      log.error('Error updating user', { err: error });
+      return res.status(500).json({ error: 'Failed to update user' });
+    }
+  });
+
+  app.delete('/api/users/:username', requireRole('admin'), async (req, res) => {
+    try {
+      if (await isLastAdmin(req.params.username)) {
+        return res.status(409).json({ error: 'Cannot delete the last admin' });
+      }
+      const deleted = await deleteUser(req.params.username);
+      if (!deleted) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+      return res.json({ success: true });
+    } catch (error) {
+      log.error('Error deleting user', { err: error });
+      return res.status(500).json({ error: 'Failed to delete user' });
+    }
+  });
+
+  // Endpoint to receive sensor data from ESP32
+  // Devices authenticate with X-API-Key; admins may also post readings by hand
+  app.post('/api/sensors', requireStorage, async (req, res) => {
+    const observeLatency = metrics.ingestSeconds.startTimer({ source: 'http' });
+    try {
+      if (!req.device && !auth.hasRole(req.user, 'admin')) {
+        return res.status(401).json({ success: false, error: 'Valid X-API-Key header required' });
+      }
+      const sensorData = req.body;
+      const errors = schema.validatePayload('sensors', sensorData);
+      if (errors.length) {
+        await recordRejection({ source: 'http', path: req.path, kind: 'sensors', payload: sensorData, errors });
+        return res.status(400).json({ success: false, error: 'Invalid sensor payload', details: errors });
+      }
+      if (req.device && sensorData.device_id && sensorData.device_id !== req.device.deviceId) {
+        return res.status(403).json({ success: false, error: 'API key does not belong to this device' });
+      }
+      sensorData.deviceId = req.device ? req.device.deviceId : resolveDeviceId(sensorData);
+      sensorData.receivedAt = new Date();
+      const { measuredAt, error } = ingest.resolveMeasuredAt(sensorData, { receivedAt: sensorData.receivedAt });
+      if (error) {
+        const details = [{ field: 'measured_at', message: error }];
+        await recordRejection({ source: 'http', path: req.path, kind: 'sensors', payload: sensorData, errors: details });
+        return res.status(400).json({ success: false, error: 'Invalid sensor payload', details });
+      }
+      delete sensorData.measured_at;
+      sensorData.measuredAt = measuredAt;
+      const calibrating = calibrator.apply(sensorData);
+      sensorData.quality = qualityChecker.assess(sensorData.deviceId, sensorData, { calibrating });
+      presence.seen(sensorData.deviceId, { via: 'http', at: sensorData.receivedAt });
+
+      await ensureDevice(sensorData.deviceId);
+      await storage.collection('sensors').insertOne(sensorData);
+      metrics.ingestedReadings.inc({ source: 'http', outcome: 'stored' });
+      observeLatency();
+      eventHub.publish('sensors', sensorData.deviceId, sensorData);
+      await evaluateAlerts(quality.usableReading(sensorData));
+      await detectAnomalies(sensorData);
+      return res.status(200).json({ success: true, message: 'Data saved to database', quality: sensorData.quality });
+    } catch (error) {
+      metrics.ingestedReadings.inc({ source: 'http', outcome: 'failed' });
+      log.error('Error saving data', { err: error });
+      return res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Readings buffered on the device while it was offline. Re-sent readings are skipped, bad ones
+  // are reported per index; only a reading measured just now is treated as live (stream, alerts).
+  app.post('/api/sensors/batch', requireStorage, async (req, res) => {
+    const observeLatency = metrics.ingestSeconds.startTimer({ source: 'batch' });
+    try {
+      if (!req.device && !auth.hasRole(req.user, 'admin')) {
+        return res.status(401).json({ success: false, error: 'Valid X-API-Key header required' });
+      }
+      const receivedAt = new Date();
+      const batch = ingest.parseBatch(req.body, { receivedAt });
+      if (batch.error) {
+        await recordRejection({ source: 'http', path: req.path, kind: 'sensors', payload: req.body, errors: [{ field: null, message: batch.error }] });
+        return res.status(400).json({ success: false, error: batch.error });
+      }
+      const claimed = batch.deviceId || (batch.accepted[0] && batch.accepted[0].reading.device_id);
+      if (req.device && claimed && claimed !== req.device.deviceId) {
+        return res.status(403).json({ success: false, error: 'API key does not belong to this device' });
+      }
+      const deviceId = req.device ? req.device.deviceId : resolveDeviceId({ device_id: claimed });
+      presence.seen(deviceId, { via: 'http', at: receivedAt });
+      await ensureDevice(deviceId);
+
+      for (const { index, reading, errors } of batch.rejected) {
+        await recordRejection({ source: 'http', path: req.path, kind: 'sensors', deviceId, payload: reading, errors: errors.map((item) => ({ ...item, index })) });
+      }
+
+      const stored = [];
+      let duplicates = 0;
+      const ordered = [...batch.accepted].sort((a, b) => a.measuredAt - b.measuredAt);
+      for (const { reading, measuredAt } of ordered) {
+        if (await storage.collection('sensors').findOne(ingest.duplicateQuery(deviceId, reading, measuredAt))) {
+          duplicates += 1;
+          metrics.ingestedReadings.inc({ source: 'batch', outcome: 'duplicate' });
+          continue;
+        }
+        const sensorData = { ...reading, deviceId, measuredAt, receivedAt };
+        delete sensorData.measured_at;
+        const calibrating = calibrator.apply(sensorData);
+        sensorData.quality = qualityChecker.assess(deviceId, sensorData, { calibrating });
+        await storage.collection('sensors').insertOne(sensorData);
+        metrics.ingestedReadings.inc({ source: 'batch', outcome: 'stored' });
+        await detectAnomalies(sensorData);
+        stored.push(sensorData);
+      }
+      if (stored.length) {
+        observeLatency();
+        // Readings from before the rollup watermark would otherwise never be rolled up, and then pruned
+        retention.invalidateRollups(stored[0].measuredAt)
+          .catch((error) => log.error('Error invalidating rollups', { err: error }));
+      }
+
+      const newest = stored[stored.length - 1];
+      if (newest && receivedAt - newest.measuredAt <= LIVE_READING_MS) {
+        eventHub.publish('sensors', deviceId, newest);
+        await evaluateAlerts(quality.usableReading(newest));
+      }
+      return res.json({
+        success: true,
+        deviceId,
+        stored: stored.length,
+        duplicates,
+        rejected: batch.rejected.map(({ index, errors }) => ({ index, errors })),
+      });
+    } catch (error) {
+      metrics.ingestedReadings.inc({ source: 'batch', outcome: 'failed' });
+      log.error('Error saving batch', { err: error });
+      return res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Endpoint to get sensor data within a date range (defaults to latest)
+  app.get('/api/sensors/range', requireRole('viewer'), async (req, res) => {
+    try {
+      const range = parseRangeQuery(req.query, 200);
+      if (range.error) {
+        return res.status(400).json({ error: range.error });
+      }
+
+      const data = await getSensorRange({ ...range, sortDirection: -1 });
+      return res.json({ data, count: data.length });
+    } catch (error) {
+      log.error('Error fetching range data', { err: error });
+      return res.status(500).json({ error: 'Failed to fetch data' });
+    }
+  });
+
+  // Query parameters shared by every export; there is no row cap and limit is optional.
+  // Returns { start, end, limit, deviceId, timeZone } or { error }.
+  function parseExportQuery(query, format) {
+    const start = normalizeDate(query.start);
+    const end = normalizeDate(query.end);
+    const limit = query.limit === undefined ? 0 : parseInt(query.limit, 10);
+    const { deviceId, error: deviceError } = normalizeDeviceId(query.deviceId);
+    const { timeZone, error: timeZoneError } = parseTimeZone(query.tz);
+
+    if (!exporter.EXPORT_FORMATS[format]) {
+      return { error: `format must be one of: ${Object.keys(exporter.EXPORT_FORMATS).join(', ')}` };
+    }
+    if (query.start && !start) {
+      return { error: 'Invalid start date' };
+    }
+    if (query.end && !end) {
+      return { error: 'Invalid end date' };
+    }
+    if (Number.isNaN(limit) || limit < 0) {
+      return { error: 'limit must be a positive integer' };
+    }
+    if (deviceError) {
+      return { error: deviceError };
+    }
+    if (timeZoneError) {
+      return { error: timeZoneError };
+    }
+    return { start, end, limit, deviceId, timeZone };
+  }
+
+  async function sendExport(res, { dataset, format, columns, rows, timeZone, deviceId, start, end, bucket }) {
+    const { contentType, extension } = exporter.EXPORT_FORMATS[format];
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${exporter.exportFilename({ dataset, deviceId, start, end, bucket, extension })}"`);
+    try {
+      const writer = await exporter.createExportWriter(format, res, { columns, timeZone });
+      let count = 0;
+      for await (const values of rows) {
+        await writer.writeRow(values);
+        count += 1;
+      }
+      await writer.end();
+      res.end();
+      log.info('Export finished', { dataset, rows: count, bucket, format });
+    } catch (error) {
+      // Headers (and maybe part of the file) are already out, so the only option is to cut the response
+      log.warn('Export aborted', { dataset, format, err: error });
+      res.destroy();
+    }
+  }
+
+  // Endpoint to download sensor data as CSV with optional date range
+  // Streams readings (or, with bucket, aggregates) as CSV, JSON Lines, XLSX or Parquet.
+  // Dates are written in the tz time zone (default UTC).
+  async function exportSensors(req, res, format) {
+    const parsedQuery = parseExportQuery(req.query, format);
+    if (parsedQuery.error) {
+      return res.status(400).json({ error: parsedQuery.error });
+    }
+    const { start, end, limit, deviceId, timeZone } = parsedQuery;
+    const bucket = req.query.bucket;
+
+    let columns;
+    let rows;
+    if (bucket) {
+      const bucketMs = aggregate.BUCKETS[bucket];
+      const { fields, error: fieldsError } = aggregate.parseFields(req.query.fields);
+      if (!bucketMs) {
+        return res.status(400).json({ error: `bucket must be one of: ${Object.keys(aggregate.BUCKETS).join(', ')}` });
+      }
+      if (fieldsError) {
+        return res.status(400).json({ error: fieldsError });
+      }
+      if (!start) {
+        return res.status(400).json({ error: 'start is required when exporting aggregates' });
+      }
+      const rangeEnd = end || new Date();
+      if ((rangeEnd - start) / bucketMs > aggregate.MAX_BUCKETS) {
+        return res.status(400).json({ error: `Range too large for bucket ${bucket}; use a larger bucket` });
+      }
+      const parsed = exporter.parseColumns(req.query.columns, exporter.aggregateColumns(fields));
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+      }
+      ({ columns } = parsed);
+      const data = await getSensorAggregate({ start, end: rangeEnd, deviceId, bucketMs, fields });
+      rows = (async function* buckets() {
+        for (const item of data) yield columns.map((column) => exporter.aggregateValue(item, column.name));
+      }());
+    } else {
+      const parsed = exporter.parseColumns(req.query.columns, exporter.READING_COLUMNS, exporter.DEFAULT_READING_COLUMNS);
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+      }
+      ({ columns } = parsed);
+      const cursor = storage.collection('sensors').iterate(sensorRangeQuery({ start, end, deviceId }), { sort: { measuredAt: 1 }, limit });
+      rows = (async function* readings() {
+        for await (const doc of cursor) yield columns.map((column) => exporter.readingValue(doc, column.name));
+      }());
+    }
+
+    await sendExport(res, { dataset: 'sensors', format, columns, rows, timeZone, deviceId, start, end, bucket });
+    return undefined;
+  }
+
+  // Servo or status messages oldest first, in any export format
+  async function exportEvents(req, res, kind, format) {
+    const parsedQuery = parseExportQuery(req.query, format);
+    if (parsedQuery.error) {
+      return res.status(400).json({ error: parsedQuery.error });
+    }
+    const { start, end, limit, deviceId, timeZone } = parsedQuery;
+    const parsed = exporter.parseColumns(req.query.columns, exporter.EVENT_COLUMNS[kind]);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+    const { columns } = parsed;
+    const cursor = storage.collection(kind).iterate(eventRangeQuery({ start, end, deviceId }), { sort: { receivedAt: 1 }, limit });
+    const rows = (async function* events() {
+      for await (const doc of cursor) yield columns.map((column) => exporter.readingValue(doc, column.name));
+    }());
+    await sendExport(res, { dataset: kind, format, columns, rows, timeZone, deviceId, start, end });
+    return undefined;
+  }
+
+  app.get('/api/sensors/export', requireRole('operator'), async (req, res) => {
+    try {
+      return await exportSensors(req, res, req.query.format || 'csv');
+    } catch (error) {
+      log.error('Error exporting data', { err: error });
+      return res.status(500).json({ error: 'Failed to export data' });
+    }
+  });
+
+  // Kept for existing links and scripts; same as /api/sensors/export?format=csv
+  app.get('/api/sensors/csv', requireRole('operator'), async (req, res) => {
+    try {
+      return await exportSensors(req, res, 'csv');
+    } catch (error) {
+      log.error('Error generating CSV', { err: error });
+      return res.status(500).json({ error: 'Failed to generate CSV' });
+    }
+  });
+
+  // Endpoint to get min/max/avg/count per time bucket (defaults to the last 24 hours)
+  app.get('/api/sensors/aggregate', requireRole('viewer'), async (req, res) => {
+    try {
+      const end = normalizeDate(req.query.end) || new Date();
+      const start = normalizeDate(req.query.start) || new Date(end.getTime() - 24 * 60 * 60_000);
+      const bucket = req.query.bucket || '1h';
+      const bucketMs = aggregate.BUCKETS[bucket];
+      const { fields, error: fieldsError } = aggregate.parseFields(req.query.fields);
+      const { deviceId, error: deviceError } = normalizeDeviceId(req.query.deviceId);
+
+      if (req.query.start && !normalizeDate(req.query.start)) {
+        return res.status(400).json({ error: 'Invalid start date' });
+      }
+      if (req.query.end && !normalizeDate(req.query.end)) {
+        return res.status(400).json({ error: 'Invalid end date' });
+      }
+      if (start > end) {
+        return res.status(400).json({ error: 'start must be before end' });
+      }
+      if (!bucketMs) {
+        return res.status(400).json({ error: `bucket must be one of: ${Object.keys(aggregate.BUCKETS).join(', ')}` });
+      }
+      if ((end - start) / bucketMs > aggregate.MAX_BUCKETS) {
+        return res.status(400).json({ error: `Range too large for bucket ${bucket}; use a larger bucket` });
+      }
+      if (fieldsError) {
+        return res.status(400).json({ error: fieldsError });
+      }
+      if (deviceError) {
+        return res.status(400).json({ error: deviceError });
+      }
+
+      const data = await getSensorAggregate({ start, end, deviceId, bucketMs, fields });
+      return res.json({ bucket, start, end, fields, data, count: data.length });
+    } catch (error) {
+      log.error('Error aggregating data', { err: error });
+      return res.status(500).json({ error: 'Failed to aggregate data' });
+    }
+  });
+
+  // Endpoint to get latest sensor data (optionally for one device)
+  app.get('/api/sensors/latest', requireRole('viewer'), async (req, res) => {
+    try {
+      const { deviceId, error } = normalizeDeviceId(req.query.deviceId);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      const latest = await getLatestReading(deviceId);
+      res.json(latest || {});
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Endpoint to get the current valve control state of a device
+  app.get('/api/servo', requireRole('viewer'), (req, res) => {
+    const { deviceId, error } = normalizeDeviceId(req.query.deviceId);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const id = deviceId || DEFAULT_DEVICE_ID;
+    return res.json({ deviceId: id, ...getServoControl(id) });
+  });
+
+  // Endpoint to switch between auto/manual mode or set a manual angle
+  app.post('/api/servo', requireRole('operator'), async (req, res) => {
+    try {
+      const { command, error } = validateServoCommand(req.body || {});
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      command.requestedBy = req.user.username;
+      const saved = await applyServoCommand(command);
+      return res.json({ success: true, command: saved, state: getServoControl(saved.deviceId) });
+    } catch (error) {
+      log.error('Error applying servo command', { err: error });
+      return res.status(500).json({ error: 'Failed to apply servo command' });
+    }
+  });
+
+  // Endpoint to audit previously issued servo commands (newest first)
+  app.get('/api/servo/commands', requireRole('viewer'), async (req, res) => {
+    try {
+      const limit = normalizeLimit(req.query.limit, 50);
+      const { deviceId, error } = normalizeDeviceId(req.query.deviceId);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      const data = await getServoCommands({ deviceId, limit });
+      return res.json({ data, count: data.length });
+    } catch (error) {
+      log.error('Error fetching servo commands', { err: error });
+      return res.status(500).json({ error: 'Failed to fetch servo commands' });
+    }
+  });
+
+  // Servo position reports from the devices, newest first
+  app.get('/api/servo/range', requireRole('viewer'), async (req, res) => {
+    try {
+      const range = parseRangeQuery(req.query, 200);
+      if (range.error) {
+        return res.status(400).json({ error: range.error });
+      }
+      const data = await getEventRange('servo', range);
+      return res.json({ data, count: data.length });
+    } catch (error) {
+      log.error('Error fetching servo history', { err: error });
+      return res.status(500).json({ error: 'Failed to fetch servo history' });
+    }
+  });
+
+  // Last servo position reported (optionally by one device); {} when there is none
+  app.get('/api/servo/latest', requireRole('viewer'), async (req, res) => {
+    try {
+      const { deviceId, error } = normalizeDeviceId(req.query.deviceId);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      const [latest] = await getEventRange('servo', { deviceId, limit: 1 });
+      return res.json(latest || {});
+    } catch (error) {
+      log.error('Error fetching latest servo position', { err: error });
+      return res.status(500).json({ error: 'Failed to fetch latest servo position' });
+    }
+  });
+
+  app.get('/api/servo/export', requireRole('operator'), async (req, res) => {
+    try {
+      return await exportEvents(req, res, 'servo', req.query.format || 'csv');
+    } catch (error) {
+      log.error('Error exporting servo history', { err: error });
+      return res.status(500).json({ error: 'Failed to export servo history' });
+    }
+  });
+
+  app.get('/api/servo/csv', requireRole('operator'), async (req, res) => {
+    try {
+      return await exportEvents(req, res, 'servo', 'csv');
+    } catch (error) {
+      log.error('Error generating servo CSV', { err: error });
+      return res.status(500).json({ error: 'Failed to generate CSV' });
+    }
+  });
+
+  // Status messages from the devices (connects, disconnects, last wills), newest first
+  app.get('/api/status/range', requireRole('viewer'), async (req, res) => {
+    try {
+      const range = parseRangeQuery(req.query, 200);
+      if (range.error) {
+        return res.status(400).json({ error: range.error });
+      }
+      const data = await getEventRange('status', range);
+      return res.json({ data, count: data.length });
+    } catch (error) {
+      log.error('Error fetching status history', { err: error });
+      return res.status(500).json({ error: 'Failed to fetch status history' });
+    }
+  });
+
+  app.get('/api/status/export', requireRole('operator'), async (req, res) => {
+    try {
+      return await exportEvents(req, res, 'status', req.query.format || 'csv');
+    } catch (error) {
+      log.error('Error exporting status history', { err: error });
+      return res.status(500).json({ error: 'Failed to export status history' });
+    }
+  });
+
+  app.get('/api/status/csv', requireRole('operator'), async (req, res) => {
+    try {
+      return await exportEvents(req, res, 'status', 'csv');
+    } catch (error) {
+      log.error('Error generating status CSV', { err: error });
+      return res.status(500).json({ error: 'Failed to generate CSV' });
+    }
+  });
+
+  // Readings, valve moves and status events interleaved, newest first; kinds picks which
+  app.get('/api/timeline', requireRole('viewer'), async (req, res) => {
+    try {
+      const range = parseRangeQuery(req.query, 100);
+      if (range.error) {
+        return res.status(400).json({ error: range.error });
+      }
+      const kinds = req.query.kinds ? String(req.query.kinds).split(',').map((kind) => kind.trim()) : TIMELINE_KINDS;
+      if (!kinds.length || kinds.some((kind) => !TIMELINE_KINDS.includes(kind))) {
+        return res.status(400).json({ error: `kinds must be a comma-separated list of: ${TIMELINE_KINDS.join(', ')}` });
+      }
+      const data = await getTimeline({ ...range, kinds });
+      return res.json({ data, count: data.length });
+    } catch (error) {
+      log.error('Error fetching timeline', { err: error });
+      return res.status(500).json({ error: 'Failed to fetch timeline' });
+    }
+  });
+
+  // Device registry endpoints
+  app.get('/api/devices', requireRole('viewer'), async (req, res) => {
+    try {
+      const data = await listDevices();
+      return res.json({ data, count: data.length });
+    } catch (error) {
+      log.error('Error fetching devices', { err: error });
+      return res.status(500).json({ error: 'Failed to fetch devices' });
+    }
+  });
+
+  app.get('/api/devices/:id', requireRole('viewer'), async (req, res) => {
+    try {
+      const device = await getDevice(req.params.id);
+      if (!device) {
+        return res.status(404).json({ error: 'Device not found' });
+      }
+      return res.json(device);
+    } catch (error) {
+      log.error('Error fetching device', { err: error });
+      return res.status(500).json({ error: 'Failed to fetch device' });
+    }
+  });
+
+  // Online/offline state, last contact and reconnect count of a device
+  app.get('/api/devices/:id/status', requireRole('viewer'), async (req, res) => {
+    try {
+      const deviceId = req.params.id;
+      const [device, latest] = await Promise.all([getDevice(deviceId), getLatestReading(deviceId)]);
+      const record = presence.get(deviceId);
+      if (!device && !record) {
+        return res.status(404).json({ error: 'Device not found' });
+      }
+      const now = Date.now();
+      const state = record || {};
+      const lastReadingAt = latest ? new Date(latest.measuredAt) : null;
+      return res.json({
+        deviceId,
+        state: state.state || 'unknown',
+        stateReason: state.stateReason || null,
+        stateChangedAt: state.stateChangedAt || null,
+        lastSeenAt: state.lastSeenAt || null,
+        lastSeenVia: state.lastSeenVia || null,
+        connectedSince: state.connectedSince || null,
+        uptimeSeconds: state.state === 'online' && state.connectedSince
+          ? Math.floor((now - state.connectedSince.getTime()) / 1000)
+          : null,
+        reconnectCount: state.reconnectCount || 0,
+        lastStatus: state.lastStatus || null,
+        lastReadingAt,
+        lastReadingAgeSeconds: lastReadingAt ? Math.floor((now - lastReadingAt.getTime()) / 1000) : null,
+        offlineAfterSeconds: DEVICE_OFFLINE_AFTER_MS / 1000,
+      });
+    } catch (error) {
+      log.error('Error fetching device status', { err: error });
+      return res.status(500).json({ error: 'Failed to fetch device status' });
+    }
+  });
+
+  app.post('/api/devices', requireRole('admin'), async (req, res) => {
+    try {
+      const { device, error } = validateDevice(req.body || {});
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      if (await getDevice(device.deviceId)) {
+        return res.status(409).json({ error: 'Device already exists' });
+      }
+      const now = new Date();
+      const saved = await saveDevice({
+        name: device.deviceId,
+        location: '',
+        description: '',
+        ...device,
+        createdAt: now,
+        updatedAt: now,
+      });
+      return res.status(201).json(saved);
+    } catch (error) {
+      log.error('Error creating device', { err: error });
+      return res.status(500).json({ error: 'Failed to create device' });
+    }
+  });
+
+  app.put('/api/devices/:id', requireRole('admin'), async (req, res) => {
+    try {
+      const existing = await getDevice(req.params.id);
+      if (!existing) {
+        return res.status(404).json({ error: 'Device not found' });
+      }
+      const { device, error } = validateDevice(req.body || {}, { partial: true });
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      const { _id, ...rest } = existing;
+      const saved = await saveDevice({ ...rest, ...device, updatedAt: new Date() });
+      return res.json(saved);
+    } catch (error) {
+      log.error('Error updating device', { err: error });
+      return res.status(500).json({ error: 'Failed to update device' });
+    }
+  });
+
+  // Device API keys; the secret is only returned once, when the key is issued
+  app.get('/api/devices/:id/keys', requireRole('admin'), async (req, res) => {
+    try {
+      const data = await listApiKeys(req.params.id);
+      return res.json({ data, count: data.length });
+    } catch (error) {
+      log.error('Error fetching API keys', { err: error });
+      return res.status(500).json({ error: 'Failed to fetch API keys' });
+    }
+  });
+
+  app.post('/api/devices/:id/keys', requireRole('admin'), async (req, res) => {
+    try {
+      if (!(await getDevice(req.params.id))) {
+        return res.status(404).json({ error: 'Device not found' });
+      }
+      const key = await createApiKey(req.params.id, req.user.username);
+      return res.status(201).json(key);
+    } catch (error) {
+      log.error('Error issuing API key', { err: error });
+      return res.status(500).json({ error: 'Failed to issue API key' });
+    }
+  });
+
+  app.delete('/api/devices/:id/keys/:keyId', requireRole('admin'), async (req, res) => {
+    try {
+      const revoked = await revokeApiKey(req.params.id, req.params.keyId);
+      if (!revoked) {
+        return res.status(404).json({ error: 'Active API key not found' });
+      }
+      return res.json({ success: true });
+    } catch (error) {
+      log.error('Error revoking API key', { err: error });
+      return res.status(500).json({ error: 'Failed to revoke API key' });
+    }
+  });
+
+  // Removes the registry entry only; stored readings are kept
+  app.delete('/api/devices/:id', requireRole('admin'), async (req, res) => {
+    try {
+      const deleted = await deleteDevice(req.params.id);
+      if (!deleted) {
+        return res.status(404).json({ error: 'Device not found' });
+      }
+      return res.json({ success: true });
+    } catch (error) {
+      log.error('Error deleting device', { err: error });
+      return res.status(500).json({ error: 'Failed to delete device' });
+    }
+  });
+
+  // Endpoint to list alerts, newest first (?state=open|acknowledged|resolved&deviceId=)
+  app.get('/api/alerts', requireRole('viewer'), async (req, res) => {
+    try {
+      const limit = normalizeLimit(req.query.limit, 100);
+      const { deviceId, error } = normalizeDeviceId(req.query.deviceId);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      const state = req.query.state || null;
+      if (state && !alerts.ALERT_STATES.includes(state)) {
+        return res.status(400).json({ error: `state must be one of: ${alerts.ALERT_STATES.join(', ')}` });
+      }
+      const data = await listAlerts({ state, deviceId, limit });
+      return res.json({ data, count: data.length });
+    } catch (error) {
+      log.error('Error fetching alerts', { err: error });
+      return res.status(500).json({ error: 'Failed to fetch alerts' });
+    }
+  });
+
+  // Endpoint to acknowledge an open alert; it stays active until the value recovers
+  app.post('/api/alerts/:id/acknowledge', requireRole('operator'), async (req, res) => {
+    try {
+      const existing = await getAlert(req.params.id);
+      if (!existing) {
+        return res.status(404).json({ error: 'Alert not found' });
+      }
+      if (existing.state !== 'open') {
+        return res.status(409).json({ error: `Alert is already ${existing.state}` });
+      }
+      const key = `${existing.ruleId}:${existing.deviceId}`;
+      const current = activeAlerts.get(key) || existing;
+      const body = req.body || {};
+      const now = new Date();
+      const alert = {
+        ...current,
+        state: 'acknowledged',
+        acknowledgedAt: now,
+        acknowledgedBy: req.user.username,
+        note: typeof body.note === 'string' ? body.note.trim() : '',
+        updatedAt: now,
+      };
+      const rule = alertRules.find((item) => item.ruleId === alert.ruleId);
+      alert.notifications = [...(current.notifications || []), ...(await notifyAlert('acknowledged', alert, rule && rule.channels))];
+      activeAlerts.set(key, alert);
+      await saveAlert(alert);
+      return res.json(alert);
+    } catch (error) {
+      log.error('Error acknowledging alert', { err: error });
+      return res.status(500).json({ error: 'Failed to acknowledge alert' });
+    }
+  });
+
+  // Alert rule endpoints
+  app.get('/api/alerts/rules', requireRole('viewer'), (req, res) => {
+    res.json({ data: alertRules, count: alertRules.length });
+  });
+
+  app.post('/api/alerts/rules', requireRole('admin'), async (req, res) => {
+    try {
+      const { rule, error } = alerts.validateAlertRule(req.body || {});
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      const saved = await saveAlertRule(newAlertRule(rule));
+      return res.status(201).json(saved);
+    } catch (error) {
+      log.error('Error creating alert rule', { err: error });
+      return res.status(500).json({ error: 'Failed to create alert rule' });
+    }
+  });
+
+  app.put('/api/alerts/rules/:id', requireRole('admin'), async (req, res) => {
+    try {
+      const existing = alertRules.find((rule) => rule.ruleId === req.params.id);
+      if (!existing) {
+        return res.status(404).json({ error: 'Alert rule not found' });
+      }
+      const { rule, error } = alerts.validateAlertRule(req.body || {}, { partial: true });
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      const { _id, ...rest } = existing;
+      const saved = await saveAlertRule({ ...rest, ...rule, updatedAt: new Date() });
+      return res.json(saved);
+    } catch (error) {
+      log.error('Error updating alert rule', { err: error });
+      return res.status(500).json({ error: 'Failed to update alert rule' });
+    }
+  });
+
+  app.delete('/api/alerts/rules/:id', requireRole('admin'), async (req, res) => {
+    try {
+      const deleted = await deleteAlertRule(req.params.id);
+      if (!deleted) {
+        return res.status(404).json({ error: 'Alert rule not found' });
+      }
+      return res.json({ success: true });
+    } catch (error) {
+      log.error('Error deleting alert rule', { err: error });
+      return res.status(500).json({ error: 'Failed to delete alert rule' });
+    }
+  });
+
+  // Endpoint to list configured notification channels
+  app.get('/api/alerts/notifiers', requireRole('admin'), (req, res) => {
+    res.json({ channels: Object.keys(notifiers) });
+  });
+
+  // Endpoint to send a test notification through one or all channels
+  app.post('/api/alerts/notifiers/test', requireRole('admin'), async (req, res) => {
+    try {
+      const { channel } = req.body || {};
+      if (channel && !notifiers[channel]) {
+        return res.status(400).json({ error: `Channel not configured: ${channel}` });
+      }
+      const now = new Date();
+      const alert = {
+        alertId: 'test',
+        ruleName: 'Test notification',
+        deviceId: DEFAULT_DEVICE_ID,
+        metric: 'ph',
+        comparator: 'lt',
+        threshold: 4.4,
+        severity: 'warning',
+        state: 'open',
+        value: 4.2,
+        lastValue: 4.2,
+        openedAt: now,
+      };
+      const results = await notifyAlert('test', alert, channel ? [channel] : null);
+      return res.json({ results });
+    } catch (error) {
+      log.error('Error sending test notification', { err: error });
+      return res.status(500).json({ error: 'Failed to send test notification' });
+    }
+  });
+
+  // Detected anomalies, newest first (?deviceId=&metric=&type=&start=&end=&limit=)
+  app.get('/api/anomalies', requireRole('viewer'), async (req, res) => {
+    try {
+      const range = parseRangeQuery(req.query, 100);
+      if (range.error) {
+        return res.status(400).json({ error: range.error });
+      }
+      const metric = req.query.metric || null;
+      if (metric && !anomaly.METRICS[metric]) {
+        return res.status(400).json({ error: `metric must be one of: ${Object.keys(anomaly.METRICS).join(', ')}` });
+      }
+      const type = req.query.type || null;
+      if (type && !anomaly.TYPES.includes(type)) {
+        return res.status(400).json({ error: `type must be one of: ${anomaly.TYPES.join(', ')}` });
+      }
+      const data = await anomalyDetector.list({ ...range, metric, type });
+      return res.json({ data, count: data.length });
+    } catch (error) {
+      log.error('Error fetching anomalies', { err: error });
+      return res.status(500).json({ error: 'Failed to fetch anomalies' });
+    }
+  });
+
+  app.get('/api/anomalies/:id', requireRole('viewer'), async (req, res) => {
+    try {
+      const found = await anomalyDetector.get(req.params.id);
+      if (!found) {
+        return res.status(404).json({ error: 'Anomaly not found' });
+      }
+      return res.json(found);
+    } catch (error) {
+      log.error('Error fetching anomaly', { err: error });
+      return res.status(500).json({ error: 'Failed to fetch anomaly' });
+    }
+  });
+
+  // Endpoint to get the active fuzzy rule set
+  app.get('/api/control/rules', requireRole('viewer'), (req, res) => {
+    res.json(controlRules);
+  });
+
+  // Endpoint to replace the fuzzy rule set (inputs, outputs and rules)
+  app.put('/api/control/rules', requireRole('admin'), async (req, res) => {
+    try {
+      const ruleSet = req.body || {};
+      const errors = fuzzy.validateRuleSet(ruleSet);
+      if (errors.length) {
+        return res.status(400).json({ error: 'Invalid rule set', details: errors });
+      }
+      const saved = await saveControlRules(ruleSet, req.user.username);
+      return res.json({ success: true, rules: saved });
+    } catch (error) {
+      log.error('Error saving control rules', { err: error });
+      return res.status(500).json({ error: 'Failed to save control rules' });
+    }
+  });
+
+  async function getFlowProfile(deviceId) {
+    const stored = await storage.collection('flow_profiles').findOne({ deviceId });
+    return stored || water.defaultFlowProfile(deviceId, WATER_FLOW_LPM);
+  }
+
+  // Valve positions and soil readings of a device in [start, end), in time order
+  async function feedWaterAnalyzer(analyzer, { deviceId, start, end }) {
+    const servoQuery = { ...deviceQuery(deviceId), receivedAt: { $gte: start, $lt: end } };
+    const samples = water.mergeByTime([
+      {
+        iterable: storage.collection('sensors').iterate(sensorRangeQuery({ start, end, deviceId }), { sort: { measuredAt: 1 } }),
+        field: 'measuredAt',
+      },
+      { iterable: storage.collection('servo').iterate(servoQuery, { sort: { receivedAt: 1 } }), field: 'receivedAt' },
+    ]);
+    for await (const { source, doc } of samples) {
+      if (source === 0) {
+        const reading = quality.usableReading(doc);
+        analyzer.add({
+          at: reading.measuredAt,
+          position: typeof reading.servo_position === 'number' ? reading.servo_position : null,
+          soil: typeof reading.soil === 'number' ? reading.soil : null,
+        });
+      } else if (typeof doc.servo_position === 'number') {
+        analyzer.add({ at: doc.receivedAt, position: doc.servo_position });
+      }
+    }
+  }
+
+  // Minutes the device reported its valve open in [start, end), whatever opened it (schedules,
+  // the automatic controller or an operator); the scheduler's daily limit is checked against this
+  async function valveOpenMinutes(deviceId, start, end) {
+    const analyzer = water.createWaterAnalyzer({
+      points: water.defaultFlowProfile(deviceId, WATER_FLOW_LPM).points,
+      clock: createClock('UTC'),
+      start,
+      end,
+      maxGapMs: DEVICE_OFFLINE_AFTER_MS,
+    });
+    await feedWaterAnalyzer(analyzer, { deviceId, start, end });
+    return analyzer.result().totals.openMinutes;
+  }
+
+  // Valve-open time, estimated water volume, actuation cycles and soil moisture recovery per local
+  // day or week (?period=day|week&tz=), for one device over ?start=&end= (default: the last 7 days)
+  app.get('/api/analytics/water', requireRole('viewer'), async (req, res) => {
+    try {
+      const { deviceId: requestedDevice, error } = normalizeDeviceId(req.query.deviceId);
+      const deviceId = requestedDevice || DEFAULT_DEVICE_ID;
+      const end = req.query.end ? normalizeDate(req.query.end) : new Date();
+      const period = req.query.period || 'day';
+      const { timeZone, error: timeZoneError } = parseTimeZone(req.query.tz);
+
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      if (!end) {
+        return res.status(400).json({ error: 'Invalid end date' });
+      }
+      const start = req.query.start ? normalizeDate(req.query.start) : new Date(end.getTime() - 7 * 24 * 60 * 60_000);
+      if (!start) {
+        return res.status(400).json({ error: 'Invalid start date' });
+      }
+      if (start >= end || end - start > MAX_ANALYTICS_DAYS * 24 * 60 * 60_000) {
+        return res.status(400).json({ error: `start must be before end and at most ${MAX_ANALYTICS_DAYS} days earlier` });
+      }
+      if (!water.PERIODS[period]) {
+        return res.status(400).json({ error: `period must be one of: ${Object.keys(water.PERIODS).join(', ')}` });
+      }
+      if (timeZoneError) {
+        return res.status(400).json({ error: timeZoneError });
+      }
+
+      const profile = await getFlowProfile(deviceId);
+      const analyzer = water.createWaterAnalyzer({
+        points: profile.points,
+        clock: createClock(timeZone),
+        period,
+        start,
+        end,
+        maxGapMs: DEVICE_OFFLINE_AFTER_MS,
+      });
+      await feedWaterAnalyzer(analyzer, { deviceId, start, end });
+      return res.json({
+        deviceId,
+        start,
+        end,
+        period,
+        timeZone,
+        flowProfile: profile.points,
+        ...analyzer.result(),
+      });
+    } catch (error) {
+      log.error('Error computing water analytics', { err: error });
+      return res.status(500).json({ error: 'Failed to compute water analytics' });
+    }
+  });
+
+  // Litres per minute by valve angle, interpolated linearly (default: 0 closed to WATER_FLOW_LPM open)
+  app.get('/api/analytics/water/flow/:deviceId', requireRole('viewer'), async (req, res) => {
+    try {
+      if (!DEVICE_ID_PATTERN.test(req.params.deviceId)) {
+        return res.status(400).json({ error: 'deviceId is invalid' });
+      }
+      return res.json(await getFlowProfile(req.params.deviceId));
+    } catch (error) {
+      log.error('Error fetching flow profile', { err: error });
+      return res.status(500).json({ error: 'Failed to fetch flow profile' });
+    }
+  });
+
+  app.put('/api/analytics/water/flow/:deviceId', requireRole('admin'), async (req, res) => {
+    try {
+      if (!DEVICE_ID_PATTERN.test(req.params.deviceId)) {
+        return res.status(400).json({ error: 'deviceId is invalid' });
+      }
+      const { points, error } = water.validateFlowProfile(req.body || {});
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      const profile = { deviceId: req.params.deviceId, points, updatedBy: req.user.username, updatedAt: new Date() };
+      await storage.collection('flow_profiles').replaceOne({ deviceId: profile.deviceId }, profile, { upsert: true });
+      return res.json(profile);
+    } catch (error) {
+      log.error('Error saving flow profile', { err: error });
+      return res.status(500).json({ error: 'Failed to save flow profile' });
+    }
+  });
+
+  // Irrigation schedules (see lib/irrigation.js for how they interact with blackouts, the daily
+  // limit, manual commands and the automatic controller)
+  app.get('/api/schedules', requireRole('viewer'), (req, res) => {
+    const { deviceId, error } = normalizeDeviceId(req.query.deviceId);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const data = scheduler.listSchedules(deviceId);
+    return res.json({ data, count: data.length });
+  });
+
+  // Watering runs and blackout windows in the next ?hours= (default 24), with what each run will do
+  app.get('/api/schedules/upcoming', requireRole('viewer'), async (req, res) => {
+    try {
+      const { deviceId, error } = normalizeDeviceId(req.query.deviceId);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      const hours = req.query.hours === undefined ? 24 : Number(req.query.hours);
+      if (!Number.isFinite(hours) || hours <= 0 || hours > irrigation.MAX_UPCOMING_HOURS) {
+        return res.status(400).json({ error: `hours must be between 0 and ${irrigation.MAX_UPCOMING_HOURS}` });
+      }
+      const data = await scheduler.upcoming({ deviceId, hours });
+      return res.json({ data, count: data.length });
+    } catch (error) {
+      log.error('Error listing upcoming schedule events', { err: error });
+      return res.status(500).json({ error: 'Failed to list upcoming events' });
+    }
+  });
+
+  // Log of triggered schedule actions (newest first)
+  app.get('/api/schedules/runs', requireRole('viewer'), async (req, res) => {
+    try {
+      const { deviceId, error } = normalizeDeviceId(req.query.deviceId);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      const limit = normalizeLimit(req.query.limit, 100);
+      const data = await scheduler.listRuns({ deviceId, scheduleId: req.query.scheduleId || null, limit });
+      return res.json({ data, count: data.length });
+    } catch (error) {
+      log.error('Error fetching schedule runs', { err: error });
+      return res.status(500).json({ error: 'Failed to fetch schedule runs' });
+    }
+  });
+
+  // Per-device time zone, blackout windows and daily valve-time limit
+  app.get('/api/schedules/policies/:deviceId', requireRole('viewer'), (req, res) => {
+    if (!DEVICE_ID_PATTERN.test(req.params.deviceId)) {
+      return res.status(400).json({ error: 'deviceId is invalid' });
+    }
+    return res.json(scheduler.getPolicy(req.params.deviceId));
+  });
+
+  app.put('/api/schedules/policies/:deviceId', requireRole('admin'), async (req, res) => {
+    try {
+      if (!DEVICE_ID_PATTERN.test(req.params.deviceId)) {
+        return res.status(400).json({ error: 'deviceId is invalid' });
+      }
+      const { policy, error } = irrigation.validatePolicy(req.body || {});
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      const saved = await scheduler.savePolicy(req.params.deviceId, policy, req.user.username);
+      return res.json(saved);
+    } catch (error) {
+      log.error('Error saving irrigation policy', { err: error });
+      return res.status(500).json({ error: 'Failed to save irrigation policy' });
+    }
+  });
+
+  app.get('/api/schedules/:id', requireRole('viewer'), (req, res) => {
+    const schedule = scheduler.getSchedule(req.params.id);
+    if (!schedule) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+    return res.json(schedule);
+  });
+
+  app.post('/api/schedules', requireRole('operator'), async (req, res) => {
+    try {
+      const { schedule, error } = irrigation.validateSchedule(req.body || {}, { defaultDeviceId: DEFAULT_DEVICE_ID });
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      const saved = await scheduler.saveSchedule(schedule, { updatedBy: req.user.username });
+      return res.status(201).json(saved);
+    } catch (error) {
+      log.error('Error creating schedule', { err: error });
+      return res.status(500).json({ error: 'Failed to create schedule' });
+    }
+  });
+
+  app.put('/api/schedules/:id', requireRole('operator'), async (req, res) => {
+    try {
+      if (!scheduler.getSchedule(req.params.id)) {
+        return res.status(404).json({ error: 'Schedule not found' });
+      }
+      const { schedule, error } = irrigation.validateSchedule(req.body || {}, { partial: true });
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      const saved = await scheduler.saveSchedule(schedule, { scheduleId: req.params.id, updatedBy: req.user.username });
+      return res.json(saved);
+    } catch (error) {
+      log.error('Error updating schedule', { err: error });
+      return res.status(500).json({ error: 'Failed to update schedule' });
+    }
+  });
+
+  app.delete('/api/schedules/:id', requireRole('operator'), async (req, res) => {
+    try {
+      if (!(await scheduler.deleteSchedule(req.params.id))) {
+        return res.status(404).json({ error: 'Schedule not found' });
+      }
+      return res.json({ success: true });
+    } catch (error) {
+      log.error('Error deleting schedule', { err: error });
+      return res.status(500).json({ error: 'Failed to delete schedule' });
+    }
+  });
+
+  // Calibration profiles (see lib/calibration.js). Adding, correcting or deleting a profile that is
+  // already in force queues a recompute of the stored readings it covers.
+  app.get('/api/calibration/profiles', requireRole('viewer'), (req, res) => {
+    const { deviceId, error } = normalizeDeviceId(req.query.deviceId);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const sensor = req.query.sensor || null;
+    if (sensor && !calibration.SENSORS[sensor]) {
+      return res.status(400).json({ error: `sensor must be one of: ${Object.keys(calibration.SENSORS).join(', ')}` });
+    }
+    const data = calibrator.list({ deviceId, sensor });
+    return res.json({ data, count: data.length });
+  });
+
+  app.get('/api/calibration/profiles/:id', requireRole('viewer'), (req, res) => {
+    const profile = calibrator.get(req.params.id);
+    if (!profile) {
+      return res.status(404).json({ error: 'Calibration profile not found' });
+    }
+    return res.json(profile);
+  });
+
+  app.post('/api/calibration/profiles', requireRole('admin'), async (req, res) => {
+    try {
+      const { profile, error } = calibration.validateProfile(req.body || {}, { defaultDeviceId: DEFAULT_DEVICE_ID });
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      const saved = await calibrator.save(profile, { updatedBy: req.user.username });
+      if (saved.error) {
+        return res.status(400).json({ error: saved.error });
+      }
+      // Recalibrated values would otherwise read as a jump or a drift
+      anomalyDetector.reset(saved.profile.deviceId, saved.profile.sensor);
+      return res.status(201).json({ ...saved.profile, recompute: saved.recompute });
+    } catch (error) {
+      log.error('Error creating calibration profile', { err: error });
+      return res.status(500).json({ error: 'Failed to create calibration profile' });
+    }
+  });
+
+  app.put('/api/calibration/profiles/:id', requireRole('admin'), async (req, res) => {
+    try {
+      if (!calibrator.get(req.params.id)) {
+        return res.status(404).json({ error: 'Calibration profile not found' });
+      }
+      const { profile, error } = calibration.validateProfile(req.body || {}, { partial: true });
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      const saved = await calibrator.save(profile, { profileId: req.params.id, updatedBy: req.user.username });
+      if (saved.error) {
+        return res.status(400).json({ error: saved.error });
+      }
+      anomalyDetector.reset(saved.profile.deviceId, saved.profile.sensor);
+      return res.json({ ...saved.profile, recompute: saved.recompute });
+    } catch (error) {
+      log.error('Error updating calibration profile', { err: error });
+      return res.status(500).json({ error: 'Failed to update calibration profile' });
+    }
+  });
+
+  app.delete('/api/calibration/profiles/:id', requireRole('admin'), async (req, res) => {
+    try {
+      const profile = calibrator.get(req.params.id);
+      const removed = await calibrator.remove(req.params.id, req.user.username);
+      if (!removed) {
+        return res.status(404).json({ error: 'Calibration profile not found' });
+      }
+      anomalyDetector.reset(profile.deviceId, profile.sensor);
+      return res.json({ success: true, recompute: removed.recompute });
+    } catch (error) {
+      log.error('Error deleting calibration profile', { err: error });
+      return res.status(500).json({ error: 'Failed to delete calibration profile' });
+    }
+  });
+
+  // Recent recompute jobs, newest first
+  app.get('/api/calibration/recompute', requireRole('admin'), (req, res) => {
+    const data = calibrator.listJobs();
+    res.json({ data, count: data.length });
+  });
+
+  // Re-applies the profiles to a device's stored readings of one sensor measured from `from`
+  // (until `until`, default now)
+  app.post('/api/calibration/recompute', requireRole('admin'), (req, res) => {
+    const body = req.body || {};
+    const { deviceId, error } = normalizeDeviceId(body.deviceId);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (!calibration.SENSORS[body.sensor]) {
+      return res.status(400).json({ error: `sensor must be one of: ${Object.keys(calibration.SENSORS).join(', ')}` });
+    }
+    const from = normalizeDate(body.from);
+    const until = body.until === undefined ? null : normalizeDate(body.until);
+    if (!from || (body.until !== undefined && !until)) {
+      return res.status(400).json({ error: 'from (and until, if given) must be dates' });
+    }
+    const job = calibrator.recompute({ deviceId: deviceId || DEFAULT_DEVICE_ID, sensor: body.sensor, from, until, requestedBy: req.user.username, reason: 'requested' });
+    return res.status(202).json(job);
+  });
+
+  // Guided calibration: start a session, capture a point per reference once the live reading is
+  // stable, then complete it to fit and save the profile
+  app.get('/api/calibration/sessions', requireRole('admin'), (req, res) => {
+    const data = calibrator.listSessions();
+    res.json({ data, count: data.length });
+  });
+
+  app.post('/api/calibration/sessions', requireRole('admin'), (req, res) => {
+    const body = req.body || {};
+    const { deviceId, error } = normalizeDeviceId(body.deviceId);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (!calibration.SENSORS[body.sensor]) {
+      return res.status(400).json({ error: `sensor must be one of: ${Object.keys(calibration.SENSORS).join(', ')}` });
+    }
+    const session = calibrator.startSession({ deviceId: deviceId || DEFAULT_DEVICE_ID, sensor: body.sensor, startedBy: req.user.username });
+    return res.status(201).json(session);
+  });
+
+  app.get('/api/calibration/sessions/:id', requireRole('admin'), (req, res) => {
+    const session = calibrator.getSession(req.params.id);
+    if (!session) {
+      return res.status(404).json({ error: 'Calibration session not found or expired' });
+    }
+    return res.json(session);
+  });
+
+  app.post('/api/calibration/sessions/:id/points', requireRole('admin'), (req, res) => {
+    const reference = Number((req.body || {}).reference);
+    if ((req.body || {}).reference === undefined || !Number.isFinite(reference)) {
+      return res.status(400).json({ error: 'reference must be a number' });
+    }
+    const result = calibrator.capturePoint(req.params.id, reference);
+    if (!result) {
+      return res.status(404).json({ error: 'Calibration session not found or expired' });
+    }
+    if (result.error) {
+      return res.status(409).json({ error: result.error });
+    }
+    return res.json(result.session);
+  });
+
+  app.post('/api/calibration/sessions/:id/complete', requireRole('admin'), async (req, res) => {
+    try {
+      const result = await calibrator.completeSession(req.params.id, req.body || {}, req.user.username);
+      if (!result) {
+        return res.status(404).json({ error: 'Calibration session not found or expired' });
+      }
+      if (result.error) {
+        return res.status(400).json({ error: result.error });
+      }
+      anomalyDetector.reset(result.profile.deviceId, result.profile.sensor);
+      return res.status(201).json({ ...result.profile, recompute: result.recompute });
+    } catch (error) {
+      log.error('Error completing calibration', { err: error });
+      return res.status(500).json({ error: 'Failed to save calibration' });
+    }
+  });
+
+  app.delete('/api/calibration/sessions/:id', requireRole('admin'), (req, res) => {
+    if (!calibrator.cancelSession(req.params.id)) {
+      return res.status(404).json({ error: 'Calibration session not found or expired' });
+    }
+    return res.json({ success: true });
+  });
+
+  // Endpoint to inspect messages rejected by schema validation (newest first)
+  app.get('/api/ingest/rejections', requireRole('admin'), async (req, res) => {
+    try {
+      const start = normalizeDate(req.query.start);
+      const end = normalizeDate(req.query.end);
+      const limit = normalizeLimit(req.query.limit, 100);
+      const { deviceId, error } = normalizeDeviceId(req.query.deviceId);
+      const source = req.query.source || null;
+
+      if (req.query.start && !start) {
+        return res.status(400).json({ error: 'Invalid start date' });
+      }
+      if (req.query.end && !end) {
+        return res.status(400).json({ error: 'Invalid end date' });
+      }
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      if (source && !['mqtt', 'http'].includes(source)) {
+        return res.status(400).json({ error: 'source must be one of: mqtt, http' });
+      }
+
+      const data = await getRejections({ start, end, source, deviceId, limit });
+      return res.json({ data, count: data.length });
+    } catch (error) {
+      log.error('Error fetching rejections', { err: error });
+      return res.status(500).json({ error: 'Failed to fetch rejections' });
+    }
+  });
+
+  // Hourly or daily sensor summaries; these outlive the raw readings (see retention)
+  app.get('/api/sensors/rollups', requireRole('viewer'), async (req, res) => {
+    try {
+      const resolution = req.query.resolution || 'hourly';
+      const start = normalizeDate(req.query.start);
+      const end = normalizeDate(req.query.end);
+      const limit = normalizeLimit(req.query.limit, 1000);
+      const { deviceId, error } = normalizeDeviceId(req.query.deviceId);
+
+      if (!ROLLUPS[resolution]) {
+        return res.status(400).json({ error: `resolution must be one of: ${Object.keys(ROLLUPS).join(', ')}` });
+      }
+      if (req.query.start && !start) {
+        return res.status(400).json({ error: 'Invalid start date' });
+      }
+      if (req.query.end && !end) {
+        return res.status(400).json({ error: 'Invalid end date' });
+      }
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const query = deviceId ? { deviceId } : {};
+      if (start || end) {
+        query.bucketStart = {};
+        if (start) query.bucketStart.$gte = start;
+        if (end) query.bucketStart.$lte = end;
+      }
+      // Newest buckets when limited, returned oldest first like /api/sensors/aggregate
+      const data = (await storage.collection(ROLLUPS[resolution].collection)
+        .find(query, { sort: { bucketStart: -1 }, limit })).reverse();
+      return res.json({ resolution, bucketMs: ROLLUPS[resolution].bucketMs, data, count: data.length });
+    } catch (error) {
+      log.error('Error fetching rollups', { err: error });
+      return res.status(500).json({ error: 'Failed to fetch rollups' });
+    }
+  });
+
+  // The settings the server runs with and where each came from (env, file, default); secrets
+  // are only shown as set or not
+  app.get('/api/config', requireRole('admin'), (req, res) => {
+    res.json(describeConfig(loadedConfig));
+  });
+
+  // Collection sizes and date ranges, retention settings and the status of the retention jobs
+  app.get('/api/storage/stats', requireRole('admin'), async (req, res) => {
+    try {
+      return res.json(await retention.stats());
+    } catch (error) {
+      log.error('Error fetching storage stats', { err: error });
+      return res.status(500).json({ error: 'Failed to fetch storage stats' });
+    }
+  });
+
+  // Runs a retention job (rollup, archive, prune) or all of them in order, and waits for it
+  app.post('/api/storage/jobs/:job', requireRole('admin'), async (req, res) => {
+    const { job } = req.params;
+    if (job !== 'all' && !RETENTION_JOBS.includes(job)) {
+      return res.status(400).json({ error: `job must be one of: all, ${RETENTION_JOBS.join(', ')}` });
+    }
+    try {
+      const run = retention.run(job);
+      if (!run) {
+        return res.status(409).json({ error: 'A retention job is already running' });
+      }
+      log.info('Retention job started', { job, requestedBy: req.user.username });
+      return res.json({ success: true, job, results: await run });
+    } catch (error) {
+      log.error('Retention job failed', { job, err: error });
+      return res.status(500).json({ error: `Retention job ${job} failed: ${error.message}` });
+    }
+  });
+
+  // Server-Sent Events stream of stored messages (?deviceId=&topics=sensors,servo,status).
+  // Reconnecting clients send Last-Event-ID and receive what they missed, or a "reset" event
+  // when the gap is no longer buffered and they should refetch over the REST endpoints.
+  app.get('/api/stream', requireRole('viewer'), (req, res) => {
+    const { deviceId, error } = normalizeDeviceId(req.query.deviceId);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    let topicFilter = null;
+    if (req.query.topics) {
+      topicFilter = String(req.query.topics).split(',').map((topic) => topic.trim()).filter(Boolean);
+      const unknown = topicFilter.filter((topic) => !TOPIC_COLLECTIONS[topic]);
+      if (unknown.length) {
+        return res.status(400).json({ error: `topics must be a comma-separated list of: ${Object.keys(TOPIC_COLLECTIONS).join(', ')}` });
+      }
+    }
+    const filter = { deviceId, topics: topicFilter };
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    res.write('retry: 3000\n\n');
+
+    const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+    if (lastEventId) {
+      const missed = eventHub.replaySince(parseInt(lastEventId, 10), filter);
+      if (missed === null) {
+        res.write('event: reset\ndata: {}\n\n');
+      } else {
+        missed.forEach((event) => res.write(formatEvent(event)));
+      }
+    }
+
+    const unsubscribe = eventHub.subscribe(filter, (event) => res.write(formatEvent(event)));
+    // Comment lines keep proxies from closing an idle connection
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), STREAM_HEARTBEAT_MS);
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+    return undefined;
+  });
+
+  // Chart script for the dashboard, served locally so it works without internet access
+  app.get('/dashboard/charts.js', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'charts.js'));
+  });
+
+  // Simple web interface to view data and control
+  app.get('/', (req, res) => {
+    res.send(`
+      <!DOCTYPE html>
+      <html>
+      <head>
+          <title>Sensor Dashboard with Fuzzy Control</title>
+          <style>
+              body { font-family: Arial, sans-serif; margin: 20px; }
+              .sensor-card { 
+                  border: 1px solid #ccc; 
+                  padding: 15px; 
+                  margin: 10px; 
+                  border-radius: 5px;
+                  display: inline-block;
+                  width: 180px;
+                  text-align: center;
+                  background: #f9f9f9;
+              }
+              .control-card {
+                  border: 2px solid #4CAF50;
+                  padding: 15px;
+                  margin: 10px;
+                  border-radius: 5px;
+                  display: inline-block;
+                  width: 200px;
+                  text-align: center;
+                  background: #e8f5e8;
+              }
+              .servo-form {
+                  margin-top: 10px;
+                  text-align: left;
+                  font-size: 12px;
+              }
+              .servo-form label {
+                  display: block;
+                  margin-top: 6px;
+                  color: #555;
+              }
+              .servo-form input,
+              .servo-form select {
+                  width: 100%;
+                  box-sizing: border-box;
+                  padding: 4px;
+              }
+              .servo-form button {
+                  margin-top: 8px;
+                  width: 100%;
+                  padding: 6px;
+                  border: none;
+                  border-radius: 4px;
+                  background: #4CAF50;
+                  color: white;
+                  cursor: pointer;
+              }
+              h1 { color: #333; }
+              .login-card {
+                  max-width: 280px;
+                  padding: 15px;
+                  border: 1px solid #ccc;
+                  border-radius: 6px;
+                  background: #f9f9f9;
+              }
+              .login-card label {
+                  display: block;
+                  margin-top: 8px;
+                  font-size: 12px;
+                  color: #555;
+              }
+              .login-card input {
+                  width: 100%;
+                  box-sizing: border-box;
+                  padding: 6px;
+              }
+              .login-card button,
+              .user-row button {
+                  margin-top: 10px;
+                  padding: 6px 12px;
+                  border: none;
+                  border-radius: 4px;
+                  background: #4CAF50;
+                  color: white;
+                  cursor: pointer;
+              }
+              .user-row {
+                  margin: 0 10px 10px;
+                  font-size: 13px;
+              }
+              .user-row button {
+                  margin: 0 0 0 8px;
+                  background: #757575;
+              }
+              .device-row {
+                  margin: 0 10px 10px;
+              }
+              .device-row select {
+                  padding: 6px;
+                  margin-left: 6px;
+                  border: 1px solid #ccc;
+                  border-radius: 4px;
+              }
+              .status-ok { color: green; }
+              .status-warning { color: orange; }
+              .status-critical { color: red; }
+              .device-state {
+                  font-size: 12px;
+                  font-weight: bold;
+                  padding: 2px 8px;
+                  border-radius: 10px;
+                  color: white;
+                  background: #9e9e9e;
+              }
+              .device-state.online { background: #4CAF50; }
+              .device-state.offline { background: #f44336; }
+              .history-card {
+                  border: 1px solid #ddd;
+                  padding: 15px;
+                  margin-top: 20px;
+                  border-radius: 6px;
+                  background: #fff;
+                  max-width: 740px;
+              }
+              .range-row {
+                  display: flex;
+                  flex-wrap: wrap;
+                  gap: 12px;
+                  align-items: flex-end;
+              }
+              .range-row label {
+                  font-size: 12px;
+                  color: #555;
+              }
+              .range-row input,
+              .range-actions select {
+                  padding: 6px;
+                  border: 1px solid #ccc;
+                  border-radius: 4px;
+              }
+              .range-actions button {
+                  margin-right: 8px;
+                  padding: 8px 12px;
+                  border: none;
+                  border-radius: 4px;
+                  background: #4CAF50;
+                  color: white;
+                  cursor: pointer;
+              }
+              .range-actions button:hover {
+                  opacity: 0.9;
+              }
+              .chart {
+                  display: block;
+                  width: 100%;
+                  height: 170px;
+                  margin-top: 8px;
+                  cursor: crosshair;
+              }
+              .chart-hint {
+                  font-size: 12px;
+                  color: #777;
+              }
+              .preview-list {
+                  margin-top: 10px;
+              }
+              .preview-item {
+                  border-bottom: 1px solid #eee;
+                  padding: 6px 0;
+                  font-size: 13px;
+              }
+              .preview-item:last-child {
+                  border-bottom: none;
+              }
+              .preview-item button {
+                  margin-left: 8px;
+                  padding: 2px 8px;
+                  border: none;
+                  border-radius: 4px;
+                  background: #757575;
+                  color: white;
+                  cursor: pointer;
+              }
+          </style>
+      </head>
+      <body>
+          <h1>Smart Irrigation Dashboard</h1>
+
+          <form id="login-form" class="login-card" style="display:none;">
+              <h3>Sign in</h3>
+              <label for="login-username">Username</label>
+              <input type="text" id="login-username" autocomplete="username">
+              <label for="login-password">Password</label>
+              <input type="password" id="login-password" autocomplete="current-password">
+              <button type="submit">Sign in</button>
+              <p id="login-status" class="status-critical"></p>
+          </form>
+
+          <div id="app" style="display:none;">
+          <div class="user-row">
+              Signed in as <strong id="user-name"></strong> (<span id="user-role"></span>)
+              <button id="logout" type="button">Sign out</button>
+          </div>
+
+          <div class="device-row">
+              <label for="device-select">Device</label>
+              <select id="device-select"></select>
+              <span id="device-state" class="device-state">unknown</span>
+              <span id="stream-status" class="chart-hint">Connecting...</span>
+          </div>
+
+          <div id="sensors">
+              <div class="sensor-card">
+                  <h3>pH Level</h3>
+                  <p id="ph-value" class="status-ok">--</p>
+                  <p id="ph-status">Optimal</p>
+              </div>
+              <div class="sensor-card">
+                  <h3>Soil Moisture</h3>
+                  <p id="soil-value" class="status-ok">--%</p>
+                  <p id="soil-status">Good</p>
+              </div>
+              <div class="sensor-card">
+                  <h3>Temperature</h3>
+                  <p id="temp-value">--&deg;C</p>
+              </div>
+              <div class="sensor-card">
+                  <h3>Humidity</h3>
+                  <p id="humidity-value">--%</p>
+              </div>
+              <p id="quality-status" class="status-warning" style="margin: 0 10px;"></p>
+          </div>
+
+          <div id="controls">
+              <div class="control-card">
+                  <h3>Servo Control</h3>
+                  <p id="servo-value">-- deg</p>
+                  <p id="servo-status">Auto Controlled</p>
+                  <form id="servo-form" class="servo-form">
+                      <label for="servo-mode">Mode</label>
+                      <select id="servo-mode">
+                          <option value="auto">Auto (fuzzy)</option>
+                          <option value="manual">Manual</option>
+                      </select>
+                      <label for="servo-angle">Angle (0-180)</label>
+                      <input type="number" id="servo-angle" min="0" max="180" step="1" value="90">
+                      <label for="servo-duration">Override for (minutes, optional)</label>
+                      <input type="number" id="servo-duration" min="1" step="1" placeholder="Until changed">
+                      <label for="servo-reason">Reason</label>
+                      <input type="text" id="servo-reason" placeholder="Why?">
+                      <button type="submit">Send Command</button>
+                      <p id="servo-command-status"></p>
+                  </form>
+              </div>
+          </div>
+
+          <div class="history-card">
+              <h3>Active Alerts</h3>
+              <div id="alert-list" class="preview-list">
+                  <div class="preview-item">Loading alerts...</div>
+              </div>
+          </div>
+
+          <div class="history-card">
+              <h3>Water Usage (last 7 days)</h3>
+              <div id="water-summary" class="chart-hint">Loading water usage...</div>
+              <div id="water-list" class="preview-list"></div>
+          </div>
+
+          <div class="history-card">
+              <h3>Upcoming Irrigation (next 24 h)</h3>
+              <div id="schedule-list" class="preview-list">
+                  <div class="preview-item">Loading schedule...</div>
+              </div>
+          </div>
+
+          <div style="margin-top: 20px;">
+              <h3>Fuzzy Logic Rules:</h3>
+              <ul id="fuzzy-rules">
+                  <li>Loading rules...</li>
+              </ul>
+          </div>
+
+          <div class="history-card">
+              <h3>Data Range &amp; CSV Export</h3>
+              <div class="range-row">
+                  <div>
+                      <label for="start-date">Start</label><br>
+                      <input type="datetime-local" id="start-date">
+                  </div>
+                  <div>
+                      <label for="end-date">End</label><br>
+                      <input type="datetime-local" id="end-date">
+                  </div>
+                  <div class="range-actions">
+                      <button id="apply-range" type="button">Apply Range</button>
+                      <button id="reset-range" type="button" style="background:#757575;">Reset</button>
+                      <span id="export-controls">
+                          <select id="export-dataset">
+                              <option value="sensors">Readings</option>
+                              <option value="servo">Valve positions</option>
+                              <option value="status">Status events</option>
+                          </select>
+                          <select id="export-format">
+                              <option value="csv">CSV</option>
+                              <option value="jsonl">JSON Lines</option>
+                              <option value="xlsx">Excel (XLSX)</option>
+                              <option value="parquet">Parquet</option>
+                          </select>
+                          <button id="download-export" type="button" style="background:#008CBA;">Download</button>
+                      </span>
+                  </div>
+              </div>
+              <p id="range-status" style="margin-top: 10px;">No range applied yet.</p>
+              <p id="chart-status" class="chart-hint">Scroll to zoom, drag to pan, double-click to reset.</p>
+              <div id="range-charts">
+                  <canvas id="chart-ph" class="chart"></canvas>
+                  <canvas id="chart-soil" class="chart"></canvas>
+                  <canvas id="chart-temperature" class="chart"></canvas>
+                  <canvas id="chart-humidity" class="chart"></canvas>
+                  <canvas id="chart-servo" class="chart"></canvas>
+              </div>
+              <div id="range-preview" class="preview-list"></div>
+          </div>
+
+          <div class="history-card">
+              <h3>Timeline</h3>
+              <p class="chart-hint">Readings, valve moves and device status events for the selected range, newest first.</p>
+              <div class="range-actions">
+                  <label><input type="checkbox" class="timeline-kind" value="sensors" checked> Readings</label>
+                  <label><input type="checkbox" class="timeline-kind" value="servo" checked> Valve</label>
+                  <label><input type="checkbox" class="timeline-kind" value="status" checked> Status</label>
+              </div>
+              <div id="timeline-list" class="preview-list">
+                  <div class="preview-item">Loading timeline...</div>
+              </div>
+          </div>
+
+          <div class="history-card">
+              <h3>Anomalies</h3>
+              <p class="chart-hint">Spikes, stuck values, drift and impossible jumps detected in the selected range; also marked on the charts.</p>
+              <div id="anomaly-list" class="preview-list">
+                  <div class="preview-item">Loading anomalies...</div>
+              </div>
+          </div>
+
+          <div id="admin-keys" class="history-card" style="display:none;">
+              <h3>Device API Keys</h3>
+              <p class="chart-hint">Keys are sent by the ESP32 in the X-API-Key header. A new key is shown only once.</p>
+              <div class="range-actions">
+                  <button id="issue-key" type="button">Issue Key for Selected Device</button>
+              </div>
+              <p id="issued-key"></p>
+              <div id="key-list" class="preview-list"></div>
+          </div>
+
+          <div id="admin-calibration" class="history-card" style="display:none;">
+              <h3>Sensor Calibration</h3>
+              <p class="chart-hint">Calibrates the selected device. Put the probe in each reference, wait until the reading is stable, then capture it. Readings taken meanwhile are flagged and do not drive the valve or alerts.</p>
+              <div class="range-actions">
+                  <select id="calibration-sensor">
+                      <option value="ph">pH (buffers 4, 7, 10)</option>
+                      <option value="soil">Soil moisture (dry, wet)</option>
+                  </select>
+                  <button id="calibration-start" type="button">Start Calibration</button>
+              </div>
+              <div id="calibration-session" style="display:none;">
+                  <p id="calibration-live"></p>
+                  <div id="calibration-steps" class="preview-list"></div>
+                  <div class="range-actions" style="margin-top: 10px;">
+                      <select id="calibration-method">
+                          <option value="linear">Linear</option>
+                          <option value="polynomial">Polynomial (3 or more points)</option>
+                      </select>
+                      <button id="calibration-save" type="button">Save Profile</button>
+                      <button id="calibration-cancel" type="button" style="background:#757575;">Cancel</button>
+                  </div>
+              </div>
+              <p id="calibration-status"></p>
+              <div id="calibration-profiles" class="preview-list"></div>
+          </div>
+          </div>
+
+          <script src="/dashboard/charts.js"></script>
+          <script>
+              // Target ranges from the server's PH_MIN/PH_MAX/SOIL_MIN/SOIL_MAX settings
+              const THRESHOLDS = ${JSON.stringify(config.thresholds)};
+              const deviceSelect = document.getElementById('device-select');
+              let currentUser = null;
+              const roleOrder = ['viewer', 'operator', 'admin'];
+
+              function hasRole(role) {
+                  return Boolean(currentUser) && roleOrder.indexOf(currentUser.role) >= roleOrder.indexOf(role);
+              }
+
+              function selectedDevice() {
+                  return deviceSelect.value || 'unifi';
+              }
+
+              async function loadDevices() {
+                  try {
+                      const response = await fetch('/api/devices');
+                      const payload = await response.json();
+                      const devices = payload.data || [];
+                      const current = deviceSelect.value;
+                      deviceSelect.innerHTML = '';
+                      devices.forEach((device) => {
+                          const option = document.createElement('option');
+                          option.value = device.deviceId;
+                          option.textContent = device.name && device.name !== device.deviceId
+                              ? device.name + ' (' + device.deviceId + ')'
+                              : device.deviceId;
+                          deviceSelect.appendChild(option);
+                      });
+                      if (devices.some((device) => device.deviceId === current)) {
+                          deviceSelect.value = current;
+                      }
+                  } catch (error) {
+                      console.error('Error fetching devices:', error);
+                  }
+              }
+
+              async function updateData() {
+                  try {
+                      const response = await fetch('/api/sensors/latest?deviceId=' + encodeURIComponent(selectedDevice()));
+                      const data = await response.json();
+                      renderLatest(data);
+                  } catch (error) {
+                      console.error('Error fetching data:', error);
+                  }
+              }
+
+              function renderLatest(data) {
+                  if (data) {
+                      // Update pH display with color coding
+                      const phValue = document.getElementById('ph-value');
+                      const phStatus = document.getElementById('ph-status');
+                      if (data.ph) {
+                          phValue.textContent = data.ph.toFixed(2);
+                          if (data.ph < THRESHOLDS.ph.min) {
+                              phValue.className = 'status-critical';
+                              phStatus.textContent = 'Too Low';
+                          } else if (data.ph > THRESHOLDS.ph.max) {
+                              phValue.className = 'status-warning';
+                              phStatus.textContent = 'Too High';
+                          } else {
+                              phValue.className = 'status-ok';
+                              phStatus.textContent = 'Optimal';
+                          }
+                      }
+
+                      // Update soil moisture display
+                      const soilValue = document.getElementById('soil-value');
+                      const soilStatus = document.getElementById('soil-status');
+                      if (data.soil) {
+                          soilValue.textContent = data.soil.toFixed(1) + '%';
+                          if (data.soil < THRESHOLDS.soil.min) {
+                              soilValue.className = 'status-critical';
+                              soilStatus.textContent = 'Too Dry';
+                          } else if (data.soil > THRESHOLDS.soil.max) {
+                              soilValue.className = 'status-warning';
+                              soilStatus.textContent = 'Too Wet';
+                          } else {
+                              soilValue.className = 'status-ok';
+                              soilStatus.textContent = 'Good';
+                          }
+                      }
+
+                      // Update other sensors
+                      if (data.temperature) {
+                          document.getElementById('temp-value').textContent = data.temperature.toFixed(1) + ' C';
+                      }
+                      if (data.humidity) {
+                          document.getElementById('humidity-value').textContent = data.humidity.toFixed(1) + '%';
+                      }
+                      if (data.servo_position !== undefined) {
+                          document.getElementById('servo-value').textContent = data.servo_position + ' deg';
+                      }
+                      // Plausibility flags set by the server (e.g. ph_out_of_range, soil_stuck)
+                      const flags = (data.quality && data.quality.flags) || [];
+                      document.getElementById('quality-status').textContent = flags.length
+                          ? 'Data quality: ' + flags.join(', ')
+                          : '';
+                      appendLivePoint(data);
+                  }
+              }
+
+              // Live updates: Server-Sent Events, with 2-second polling while the stream is down
+              const streamStatus = document.getElementById('stream-status');
+              let stream = null;
+              let pollTimer = null;
+
+              function startPolling() {
+                  if (!pollTimer) {
+                      pollTimer = setInterval(updateData, 2000);
+                      streamStatus.textContent = 'Live stream unavailable, polling every 2s';
+                  }
+              }
+
+              function stopPolling() {
+                  clearInterval(pollTimer);
+                  pollTimer = null;
+              }
+
+              function connectStream() {
+                  if (stream) {
+                      stream.close();
+                  }
+                  if (!window.EventSource) {
+                      startPolling();
+                      return;
+                  }
+                  stream = new EventSource('/api/stream?topics=sensors,servo&deviceId=' + encodeURIComponent(selectedDevice()));
+                  stream.addEventListener('open', () => {
+                      stopPolling();
+                      streamStatus.textContent = 'Live';
+                  });
+                  stream.addEventListener('sensors', (event) => renderLatest(JSON.parse(event.data)));
+                  stream.addEventListener('servo', (event) => {
+                      const data = JSON.parse(event.data);
+                      if (data.servo_position !== undefined) {
+                          document.getElementById('servo-value').textContent = data.servo_position + ' deg';
+                      }
+                  });
+                  // The server could not replay everything we missed; reload from the REST endpoints
+                  stream.addEventListener('reset', () => {
+                      updateData();
+                      loadCharts();
+                  });
+                  // EventSource reconnects by itself (sending Last-Event-ID); poll until it does
+                  stream.addEventListener('error', startPolling);
+              }
+
+              async function updateDeviceState() {
+                  const badge = document.getElementById('device-state');
+                  try {
+                      const response = await fetch('/api/devices/' + encodeURIComponent(selectedDevice()) + '/status');
+                      const status = await response.json();
+                      const state = response.ok ? status.state : 'unknown';
+                      badge.textContent = state;
+                      badge.className = 'device-state ' + state;
+                      badge.title = status.lastSeenAt
+                          ? 'Last seen ' + new Date(status.lastSeenAt).toLocaleString() + ', reconnects: ' + status.reconnectCount
+                          : 'Not seen since server start';
+                  } catch (error) {
+                      console.error('Error fetching device status:', error);
+                  }
+              }
+
+              async function updateServoState() {
+                  try {
+                      const response = await fetch('/api/servo?deviceId=' + encodeURIComponent(selectedDevice()));
+                      const state = await response.json();
+                      const statusEl = document.getElementById('servo-status');
+                      if (state.mode === 'manual') {
+                          statusEl.textContent = 'Manual: ' + state.angle + ' deg' +
+                              (state.expiresAt ? ' until ' + new Date(state.expiresAt).toLocaleTimeString() : '');
+                      } else {
+                          statusEl.textContent = 'Auto Controlled';
+                      }
+                  } catch (error) {
+                      console.error('Error fetching servo state:', error);
+                  }
+              }
+
+              document.getElementById('servo-form').addEventListener('submit', async (event) => {
+                  event.preventDefault();
+                  const mode = document.getElementById('servo-mode').value;
+                  const body = {
+                      deviceId: selectedDevice(),
+                      mode,
+                      reason: document.getElementById('servo-reason').value,
+                  };
+                  if (mode === 'manual') {
+                      body.angle = Number(document.getElementById('servo-angle').value);
+                      const duration = document.getElementById('servo-duration').value;
+                      if (duration) {
+                          body.durationMinutes = Number(duration);
+                      }
+                  }
+                  const commandStatus = document.getElementById('servo-command-status');
+                  try {
+                      const response = await fetch('/api/servo', {
+                          method: 'POST',
+                          headers: { 'Content-Type': 'application/json' },
+                          body: JSON.stringify(body),
+                      });
+                      const payload = await response.json();
+                      if (!response.ok) {
+                          throw new Error(payload.error || 'Server error');
+                      }
+                      commandStatus.textContent = payload.command.published ? 'Command sent.' : 'Saved; device not reachable yet.';
+                      updateServoState();
+                  } catch (error) {
+                      commandStatus.textContent = 'Failed: ' + error.message;
+                  }
+              });
+
+              async function updateAlerts() {
+                  const list = document.getElementById('alert-list');
+                  try {
+                      const deviceParam = 'deviceId=' + encodeURIComponent(selectedDevice());
+                      const [open, acknowledged] = await Promise.all([
+                          fetch('/api/alerts?state=open&' + deviceParam).then((response) => response.json()),
+                          fetch('/api/alerts?state=acknowledged&' + deviceParam).then((response) => response.json()),
+                      ]);
+                      const items = (open.data || []).concat(acknowledged.data || []);
+                      if (!items.length) {
+                          list.innerHTML = '<div class="preview-item status-ok">No active alerts.</div>';
+                          return;
+                      }
+                      list.innerHTML = '';
+                      items.forEach((alert) => {
+                          const item = document.createElement('div');
+                          item.className = 'preview-item ' + (alert.severity === 'critical' ? 'status-critical' : 'status-warning');
+                          item.textContent = formatTimestamp(alert.openedAt) + ' - ' + alert.ruleName +
+                              ' (' + alert.metric + ': ' + alert.lastValue + ')' +
+                              (alert.state === 'acknowledged' ? ' - acknowledged by ' + alert.acknowledgedBy : '');
+                          if (alert.state === 'open' && hasRole('operator')) {
+                              const button = document.createElement('button');
+                              button.type = 'button';
+                              button.textContent = 'Acknowledge';
+                              button.addEventListener('click', async () => {
+                                  await fetch('/api/alerts/' + encodeURIComponent(alert.alertId) + '/acknowledge', {
+                                      method: 'POST',
+                                      headers: { 'Content-Type': 'application/json' },
+                                      body: JSON.stringify({}),
+                                  });
+                                  updateAlerts();
+                              });
+                              item.appendChild(button);
+                          }
+                          list.appendChild(item);
+                      });
+                  } catch (error) {
+                      console.error('Error fetching alerts:', error);
+                      list.innerHTML = '<div class="preview-item">Failed to load alerts.</div>';
+                  }
+              }
+
+              function describeWaterUsage(usage) {
+                  const rise = usage.recovery.meanSoilRise;
+                  return usage.litres + ' L, valve open ' + usage.openMinutes + ' min (' +
+                      (usage.dutyCycle === null ? '--' : (usage.dutyCycle * 100).toFixed(1)) + '%), ' +
+                      usage.cycles + ' cycles, soil ' + (rise === null ? '--' : (rise >= 0 ? '+' : '') + rise + '%') + ' per cycle';
+              }
+
+              async function updateWaterUsage() {
+                  const summary = document.getElementById('water-summary');
+                  const list = document.getElementById('water-list');
+                  try {
+                      const params = new URLSearchParams({
+                          deviceId: selectedDevice(),
+                          period: 'day',
+                          tz: Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC',
+                      });
+                      const response = await fetch('/api/analytics/water?' + params.toString());
+                      const payload = await response.json();
+                      if (!response.ok) {
+                          throw new Error(payload.error || 'Server error');
+                      }
+                      summary.textContent = 'Total: ' + describeWaterUsage(payload.totals);
+                      list.innerHTML = '';
+                      payload.data.slice().reverse().forEach((day) => {
+                          const item = document.createElement('div');
+                          item.className = 'preview-item';
+                          item.textContent = new Date(day.periodStart).toLocaleDateString() + ': ' + describeWaterUsage(day);
+                          list.appendChild(item);
+                      });
+                  } catch (error) {
+                      console.error('Error fetching water usage:', error);
+                      summary.textContent = 'Failed to load water usage.';
+                  }
+              }
+
+              async function updateSchedule() {
+                  const list = document.getElementById('schedule-list');
+                  try {
+                      const response = await fetch('/api/schedules/upcoming?hours=24&deviceId=' + encodeURIComponent(selectedDevice()));
+                      const payload = await response.json();
+                      const events = payload.data || [];
+                      if (!events.length) {
+                          list.innerHTML = '<div class="preview-item">Nothing scheduled.</div>';
+                          return;
+                      }
+                      list.innerHTML = '';
+                      events.forEach((event) => {
+                          const item = document.createElement('div');
+                          item.className = 'preview-item';
+                          if (event.type === 'blackout') {
+                              item.textContent = formatTimestamp(event.at) + ' - ' + formatTimestamp(event.end) + ': blackout window (' + event.window + ')';
+                          } else {
+                              if (event.status === 'blocked') item.className += ' status-critical';
+                              if (event.status === 'shortened') item.className += ' status-warning';
+                              item.textContent = formatTimestamp(event.at) + ': ' + event.name + ' - ' +
+                                  (event.status === 'blocked' ? 'skipped' : event.durationMinutes + ' min at ' + event.angle + ' deg') +
+                                  (event.reason ? ' (' + event.reason + ')' : '');
+                          }
+                          list.appendChild(item);
+                      });
+                  } catch (error) {
+                      console.error('Error fetching schedule:', error);
+                      list.innerHTML = '<div class="preview-item">Failed to load schedule.</div>';
+                  }
+              }
+
+              const variableLabels = { ph: 'pH', soil: 'soil', temperature: 'temperature', humidity: 'humidity' };
+
+              function describeSet(set) {
+                  return set ? ' (' + set.points.join('/') + ')' : '';
+              }
+
+              async function loadRules() {
+                  const list = document.getElementById('fuzzy-rules');
+                  try {
+                      const response = await fetch('/api/control/rules');
+                      const ruleSet = await response.json();
+                      list.innerHTML = '';
+                      ruleSet.rules.forEach((rule) => {
+                          const conditions = rule.conditions.map((condition) => (
+                              (variableLabels[condition.variable] || condition.variable) + ' is ' + condition.is +
+                              describeSet(ruleSet.inputs[condition.variable] && ruleSet.inputs[condition.variable][condition.is])
+                          )).join(' ' + rule.operator.toUpperCase() + ' ');
+                          const item = document.createElement('li');
+                          item.textContent = 'IF ' + conditions + ' -> Valve ' + rule.output.toUpperCase() +
+                              describeSet(ruleSet.outputs[rule.output]) +
+                              (rule.weight !== undefined && rule.weight !== 1 ? ' [weight ' + rule.weight + ']' : '') +
+                              (rule.description ? ' - ' + rule.description : '');
+                          list.appendChild(item);
+                      });
+                  } catch (error) {
+                      console.error('Error fetching rules:', error);
+                      list.innerHTML = '<li>Failed to load rules.</li>';
+                  }
+              }
+
+              // Range helpers for CSV export and quick previews
+              const startInput = document.getElementById('start-date');
+              const endInput = document.getElementById('end-date');
+              const rangeStatus = document.getElementById('range-status');
+              const rangePreview = document.getElementById('range-preview');
+
+              function formatTimestamp(ts) {
+                  const date = new Date(ts);
+                  return Number.isNaN(date.getTime()) ? '--' : date.toLocaleString();
+              }
+
+              function renderPreview(records) {
+                  if (!records.length) {
+                      rangePreview.innerHTML = '<div class="preview-item">No data to preview.</div>';
+                      return;
+                  }
+                  const html = records.slice(0, 5).map((item) => {
+                      const ph = item.ph ?? '--';
+                      const soil = item.soil ?? '--';
+                      const temp = item.temperature ?? '--';
+                      const humidity = item.humidity ?? '--';
+                      return '<div class="preview-item">' +
+                          '<strong>' + formatTimestamp(item.measuredAt) + '</strong> ' +
+                          '- pH: ' + ph + ' | Soil: ' + soil + '% | Temp: ' + temp + ' C | Humidity: ' + humidity + '%' +
+                          '</div>';
+                  }).join('');
+                  rangePreview.innerHTML = html;
+              }
+
+              function buildRangeQuery(limit) {
+                  const params = new URLSearchParams();
+                  params.set('deviceId', selectedDevice());
+                  if (startInput.value) {
+                      params.set('start', new Date(startInput.value).toISOString());
+                  }
+                  if (endInput.value) {
+                      params.set('end', new Date(endInput.value).toISOString());
+                  }
+                  if (limit) {
+                      params.set('limit', String(limit));
+                  }
+                  return params.toString();
+              }
+
+              // Charts for the selected range; long ranges use server-side aggregation
+              const chartFields = [
+                  { field: 'ph', canvas: 'chart-ph', label: 'pH', color: '#4CAF50', decimals: 2, bands: [{ from: THRESHOLDS.ph.min, to: THRESHOLDS.ph.max, color: 'rgba(76, 175, 80, 0.15)' }] },
+                  { field: 'soil', canvas: 'chart-soil', label: 'Soil Moisture', unit: '%', color: '#2196F3', bands: [{ from: THRESHOLDS.soil.min, to: THRESHOLDS.soil.max, color: 'rgba(33, 150, 243, 0.12)' }] },
+                  { field: 'temperature', canvas: 'chart-temperature', label: 'Temperature', unit: 'C', color: '#FF9800' },
+                  { field: 'humidity', canvas: 'chart-humidity', label: 'Humidity', unit: '%', color: '#9C27B0' },
+                  { field: 'servo_position', canvas: 'chart-servo', label: 'Servo Position', unit: 'deg', color: '#607D8B', decimals: 0 },
+              ];
+              const charts = {};
+              chartFields.forEach((config) => {
+                  charts[config.field] = PlantCharts.createLineChart(document.getElementById(config.canvas), config);
+              });
+              PlantCharts.linkCharts(Object.values(charts));
+              const chartStatus = document.getElementById('chart-status');
+              const RAW_RANGE_MS = 6 * 3600_000;
+
+              function pickBucket(spanMs) {
+                  if (spanMs <= 2 * 24 * 3600_000) return '1m';
+                  if (spanMs <= 30 * 24 * 3600_000) return '15m';
+                  if (spanMs <= 180 * 24 * 3600_000) return '1h';
+                  return '1d';
+              }
+
+              async function loadCharts() {
+                  const end = endInput.value ? new Date(endInput.value) : new Date();
+                  const start = startInput.value ? new Date(startInput.value) : new Date(end.getTime() - RAW_RANGE_MS);
+                  const params = new URLSearchParams({
+                      deviceId: selectedDevice(),
+                      start: start.toISOString(),
+                      end: end.toISOString(),
+                  });
+                  try {
+                      if (end - start <= RAW_RANGE_MS) {
+                          params.set('limit', '5000');
+                          const response = await fetch('/api/sensors/range?' + params.toString());
+                          const payload = await response.json();
+                          if (!response.ok) {
+                              throw new Error(payload.error || 'Server error');
+                          }
+                          const records = payload.data || [];
+                          chartFields.forEach(({ field }) => {
+                              charts[field].setData(records.map((record) => ({ t: new Date(record.measuredAt).getTime(), v: record[field] })));
+                          });
+                          chartStatus.textContent = records.length + ' raw reading(s). Scroll to zoom, drag to pan, double-click to reset.';
+                      } else {
+                          const bucket = pickBucket(end - start);
+                          params.set('bucket', bucket);
+                          const response = await fetch('/api/sensors/aggregate?' + params.toString());
+                          const payload = await response.json();
+                          if (!response.ok) {
+                              throw new Error(payload.error || 'Server error');
+                          }
+                          const buckets = payload.data || [];
+                          chartFields.forEach(({ field }) => {
+                              charts[field].setData(buckets
+                                  .filter((item) => item[field] && item[field].count)
+                                  .map((item) => ({
+                                      t: new Date(item.bucketStart).getTime(),
+                                      v: item[field].avg,
+                                      min: item[field].min,
+                                      max: item[field].max,
+                                  })));
+                          });
+                          chartStatus.textContent = buckets.length + ' ' + bucket + ' bucket(s), shaded min/max. Scroll to zoom, drag to pan, double-click to reset.';
+                      }
+                  } catch (error) {
+                      console.error('Error loading charts:', error);
+                      chartStatus.textContent = 'Failed to load chart data.';
+                  }
+                  loadAnomalies(start, end);
+              }
+
+              const ANOMALY_COLORS = { spike: '#e53935', rate: '#FB8C00', stuck: '#6D4C41', drift: '#8E24AA' };
+
+              // Lists the detections for the charted range and marks them on the metric's chart
+              async function loadAnomalies(start, end) {
+                  const list = document.getElementById('anomaly-list');
+                  const params = new URLSearchParams({
+                      deviceId: selectedDevice(),
+                      start: start.toISOString(),
+                      end: end.toISOString(),
+                      limit: '500',
+                  });
+                  try {
+                      const response = await fetch('/api/anomalies?' + params.toString());
+                      const payload = await response.json();
+                      if (!response.ok) {
+                          throw new Error(payload.error || 'Server error');
+                      }
+                      const found = payload.data || [];
+                      chartFields.forEach(({ field }) => {
+                          charts[field].setMarkers(found
+                              .filter((item) => item.metric === field)
+                              .map((item) => ({
+                                  t: new Date(item.detectedAt).getTime(),
+                                  label: item.type + ': ' + item.value,
+                                  color: ANOMALY_COLORS[item.type],
+                              })));
+                      });
+                      if (!found.length) {
+                          list.innerHTML = '<div class="preview-item">No anomalies for selected range.</div>';
+                          return;
+                      }
+                      list.innerHTML = '';
+                      found.forEach((item) => {
+                          const row = document.createElement('div');
+                          row.className = 'preview-item';
+                          const time = document.createElement('strong');
+                          time.textContent = formatTimestamp(item.detectedAt);
+                          row.appendChild(time);
+                          row.appendChild(document.createTextNode(' - ' + item.type + ': ' + item.message));
+                          list.appendChild(row);
+                      });
+                  } catch (error) {
+                      console.error('Error fetching anomalies:', error);
+                      list.innerHTML = '<div class="preview-item">Failed to load anomalies.</div>';
+                  }
+              }
+
+              // New readings from the polling loop extend the charts unless a fixed end date is set
+              function appendLivePoint(reading) {
+                  if (endInput.value || !reading.measuredAt) {
+                      return;
+                  }
+                  const t = new Date(reading.measuredAt).getTime();
+                  chartFields.forEach(({ field }) => {
+                      charts[field].append({ t, v: reading[field] });
+                  });
+              }
+
+              async function fetchRangeData() {
+                  loadCharts();
+                  loadTimeline();
+                  try {
+                      const query = buildRangeQuery(200);
+                      const response = await fetch('/api/sensors/range' + (query ? ('?' + query) : ''));
+                      const payload = await response.json();
+                      if (!response.ok) {
+                          throw new Error(payload.error || 'Server error');
+                      }
+                      const records = payload.data || [];
+                      const hasRange = Boolean(startInput.value || endInput.value);
+                      rangeStatus.textContent = records.length
+                          ? ('Showing ' + records.length + ' reading(s)' + (hasRange ? ' for selected range' : ' (latest)') + '.')
+                          : 'No data for selected range.';
+                      renderPreview(records);
+                  } catch (error) {
+                      console.error('Error fetching range data:', error);
+                      rangeStatus.textContent = 'Failed to load range data.';
+                      renderPreview([]);
+                  }
+              }
+
+              document.getElementById('apply-range').addEventListener('click', fetchRangeData);
+              document.getElementById('reset-range').addEventListener('click', () => {
+                  startInput.value = '';
+                  endInput.value = '';
+                  fetchRangeData();
+              });
+              // Exports the whole selected range (no row limit) with dates in the browser's time zone
+              document.getElementById('download-export').addEventListener('click', () => {
+                  const params = new URLSearchParams(buildRangeQuery());
+                  params.set('format', document.getElementById('export-format').value);
+                  params.set('tz', Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC');
+                  window.location.href = '/api/' + document.getElementById('export-dataset').value + '/export?' + params.toString();
+              });
+
+              function describeTimelineEntry(entry) {
+                  const data = entry.data;
+                  if (entry.kind === 'servo') {
+                      return 'Valve moved to ' + data.servo_position + ' deg' + (data.mode ? ' (' + data.mode + ')' : '');
+                  }
+                  if (entry.kind === 'status') {
+                      return 'Status: ' + (data.status || '') + (data.message ? ' - ' + data.message : '');
+                  }
+                  return 'pH: ' + (data.ph ?? '--') + ' | Soil: ' + (data.soil ?? '--') + '% | Temp: ' +
+                      (data.temperature ?? '--') + ' C | Humidity: ' + (data.humidity ?? '--') + '%';
+              }
+
+              async function loadTimeline() {
+                  const list = document.getElementById('timeline-list');
+                  const kinds = Array.from(document.querySelectorAll('.timeline-kind'))
+                      .filter((input) => input.checked)
+                      .map((input) => input.value);
+                  if (!kinds.length) {
+                      list.innerHTML = '<div class="preview-item">Select at least one kind of event.</div>';
+                      return;
+                  }
+                  try {
+                      const response = await fetch('/api/timeline?' + buildRangeQuery(100) + '&kinds=' + kinds.join(','));
+                      const payload = await response.json();
+                      if (!response.ok) {
+                          throw new Error(payload.error || 'Server error');
+                      }
+                      const entries = payload.data || [];
+                      if (!entries.length) {
+                          list.innerHTML = '<div class="preview-item">No events for selected range.</div>';
+                          return;
+                      }
+                      list.innerHTML = '';
+                      entries.forEach((entry) => {
+                          const item = document.createElement('div');
+                          item.className = 'preview-item';
+                          const time = document.createElement('strong');
+                          time.textContent = formatTimestamp(entry.at);
+                          item.appendChild(time);
+                          item.appendChild(document.createTextNode(' - ' + describeTimelineEntry(entry)));
+                          list.appendChild(item);
+                      });
+                  } catch (error) {
+                      console.error('Error fetching timeline:', error);
+                      list.innerHTML = '<div class="preview-item">Failed to load timeline.</div>';
+                  }
+              }
+
+              document.querySelectorAll('.timeline-kind').forEach((input) => {
+                  input.addEventListener('change', loadTimeline);
+              });
+
+              // Admin: device API keys
+              async function loadKeys() {
+                  if (!hasRole('admin')) {
+                      return;
+                  }
+                  const list = document.getElementById('key-list');
+                  try {
+                      const response = await fetch('/api/devices/' + encodeURIComponent(selectedDevice()) + '/keys');
+                      const payload = await response.json();
+                      const keys = payload.data || [];
+                      list.innerHTML = keys.length ? '' : '<div class="preview-item">No keys issued for this device.</div>';
+                      keys.forEach((key) => {
+                          const item = document.createElement('div');
+                          item.className = 'preview-item';
+                          item.textContent = key.prefix + '... issued ' + formatTimestamp(key.createdAt) + ' by ' + key.createdBy +
+                              (key.lastUsedAt ? ', last used ' + formatTimestamp(key.lastUsedAt) : '') +
+                              (key.revokedAt ? ' - revoked ' + formatTimestamp(key.revokedAt) : '');
+                          if (!key.revokedAt) {
+                              const button = document.createElement('button');
+                              button.type = 'button';
+                              button.textContent = 'Revoke';
+                              button.addEventListener('click', async () => {
+                                  await fetch('/api/devices/' + encodeURIComponent(selectedDevice()) + '/keys/' + encodeURIComponent(key.keyId), { method: 'DELETE' });
+                                  loadKeys();
+                              });
+                              item.appendChild(button);
+                          }
+                          list.appendChild(item);
+                      });
+                  } catch (error) {
+                      console.error('Error fetching keys:', error);
+                      list.innerHTML = '<div class="preview-item">Failed to load keys.</div>';
+                  }
+              }
+
+              document.getElementById('issue-key').addEventListener('click', async () => {
+                  const issued = document.getElementById('issued-key');
+                  try {
+                      const response = await fetch('/api/devices/' + encodeURIComponent(selectedDevice()) + '/keys', { method: 'POST' });
+                      const payload = await response.json();
+                      if (!response.ok) {
+                          throw new Error(payload.error || 'Server error');
+                      }
+                      issued.textContent = 'New key (copy it now): ' + payload.key;
+                      loadKeys();
+                  } catch (error) {
+                      issued.textContent = 'Failed: ' + error.message;
+                  }
+              });
+
+              // Admin: guided sensor calibration and the device's calibration profiles
+              let calibrationSession = null;
+              let calibrationTimer = null;
+
+              function endCalibrationSession(message) {
+                  clearInterval(calibrationTimer);
+                  calibrationTimer = null;
+                  calibrationSession = null;
+                  document.getElementById('calibration-session').style.display = 'none';
+                  document.getElementById('calibration-status').textContent = message || '';
+              }
+
+              function renderCalibrationSession(session) {
+                  calibrationSession = session;
+                  document.getElementById('calibration-session').style.display = '';
+                  const live = session.live;
+                  document.getElementById('calibration-live').textContent = live.raw === null
+                      ? 'Calibrating ' + session.sensor + ' on ' + session.deviceId + '. Waiting for readings...'
+                      : 'Live raw ' + session.sensor + ': ' + live.raw + ' (mean ' + live.mean + ', spread ' + live.spread +
+                          ' over ' + live.samples + ' readings) - ' + (live.stable ? 'stable' : 'settling');
+                  const steps = document.getElementById('calibration-steps');
+                  steps.innerHTML = '';
+                  session.guide.forEach((step) => {
+                      const point = session.points.find((item) => item.reference === step.reference);
+                      const item = document.createElement('div');
+                      item.className = 'preview-item';
+                      item.textContent = step.label + (point ? ': captured raw ' + point.raw + ' (' + point.samples + ' readings)' : ': not captured');
+                      const button = document.createElement('button');
+                      button.type = 'button';
+                      button.textContent = point ? 'Recapture' : 'Capture';
+                      button.addEventListener('click', () => captureCalibrationPoint(step.reference));
+                      item.appendChild(button);
+                      steps.appendChild(item);
+                  });
+              }
+
+              async function pollCalibrationSession() {
+                  if (!calibrationSession) {
+                      return;
+                  }
+                  try {
+                      const response = await fetch('/api/calibration/sessions/' + encodeURIComponent(calibrationSession.sessionId));
+                      if (response.status === 404) {
+                          endCalibrationSession('Calibration session expired.');
+                          return;
+                      }
+                      renderCalibrationSession(await response.json());
+                  } catch (error) {
+                      console.error('Error fetching calibration session:', error);
+                  }
+              }
+
+              async function captureCalibrationPoint(reference) {
+                  const status = document.getElementById('calibration-status');
+                  try {
+                      const response = await fetch('/api/calibration/sessions/' + encodeURIComponent(calibrationSession.sessionId) + '/points', {
+                          method: 'POST',
+                          headers: { 'Content-Type': 'application/json' },
+                          body: JSON.stringify({ reference }),
+                      });
+                      const payload = await response.json();
+                      if (!response.ok) {
+                          throw new Error(payload.error || 'Server error');
+                      }
+                      status.textContent = '';
+                      renderCalibrationSession(payload);
+                  } catch (error) {
+                      status.textContent = 'Capture failed: ' + error.message;
+                  }
+              }
+
+              async function loadCalibrationProfiles() {
+                  if (!hasRole('admin')) {
+                      return;
+                  }
+                  const list = document.getElementById('calibration-profiles');
+                  try {
+                      const response = await fetch('/api/calibration/profiles?deviceId=' + encodeURIComponent(selectedDevice()));
+                      const payload = await response.json();
+                      const profiles = payload.data || [];
+                      list.innerHTML = profiles.length ? '' : '<div class="preview-item">No calibration profiles for this device.</div>';
+                      profiles.forEach((profile) => {
+                          const item = document.createElement('div');
+                          item.className = 'preview-item';
+                          item.textContent = profile.sensor + ' ' + profile.method + ' from ' + formatTimestamp(profile.effectiveFrom) +
+                              ' (' + profile.points.length + ' points, max error ' + profile.maxError + ') by ' + profile.updatedBy;
+                          const button = document.createElement('button');
+                          button.type = 'button';
+                          button.textContent = 'Delete';
+                          button.addEventListener('click', async () => {
+                              if (!window.confirm('Delete this profile? Readings it covers are recalculated.')) {
+                                  return;
+                              }
+                              await fetch('/api/calibration/profiles/' + encodeURIComponent(profile.profileId), { method: 'DELETE' });
+                              loadCalibrationProfiles();
+                          });
+                          item.appendChild(button);
+                          list.appendChild(item);
+                      });
+                  } catch (error) {
+                      console.error('Error fetching calibration profiles:', error);
+                      list.innerHTML = '<div class="preview-item">Failed to load calibration profiles.</div>';
+                  }
+              }
+
+              document.getElementById('calibration-start').addEventListener('click', async () => {
+                  const status = document.getElementById('calibration-status');
+                  try {
+                      const response = await fetch('/api/calibration/sessions', {
+                          method: 'POST',
+                          headers: { 'Content-Type': 'application/json' },
+                          body: JSON.stringify({ deviceId: selectedDevice(), sensor: document.getElementById('calibration-sensor').value }),
+                      });
+                      const payload = await response.json();
+                      if (!response.ok) {
+                          throw new Error(payload.error || 'Server error');
+                      }
+                      status.textContent = '';
+                      renderCalibrationSession(payload);
+                      clearInterval(calibrationTimer);
+                      calibrationTimer = setInterval(pollCalibrationSession, 2000);
+                  } catch (error) {
+                      status.textContent = 'Failed to start: ' + error.message;
+                  }
+              });
+
+              document.getElementById('calibration-save').addEventListener('click', async () => {
+                  const status = document.getElementById('calibration-status');
+                  try {
+                      const response = await fetch('/api/calibration/sessions/' + encodeURIComponent(calibrationSession.sessionId) + '/complete', {
+                          method: 'POST',
+                          headers: { 'Content-Type': 'application/json' },
+                          body: JSON.stringify({ method: document.getElementById('calibration-method').value }),
+                      });
+                      const payload = await response.json();
+                      if (!response.ok) {
+                          throw new Error(payload.error || 'Server error');
+                      }
+                      endCalibrationSession('Saved ' + payload.sensor + ' profile, max error ' + payload.maxError + '.');
+                      loadCalibrationProfiles();
+                  } catch (error) {
+                      status.textContent = 'Save failed: ' + error.message;
+                  }
+              });
+
+              document.getElementById('calibration-cancel').addEventListener('click', async () => {
+                  if (calibrationSession) {
+                      await fetch('/api/calibration/sessions/' + encodeURIComponent(calibrationSession.sessionId), { method: 'DELETE' });
+                  }
+                  endCalibrationSession('Calibration cancelled.');
+              });
+
+              deviceSelect.addEventListener('change', () => {
+                  connectStream();
+                  updateData();
+                  updateDeviceState();
+                  updateServoState();
+                  updateAlerts();
+                  updateSchedule();
+                  updateWaterUsage();
+                  loadKeys();
+                  loadCalibrationProfiles();
+                  fetchRangeData();
+              });
+
+              function startDashboard() {
+                  document.getElementById('user-name').textContent = currentUser.username;
+                  document.getElementById('user-role').textContent = currentUser.role;
+                  document.getElementById('app').style.display = '';
+                  document.getElementById('servo-form').style.display = hasRole('operator') ? '' : 'none';
+                  document.getElementById('export-controls').style.display = hasRole('operator') ? '' : 'none';
+                  document.getElementById('admin-keys').style.display = hasRole('admin') ? '' : 'none';
+                  document.getElementById('admin-calibration').style.display = hasRole('admin') ? '' : 'none';
+
+                  setInterval(updateServoState, 5000);
+                  setInterval(updateDeviceState, 10000);
+                  setInterval(updateAlerts, 10000);
+                  setInterval(updateSchedule, 60000);
+                  setInterval(updateWaterUsage, 300000);
+                  setInterval(loadDevices, 60000);
+                  loadRules();
+                  loadDevices().then(() => {
+                      updateData(); // Initial load
+                      connectStream();
+                      updateDeviceState();
+                      updateServoState();
+                      updateAlerts();
+                      updateSchedule();
+                      updateWaterUsage();
+                      loadKeys();
+                      loadCalibrationProfiles();
+                      fetchRangeData(); // Load initial preview
+                  });
+              }
+
+              document.getElementById('login-form').addEventListener('submit', async (event) => {
+                  event.preventDefault();
+                  const response = await fetch('/api/auth/login', {
+                      method: 'POST',
+                      headers: { 'Content-Type': 'application/json' },
+                      body: JSON.stringify({
+                          username: document.getElementById('login-username').value,
+                          password: document.getElementById('login-password').value,
+                      }),
+                  });
+                  if (response.ok) {
+                      window.location.reload();
+                  } else {
+                      document.getElementById('login-status').textContent = 'Invalid username or password.';
+                  }
+              });
+
+              document.getElementById('logout').addEventListener('click', async () => {
+                  await fetch('/api/auth/logout', { method: 'POST' });
+                  window.location.reload();
+              });
+
+              // The session cookie is sent automatically with fetch and EventSource
+              fetch('/api/auth/me').then(async (response) => {
+                  if (!response.ok) {
+                      document.getElementById('login-form').style.display = '';
+                      return;
+                  }
+                  currentUser = await response.json();
+                  startDashboard();
+              });
+          </script>
+      </body>
+      </html>
+    `);
+  });
+
+  // Malformed JSON bodies get a JSON 400 (and a dead-letter entry) instead of Express's HTML error page
+  app.use(async (err, req, res, next) => {
+    if (err.type !== 'entity.parse.failed') {
+      return next(err);
+    }
+    await recordRejection({
+      source: 'http',
+      path: req.path,
+      payload: err.body,
+      errors: [{ field: null, message: `Invalid JSON: ${err.message}` }],
+    });
+    return res.status(400).json({ success: false, error: 'Invalid JSON', details: [{ field: null, message: err.message }] });
+  });
+
+  let server = null;
+  const intervals = [];
+
+  // Connects storage and MQTT, loads the caches, starts the background jobs and listens.
+  // Resolves with the http.Server once it accepts connections.
+  async function start({ port = PORT, host = '0.0.0.0' } = {}) {
+    await connectDB();
+    await checkStorage();
+    intervals.push(setInterval(checkStorage, STORAGE_CHECK_MS).unref());
+    await ensureAdminUser();
+    await loadControlRules();
+    await loadAlertRules();
+    await loadActiveAlerts();
+    await loadPresence();
+    await calibrator.load();
+    await anomalyDetector.load();
+    retention.start();
+    connectMQTT();
+    await restoreServoControls();
+    await scheduler.load();
+    scheduler.start();
+    started = true;
+    server = await new Promise((resolve, reject) => {
+      const listening = app.listen(port, host, () => resolve(listening));
+      listening.on('error', reject);
+    });
+    log.info('Server running', { url: `http://localhost:${server.address().port}` });
+    return server;
+  }
+
+  // Stops timers, MQTT and the HTTP server (dropping open streams), then closes storage
+  async function stop() {
+    log.info('Shutting down');
+    started = false;
+    intervals.forEach(clearInterval);
+    servoOverrideTimers.forEach(clearTimeout);
+    retention.stop();
+    scheduler.stop();
+    if (mqttClient) await mqttClient.endAsync(true);
+    if (server) {
+      server.closeAllConnections();
+      await new Promise((resolve) => server.close(resolve));
+      server = null;
+    }
+    await storage.close();
+  }
+
+  return {
+    app,
+    start,
+    stop,
+    storage,
+    mqttState,
+    storageHealth,
+  };
+}
+
+module.exports = {
+  createApp,
+};
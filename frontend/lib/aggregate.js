@@ -0,0 +1,109 @@
+// Downsampling of sensor readings into fixed time buckets (min/max/avg/count per field).
+// The MongoDB pipeline and the in-memory implementation floor timestamps the same way
+// (epoch milliseconds modulo the bucket size, i.e. UTC) so both storage modes agree.
+
+const BUCKETS = {
+  '1m': 60_000,
+  '15m': 15 * 60_000,
+  '1h': 60 * 60_000,
+  '1d': 24 * 60 * 60_000,
+};
+const AGGREGATE_FIELDS = ['ph', 'soil', 'temperature', 'humidity', 'servo_position'];
+const MAX_BUCKETS = 10_000;
+
+function parseFields(rawFields) {
+  if (!rawFields) {
+    return { fields: AGGREGATE_FIELDS };
+  }
+  const fields = [...new Set(String(rawFields).split(',').map((field) => field.trim()).filter(Boolean))];
+  const unknown = fields.filter((field) => !AGGREGATE_FIELDS.includes(field));
+  if (!fields.length || unknown.length) {
+    return { error: `fields must be a comma-separated list of: ${AGGREGATE_FIELDS.join(', ')}` };
+  }
+  return { fields };
+}
+
+// timeField is the date the readings are bucketed by (measuredAt, or receivedAt for raw arrival)
+function buildAggregationPipeline({ match, bucketMs, fields, timeField = 'measuredAt' }) {
+  const ts = { $toLong: `$${timeField}` };
+  const group = {
+    _id: { $subtract: [ts, { $mod: [ts, bucketMs] }] },
+    count: { $sum: 1 },
+  };
+  for (const field of fields) {
+    const numeric = { $cond: [{ $isNumber: `$${field}` }, `$${field}`, null] };
+    group[`${field}_min`] = { $min: numeric };
+    group[`${field}_max`] = { $max: numeric };
+    group[`${field}_avg`] = { $avg: numeric };
+    group[`${field}_count`] = { $sum: { $cond: [{ $isNumber: `$${field}` }, 1, 0] } };
+  }
+  return [
+    { $match: match },
+    { $group: group },
+    { $sort: { _id: 1 } },
+  ];
+}
+
+// Converts the flat $group output into the API shape
+function formatGroups(groups, fields) {
+  return groups.map((group) => {
+    const bucket = { bucketStart: new Date(group._id), count: group.count };
+    for (const field of fields) {
+      bucket[field] = {
+        min: group[`${field}_min`] ?? null,
+        max: group[`${field}_max`] ?? null,
+        avg: group[`${field}_avg`] ?? null,
+        count: group[`${field}_count`] || 0,
+      };
+    }
+    return bucket;
+  });
+}
+
+// Same computation as buildAggregationPipeline for readings held in memory
+function aggregateReadings(readings, { bucketMs, fields, timeField = 'measuredAt' }) {
+  const groups = new Map();
+  for (const reading of readings) {
+    const ts = new Date(reading[timeField]).getTime();
+    if (Number.isNaN(ts)) continue;
+    const key = ts - (ts % bucketMs);
+    if (!groups.has(key)) {
+      const group = { _id: key, count: 0 };
+      for (const field of fields) {
+        group[`${field}_min`] = null;
+        group[`${field}_max`] = null;
+        group[`${field}_sum`] = 0;
+        group[`${field}_count`] = 0;
+      }
+      groups.set(key, group);
+    }
+    const group = groups.get(key);
+    group.count += 1;
+    for (const field of fields) {
+      const value = reading[field];
+      if (typeof value !== 'number' || Number.isNaN(value)) continue;
+      group[`${field}_min`] = group[`${field}_min`] === null ? value : Math.min(group[`${field}_min`], value);
+      group[`${field}_max`] = group[`${field}_max`] === null ? value : Math.max(group[`${field}_max`], value);
+      group[`${field}_sum`] += value;
+      group[`${field}_count`] += 1;
+    }
+  }
+  const sorted = [...groups.values()].sort((a, b) => a._id - b._id);
+  for (const group of sorted) {
+    for (const field of fields) {
+      const count = group[`${field}_count`];
+      group[`${field}_avg`] = count ? group[`${field}_sum`] / count : null;
+    }
+  }
+  return formatGroups(sorted, fields);
+}
+
+module.exports = {
+  AGGREGATE_FIELDS,
+  BUCKETS,
+  MAX_BUCKETS,
+  aggregateReadings,
+  buildAggregationPipeline,
+  formatGroups,
+  parseFields,
+};
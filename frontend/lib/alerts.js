@@ -0,0 +1,142 @@
+// Threshold alert rules and the open/resolve state machine evaluated on every reading.
+// Storage and notifications live in createApp (app.js); this module only decides what should happen.
+
+const ALERT_METRICS = ['ph', 'soil', 'temperature', 'humidity', 'servo_position'];
+const ALERT_SEVERITIES = ['warning', 'critical'];
+const ALERT_STATES = ['open', 'acknowledged', 'resolved'];
+const COMPARATORS = {
+  lt: (value, threshold) => value < threshold,
+  lte: (value, threshold) => value <= threshold,
+  gt: (value, threshold) => value > threshold,
+  gte: (value, threshold) => value >= threshold,
+};
+
+// Server-side version of the dashboard colours, for the configured target ranges
+// ({ ph: { min, max }, soil: { min, max } })
+function defaultAlertRules({ ph, soil }) {
+  return [
+    { name: 'pH too low', metric: 'ph', comparator: 'lt', threshold: ph.min, hysteresis: 0.1, durationSeconds: 60, severity: 'critical' },
+    { name: 'pH too high', metric: 'ph', comparator: 'gt', threshold: ph.max, hysteresis: 0.1, durationSeconds: 60, severity: 'warning' },
+    { name: 'Soil too dry', metric: 'soil', comparator: 'lt', threshold: soil.min, hysteresis: 2, durationSeconds: 60, severity: 'critical' },
+    { name: 'Soil too wet', metric: 'soil', comparator: 'gt', threshold: soil.max, hysteresis: 2, durationSeconds: 60, severity: 'warning' },
+  ];
+}
+
+function isBreached(rule, value) {
+  return COMPARATORS[rule.comparator](value, rule.threshold);
+}
+
+// Hysteresis keeps an alert open until the value is clearly back on the safe side
+function hasRecovered(rule, value) {
+  const margin = rule.hysteresis || 0;
+  if (rule.comparator === 'lt' || rule.comparator === 'lte') {
+    return value >= rule.threshold + margin;
+  }
+  return value <= rule.threshold - margin;
+}
+
+function appliesTo(rule, reading) {
+  if (rule.enabled === false) return false;
+  if (rule.deviceId && rule.deviceId !== reading.deviceId) return false;
+  const value = reading[rule.metric];
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+// Decides the next step for one rule/device pair.
+// Returns { action, pendingSince } where action is one of:
+// 'open', 'resolve', 'update' (alert still active), 'pending' (waiting for duration) or 'none'.
+function nextAlertAction({ rule, value, at, pendingSince, active }) {
+  const breached = isBreached(rule, value);
+  if (active) {
+    if (!breached && hasRecovered(rule, value)) {
+      return { action: 'resolve', pendingSince: null };
+    }
+    return { action: 'update', pendingSince: null };
+  }
+  if (!breached) {
+    return { action: 'none', pendingSince: null };
+  }
+  const since = pendingSince || at;
+  if (at.getTime() - since.getTime() >= (rule.durationSeconds || 0) * 1000) {
+    return { action: 'open', pendingSince: null };
+  }
+  return { action: 'pending', pendingSince: since };
+}
+
+function validateAlertRule(body, { partial = false } = {}) {
+  const rule = {};
+  const has = (field) => body[field] !== undefined;
+
+  if (!partial || has('name')) {
+    if (typeof body.name !== 'string' || !body.name.trim()) {
+      return { error: 'name is required' };
+    }
+    rule.name = body.name.trim();
+  }
+  if (!partial || has('metric')) {
+    if (!ALERT_METRICS.includes(body.metric)) {
+      return { error: `metric must be one of: ${ALERT_METRICS.join(', ')}` };
+    }
+    rule.metric = body.metric;
+  }
+  if (!partial || has('comparator')) {
+    if (!COMPARATORS[body.comparator]) {
+      return { error: `comparator must be one of: ${Object.keys(COMPARATORS).join(', ')}` };
+    }
+    rule.comparator = body.comparator;
+  }
+  if (!partial || has('threshold')) {
+    if (typeof body.threshold !== 'number' || !Number.isFinite(body.threshold)) {
+      return { error: 'threshold must be a number' };
+    }
+    rule.threshold = body.threshold;
+  }
+  for (const field of ['durationSeconds', 'hysteresis']) {
+    if (!has(field)) {
+      if (!partial) rule[field] = 0;
+      continue;
+    }
+    if (typeof body[field] !== 'number' || !Number.isFinite(body[field]) || body[field] < 0) {
+      return { error: `${field} must be a non-negative number` };
+    }
+    rule[field] = body[field];
+  }
+  if (!partial || has('severity')) {
+    const severity = body.severity === undefined ? 'warning' : body.severity;
+    if (!ALERT_SEVERITIES.includes(severity)) {
+      return { error: `severity must be one of: ${ALERT_SEVERITIES.join(', ')}` };
+    }
+    rule.severity = severity;
+  }
+  if (has('deviceId')) {
+    if (body.deviceId !== null && typeof body.deviceId !== 'string') {
+      return { error: 'deviceId must be a string or null' };
+    }
+    rule.deviceId = body.deviceId || null;
+  } else if (!partial) {
+    rule.deviceId = null;
+  }
+  if (has('channels')) {
+    if (!Array.isArray(body.channels) || !body.channels.every((channel) => typeof channel === 'string')) {
+      return { error: 'channels must be an array of channel names' };
+    }
+    rule.channels = body.channels;
+  }
+  if (has('enabled')) {
+    rule.enabled = Boolean(body.enabled);
+  } else if (!partial) {
+    rule.enabled = true;
+  }
+  return { rule };
+}
+
+module.exports = {
+  ALERT_METRICS,
+  ALERT_STATES,
+  appliesTo,
+  defaultAlertRules,
+  hasRecovered,
+  isBreached,
+  nextAlertAction,
+  validateAlertRule,
+};
@@ -0,0 +1,254 @@
+// Anomaly and sensor-fault detection on the reading stream. Every stored reading is fed in; each
+// device and metric keeps rolling statistics, and four detectors look for probe trouble that the
+// per-reading plausibility checks in quality.js cannot see:
+//   spike - a value far outside the recent distribution (z-score over the rolling window)
+//   rate  - a change faster than the quantity can physically change
+//   stuck - a value that has not changed for longer than a working sensor ever holds still
+//   drift - the short-term average wandering away from the long-term baseline
+// Detections are stored in the anomalies collection with the readings that triggered them. A
+// detector does not fire again for the same device and metric until its cooldown has passed
+// (spike, rate) or the condition has cleared (stuck, drift).
+const { randomUUID } = require('crypto');
+const { usableReading } = require('./quality');
+
+const MINUTE_MS = 60_000;
+const HOUR_MS = 60 * MINUTE_MS;
+const TYPES = ['spike', 'rate', 'stuck', 'drift'];
+const WINDOW_SIZE = 30;
+// Spikes are only judged once the window has this many readings
+const MIN_SAMPLES = 10;
+const SPIKE_Z = 5;
+const COOLDOWN_MS = 10 * MINUTE_MS;
+// Readings further apart than this say nothing about the rate of change
+const RATE_MAX_GAP_MS = 10 * MINUTE_MS;
+const FAST_TAU_MS = 15 * MINUTE_MS;
+const BASELINE_TAU_MS = 24 * HOUR_MS;
+// The baseline needs this much history before drift is judged, and a drift must last this long
+const DRIFT_WARMUP_MS = 6 * HOUR_MS;
+const DRIFT_HOLD_MS = HOUR_MS;
+const WARM_UP_READINGS = 500;
+
+// minSpread: floor for the window's standard deviation, around the sensor's resolution, so a
+// very steady series does not turn noise into spikes. maxRatePerMinute: fastest real change.
+// stuckAfterMs: longest a working sensor reports exactly the same value. drift: distance between
+// the short-term average and the baseline; only pH, whose electrode ages, because soil,
+// temperature and humidity move with watering and the weather.
+const METRICS = {
+  ph: { minSpread: 0.05, maxRatePerMinute: 1, stuckAfterMs: 30 * MINUTE_MS, drift: 0.5 },
+  soil: { minSpread: 1, maxRatePerMinute: 30, stuckAfterMs: 30 * MINUTE_MS, drift: null },
+  temperature: { minSpread: 0.3, maxRatePerMinute: 3, stuckAfterMs: 2 * HOUR_MS, drift: null },
+  humidity: { minSpread: 1, maxRatePerMinute: 15, stuckAfterMs: 2 * HOUR_MS, drift: null },
+};
+
+function round(value, decimals = 3) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+function meanAndDeviation(values) {
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+  return { mean, deviation: Math.sqrt(variance) };
+}
+
+// Exponentially weighted average with a time constant, so irregular sampling is weighted fairly
+function ewma(previous, value, elapsedMs, tauMs) {
+  if (previous === null) return value;
+  const alpha = 1 - Math.exp(-Math.max(elapsedMs, 0) / tauMs);
+  return previous + alpha * (value - previous);
+}
+
+function newSeries() {
+  return {
+    window: [],
+    last: null, // { t, value, readingId }
+    flat: null, // { since: { t, value, readingId }, reported }
+    fast: null,
+    baseline: null,
+    baselineSince: null,
+    drift: null, // { since: { t, value, readingId }, reported }
+    lastFired: {}, // type -> t
+  };
+}
+
+// Runs the detectors for one value and updates the series; returns detections without ids
+function analyse(series, settings, point) {
+  const detections = [];
+  const { t, value } = point;
+
+  function fire(type, fields) {
+    detections.push({ type, value, ...fields });
+    series.lastFired[type] = t;
+  }
+  const cooledDown = (type) => series.lastFired[type] === undefined || t - series.lastFired[type] >= COOLDOWN_MS;
+
+  if (series.window.length >= MIN_SAMPLES && cooledDown('spike')) {
+    const { mean, deviation } = meanAndDeviation(series.window);
+    const z = Math.abs(value - mean) / Math.max(deviation, settings.minSpread);
+    if (z >= SPIKE_Z) {
+      fire('spike', { expected: round(mean), score: round(z, 1), readings: [series.last, point] });
+    }
+  }
+
+  if (series.last && cooledDown('rate')) {
+    const elapsedMs = t - series.last.t;
+    // Judged over at least a minute so sensor noise between quick readings does not count
+    const allowed = settings.maxRatePerMinute * Math.max(elapsedMs / MINUTE_MS, 1);
+    const change = Math.abs(value - series.last.value);
+    if (elapsedMs <= RATE_MAX_GAP_MS && change > allowed) {
+      fire('rate', {
+        expected: series.last.value,
+        score: round((change / Math.max(elapsedMs, 1)) * MINUTE_MS, 2),
+        readings: [series.last, point],
+      });
+    }
+  }
+
+  if (!series.flat || series.flat.since.value !== value) {
+    series.flat = { since: point, reported: false };
+  } else if (!series.flat.reported && t - series.flat.since.t >= settings.stuckAfterMs) {
+    series.flat.reported = true;
+    fire('stuck', {
+      expected: null,
+      score: round((t - series.flat.since.t) / MINUTE_MS, 1),
+      readings: [series.flat.since, point],
+    });
+  }
+
+  if (settings.drift !== null) {
+    const elapsedMs = series.last ? t - series.last.t : 0;
+    series.fast = ewma(series.fast, value, elapsedMs, FAST_TAU_MS);
+    series.baseline = ewma(series.baseline, value, elapsedMs, BASELINE_TAU_MS);
+    if (series.baselineSince === null) series.baselineSince = t;
+    const distance = Math.abs(series.fast - series.baseline);
+    if (t - series.baselineSince < DRIFT_WARMUP_MS || distance < settings.drift / 2) {
+      series.drift = null;
+    } else if (distance >= settings.drift) {
+      if (!series.drift) series.drift = { since: point, reported: false };
+      if (!series.drift.reported && t - series.drift.since.t >= DRIFT_HOLD_MS) {
+        series.drift.reported = true;
+        fire('drift', { expected: round(series.baseline), score: round(series.fast - series.baseline), readings: [series.drift.since, point] });
+      }
+    }
+  }
+
+  series.window.push(value);
+  if (series.window.length > WINDOW_SIZE) series.window.shift();
+  series.last = point;
+  return detections;
+}
+
+function describe(detection) {
+  const { type, metric, value, expected, score } = detection;
+  switch (type) {
+    case 'spike':
+      return `${metric} ${value} is ${score} standard deviations from the recent average ${expected}`;
+    case 'rate':
+      return `${metric} changed from ${expected} to ${value} (${score} per minute)`;
+    case 'stuck':
+      return `${metric} has read exactly ${value} for ${score} minutes`;
+    default:
+      return `${metric} average has drifted ${score > 0 ? '+' : ''}${score} from its baseline ${expected}`;
+  }
+}
+
+// listDeviceIds() and deviceMatch(deviceId) are used to warm up the statistics on start;
+// onDetection(anomaly) is called for every stored detection
+function createAnomalyDetector({ storage, listDeviceIds, deviceMatch, onDetection = () => {}, log = console }) {
+  const series = new Map(); // `${deviceId}:${metric}` -> series
+
+  function seriesOf(deviceId, metric) {
+    const key = `${deviceId}:${metric}`;
+    if (!series.has(key)) series.set(key, newSeries());
+    return series.get(key);
+  }
+
+  // Values flagged missing, out of range or calibrating are left out, as for alerts; readings
+  // older than what a series has already seen (re-sent batches) are skipped
+  function evaluate(stored) {
+    const reading = usableReading(stored);
+    const t = new Date(reading.measuredAt || reading.receivedAt).getTime();
+    const detections = [];
+    if (!Number.isFinite(t)) return detections;
+    for (const [metric, settings] of Object.entries(METRICS)) {
+      const value = reading[metric];
+      if (typeof value !== 'number' || !Number.isFinite(value)) continue;
+      const state = seriesOf(reading.deviceId, metric);
+      if (state.last && t <= state.last.t) continue;
+      const point = { t, value, readingId: reading._id === undefined ? null : String(reading._id) };
+      for (const detection of analyse(state, settings, point)) {
+        detections.push({ ...detection, metric });
+      }
+    }
+    return detections;
+  }
+
+  // Feeds a stored sensor reading and stores any detections; resolves with them
+  async function observe(reading) {
+    const anomalies = evaluate(reading).map((detection) => ({
+      anomalyId: randomUUID(),
+      deviceId: reading.deviceId,
+      metric: detection.metric,
+      type: detection.type,
+      detectedAt: new Date(detection.readings[detection.readings.length - 1].t),
+      value: detection.value,
+      expected: detection.expected,
+      score: detection.score,
+      message: describe(detection),
+      readings: detection.readings.filter(Boolean).map(({ t, value, readingId }) => ({ readingId, measuredAt: new Date(t), value })),
+      createdAt: new Date(),
+    }));
+    for (const anomaly of anomalies) {
+      await storage.collection('anomalies').insertOne(anomaly);
+      log.info('Anomaly detected', { deviceId: anomaly.deviceId, metric: anomaly.metric, type: anomaly.type, value: anomaly.value });
+      onDetection(anomaly);
+    }
+    return anomalies;
+  }
+
+  // Rebuilds the statistics from each device's most recent readings without storing anything,
+  // so a restart neither loses the baseline nor re-reports conditions that were already ongoing
+  async function load() {
+    for (const deviceId of await listDeviceIds()) {
+      const recent = await storage.collection('sensors').find(deviceMatch(deviceId), { sort: { measuredAt: -1 }, limit: WARM_UP_READINGS });
+      for (const reading of recent.reverse()) {
+        evaluate({ ...reading, deviceId });
+      }
+    }
+  }
+
+  // Forgets the statistics of a device (and metric), e.g. after its calibration changed
+  function reset(deviceId, metric = null) {
+    for (const name of metric ? [metric] : Object.keys(METRICS)) {
+      series.delete(`${deviceId}:${name}`);
+    }
+  }
+
+  async function list({ deviceId = null, metric = null, type = null, start = null, end = null, limit = 100 } = {}) {
+    const query = deviceId ? deviceMatch(deviceId) : {};
+    if (metric) query.metric = metric;
+    if (type) query.type = type;
+    if (start || end) {
+      query.detectedAt = {};
+      if (start) query.detectedAt.$gte = start;
+      if (end) query.detectedAt.$lte = end;
+    }
+    return storage.collection('anomalies').find(query, { sort: { detectedAt: -1 }, limit });
+  }
+
+  return {
+    METRICS,
+    TYPES,
+    load,
+    observe,
+    reset,
+    list,
+    get: (anomalyId) => storage.collection('anomalies').findOne({ anomalyId }),
+  };
+}
+
+module.exports = {
+  METRICS,
+  TYPES,
+  createAnomalyDetector,
+};
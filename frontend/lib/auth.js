@@ -0,0 +1,97 @@
+// Credentials for dashboard users (password + session token) and devices (API keys).
+// Only hashes are stored: passwords with scrypt, random tokens/keys with SHA-256.
+const crypto = require('crypto');
+
+const ROLES = ['viewer', 'operator', 'admin'];
+const USERNAME_PATTERN = /^[A-Za-z0-9_.-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const SESSION_TTL_MS = 7 * 24 * 60 * 60_000;
+const SESSION_COOKIE = 'session';
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(String(password), salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// Random secrets are high-entropy, so a plain SHA-256 is enough to store them
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function generateToken(prefix) {
+  return `${prefix}_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+function hasRole(user, role) {
+  return Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of String(header || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index === -1) continue;
+    const name = part.slice(0, index).trim();
+    if (name) cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+  }
+  return cookies;
+}
+
+function sessionCookie(token, { secure = false, maxAgeMs = SESSION_TTL_MS } = {}) {
+  const parts = [
+    `${SESSION_COOKIE}=${encodeURIComponent(token)}`,
+    'Path=/',
+    'HttpOnly',
+    'SameSite=Lax',
+    `Max-Age=${Math.floor(maxAgeMs / 1000)}`,
+  ];
+  if (secure) parts.push('Secure');
+  return parts.join('; ');
+}
+
+function validateUser(body, { partial = false } = {}) {
+  const user = {};
+  if (!partial) {
+    if (typeof body.username !== 'string' || !USERNAME_PATTERN.test(body.username)) {
+      return { error: 'username must be 3-32 letters, digits, ".", "-" or "_"' };
+    }
+    user.username = body.username;
+  }
+  if (!partial || body.password !== undefined) {
+    if (typeof body.password !== 'string' || body.password.length < MIN_PASSWORD_LENGTH) {
+      return { error: `password must be at least ${MIN_PASSWORD_LENGTH} characters` };
+    }
+    user.password = body.password;
+  }
+  if (!partial || body.role !== undefined) {
+    const role = body.role === undefined ? 'viewer' : body.role;
+    if (!ROLES.includes(role)) {
+      return { error: `role must be one of: ${ROLES.join(', ')}` };
+    }
+    user.role = role;
+  }
+  return { user };
+}
+
+module.exports = {
+  ROLES,
+  SESSION_COOKIE,
+  SESSION_TTL_MS,
+  generateToken,
+  hasRole,
+  hashPassword,
+  hashToken,
+  parseCookies,
+  sessionCookie,
+  validateUser,
+  verifyPassword,
+};
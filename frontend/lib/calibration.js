@@ -0,0 +1,577 @@
+// Sensor calibration. A profile maps what a device reports for one sensor (the raw value) to the
+// true value, fitted from points where the probe read a known reference: pH buffers, or dry and
+// wet soil. Profiles are per device and sensor and take effect from a date, so a reading is
+// corrected by the profile that was in force when it was measured. Stored readings keep the raw
+// value (raw.<sensor>) and the profile used (calibration.<sensor>), so history can be recomputed
+// when a profile is corrected.
+//
+// The guided flow is a session: while it is open, readings of that device and sensor are captured
+// (and flagged as calibrating so they do not drive the valve or alerts), and the operator records
+// a point once the probe has settled in each reference.
+const { randomUUID } = require('crypto');
+const { DEVICE_ID_PATTERN } = require('./schema');
+const { PLAUSIBLE_RANGES } = require('./quality');
+
+const MINUTE_MS = 60_000;
+const METHODS = { linear: 1, polynomial: 2 }; // polynomial degree
+const MAX_POINTS = 10;
+const SESSION_IDLE_MS = 60 * MINUTE_MS;
+// A captured point is the mean of the readings in this window
+const CAPTURE_WINDOW_MS = 30_000;
+const MAX_SESSION_SAMPLES = 300;
+const RECOMPUTE_BATCH = 500;
+const MAX_RECOMPUTE_JOBS = 20;
+
+// stableSpread: readings in the capture window within this standard deviation count as settled
+const SENSORS = {
+  ph: {
+    stableSpread: 0.05,
+    guide: [
+      { reference: 4, label: 'pH 4 buffer' },
+      { reference: 7, label: 'pH 7 buffer' },
+      { reference: 10, label: 'pH 10 buffer' },
+    ],
+  },
+  soil: {
+    stableSpread: 1,
+    guide: [
+      { reference: 0, label: 'Dry: probe in air or oven-dry soil' },
+      { reference: 100, label: 'Wet: probe in water or saturated soil' },
+    ],
+  },
+};
+
+function round(value, digits) {
+  return Math.round(value * 10 ** digits) / 10 ** digits;
+}
+
+// Coefficients c0 + c1*x + c2*x^2...
+function evaluate(coefficients, x) {
+  return coefficients.reduceRight((sum, coefficient) => sum * x + coefficient, 0);
+}
+
+// Gaussian elimination with partial pivoting; null when the system is singular
+function solve(matrix, vector) {
+  const n = vector.length;
+  const rows = matrix.map((row, i) => [...row, vector[i]]);
+  for (let column = 0; column < n; column += 1) {
+    let pivot = column;
+    for (let row = column + 1; row < n; row += 1) {
+      if (Math.abs(rows[row][column]) > Math.abs(rows[pivot][column])) pivot = row;
+    }
+    if (Math.abs(rows[pivot][column]) < 1e-12) return null;
+    [rows[column], rows[pivot]] = [rows[pivot], rows[column]];
+    for (let row = column + 1; row < n; row += 1) {
+      const factor = rows[row][column] / rows[column][column];
+      for (let k = column; k <= n; k += 1) rows[row][k] -= factor * rows[column][k];
+    }
+  }
+  const solution = new Array(n).fill(0);
+  for (let row = n - 1; row >= 0; row -= 1) {
+    let sum = rows[row][n];
+    for (let k = row + 1; k < n; k += 1) sum -= rows[row][k] * solution[k];
+    solution[row] = sum / rows[row][row];
+  }
+  return solution;
+}
+
+// Least-squares fit of reference on raw. Returns { coefficients, maxError } or { error }.
+function fitProfile(method, points) {
+  const degree = METHODS[method];
+  const distinct = new Set(points.map((point) => point.raw)).size;
+  if (distinct < degree + 1) {
+    return { error: `${method} calibration needs at least ${degree + 1} points with different raw values` };
+  }
+  const size = degree + 1;
+  const matrix = Array.from({ length: size }, () => new Array(size).fill(0));
+  const vector = new Array(size).fill(0);
+  for (const { raw, reference } of points) {
+    for (let i = 0; i < size; i += 1) {
+      vector[i] += reference * raw ** i;
+      for (let j = 0; j < size; j += 1) matrix[i][j] += raw ** (i + j);
+    }
+  }
+  const coefficients = solve(matrix, vector);
+  if (!coefficients) {
+    return { error: 'Calibration points do not determine a curve' };
+  }
+  // The curve must keep the order of readings across the calibrated range, or two different
+  // raw values could map to the same corrected one. The derivative is at most linear, so the ends decide.
+  const raws = points.map((point) => point.raw);
+  const slopes = [Math.min(...raws), Math.max(...raws)]
+    .map((x) => coefficients.slice(1).reduce((sum, coefficient, i) => sum + (i + 1) * coefficient * x ** i, 0));
+  if (!(slopes[0] > 0 && slopes[1] > 0) && !(slopes[0] < 0 && slopes[1] < 0)) {
+    return { error: 'Calibration curve is not monotonic over the calibrated range; check the points' };
+  }
+  const maxError = Math.max(...points.map(({ raw, reference }) => Math.abs(evaluate(coefficients, raw) - reference)));
+  return { coefficients, maxError: round(maxError, 4) };
+}
+
+// The corrected value, or the raw value unchanged when it is not a number
+function applyProfile(profile, raw) {
+  if (typeof raw !== 'number' || !Number.isFinite(raw)) return raw;
+  return round(evaluate(profile.coefficients, raw), 3);
+}
+
+function validatePoints(points) {
+  if (!Array.isArray(points) || points.length < 2 || points.length > MAX_POINTS) {
+    return { error: `points must be an array of 2 to ${MAX_POINTS} { raw, reference } entries` };
+  }
+  const parsed = [];
+  for (const [index, point] of points.entries()) {
+    const raw = Number(point && point.raw);
+    const reference = Number(point && point.reference);
+    if (!Number.isFinite(raw) || !Number.isFinite(reference)) {
+      return { error: `points[${index}] must have numeric raw and reference values` };
+    }
+    parsed.push({ raw, reference });
+  }
+  return { points: parsed.sort((a, b) => a.raw - b.raw) };
+}
+
+// Checks a profile body; with partial, only the fields present. deviceId and sensor identify the
+// series a profile belongs to and cannot be changed afterwards.
+function validateProfile(body, { partial = false, defaultDeviceId } = {}) {
+  const profile = {};
+  if (!partial) {
+    const deviceId = body.deviceId === undefined ? defaultDeviceId : body.deviceId;
+    if (typeof deviceId !== 'string' || !DEVICE_ID_PATTERN.test(deviceId)) {
+      return { error: 'deviceId is invalid' };
+    }
+    if (!SENSORS[body.sensor]) {
+      return { error: `sensor must be one of: ${Object.keys(SENSORS).join(', ')}` };
+    }
+    profile.deviceId = deviceId;
+    profile.sensor = body.sensor;
+  } else if (body.deviceId !== undefined || body.sensor !== undefined) {
+    return { error: 'deviceId and sensor cannot be changed; create a new profile instead' };
+  }
+  if (!partial || body.method !== undefined) {
+    const method = body.method === undefined ? 'linear' : body.method;
+    if (!METHODS[method]) {
+      return { error: `method must be one of: ${Object.keys(METHODS).join(', ')}` };
+    }
+    profile.method = method;
+  }
+  if (!partial || body.points !== undefined) {
+    const { points, error } = validatePoints(body.points);
+    if (error) return { error };
+    profile.points = points;
+  }
+  if (!partial || body.effectiveFrom !== undefined) {
+    const effectiveFrom = body.effectiveFrom === undefined ? new Date() : new Date(body.effectiveFrom);
+    if (body.effectiveFrom === null || Number.isNaN(effectiveFrom.getTime())) {
+      return { error: 'effectiveFrom must be a date' };
+    }
+    profile.effectiveFrom = effectiveFrom;
+  }
+  if (body.note !== undefined) {
+    if (typeof body.note !== 'string' || body.note.length > 500) {
+      return { error: 'note must be a string of at most 500 characters' };
+    }
+    profile.note = body.note.trim();
+  }
+  return { profile };
+}
+
+function mean(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function spread(values) {
+  const average = mean(values);
+  return Math.sqrt(values.reduce((sum, value) => sum + (value - average) ** 2, 0) / values.length);
+}
+
+// deviceMatch(id) returns the query selecting a device's readings; onRecomputed({ deviceId,
+// sensor, from, until, updated }) runs after stored readings were changed (rollups are stale).
+function createCalibration({ storage, deviceMatch, onRecomputed = () => {}, log = console }) {
+  const profiles = new Map(); // `${deviceId}:${sensor}` -> profiles sorted by effectiveFrom
+  const sessions = new Map(); // sessionId -> session
+  const jobs = [];
+  let queue = Promise.resolve();
+
+  function seriesOf(deviceId, sensor) {
+    return profiles.get(`${deviceId}:${sensor}`) || [];
+  }
+
+  function track(profile) {
+    const key = `${profile.deviceId}:${profile.sensor}`;
+    const series = seriesOf(profile.deviceId, profile.sensor).filter((item) => item.profileId !== profile.profileId);
+    series.push(profile);
+    series.sort((a, b) => a.effectiveFrom - b.effectiveFrom);
+    profiles.set(key, series);
+  }
+
+  function untrack(profile) {
+    profiles.set(
+      `${profile.deviceId}:${profile.sensor}`,
+      seriesOf(profile.deviceId, profile.sensor).filter((item) => item.profileId !== profile.profileId),
+    );
+  }
+
+  // The profile in force for readings measured at `at`
+  function profileAt(deviceId, sensor, at) {
+    const series = seriesOf(deviceId, sensor);
+    for (let i = series.length - 1; i >= 0; i -= 1) {
+      if (series[i].effectiveFrom <= at) return series[i];
+    }
+    return null;
+  }
+
+  // Start of the next profile of the series after `after`, ignoring excludeId; readings from
+  // there on do not depend on the profiles before it
+  function nextEffective(deviceId, sensor, after, excludeId) {
+    const next = seriesOf(deviceId, sensor).find((item) => item.profileId !== excludeId && item.effectiveFrom > after);
+    return next ? next.effectiveFrom : null;
+  }
+
+  function expireSessions(now = Date.now()) {
+    for (const [sessionId, session] of sessions) {
+      if (session.lastActiveAt + SESSION_IDLE_MS < now) sessions.delete(sessionId);
+    }
+  }
+
+  function captureSample(session, raw, at) {
+    session.samples.push({ at, raw });
+    const cutoff = at - 5 * MINUTE_MS;
+    while (session.samples.length > MAX_SESSION_SAMPLES || (session.samples.length && session.samples[0].at < cutoff)) {
+      session.samples.shift();
+    }
+  }
+
+  // Calibrates a reading in place before it is stored: the raw values go to reading.raw and the
+  // profile ids to reading.calibration. Returns the sensors of the reading that are being calibrated.
+  function apply(reading) {
+    const at = reading.measuredAt || new Date();
+    const now = Date.now();
+    // Buffered uploads of older readings say nothing about where the probe is now
+    const live = now - at <= CAPTURE_WINDOW_MS;
+    const calibrating = [];
+    expireSessions(now);
+    for (const sensor of Object.keys(SENSORS)) {
+      const raw = reading[sensor];
+      if (typeof raw !== 'number' || !Number.isFinite(raw)) continue;
+      for (const session of sessions.values()) {
+        if (live && session.deviceId === reading.deviceId && session.sensor === sensor) {
+          captureSample(session, raw, now);
+          calibrating.push(sensor);
+        }
+      }
+      const profile = profileAt(reading.deviceId, sensor, at);
+      if (!profile) continue;
+      reading.raw = { ...reading.raw, [sensor]: raw };
+      reading.calibration = { ...reading.calibration, [sensor]: profile.profileId };
+      reading[sensor] = applyProfile(profile, raw);
+    }
+    return calibrating;
+  }
+
+  function presentProfile(profile) {
+    return { ...profile };
+  }
+
+  function list({ deviceId = null, sensor = null } = {}) {
+    const result = [];
+    for (const series of profiles.values()) {
+      for (const profile of series) {
+        if ((!deviceId || profile.deviceId === deviceId) && (!sensor || profile.sensor === sensor)) {
+          result.push(presentProfile(profile));
+        }
+      }
+    }
+    return result.sort((a, b) => a.deviceId.localeCompare(b.deviceId) || a.sensor.localeCompare(b.sensor)
+      || b.effectiveFrom - a.effectiveFrom);
+  }
+
+  function find(profileId) {
+    for (const series of profiles.values()) {
+      const profile = series.find((item) => item.profileId === profileId);
+      if (profile) return profile;
+    }
+    return null;
+  }
+
+  // Brings one stored reading in line with the profiles; returns the update, or null when unchanged
+  function recalibrated(doc, sensor) {
+    const raw = doc.raw && doc.raw[sensor] !== undefined ? doc.raw[sensor] : doc[sensor];
+    if (typeof raw !== 'number' || !Number.isFinite(raw)) return null;
+    const profile = profileAt(doc.deviceId, sensor, doc.measuredAt);
+    const value = profile ? applyProfile(profile, raw) : raw;
+    const profileId = profile ? profile.profileId : undefined;
+    if (value === doc[sensor] && profileId === (doc.calibration && doc.calibration[sensor])) return null;
+
+    const set = { [sensor]: value };
+    const unset = {};
+    const rawValues = { ...doc.raw };
+    const calibration = { ...doc.calibration };
+    if (profile) {
+      rawValues[sensor] = raw;
+      calibration[sensor] = profileId;
+    } else {
+      delete rawValues[sensor];
+      delete calibration[sensor];
+    }
+    for (const [field, values] of [['raw', rawValues], ['calibration', calibration]]) {
+      if (Object.keys(values).length) {
+        set[field] = values;
+      } else {
+        unset[field] = '';
+      }
+    }
+    // A corrected value may move in or out of the plausible range
+    if (doc.quality && PLAUSIBLE_RANGES[sensor]) {
+      const [min, max] = PLAUSIBLE_RANGES[sensor];
+      const flag = `${sensor}_out_of_range`;
+      const flags = (doc.quality.flags || []).filter((item) => item !== flag);
+      if (value < min || value > max) flags.push(flag);
+      set.quality = { ...doc.quality, ok: flags.length === 0, flags };
+    }
+    return Object.keys(unset).length ? { $set: set, $unset: unset } : { $set: set };
+  }
+
+  // Re-applies the profiles to the readings of a device and sensor measured in [from, until)
+  async function recomputeRange({ deviceId, sensor, from, until }) {
+    const measuredAt = { $gte: from };
+    if (until) measuredAt.$lt = until;
+    const cursor = storage.collection('sensors').iterate(
+      { ...deviceMatch(deviceId), measuredAt },
+      { sort: { measuredAt: 1 } },
+    );
+    let scanned = 0;
+    let updated = 0;
+    let operations = [];
+    const flush = async () => {
+      if (operations.length) updated += await storage.collection('sensors').bulkUpdate(operations);
+      operations = [];
+    };
+    for await (const doc of cursor) {
+      scanned += 1;
+      // Readings of the default device may lack deviceId; they are matched by deviceMatch
+      const update = recalibrated({ ...doc, deviceId }, sensor);
+      if (update) operations.push({ query: { _id: doc._id }, update });
+      if (operations.length >= RECOMPUTE_BATCH) await flush();
+    }
+    await flush();
+    return { scanned, updated };
+  }
+
+  // Queues a recompute; they run one at a time in the background. Returns the job.
+  function recompute({ deviceId, sensor, from, until = null, requestedBy = null, reason = null }) {
+    const job = {
+      jobId: randomUUID(),
+      deviceId,
+      sensor,
+      from,
+      until,
+      reason,
+      requestedBy,
+      state: 'queued',
+      queuedAt: new Date(),
+      startedAt: null,
+      finishedAt: null,
+      scanned: 0,
+      updated: 0,
+      error: null,
+    };
+    jobs.unshift(job);
+    jobs.splice(MAX_RECOMPUTE_JOBS);
+    queue = queue.then(async () => {
+      job.state = 'running';
+      job.startedAt = new Date();
+      try {
+        Object.assign(job, await recomputeRange(job));
+        job.state = 'done';
+        if (job.updated) {
+          await onRecomputed(job);
+          log.info('Recalibrated stored readings', { deviceId, sensor, updated: job.updated, scanned: job.scanned });
+        }
+      } catch (error) {
+        job.state = 'failed';
+        job.error = error.message;
+        log.error('Calibration recompute failed', { deviceId, sensor, err: error });
+      } finally {
+        job.finishedAt = new Date();
+      }
+    });
+    return job;
+  }
+
+  // What a change from `previous` to `profile` (either may be null) invalidates, as a queued job
+  function recomputeFor(previous, profile, requestedBy, reason) {
+    const { deviceId, sensor, profileId } = profile || previous;
+    const dates = [previous, profile].filter(Boolean).map((item) => item.effectiveFrom);
+    const from = new Date(Math.min(...dates));
+    // Nothing measured yet is affected
+    if (from > new Date()) return null;
+    const until = nextEffective(deviceId, sensor, new Date(Math.max(...dates)), profileId);
+    return recompute({ deviceId, sensor, from, until, requestedBy, reason });
+  }
+
+  // fields come from validateProfile; pass profileId to correct an existing profile. Returns
+  // { profile, recompute } or { error }.
+  async function save(fields, { profileId = null, updatedBy } = {}) {
+    const existing = profileId ? find(profileId) : null;
+    const now = new Date();
+    const profile = {
+      ...(existing || { profileId: randomUUID(), createdAt: now, createdBy: updatedBy }),
+      ...fields,
+      updatedAt: now,
+      updatedBy,
+    };
+    const fit = fitProfile(profile.method, profile.points);
+    if (fit.error) return { error: fit.error };
+    profile.coefficients = fit.coefficients;
+    profile.maxError = fit.maxError;
+    await storage.collection('calibration_profiles').replaceOne({ profileId: profile.profileId }, profile, { upsert: true });
+    track(profile);
+    const job = recomputeFor(existing, profile, updatedBy, existing ? 'profile corrected' : 'profile added');
+    return { profile: presentProfile(profile), recompute: job };
+  }
+
+  async function remove(profileId, requestedBy) {
+    const existing = find(profileId);
+    if (!existing) return null;
+    await storage.collection('calibration_profiles').deleteOne({ profileId });
+    untrack(existing);
+    return { recompute: recomputeFor(existing, null, requestedBy, 'profile deleted') };
+  }
+
+  function presentSession(session, now = Date.now()) {
+    const recent = session.samples.filter((sample) => sample.at >= now - CAPTURE_WINDOW_MS).map((sample) => sample.raw);
+    const latest = session.samples[session.samples.length - 1] || null;
+    const deviation = recent.length ? spread(recent) : null;
+    const current = profileAt(session.deviceId, session.sensor, new Date(now));
+    return {
+      sessionId: session.sessionId,
+      deviceId: session.deviceId,
+      sensor: session.sensor,
+      startedAt: session.startedAt,
+      startedBy: session.startedBy,
+      expiresAt: new Date(session.lastActiveAt + SESSION_IDLE_MS),
+      guide: SENSORS[session.sensor].guide,
+      currentProfileId: current ? current.profileId : null,
+      points: session.points,
+      live: {
+        raw: latest ? latest.raw : null,
+        at: latest ? new Date(latest.at) : null,
+        samples: recent.length,
+        mean: recent.length ? round(mean(recent), 4) : null,
+        spread: deviation === null ? null : round(deviation, 4),
+        stable: recent.length >= 3 && deviation <= SENSORS[session.sensor].stableSpread,
+      },
+    };
+  }
+
+  function getSession(sessionId) {
+    expireSessions();
+    return sessions.get(sessionId) || null;
+  }
+
+  return {
+    SENSORS,
+
+    async load() {
+      for (const profile of await storage.collection('calibration_profiles').find({})) {
+        track(profile);
+      }
+    },
+
+    apply,
+    profileAt,
+    list,
+    get: (profileId) => {
+      const profile = find(profileId);
+      return profile ? presentProfile(profile) : null;
+    },
+    save,
+    remove,
+    recompute,
+    listJobs: () => jobs.map((job) => ({ ...job })),
+
+    // A new session replaces an open one for the same device and sensor
+    startSession({ deviceId, sensor, startedBy }) {
+      for (const [sessionId, session] of sessions) {
+        if (session.deviceId === deviceId && session.sensor === sensor) sessions.delete(sessionId);
+      }
+      const now = Date.now();
+      const session = {
+        sessionId: randomUUID(),
+        deviceId,
+        sensor,
+        startedAt: new Date(now),
+        startedBy,
+        lastActiveAt: now,
+        samples: [],
+        points: [],
+      };
+      sessions.set(session.sessionId, session);
+      return presentSession(session, now);
+    },
+
+    getSession(sessionId) {
+      const session = getSession(sessionId);
+      return session ? presentSession(session) : null;
+    },
+
+    listSessions() {
+      expireSessions();
+      return [...sessions.values()].map((session) => presentSession(session));
+    },
+
+    // Records the mean of the last CAPTURE_WINDOW_MS of readings as the raw value for
+    // `reference`, replacing an earlier capture of the same reference
+    capturePoint(sessionId, reference) {
+      const session = getSession(sessionId);
+      if (!session) return null;
+      const now = Date.now();
+      session.lastActiveAt = now;
+      const recent = session.samples.filter((sample) => sample.at >= now - CAPTURE_WINDOW_MS).map((sample) => sample.raw);
+      if (!recent.length) {
+        return { error: `No ${session.sensor} readings from ${session.deviceId} in the last ${CAPTURE_WINDOW_MS / 1000} seconds` };
+      }
+      session.points = session.points.filter((point) => point.reference !== reference);
+      session.points.push({
+        reference,
+        raw: round(mean(recent), 4),
+        samples: recent.length,
+        spread: round(spread(recent), 4),
+        capturedAt: new Date(now),
+      });
+      session.points.sort((a, b) => a.reference - b.reference);
+      return { session: presentSession(session, now) };
+    },
+
+    // Fits and saves a profile from the captured points and closes the session. Returns the
+    // result of save(), or null for an unknown session.
+    async completeSession(sessionId, { method = 'linear', effectiveFrom, note }, updatedBy) {
+      const session = getSession(sessionId);
+      if (!session) return null;
+      const { profile, error } = validateProfile({
+        deviceId: session.deviceId,
+        sensor: session.sensor,
+        method,
+        points: session.points,
+        effectiveFrom,
+        note,
+      });
+      if (error) return { error };
+      const result = await save(profile, { updatedBy });
+      if (!result.error) sessions.delete(sessionId);
+      return result;
+    },
+
+    cancelSession(sessionId) {
+      return sessions.delete(sessionId);
+    },
+  };
+}
+
+module.exports = {
+  METHODS,
+  SENSORS,
+  applyProfile,
+  createCalibration,
+  fitProfile,
+  validateProfile,
+};
@@ -0,0 +1,324 @@
+// Runtime configuration. Every setting can come from an environment variable (also read from
+// .env) or from a JSON config file (CONFIG_FILE, or config.json next to main.js when present)
+// using the nested keys below, e.g. { "mqtt": { "url": "mqtts://broker.local:8883" } }.
+// The environment wins over the file, the file over the defaults. Everything is validated up
+// front; secrets have no defaults, so a deployment missing one fails at startup instead of
+// running against somebody else's database.
+const fs = require('fs');
+const path = require('path');
+const { parseTimeZone } = require('./timezone');
+
+const DEFAULT_CONFIG_FILE = path.join(__dirname, '..', 'config.json');
+const REDACTED = '********';
+const TOPIC_PREFIX_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+// type: string | integer | number | boolean | list | url | enum | timeZone | file
+// default may be a function of the settings before it; secret values are redacted in
+// describe(); required(config) names the condition under which a value must be given (true: always); an empty
+// environment variable counts as unset unless allowEmpty.
+const SETTINGS = {
+  'http.port': { env: 'PORT', type: 'integer', min: 1, max: 65535, default: 3000 },
+  'http.corsOrigins': { env: 'CORS_ORIGINS', type: 'list', default: [] },
+
+  // No default: falling back to a public broker would publish valve commands for anyone to read
+  'mqtt.url': {
+    env: 'MQTT_URL',
+    type: 'url',
+    protocols: ['mqtt:', 'mqtts:', 'ws:', 'wss:'],
+    default: null,
+    required: () => true,
+  },
+  // Device API keys only cover HTTP. Anyone who can publish under the topic prefix can post
+  // readings as the device named in the topic, so use a broker with credentials and per-device ACLs
+  'mqtt.username': { env: 'MQTT_USERNAME', type: 'string', default: null },
+  'mqtt.password': {
+    env: 'MQTT_PASSWORD',
+    type: 'string',
+    secret: true,
+    default: null,
+    required: (config) => (config.mqtt.username ? 'MQTT_USERNAME is set' : null),
+  },
+  'mqtt.clientId': { env: 'MQTT_CLIENT_ID', type: 'string', default: null },
+  'mqtt.topicPrefix': { env: 'MQTT_TOPIC_PREFIX', type: 'string', pattern: TOPIC_PREFIX_PATTERN, default: 'plant_monitoring' },
+  // PEM files for brokers with a private CA or client certificates (mqtts:// and wss:// only)
+  'mqtt.tls.ca': { env: 'MQTT_TLS_CA', type: 'file', default: null },
+  'mqtt.tls.cert': { env: 'MQTT_TLS_CERT', type: 'file', default: null },
+  'mqtt.tls.key': {
+    env: 'MQTT_TLS_KEY',
+    type: 'file',
+    default: null,
+    required: (config) => (config.mqtt.tls.cert ? 'MQTT_TLS_CERT is set' : null),
+  },
+  'mqtt.tls.rejectUnauthorized': { env: 'MQTT_TLS_REJECT_UNAUTHORIZED', type: 'boolean', default: true },
+
+  'log.level': { env: 'LOG_LEVEL', type: 'enum', values: ['debug', 'info', 'warn', 'error'], default: 'info' },
+  // json for log shippers, text for reading in a terminal
+  'log.format': { env: 'LOG_FORMAT', type: 'enum', values: ['json', 'text'], default: 'json' },
+  // When set, GET /metrics needs "Authorization: Bearer <token>"
+  'metrics.token': { env: 'METRICS_TOKEN', type: 'string', secret: true, default: null },
+  // By default /readyz only needs storage, so the API stays in the load balancer while the broker is down
+  'health.requireMqtt': { env: 'READY_REQUIRES_MQTT', type: 'boolean', default: false },
+
+  // USE_DUMMY_DATA seeds sample readings and, unless STORAGE_DRIVER says otherwise, keeps them in
+  // memory; simulate.js sends live readings from virtual devices instead
+  'storage.useDummyData': { env: 'USE_DUMMY_DATA', type: 'boolean', default: false },
+  'storage.driver': {
+    env: 'STORAGE_DRIVER',
+    type: 'enum',
+    values: ['mongo', 'memory', 'file'],
+    default: (config) => (config.storage.useDummyData ? 'memory' : 'mongo'),
+  },
+  'storage.mongoUri': {
+    env: 'MONGODB_URI',
+    type: 'url',
+    protocols: ['mongodb:', 'mongodb+srv:'],
+    secret: true,
+    default: null,
+    required: (config) => (config.storage.driver === 'mongo' ? 'STORAGE_DRIVER is mongo' : null),
+  },
+  'storage.mongoDb': { env: 'MONGODB_DB', type: 'string', default: 'sensorDB' },
+  // JSON Lines files of the file driver
+  'storage.path': { env: 'STORAGE_PATH', type: 'string', default: path.join(__dirname, '..', 'data') },
+
+  // Raw documents older than this many days are archived and deleted; 0 keeps them forever
+  'retention.sensorsDays': { env: 'RETENTION_SENSORS_DAYS', type: 'number', min: 0, default: 90 },
+  'retention.servoDays': { env: 'RETENTION_SERVO_DAYS', type: 'number', min: 0, default: 30 },
+  'retention.statusDays': { env: 'RETENTION_STATUS_DAYS', type: 'number', min: 0, default: 30 },
+  'retention.archive': { env: 'RETENTION_ARCHIVE', type: 'boolean', default: true },
+  'retention.archivePath': { env: 'RETENTION_ARCHIVE_PATH', type: 'string', default: path.join(__dirname, '..', 'archive') },
+  'retention.intervalMinutes': { env: 'RETENTION_INTERVAL_MINUTES', type: 'number', min: 1, default: 60 },
+
+  // Target ranges: the alert rules created when there are none, and the dashboard's colours and
+  // chart bands. Stored alert rules are not changed when these are.
+  'thresholds.ph.min': { env: 'PH_MIN', type: 'number', min: 0, max: 14, default: 4.4 },
+  'thresholds.ph.max': { env: 'PH_MAX', type: 'number', min: 0, max: 14, default: 5.5 },
+  'thresholds.soil.min': { env: 'SOIL_MIN', type: 'number', min: 0, max: 100, default: 30 },
+  'thresholds.soil.max': { env: 'SOIL_MAX', type: 'number', min: 0, max: 100, default: 70 },
+
+  // Devices silent for longer than this are marked offline
+  'devices.offlineAfterSeconds': { env: 'DEVICE_OFFLINE_AFTER_SECONDS', type: 'number', min: 1, default: 60 },
+  // Flow through a fully open valve, for devices without their own flow profile
+  'water.flowLitresPerMinute': { env: 'WATER_FLOW_LPM', type: 'number', min: 0, max: 1000, default: 6 },
+  // Time zone of devices without an irrigation policy
+  'schedule.timeZone': { env: 'SCHEDULE_TIMEZONE', type: 'timeZone', default: 'UTC' },
+
+  // First admin account, created when there are no users; without a password one is generated and
+  // printed to stderr
+  'admin.username': { env: 'ADMIN_USERNAME', type: 'string', default: 'admin' },
+  'admin.password': { env: 'ADMIN_PASSWORD', type: 'string', secret: true, default: null },
+
+  // Alert notification channels; each is enabled when configured
+  'alerts.webhookUrl': { env: 'ALERT_WEBHOOK_URL', type: 'url', protocols: ['http:', 'https:'], secret: true, default: null },
+  'alerts.smtp.host': { env: 'SMTP_HOST', type: 'string', default: null },
+  'alerts.smtp.port': { env: 'SMTP_PORT', type: 'integer', min: 1, max: 65535, default: 587 },
+  'alerts.smtp.secure': { env: 'SMTP_SECURE', type: 'boolean', default: false },
+  'alerts.smtp.user': { env: 'SMTP_USER', type: 'string', default: null },
+  'alerts.smtp.pass': {
+    env: 'SMTP_PASS',
+    type: 'string',
+    secret: true,
+    default: null,
+    required: (config) => (config.alerts.smtp.user ? 'SMTP_USER is set' : null),
+  },
+  'alerts.emailFrom': { env: 'ALERT_EMAIL_FROM', type: 'string', default: 'plant-monitoring@localhost' },
+  'alerts.emailTo': { env: 'ALERT_EMAIL_TO', type: 'string', default: null },
+  // An empty value turns MQTT alerts off
+  'alerts.mqttTopic': { env: 'ALERT_MQTT_TOPIC', type: 'string', allowEmpty: true, default: (config) => `${config.mqtt.topicPrefix}/alerts` },
+};
+
+function getPath(object, key) {
+  return key.split('.').reduce((value, part) => (value == null ? undefined : value[part]), object);
+}
+
+function setPath(object, key, value) {
+  const parts = key.split('.');
+  const last = parts.pop();
+  let target = object;
+  for (const part of parts) {
+    if (!target[part]) target[part] = {};
+    target = target[part];
+  }
+  target[last] = value;
+}
+
+// Keys of the nested file object that are not settings
+function unknownKeys(object, prefix = '') {
+  const unknown = [];
+  for (const [name, value] of Object.entries(object)) {
+    const key = prefix ? `${prefix}.${name}` : name;
+    if (SETTINGS[key]) continue;
+    const isGroup = Object.keys(SETTINGS).some((setting) => setting.startsWith(`${key}.`));
+    if (isGroup && value && typeof value === 'object' && !Array.isArray(value)) {
+      unknown.push(...unknownKeys(value, key));
+    } else {
+      unknown.push(key);
+    }
+  }
+  return unknown;
+}
+
+// Values come as strings from the environment and as JSON values from the file.
+// Returns { value } or { error }.
+function parseValue(setting, raw) {
+  switch (setting.type) {
+    case 'string': {
+      if (typeof raw !== 'string') return { error: 'must be a string' };
+      if (setting.pattern && !setting.pattern.test(raw)) return { error: 'has an invalid format' };
+      return { value: raw };
+    }
+    case 'integer':
+    case 'number': {
+      const value = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+      if (typeof value !== 'number' || !Number.isFinite(value)) return { error: 'must be a number' };
+      if (setting.type === 'integer' && !Number.isInteger(value)) return { error: 'must be an integer' };
+      if (setting.min !== undefined && value < setting.min) return { error: `must be >= ${setting.min}` };
+      if (setting.max !== undefined && value > setting.max) return { error: `must be <= ${setting.max}` };
+      return { value };
+    }
+    case 'boolean': {
+      if (typeof raw === 'boolean') return { value: raw };
+      if (raw === 'true' || raw === 'false') return { value: raw === 'true' };
+      return { error: 'must be true or false' };
+    }
+    case 'list': {
+      const items = typeof raw === 'string' ? raw.split(',') : raw;
+      if (!Array.isArray(items) || items.some((item) => typeof item !== 'string')) {
+        return { error: 'must be a comma-separated list' };
+      }
+      return { value: items.map((item) => item.trim()).filter(Boolean) };
+    }
+    case 'url': {
+      let url;
+      try {
+        url = new URL(raw);
+      } catch (error) {
+        return { error: 'must be a URL' };
+      }
+      if (!setting.protocols.includes(url.protocol)) {
+        return { error: `must be a ${setting.protocols.map((protocol) => `${protocol}//`).join(', ')} URL` };
+      }
+      return { value: raw };
+    }
+    case 'enum':
+      return setting.values.includes(raw) ? { value: raw } : { error: `must be one of: ${setting.values.join(', ')}` };
+    case 'timeZone': {
+      const { timeZone, error } = parseTimeZone(raw);
+      return error ? { error: 'is not a known time zone' } : { value: timeZone };
+    }
+    case 'file': {
+      if (typeof raw !== 'string') return { error: 'must be a file path' };
+      try {
+        fs.accessSync(raw, fs.constants.R_OK);
+      } catch (error) {
+        return { error: `cannot read ${raw}` };
+      }
+      return { value: raw };
+    }
+    default:
+      return { error: `has an unsupported type ${setting.type}` };
+  }
+}
+
+function readFile(file, explicit) {
+  if (!fs.existsSync(file)) {
+    return explicit ? { error: `Config file ${file} does not exist` } : { values: {} };
+  }
+  try {
+    const values = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+      return { error: `Config file ${file} must contain a JSON object` };
+    }
+    return { values };
+  } catch (error) {
+    return { error: `Config file ${file}: ${error.message}` };
+  }
+}
+
+// Returns { config, sources, file, errors }: config is the nested settings object, sources maps
+// each key to env, file or default, and errors lists every problem (the config is unusable if any)
+function loadConfig({ env = process.env, file } = {}) {
+  const explicit = Boolean(file || env.CONFIG_FILE);
+  const configFile = file || env.CONFIG_FILE || DEFAULT_CONFIG_FILE;
+  const errors = [];
+  const { values: fileValues = {}, error: fileError } = readFile(configFile, explicit);
+  if (fileError) errors.push(fileError);
+  for (const key of unknownKeys(fileValues)) {
+    errors.push(`Config file ${configFile}: unknown setting ${key}`);
+  }
+
+  const config = {};
+  const sources = {};
+  for (const [key, setting] of Object.entries(SETTINGS)) {
+    const fromEnv = env[setting.env];
+    const fromFile = getPath(fileValues, key);
+    let raw = null;
+    let source = 'default';
+    if (fromEnv !== undefined && (fromEnv !== '' || setting.allowEmpty)) {
+      raw = fromEnv;
+      source = 'env';
+    } else if (fromFile !== undefined && fromFile !== null) {
+      raw = fromFile;
+      source = 'file';
+    }
+    const parsed = raw === null ? {} : parseValue(setting, raw);
+    if (parsed.error) {
+      errors.push(`${setting.env} (${key}) ${parsed.error}`);
+    }
+    let value = parsed.value;
+    if (value === undefined) {
+      value = typeof setting.default === 'function' ? setting.default(config) : setting.default;
+    }
+    sources[key] = source;
+    setPath(config, key, value);
+  }
+
+  for (const [key, setting] of Object.entries(SETTINGS)) {
+    const reason = setting.required && setting.required(config);
+    if (reason && getPath(config, key) === null) {
+      errors.push(`${setting.env} (${key}) is required${reason === true ? '' : ` when ${reason}`}`);
+    }
+  }
+  const tlsConfigured = Object.values(config.mqtt.tls).some((value) => typeof value === 'string');
+  if (tlsConfigured && config.mqtt.url && !['mqtts:', 'wss:'].includes(new URL(config.mqtt.url).protocol)) {
+    errors.push('MQTT_TLS_* settings need an mqtts:// or wss:// MQTT_URL');
+  }
+  for (const [name, range] of Object.entries(config.thresholds)) {
+    if (range.min >= range.max) {
+      errors.push(`${SETTINGS[`thresholds.${name}.min`].env} must be below ${SETTINGS[`thresholds.${name}.max`].env}`);
+    }
+  }
+  return { config, sources, file: fs.existsSync(configFile) ? configFile : null, errors };
+}
+
+// Passwords in URLs are masked even for settings that are not secret
+function redactUrl(value) {
+  try {
+    const url = new URL(value);
+    if (!url.password) return value;
+    url.password = REDACTED;
+    return url.toString();
+  } catch (error) {
+    return value;
+  }
+}
+
+// Every setting with its environment variable, where it came from and its value; secrets are
+// only reported as set or not
+function describe({ config, sources, file }) {
+  const settings = Object.entries(SETTINGS).map(([key, setting]) => {
+    let value = getPath(config, key);
+    if (setting.secret) {
+      value = value === null ? null : REDACTED;
+    } else if (setting.type === 'url' && value) {
+      value = redactUrl(value);
+    }
+    return { key, env: setting.env, source: sources[key], value };
+  });
+  return { file, settings };
+}
+
+module.exports = {
+  SETTINGS,
+  describe,
+  loadConfig,
+};
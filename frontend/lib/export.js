@@ -0,0 +1,260 @@
+// Streaming exports of sensor readings and of servo and status messages. Rows are written to the
+// response as they come off the storage cursor, in CSV, JSON Lines, XLSX or Parquet, with
+// selectable columns and a display time zone.
+const parquet = require('parquetjs-lite');
+const { createClock } = require('./timezone');
+const { createXlsxWriter } = require('./xlsx');
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  jsonl: { contentType: 'application/x-ndjson', extension: 'jsonl' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+  parquet: { contentType: 'application/vnd.apache.parquet', extension: 'parquet' },
+};
+
+// Columns of a raw reading export, in default order; type drives formatting in every format
+const READING_COLUMNS = {
+  measuredAt: 'datetime',
+  receivedAt: 'datetime',
+  deviceId: 'string',
+  ph: 'number',
+  soil: 'number',
+  temperature: 'number',
+  humidity: 'number',
+  servo_position: 'integer',
+  quality_flags: 'string',
+  fuzzy_angle: 'number',
+  // Values as the device reported them, before calibration
+  raw_ph: 'number',
+  raw_soil: 'number',
+  topic: 'string',
+};
+const DEFAULT_READING_COLUMNS = ['measuredAt', 'receivedAt', 'deviceId', 'ph', 'soil', 'temperature', 'humidity', 'servo_position', 'quality_flags'];
+// Columns of servo and status message exports; these messages carry no measured time
+const EVENT_COLUMNS = {
+  servo: {
+    receivedAt: 'datetime',
+    deviceId: 'string',
+    servo_position: 'integer',
+    mode: 'string',
+    timestamp: 'integer',
+    board_type: 'string',
+    topic: 'string',
+  },
+  status: {
+    receivedAt: 'datetime',
+    deviceId: 'string',
+    status: 'string',
+    message: 'string',
+    timestamp: 'integer',
+    board_type: 'string',
+    topic: 'string',
+  },
+};
+const AGGREGATE_STATS = ['min', 'max', 'avg', 'count'];
+
+function readingValue(doc, name) {
+  if (name === 'quality_flags') return doc.quality && doc.quality.flags && doc.quality.flags.length ? doc.quality.flags.join(';') : null;
+  if (name === 'fuzzy_angle') return doc.fuzzy ? doc.fuzzy.angle ?? null : null;
+  if (name.startsWith('raw_')) {
+    const field = name.slice(4);
+    return doc.raw && doc.raw[field] !== undefined ? doc.raw[field] : doc[field] ?? null;
+  }
+  return doc[name] ?? null;
+}
+
+// Columns for an aggregated export of the given fields, e.g. ph_min, ph_max, ph_avg, ph_count
+function aggregateColumns(fields) {
+  const columns = { bucketStart: 'datetime', count: 'integer' };
+  for (const field of fields) {
+    for (const stat of AGGREGATE_STATS) {
+      columns[`${field}_${stat}`] = stat === 'count' ? 'integer' : 'number';
+    }
+  }
+  return columns;
+}
+
+function aggregateValue(bucket, name) {
+  if (name === 'bucketStart' || name === 'count') return bucket[name];
+  const index = name.lastIndexOf('_');
+  const stats = bucket[name.slice(0, index)];
+  return stats ? stats[name.slice(index + 1)] ?? null : null;
+}
+
+// Returns { columns: [{ name, type }] } or { error }; available maps column name to type
+function parseColumns(rawColumns, available, defaults = Object.keys(available)) {
+  if (!rawColumns) {
+    return { columns: defaults.map((name) => ({ name, type: available[name] })) };
+  }
+  const names = String(rawColumns).split(',').map((name) => name.trim()).filter(Boolean);
+  const unknown = names.filter((name) => !available[name]);
+  if (!names.length || unknown.length) {
+    return { error: `columns must be a comma-separated list of: ${Object.keys(available).join(', ')}` };
+  }
+  return { columns: [...new Set(names)].map((name) => ({ name, type: available[name] })) };
+}
+
+function toDate(value) {
+  if (value === null || value === undefined) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function escapeCsvValue(value) {
+  if (value === undefined || value === null) return '';
+  const str = value instanceof Date ? value.toISOString() : String(value);
+  if (str.includes('"') || str.includes(',') || str.includes('\n')) {
+    return `"${str.replace(/"/g, '""')}"`;
+  }
+  return str;
+}
+
+// Writes to an HTTP response (or any writable), waiting for it to drain; rejects once the
+// client has gone away so the caller stops reading from the cursor
+function createOutput(out) {
+  return async function write(chunk) {
+    if (out.destroyed) {
+      throw new Error('Client disconnected');
+    }
+    if (!out.write(chunk)) {
+      await new Promise((resolve, reject) => {
+        const onDrain = () => {
+          out.off('close', onClose);
+          resolve();
+        };
+        const onClose = () => {
+          out.off('drain', onDrain);
+          reject(new Error('Client disconnected'));
+        };
+        out.once('drain', onDrain);
+        out.once('close', onClose);
+      });
+    }
+  };
+}
+
+// Text formats collect rows into chunks of about 64 KB before writing
+function createTextWriter(write, { header, formatRow }) {
+  let buffered = header;
+  return {
+    async writeRow(values) {
+      buffered += formatRow(values);
+      if (buffered.length >= 64 * 1024) {
+        const text = buffered;
+        buffered = '';
+        await write(text);
+      }
+    },
+    async end() {
+      if (buffered) await write(buffered);
+    },
+  };
+}
+
+const PARQUET_TYPES = {
+  datetime: 'TIMESTAMP_MILLIS',
+  string: 'UTF8',
+  number: 'DOUBLE',
+  integer: 'INT32',
+};
+
+// Returns { writeRow(values), end() }; values are in column order and hold raw stored values
+async function createExportWriter(format, out, { columns, timeZone = 'UTC' }) {
+  const clock = createClock(timeZone);
+  const write = createOutput(out);
+  // Dates become strings in the export zone; everything else keeps its stored type
+  const plain = (column, value) => {
+    if (column.type === 'datetime') {
+      const date = toDate(value);
+      return date ? clock.iso(date) : null;
+    }
+    if (column.type === 'number' || column.type === 'integer') {
+      return typeof value === 'number' && Number.isFinite(value) ? value : null;
+    }
+    return value === null || value === undefined ? null : String(value);
+  };
+
+  switch (format) {
+    case 'csv':
+      return createTextWriter(write, {
+        header: `${columns.map((column) => escapeCsvValue(column.name)).join(',')}\n`,
+        formatRow: (values) => `${columns.map((column, i) => escapeCsvValue(plain(column, values[i]))).join(',')}\n`,
+      });
+    case 'jsonl':
+      return createTextWriter(write, {
+        header: '',
+        formatRow: (values) => {
+          const row = {};
+          columns.forEach((column, i) => {
+            row[column.name] = plain(column, values[i]);
+          });
+          return `${JSON.stringify(row)}\n`;
+        },
+      });
+    case 'xlsx': {
+      const writer = createXlsxWriter(write, { columns });
+      return {
+        writeRow: (values) => writer.writeRow(columns.map((column, i) => {
+          if (column.type !== 'datetime') return plain(column, values[i]);
+          const date = toDate(values[i]);
+          return date ? clock.wallMs(date) : null;
+        })),
+        end: () => writer.end(),
+      };
+    }
+    case 'parquet': {
+      // Parquet timestamps are absolute instants, so the time zone does not apply
+      const fields = {};
+      for (const column of columns) {
+        fields[column.name] = { type: PARQUET_TYPES[column.type], optional: true };
+      }
+      const writer = await parquet.ParquetWriter.openStream(new parquet.ParquetSchema(fields), out, { rowGroupSize: 4096 });
+      return {
+        async writeRow(values) {
+          if (out.destroyed) {
+            throw new Error('Client disconnected');
+          }
+          const row = {};
+          columns.forEach((column, i) => {
+            const value = column.type === 'datetime' ? toDate(values[i]) : plain(column, values[i]);
+            if (value !== null) row[column.name] = column.type === 'integer' ? Math.round(value) : value;
+          });
+          await writer.appendRow(row);
+        },
+        end: () => writer.close(),
+      };
+    }
+    default:
+      throw new Error(`Unknown export format: ${format}`);
+  }
+}
+
+function compactDate(date) {
+  return date.toISOString().slice(0, 16).replace(/[-:]/g, '');
+}
+
+// e.g. sensors-unifi-20260401T0000-20261001T0000-1h.xlsx or servo-all-start-now.csv
+function exportFilename({ dataset = 'sensors', deviceId, start, end, bucket, extension }) {
+  const parts = [
+    dataset,
+    deviceId || 'all',
+    start ? compactDate(start) : 'start',
+    end ? compactDate(end) : 'now',
+  ];
+  if (bucket) parts.push(bucket);
+  return `${parts.join('-')}.${extension}`;
+}
+
+module.exports = {
+  DEFAULT_READING_COLUMNS,
+  EVENT_COLUMNS,
+  EXPORT_FORMATS,
+  READING_COLUMNS,
+  aggregateColumns,
+  aggregateValue,
+  createExportWriter,
+  escapeCsvValue,
+  exportFilename,
+  parseColumns,
+  readingValue,
+};
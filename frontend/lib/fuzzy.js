@@ -0,0 +1,248 @@
+// Mamdani-style fuzzy controller that turns sensor readings into a servo angle.
+// Rule sets are plain JSON so they can be stored in MongoDB and edited via the API.
+
+const INPUT_RANGES = {
+  ph: [0, 14],
+  soil: [0, 100],
+  temperature: [-10, 60],
+  humidity: [0, 100],
+};
+const OUTPUT_RANGE = [0, 180];
+const SHAPES = { triangle: 3, trapezoid: 4 };
+const OPERATORS = ['and', 'or'];
+
+// Mirrors the thresholds in the firmware's controlServoWithFuzzyLogic()
+const DEFAULT_RULE_SET = {
+  inputs: {
+    ph: {
+      low: { shape: 'trapezoid', points: [0, 0, 4.2, 4.6] },
+      optimal: { shape: 'trapezoid', points: [4.2, 4.6, 5.3, 5.7] },
+      high: { shape: 'trapezoid', points: [5.3, 5.7, 14, 14] },
+    },
+    soil: {
+      dry: { shape: 'trapezoid', points: [0, 0, 27, 33] },
+      low: { shape: 'triangle', points: [27, 35, 43] },
+      moderate: { shape: 'triangle', points: [37, 45, 53] },
+      moist: { shape: 'trapezoid', points: [47, 55, 65, 75] },
+      wet: { shape: 'trapezoid', points: [65, 75, 100, 100] },
+    },
+    temperature: {
+      cool: { shape: 'trapezoid', points: [-10, -10, 18, 24] },
+      warm: { shape: 'triangle', points: [20, 27, 34] },
+      hot: { shape: 'trapezoid', points: [30, 36, 60, 60] },
+    },
+    humidity: {
+      dry: { shape: 'trapezoid', points: [0, 0, 35, 50] },
+      normal: { shape: 'triangle', points: [40, 60, 80] },
+      humid: { shape: 'trapezoid', points: [70, 85, 100, 100] },
+    },
+  },
+  outputs: {
+    closed: { shape: 'trapezoid', points: [0, 0, 10, 30] },
+    quarter: { shape: 'triangle', points: [20, 45, 70] },
+    half: { shape: 'triangle', points: [60, 90, 120] },
+    open: { shape: 'trapezoid', points: [150, 170, 180, 180] },
+  },
+  rules: [
+    {
+      description: 'Low pH or dry soil opens the valve',
+      operator: 'or',
+      conditions: [{ variable: 'ph', is: 'low' }, { variable: 'soil', is: 'dry' }],
+      output: 'open',
+    },
+    {
+      description: 'High pH or wet soil closes the valve',
+      operator: 'or',
+      conditions: [{ variable: 'ph', is: 'high' }, { variable: 'soil', is: 'wet' }],
+      output: 'closed',
+    },
+    {
+      description: 'Optimal pH with low moisture half opens the valve',
+      operator: 'and',
+      conditions: [{ variable: 'ph', is: 'optimal' }, { variable: 'soil', is: 'low' }],
+      output: 'half',
+    },
+    {
+      description: 'Optimal pH with moderate moisture opens the valve a quarter',
+      operator: 'and',
+      conditions: [{ variable: 'ph', is: 'optimal' }, { variable: 'soil', is: 'moderate' }],
+      output: 'quarter',
+    },
+    {
+      description: 'Optimal pH with good moisture keeps the valve closed',
+      operator: 'and',
+      conditions: [{ variable: 'ph', is: 'optimal' }, { variable: 'soil', is: 'moist' }],
+      output: 'closed',
+    },
+    {
+      description: 'Hot and dry air adds a little water to offset evaporation',
+      operator: 'and',
+      conditions: [{ variable: 'temperature', is: 'hot' }, { variable: 'humidity', is: 'dry' }],
+      output: 'quarter',
+      weight: 0.5,
+    },
+  ],
+};
+
+function membership(set, value) {
+  const [a, b, c, d] = set.shape === 'triangle'
+    ? [set.points[0], set.points[1], set.points[1], set.points[2]]
+    : set.points;
+  if (value < a || value > d) return 0;
+  if (value >= b && value <= c) return 1;
+  if (value < b) return b === a ? 1 : (value - a) / (b - a);
+  return d === c ? 1 : (d - value) / (d - c);
+}
+
+function ruleStrength(rule, inputs, reading) {
+  const degrees = [];
+  for (const condition of rule.conditions) {
+    const value = Number(reading[condition.variable]);
+    // Missing readings (e.g. DHT failure) simply do not contribute
+    if (reading[condition.variable] === undefined || reading[condition.variable] === null || !Number.isFinite(value)) {
+      continue;
+    }
+    degrees.push(membership(inputs[condition.variable][condition.is], value));
+  }
+  if (!degrees.length) return 0;
+  const combined = rule.operator === 'or' ? Math.max(...degrees) : Math.min(...degrees);
+  return combined * (rule.weight ?? 1);
+}
+
+// Returns the centroid servo angle, or null when no rule fires
+function evaluate(ruleSet, reading) {
+  const activations = ruleSet.rules.map((rule, index) => ({
+    index,
+    output: rule.output,
+    strength: ruleStrength(rule, ruleSet.inputs, reading),
+  }));
+
+  const clipped = {};
+  for (const { output, strength } of activations) {
+    clipped[output] = Math.max(clipped[output] || 0, strength);
+  }
+
+  let area = 0;
+  let moment = 0;
+  for (let angle = OUTPUT_RANGE[0]; angle <= OUTPUT_RANGE[1]; angle += 1) {
+    let degree = 0;
+    for (const [name, strength] of Object.entries(clipped)) {
+      if (strength > 0) {
+        degree = Math.max(degree, Math.min(strength, membership(ruleSet.outputs[name], angle)));
+      }
+    }
+    area += degree;
+    moment += degree * angle;
+  }
+
+  return {
+    angle: area > 0 ? Math.round(moment / area) : null,
+    activations: activations.filter((item) => item.strength > 0),
+  };
+}
+
+// Own keys only, so names like "constructor" or "toString" do not resolve to Object.prototype
+function hasOwn(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function validateSet(set, range, path, errors) {
+  const expected = isPlainObject(set) && hasOwn(SHAPES, set.shape) && SHAPES[set.shape];
+  if (!expected) {
+    errors.push(`${path}.shape must be one of: ${Object.keys(SHAPES).join(', ')}`);
+    return;
+  }
+  const { points } = set;
+  if (!Array.isArray(points) || points.length !== expected || !points.every(Number.isFinite)) {
+    errors.push(`${path}.points must be ${expected} numbers`);
+    return;
+  }
+  if (points.some((point, i) => i > 0 && point < points[i - 1])) {
+    errors.push(`${path}.points must be in ascending order`);
+  }
+  if (points[0] < range[0] || points[points.length - 1] > range[1]) {
+    errors.push(`${path}.points must be within ${range[0]}..${range[1]}`);
+  }
+}
+
+// Returns a list of human-readable problems; empty when the rule set is usable
+function validateRuleSet(ruleSet) {
+  const errors = [];
+  if (!ruleSet || typeof ruleSet !== 'object') {
+    return ['rule set must be an object'];
+  }
+  const { inputs, outputs, rules } = ruleSet;
+
+  if (!isPlainObject(inputs)) {
+    errors.push('inputs must be an object');
+  } else {
+    for (const [variable, sets] of Object.entries(inputs)) {
+      if (!hasOwn(INPUT_RANGES, variable)) {
+        errors.push(`inputs.${variable} is not a known variable (${Object.keys(INPUT_RANGES).join(', ')})`);
+        continue;
+      }
+      if (!isPlainObject(sets)) {
+        errors.push(`inputs.${variable} must be an object`);
+        continue;
+      }
+      for (const [name, set] of Object.entries(sets)) {
+        validateSet(set, INPUT_RANGES[variable], `inputs.${variable}.${name}`, errors);
+      }
+    }
+  }
+
+  if (!isPlainObject(outputs) || !Object.keys(outputs).length) {
+    errors.push('outputs must define at least one set');
+  } else {
+    for (const [name, set] of Object.entries(outputs)) {
+      validateSet(set, OUTPUT_RANGE, `outputs.${name}`, errors);
+    }
+  }
+
+  if (!Array.isArray(rules) || !rules.length) {
+    errors.push('rules must be a non-empty array');
+    return errors;
+  }
+  rules.forEach((rule, i) => {
+    const path = `rules[${i}]`;
+    if (!isPlainObject(rule)) {
+      errors.push(`${path} must be an object`);
+      return;
+    }
+    if (!OPERATORS.includes(rule.operator)) {
+      errors.push(`${path}.operator must be one of: ${OPERATORS.join(', ')}`);
+    }
+    if (!isPlainObject(outputs) || !hasOwn(outputs, rule.output)) {
+      errors.push(`${path}.output must reference a defined output set`);
+    }
+    if (rule.weight !== undefined && (!Number.isFinite(rule.weight) || rule.weight < 0 || rule.weight > 1)) {
+      errors.push(`${path}.weight must be between 0 and 1`);
+    }
+    if (!Array.isArray(rule.conditions) || !rule.conditions.length) {
+      errors.push(`${path}.conditions must be a non-empty array`);
+      return;
+    }
+    rule.conditions.forEach((condition, j) => {
+      if (!isPlainObject(condition)) {
+        errors.push(`${path}.conditions[${j}] must be an object`);
+        return;
+      }
+      if (!isPlainObject(inputs) || !hasOwn(inputs, condition.variable)
+        || !isPlainObject(inputs[condition.variable]) || !hasOwn(inputs[condition.variable], condition.is)) {
+        errors.push(`${path}.conditions[${j}] must reference a defined input set`);
+      }
+    });
+  });
+  return errors;
+}
+
+module.exports = {
+  DEFAULT_RULE_SET,
+  evaluate,
+  membership,
+  validateRuleSet,
+};
@@ -0,0 +1,102 @@
+// Measured-time handling and batch uploads for readings buffered on the device while offline.
+// A reading is stamped with measured_at (epoch ms or ISO 8601) when the device has a clock;
+// otherwise its millis() timestamp is placed on the server clock using the batch's millis anchor
+// (the device's millis() at send time).
+const { DEVICE_ID_PATTERN, validatePayload } = require('./schema');
+
+const MAX_BATCH_SIZE = 500;
+const MAX_CLOCK_SKEW_MS = 5 * 60_000;
+// Re-sent readings come back with a slightly different anchor-derived measuredAt
+const DEDUPE_WINDOW_MS = 60_000;
+const BATCH_FIELDS = ['device_id', 'millis', 'readings'];
+
+function parseDateTime(value) {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// Returns { measuredAt } or { error }
+function resolveMeasuredAt(payload, { receivedAt, anchorMillis }) {
+  let measuredAt = receivedAt;
+  if (payload.measured_at !== undefined) {
+    measuredAt = parseDateTime(payload.measured_at);
+    if (!measuredAt) {
+      return { error: 'measured_at is not a valid date' };
+    }
+  } else if (anchorMillis !== undefined && payload.timestamp !== undefined) {
+    if (payload.timestamp > anchorMillis) {
+      return { error: 'timestamp is later than the batch millis anchor' };
+    }
+    measuredAt = new Date(receivedAt.getTime() - (anchorMillis - payload.timestamp));
+  }
+  if (measuredAt.getTime() - receivedAt.getTime() > MAX_CLOCK_SKEW_MS) {
+    return { error: 'measured_at is in the future' };
+  }
+  return { measuredAt };
+}
+
+// Validates the envelope and every reading; bad readings are returned in rejected, not thrown
+function parseBatch(body, { receivedAt }) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { error: 'Body must be a JSON object with a readings array' };
+  }
+  const unknown = Object.keys(body).filter((field) => !BATCH_FIELDS.includes(field));
+  if (unknown.length) {
+    return { error: `Unknown fields: ${unknown.join(', ')}` };
+  }
+  if (!Array.isArray(body.readings) || body.readings.length === 0) {
+    return { error: 'readings must be a non-empty array' };
+  }
+  if (body.readings.length > MAX_BATCH_SIZE) {
+    return { error: `A batch may contain at most ${MAX_BATCH_SIZE} readings` };
+  }
+  if (body.millis !== undefined && (!Number.isInteger(body.millis) || body.millis < 0)) {
+    return { error: 'millis must be a non-negative integer' };
+  }
+  if (body.device_id !== undefined && (typeof body.device_id !== 'string' || !DEVICE_ID_PATTERN.test(body.device_id))) {
+    return { error: 'device_id has an invalid format' };
+  }
+
+  const accepted = [];
+  const rejected = [];
+  body.readings.forEach((reading, index) => {
+    const errors = validatePayload('sensors', reading);
+    if (!errors.length && body.device_id && reading.device_id && reading.device_id !== body.device_id) {
+      errors.push({ field: 'device_id', message: 'device_id does not match the batch device_id' });
+    }
+    if (!errors.length) {
+      const { measuredAt, error } = resolveMeasuredAt(reading, { receivedAt, anchorMillis: body.millis });
+      if (error) {
+        errors.push({ field: reading.measured_at !== undefined ? 'measured_at' : 'timestamp', message: error });
+      } else {
+        accepted.push({ index, reading, measuredAt });
+        return;
+      }
+    }
+    rejected.push({ index, reading, errors });
+  });
+  return { deviceId: body.device_id || null, accepted, rejected };
+}
+
+// Query for an already stored copy of a reading: device millis within the dedupe window, or the
+// exact measured_at when the device stamped it with its own clock
+function duplicateQuery(deviceId, reading, measuredAt) {
+  if (reading.measured_at === undefined && reading.timestamp !== undefined) {
+    return {
+      deviceId,
+      timestamp: reading.timestamp,
+      measuredAt: {
+        $gte: new Date(measuredAt.getTime() - DEDUPE_WINDOW_MS),
+        $lte: new Date(measuredAt.getTime() + DEDUPE_WINDOW_MS),
+      },
+    };
+  }
+  return { deviceId, measuredAt };
+}
+
+module.exports = {
+  MAX_BATCH_SIZE,
+  duplicateQuery,
+  parseBatch,
+  resolveMeasuredAt,
+};
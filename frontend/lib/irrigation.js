@@ -0,0 +1,587 @@
+// Irrigation scheduling: cron-timed watering runs, blackout windows and a daily limit on valve
+// time, per device. The limit counts all the time the valve was reported open that day, including
+// the automatic controller's and operators' watering, but only shortens or skips scheduled runs:
+// it does not close the valve on the controller or an operator. Precedence, highest first:
+//   1. an operator's manual command - scheduled runs are skipped and blackouts wait for it to end
+//   2. blackout windows - block runs and hold the valve closed against the automatic controller
+//   3. the daily limit - shortens or skips runs
+//   4. scheduled runs - sent as a timed manual command, so the automatic controller resumes after
+//   5. the automatic (fuzzy) controller
+// Cron fields and window times are wall-clock times in the time zone of the device's policy.
+const { randomUUID } = require('crypto');
+const { DEVICE_ID_PATTERN } = require('./schema');
+const { createClock, parseTimeZone } = require('./timezone');
+
+const MINUTE_MS = 60_000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const MAX_RUN_MINUTES = 240;
+const MAX_BLACKOUTS = 20;
+const MAX_UPCOMING_HOURS = 7 * 24;
+const TICK_MS = 15_000;
+// A run noticed later than this (e.g. the process was stalled) is logged as missed, not started late
+const MISFIRE_GRACE_MS = 2 * MINUTE_MS;
+// requestedBy of the servo commands the scheduler sends
+const SCHEDULER = 'scheduler';
+
+const CRON_ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+};
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }, // 0 and 7 are both Sunday
+];
+
+function parseCronField(text, { name, min, max }) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const match = /^(?:\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!match) throw new Error(`invalid ${name} "${part}"`);
+    let from = min;
+    let to = max;
+    if (match[1] !== undefined) {
+      from = Number(match[1]);
+      // "5/15" means from 5 to the end in steps of 15
+      to = match[2] !== undefined ? Number(match[2]) : match[3] ? max : from;
+    }
+    const step = match[3] !== undefined ? Number(match[3]) : 1;
+    if (from < min || to > max || from > to || step < 1) throw new Error(`invalid ${name} "${part}"`);
+    for (let value = from; value <= to; value += step) values.add(value);
+  }
+  return values;
+}
+
+// Five-field cron (minute hour day-of-month month day-of-week) with lists, ranges and steps,
+// or one of @hourly, @daily, @weekly, @monthly. Returns { cron } or { error }.
+function parseCron(expression) {
+  if (typeof expression !== 'string' || !expression.trim()) {
+    return { error: 'cron is required' };
+  }
+  const source = CRON_ALIASES[expression.trim()] || expression.trim();
+  const parts = source.split(/\s+/);
+  if (parts.length !== 5) {
+    return { error: 'cron must have five fields: minute hour day-of-month month day-of-week' };
+  }
+  try {
+    const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseCronField(part, CRON_FIELDS[i]));
+    if (weekdays.delete(7)) weekdays.add(0);
+    return {
+      cron: {
+        minutes: [...minutes].sort((a, b) => a - b),
+        hours: [...hours].sort((a, b) => a - b),
+        days,
+        months,
+        weekdays,
+        anyDay: parts[2].startsWith('*'),
+        anyWeekday: parts[4].startsWith('*'),
+      },
+    };
+  } catch (error) {
+    return { error: `cron has an ${error.message}` };
+  }
+}
+
+// dayStart is a wall-clock midnight
+function cronDayMatches(cron, dayStart) {
+  const date = new Date(dayStart);
+  if (!cron.months.has(date.getUTCMonth() + 1)) return false;
+  const dayOfMonth = cron.days.has(date.getUTCDate());
+  const dayOfWeek = cron.weekdays.has(date.getUTCDay());
+  // As in cron: when both day fields are restricted, matching either is enough
+  if (cron.anyDay) return dayOfWeek;
+  if (cron.anyWeekday) return dayOfMonth;
+  return dayOfMonth || dayOfWeek;
+}
+
+// Times the cron fires after `after` (exclusive) up to `until` (inclusive, optional), oldest first
+function cronOccurrences(cron, clock, { after, until = null, limit = 1 }) {
+  const result = [];
+  const afterWall = clock.wallMs(new Date(after));
+  // Without an end, look up to five years ahead so "0 0 29 2 *" still finds its next leap day
+  const lastDay = until ? clock.wallMs(new Date(until)) : afterWall + 5 * 366 * DAY_MS;
+  for (let day = afterWall - (afterWall % DAY_MS); day <= lastDay; day += DAY_MS) {
+    if (!cronDayMatches(cron, day)) continue;
+    for (const hour of cron.hours) {
+      for (const minute of cron.minutes) {
+        const at = clock.toInstant(day + hour * 60 * MINUTE_MS + minute * MINUTE_MS);
+        if (at.getTime() <= after) continue;
+        if (until && at.getTime() > until) return result;
+        result.push(at);
+        if (result.length >= limit) return result;
+      }
+    }
+  }
+  return result;
+}
+
+// "HH:MM" to minutes after midnight, or null
+function parseClockTime(text) {
+  const match = typeof text === 'string' ? /^([01]\d|2[0-3]):([0-5]\d)$/.exec(text) : null;
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+// Occurrences of the policy's blackout windows that overlap [from, until). A window that ends
+// at or before its start crosses midnight and belongs to the day it starts on.
+function blackoutWindows(policy, clock, from, until) {
+  const windows = [];
+  const fromWall = clock.wallMs(new Date(from));
+  const untilWall = clock.wallMs(new Date(until));
+  for (let day = fromWall - (fromWall % DAY_MS) - DAY_MS; day <= untilWall; day += DAY_MS) {
+    const weekday = new Date(day).getUTCDay();
+    for (const window of policy.blackouts) {
+      if (window.days && !window.days.includes(weekday)) continue;
+      const startMinute = parseClockTime(window.start);
+      const endMinute = parseClockTime(window.end);
+      const start = clock.toInstant(day + startMinute * MINUTE_MS);
+      const end = clock.toInstant(day + endMinute * MINUTE_MS + (endMinute <= startMinute ? DAY_MS : 0));
+      if (end.getTime() > from && start.getTime() < until) {
+        windows.push({ window, start, end });
+      }
+    }
+  }
+  return windows.sort((a, b) => a.start - b.start);
+}
+
+function activeBlackout(policy, clock, at) {
+  return blackoutWindows(policy, clock, at, at + 1).find((occurrence) => occurrence.start.getTime() <= at) || null;
+}
+
+function describeWindow(window) {
+  return `${window.start}-${window.end}`;
+}
+
+function roundMinutes(minutes) {
+  return Math.round(minutes * 10) / 10;
+}
+
+// What a run of `minutes` starting at `at` may do under the policy: { status, minutes, reason }
+// with status planned, shortened or blocked. usedMinutes is valve time already spent that day.
+function planRun(policy, clock, { at, minutes, usedMinutes = 0 }) {
+  const blackout = activeBlackout(policy, clock, at);
+  if (blackout) {
+    return { status: 'blocked', minutes: 0, reason: `Blackout window ${describeWindow(blackout.window)}` };
+  }
+  let planned = minutes;
+  let reason = '';
+  if (policy.maxOpenMinutesPerDay) {
+    const remaining = policy.maxOpenMinutesPerDay - usedMinutes;
+    if (remaining <= 0) {
+      return { status: 'blocked', minutes: 0, reason: `Daily limit of ${policy.maxOpenMinutesPerDay} minutes reached` };
+    }
+    if (remaining < planned) {
+      planned = remaining;
+      reason = `Daily limit of ${policy.maxOpenMinutesPerDay} minutes`;
+    }
+  }
+  const [next] = blackoutWindows(policy, clock, at, at + planned * MINUTE_MS);
+  if (next) {
+    planned = (next.start.getTime() - at) / MINUTE_MS;
+    reason = `Blackout window ${describeWindow(next.window)} starts`;
+  }
+  planned = roundMinutes(planned);
+  return { status: planned < minutes ? 'shortened' : 'planned', minutes: planned, reason };
+}
+
+function defaultPolicy(deviceId, timeZone) {
+  return { deviceId, timeZone, blackouts: [], maxOpenMinutesPerDay: null };
+}
+
+function validateSchedule(body, { partial = false, defaultDeviceId } = {}) {
+  const schedule = {};
+  if (!partial || body.deviceId !== undefined) {
+    const deviceId = body.deviceId === undefined ? defaultDeviceId : body.deviceId;
+    if (typeof deviceId !== 'string' || !DEVICE_ID_PATTERN.test(deviceId)) {
+      return { error: 'deviceId is invalid' };
+    }
+    schedule.deviceId = deviceId;
+  }
+  if (!partial || body.cron !== undefined) {
+    const { error } = parseCron(body.cron);
+    if (error) return { error };
+    schedule.cron = body.cron.trim();
+  }
+  if (body.name !== undefined) {
+    if (typeof body.name !== 'string' || body.name.length > 100) {
+      return { error: 'name must be a string of at most 100 characters' };
+    }
+    schedule.name = body.name.trim();
+  }
+  if (!partial || body.durationMinutes !== undefined) {
+    const durationMinutes = Number(body.durationMinutes);
+    if (!Number.isFinite(durationMinutes) || durationMinutes <= 0 || durationMinutes > MAX_RUN_MINUTES) {
+      return { error: `durationMinutes must be between 0 and ${MAX_RUN_MINUTES}` };
+    }
+    schedule.durationMinutes = durationMinutes;
+  }
+  if (!partial || body.angle !== undefined) {
+    const angle = body.angle === undefined ? 180 : Number(body.angle);
+    if (!Number.isInteger(angle) || angle < 1 || angle > 180) {
+      return { error: 'angle must be an integer between 1 and 180' };
+    }
+    schedule.angle = angle;
+  }
+  if (!partial || body.enabled !== undefined) {
+    if (body.enabled !== undefined && typeof body.enabled !== 'boolean') {
+      return { error: 'enabled must be a boolean' };
+    }
+    schedule.enabled = body.enabled !== false;
+  }
+  return { schedule };
+}
+
+function validatePolicy(body) {
+  const policy = {};
+  if (body.timeZone !== undefined) {
+    const { timeZone, error } = parseTimeZone(body.timeZone);
+    if (error) return { error };
+    policy.timeZone = timeZone;
+  }
+  if (body.blackouts !== undefined) {
+    if (!Array.isArray(body.blackouts) || body.blackouts.length > MAX_BLACKOUTS) {
+      return { error: `blackouts must be an array of at most ${MAX_BLACKOUTS} windows` };
+    }
+    policy.blackouts = [];
+    for (const [index, window] of body.blackouts.entries()) {
+      const start = window ? parseClockTime(window.start) : null;
+      const end = window ? parseClockTime(window.end) : null;
+      if (start === null || end === null || start === end) {
+        return { error: `blackouts[${index}] needs different start and end times as HH:MM` };
+      }
+      const blackout = { start: window.start, end: window.end };
+      if (window.days !== undefined && window.days !== null) {
+        if (!Array.isArray(window.days) || !window.days.length
+          || !window.days.every((day) => Number.isInteger(day) && day >= 0 && day <= 6)) {
+          return { error: `blackouts[${index}].days must list weekdays from 0 (Sunday) to 6` };
+        }
+        blackout.days = [...new Set(window.days)].sort((a, b) => a - b);
+      }
+      policy.blackouts.push(blackout);
+    }
+  }
+  if (body.maxOpenMinutesPerDay !== undefined) {
+    const max = body.maxOpenMinutesPerDay === null ? null : Number(body.maxOpenMinutesPerDay);
+    if (max !== null && (!Number.isFinite(max) || max <= 0 || max > 24 * 60)) {
+      return { error: 'maxOpenMinutesPerDay must be null or between 0 and 1440' };
+    }
+    policy.maxOpenMinutesPerDay = max;
+  }
+  return { policy };
+}
+
+// applyServoCommand and getServoControl are the app's valve control; valveOpenMinutes(deviceId,
+// start, end) is the valve time measured from the device's reports; publishEvent(run) announces
+// each triggered action (the run is also stored in schedule_runs).
+function createIrrigationScheduler({
+  storage,
+  applyServoCommand,
+  getServoControl,
+  valveOpenMinutes,
+  publishEvent = () => {},
+  defaultTimeZone = 'UTC',
+  log = console,
+}) {
+  const schedules = new Map(); // scheduleId -> { schedule, cron, nextRunAt }
+  const policies = new Map(); // deviceId -> stored policy
+  const clocks = new Map();
+  let timer = null;
+  let ticking = false;
+
+  function policyFor(deviceId) {
+    return policies.get(deviceId) || defaultPolicy(deviceId, defaultTimeZone);
+  }
+
+  function clockFor(deviceId) {
+    const { timeZone } = policyFor(deviceId);
+    if (!clocks.has(timeZone)) clocks.set(timeZone, createClock(timeZone));
+    return clocks.get(timeZone);
+  }
+
+  function planNext(entry, after) {
+    const [next] = cronOccurrences(entry.cron, clockFor(entry.schedule.deviceId), { after });
+    entry.nextRunAt = next || null;
+  }
+
+  function track(schedule, now = Date.now()) {
+    const entry = { schedule, cron: parseCron(schedule.cron).cron, nextRunAt: null };
+    planNext(entry, now);
+    schedules.set(schedule.scheduleId, entry);
+    return entry;
+  }
+
+  function present(entry) {
+    return { ...entry.schedule, nextRunAt: entry.schedule.enabled ? entry.nextRunAt : null };
+  }
+
+  // Valve time used since local midnight, by any means; a run cut short only counts what it used
+  async function usedMinutes(deviceId, at) {
+    const clock = clockFor(deviceId);
+    const wall = clock.wallMs(new Date(at));
+    const dayStart = clock.toInstant(wall - (wall % DAY_MS));
+    return valveOpenMinutes(deviceId, dayStart, new Date(at));
+  }
+
+  async function record(run) {
+    await storage.collection('schedule_runs').insertOne(run);
+    log.info('Schedule run', {
+      deviceId: run.deviceId,
+      scheduleId: run.scheduleId,
+      action: run.action,
+      outcome: run.outcome,
+      durationMinutes: run.durationMinutes,
+      reason: run.reason,
+    });
+    publishEvent(run);
+    return run;
+  }
+
+  async function runSchedule(entry, scheduledFor, now) {
+    const { schedule } = entry;
+    const run = {
+      runId: randomUUID(),
+      action: 'water',
+      scheduleId: schedule.scheduleId,
+      scheduleName: schedule.name,
+      deviceId: schedule.deviceId,
+      scheduledFor,
+      triggeredAt: new Date(now),
+      requestedMinutes: schedule.durationMinutes,
+      durationMinutes: 0,
+      outcome: 'skipped',
+      reason: '',
+    };
+    if (now - scheduledFor.getTime() > MISFIRE_GRACE_MS) {
+      return record({ ...run, outcome: 'missed', reason: 'Scheduler was not running at the scheduled time' });
+    }
+    const control = getServoControl(schedule.deviceId);
+    if (control.mode === 'manual' && control.requestedBy !== SCHEDULER) {
+      return record({ ...run, reason: `Manual override by ${control.requestedBy || 'an operator'} is active` });
+    }
+    const plan = planRun(policyFor(schedule.deviceId), clockFor(schedule.deviceId), {
+      at: now,
+      minutes: schedule.durationMinutes,
+      usedMinutes: await usedMinutes(schedule.deviceId, now),
+    });
+    if (plan.status === 'blocked') {
+      return record({ ...run, reason: plan.reason });
+    }
+    const command = await applyServoCommand({
+      deviceId: schedule.deviceId,
+      mode: 'manual',
+      angle: schedule.angle,
+      durationMinutes: plan.minutes,
+      requestedBy: SCHEDULER,
+      reason: `Schedule "${schedule.name}"`,
+    });
+    return record({
+      ...run,
+      outcome: plan.status === 'shortened' ? 'shortened' : 'started',
+      durationMinutes: plan.minutes,
+      reason: plan.reason,
+      published: command.published,
+    });
+  }
+
+  // Holds the valve closed for the rest of an active window unless an operator has taken over
+  async function enforceBlackout(policy, now) {
+    const blackout = activeBlackout(policy, clockFor(policy.deviceId), now);
+    if (!blackout) return;
+    const control = getServoControl(policy.deviceId);
+    const holding = control.mode === 'manual' && control.requestedBy === SCHEDULER && control.angle === 0;
+    if (holding || (control.mode === 'manual' && control.requestedBy !== SCHEDULER)) return;
+    const reason = `Blackout window ${describeWindow(blackout.window)}`;
+    const minutes = (blackout.end.getTime() - now) / MINUTE_MS;
+    const command = await applyServoCommand({
+      deviceId: policy.deviceId,
+      mode: 'manual',
+      angle: 0,
+      durationMinutes: minutes,
+      requestedBy: SCHEDULER,
+      reason,
+    });
+    await record({
+      runId: randomUUID(),
+      action: 'blackout',
+      deviceId: policy.deviceId,
+      scheduledFor: blackout.start,
+      triggeredAt: new Date(now),
+      durationMinutes: roundMinutes(minutes),
+      outcome: 'started',
+      reason,
+      published: command.published,
+    });
+  }
+
+  // One device's failure is logged and does not hold up the other policies and schedules
+  async function tick(now = Date.now()) {
+    if (ticking) return;
+    ticking = true;
+    try {
+      for (const policy of policies.values()) {
+        try {
+          await enforceBlackout(policy, now);
+        } catch (error) {
+          log.error('Error enforcing blackout window', { deviceId: policy.deviceId, err: error });
+        }
+      }
+      for (const entry of schedules.values()) {
+        if (!entry.schedule.enabled || !entry.nextRunAt || entry.nextRunAt.getTime() > now) continue;
+        const scheduledFor = entry.nextRunAt;
+        planNext(entry, now);
+        try {
+          await runSchedule(entry, scheduledFor, now);
+        } catch (error) {
+          log.error('Error running schedule', {
+            deviceId: entry.schedule.deviceId,
+            scheduleId: entry.schedule.scheduleId,
+            err: error,
+          });
+        }
+      }
+    } finally {
+      ticking = false;
+    }
+  }
+
+  return {
+    async load() {
+      for (const policy of await storage.collection('irrigation_policies').find({})) {
+        policies.set(policy.deviceId, policy);
+      }
+      for (const schedule of await storage.collection('schedules').find({})) {
+        track(schedule);
+      }
+    },
+
+    start() {
+      if (timer) return;
+      timer = setInterval(() => tick(), TICK_MS);
+      timer.unref();
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+
+    tick,
+
+    listSchedules(deviceId) {
+      return [...schedules.values()]
+        .filter((entry) => !deviceId || entry.schedule.deviceId === deviceId)
+        .map(present)
+        .sort((a, b) => a.deviceId.localeCompare(b.deviceId) || a.name.localeCompare(b.name));
+    },
+
+    getSchedule(scheduleId) {
+      const entry = schedules.get(scheduleId);
+      return entry ? present(entry) : null;
+    },
+
+    // fields come from validateSchedule; pass scheduleId to update an existing schedule
+    async saveSchedule(fields, { scheduleId = null, updatedBy } = {}) {
+      const existing = scheduleId ? schedules.get(scheduleId) : null;
+      const now = new Date();
+      const schedule = {
+        ...(existing ? existing.schedule : { scheduleId: randomUUID(), createdAt: now, createdBy: updatedBy }),
+        ...fields,
+        updatedAt: now,
+        updatedBy,
+      };
+      if (!schedule.name) schedule.name = schedule.cron;
+      await storage.collection('schedules').replaceOne({ scheduleId: schedule.scheduleId }, schedule, { upsert: true });
+      return present(track(schedule));
+    },
+
+    async deleteSchedule(scheduleId) {
+      schedules.delete(scheduleId);
+      return storage.collection('schedules').deleteOne({ scheduleId });
+    },
+
+    getPolicy: policyFor,
+
+    // fields come from validatePolicy; missing fields keep their current values
+    async savePolicy(deviceId, fields, updatedBy) {
+      const policy = { ...policyFor(deviceId), ...fields, deviceId, updatedAt: new Date(), updatedBy };
+      await storage.collection('irrigation_policies').replaceOne({ deviceId }, policy, { upsert: true });
+      policies.set(deviceId, policy);
+      // A new time zone moves every run of the device
+      for (const entry of schedules.values()) {
+        if (entry.schedule.deviceId === deviceId) planNext(entry, Date.now());
+      }
+      return policy;
+    },
+
+    // Runs and blackout windows in the next `hours`, each run checked against the policy as it
+    // stands now. Runs are listed even when blocked so the reason is visible.
+    async upcoming({ deviceId = null, hours = 24, now = Date.now() } = {}) {
+      const until = now + hours * 60 * MINUTE_MS;
+      const deviceIds = deviceId
+        ? [deviceId]
+        : [...new Set([...policies.keys(), ...[...schedules.values()].map((entry) => entry.schedule.deviceId)])];
+      const events = [];
+      for (const id of deviceIds) {
+        const policy = policyFor(id);
+        const clock = clockFor(id);
+        for (const { window, start, end } of blackoutWindows(policy, clock, now, until)) {
+          events.push({ type: 'blackout', deviceId: id, at: start, end, window: describeWindow(window) });
+        }
+        const runs = [];
+        for (const entry of schedules.values()) {
+          if (entry.schedule.deviceId !== id || !entry.schedule.enabled) continue;
+          for (const at of cronOccurrences(entry.cron, clock, { after: now, until, limit: 500 })) {
+            runs.push({ schedule: entry.schedule, at });
+          }
+        }
+        runs.sort((a, b) => a.at - b.at);
+        // Valve time per local day, so later runs see the limit used up by earlier ones
+        const used = new Map();
+        const todayWall = clock.wallMs(new Date(now));
+        used.set(todayWall - (todayWall % DAY_MS), await usedMinutes(id, now));
+        for (const { schedule, at } of runs) {
+          const wall = clock.wallMs(at);
+          const day = wall - (wall % DAY_MS);
+          const plan = planRun(policy, clock, { at: at.getTime(), minutes: schedule.durationMinutes, usedMinutes: used.get(day) || 0 });
+          used.set(day, (used.get(day) || 0) + plan.minutes);
+          events.push({
+            type: 'watering',
+            deviceId: id,
+            at,
+            scheduleId: schedule.scheduleId,
+            name: schedule.name,
+            angle: schedule.angle,
+            requestedMinutes: schedule.durationMinutes,
+            durationMinutes: plan.minutes,
+            status: plan.status,
+            reason: plan.reason,
+          });
+        }
+      }
+      return events.sort((a, b) => a.at - b.at);
+    },
+
+    listRuns({ deviceId, scheduleId, limit }) {
+      const query = {};
+      if (deviceId) query.deviceId = deviceId;
+      if (scheduleId) query.scheduleId = scheduleId;
+      return storage.collection('schedule_runs').find(query, { sort: { triggeredAt: -1 }, limit });
+    },
+  };
+}
+
+module.exports = {
+  MAX_UPCOMING_HOURS,
+  SCHEDULER,
+  blackoutWindows,
+  createIrrigationScheduler,
+  cronOccurrences,
+  parseCron,
+  planRun,
+  validatePolicy,
+  validateSchedule,
+};
@@ -0,0 +1,69 @@
+// Structured logging. Each entry is one JSON object per line ({ time, level, msg, ...fields }),
+// so log shippers can index the fields; LOG_FORMAT=text prints the same entries readably for
+// local development. Errors passed as fields are expanded to { name, message, code, stack }.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const FORMATS = ['json', 'text'];
+
+function serializeError(error) {
+  const serialized = { name: error.name, message: error.message };
+  if (error.code !== undefined) serialized.code = error.code;
+  if (error.stack) serialized.stack = error.stack;
+  return serialized;
+}
+
+function serializeFields(fields) {
+  const result = {};
+  for (const [key, value] of Object.entries(fields)) {
+    if (value === undefined) continue;
+    result[key] = value instanceof Error ? serializeError(value) : value;
+  }
+  return result;
+}
+
+function formatText(entry) {
+  const { time, level, msg, ...fields } = entry;
+  const rest = Object.entries(fields).map(([key, value]) => {
+    if (value && typeof value === 'object') {
+      return `${key}=${JSON.stringify(key === 'err' ? value.stack || value.message : value)}`;
+    }
+    return `${key}=${value}`;
+  });
+  return [time, level.toUpperCase().padEnd(5), msg, ...rest].join(' ');
+}
+
+// write(line, level) defaults to stdout, with warn and error on stderr
+function createLogger({ level = 'info', format = 'json', fields = {}, write = null } = {}) {
+  const threshold = LEVELS[level];
+  const output = write || ((line, entryLevel) => {
+    (LEVELS[entryLevel] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+  });
+
+  function emit(entryLevel, msg, extra) {
+    if (LEVELS[entryLevel] < threshold) return;
+    const entry = { time: new Date().toISOString(), level: entryLevel, msg, ...serializeFields({ ...fields, ...extra }) };
+    let line;
+    try {
+      line = format === 'text' ? formatText(entry) : JSON.stringify(entry);
+    } catch (error) {
+      // Circular or otherwise unserializable fields must not lose the message
+      line = JSON.stringify({ time: entry.time, level: entryLevel, msg, logError: error.message });
+    }
+    output(line, entryLevel);
+  }
+
+  return {
+    debug: (msg, extra = {}) => emit('debug', msg, extra),
+    info: (msg, extra = {}) => emit('info', msg, extra),
+    warn: (msg, extra = {}) => emit('warn', msg, extra),
+    error: (msg, extra = {}) => emit('error', msg, extra),
+    // A logger that adds `extra` to every entry, e.g. { component: 'retention' }
+    child: (extra) => createLogger({ level, format, fields: { ...fields, ...extra }, write: output }),
+  };
+}
+
+module.exports = {
+  FORMATS,
+  LEVELS,
+  createLogger,
+};
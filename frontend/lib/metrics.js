@@ -0,0 +1,132 @@
+// Minimal Prometheus metrics registry (text exposition format 0.0.4): counters, gauges and
+// histograms with labels. Gauges can read their value at scrape time through collect().
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+// Seconds; suits both request handling and database writes
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (!entries.length) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+function createRegistry({ prefix = '' } = {}) {
+  const metrics = [];
+
+  // One series per distinct label set; labels not in labelNames are rejected so typos do not
+  // silently create new series
+  function seriesStore(name, labelNames) {
+    const series = new Map();
+    return {
+      get(labels = {}, create) {
+        for (const label of Object.keys(labels)) {
+          if (!labelNames.includes(label)) throw new Error(`Unknown label ${label} for metric ${name}`);
+        }
+        const ordered = {};
+        for (const label of labelNames) {
+          if (labels[label] !== undefined) ordered[label] = labels[label];
+        }
+        const key = JSON.stringify(ordered);
+        if (!series.has(key)) series.set(key, { labels: ordered, ...create() });
+        return series.get(key);
+      },
+      values: () => [...series.values()],
+      clear: () => series.clear(),
+    };
+  }
+
+  function register(metric) {
+    metrics.push(metric);
+    return metric;
+  }
+
+  function counter(name, help, labelNames = []) {
+    const fullName = prefix + name;
+    const store = seriesStore(fullName, labelNames);
+    return register({
+      inc(labels = {}, amount = 1) {
+        store.get(labels, () => ({ value: 0 })).value += amount;
+      },
+      render() {
+        const lines = [`# HELP ${fullName} ${help}`, `# TYPE ${fullName} counter`];
+        for (const { labels, value } of store.values()) lines.push(`${fullName}${formatLabels(labels)} ${formatValue(value)}`);
+        return lines;
+      },
+    });
+  }
+
+  // collect() (optional) returns the current [{ labels, value }] at scrape time
+  function gauge(name, help, labelNames = [], collect = null) {
+    const fullName = prefix + name;
+    const store = seriesStore(fullName, labelNames);
+    return register({
+      set(labels, value) {
+        store.get(labels, () => ({ value: 0 })).value = value;
+      },
+      render() {
+        if (collect) {
+          store.clear();
+          for (const { labels = {}, value } of collect()) store.get(labels, () => ({ value }));
+        }
+        const lines = [`# HELP ${fullName} ${help}`, `# TYPE ${fullName} gauge`];
+        for (const { labels, value } of store.values()) lines.push(`${fullName}${formatLabels(labels)} ${formatValue(value)}`);
+        return lines;
+      },
+    });
+  }
+
+  function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    const fullName = prefix + name;
+    const store = seriesStore(fullName, labelNames);
+    function observe(labels, value) {
+      const entry = store.get(labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+      buckets.forEach((bound, i) => {
+        if (value <= bound) entry.counts[i] += 1;
+      });
+      entry.sum += value;
+      entry.count += 1;
+    }
+    return register({
+      observe,
+      // Returns a function that observes the seconds elapsed since the call
+      startTimer(labels = {}) {
+        const started = process.hrtime.bigint();
+        return (extraLabels = {}) => observe({ ...labels, ...extraLabels }, Number(process.hrtime.bigint() - started) / 1e9);
+      },
+      render() {
+        const lines = [`# HELP ${fullName} ${help}`, `# TYPE ${fullName} histogram`];
+        for (const { labels, counts, sum, count } of store.values()) {
+          buckets.forEach((bound, i) => {
+            lines.push(`${fullName}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[i]}`);
+          });
+          lines.push(`${fullName}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+          lines.push(`${fullName}_sum${formatLabels(labels)} ${sum}`);
+          lines.push(`${fullName}_count${formatLabels(labels)} ${count}`);
+        }
+        return lines;
+      },
+    });
+  }
+
+  function render() {
+    return `${metrics.flatMap((metric) => metric.render()).join('\n')}\n`;
+  }
+
+  return { counter, gauge, histogram, render };
+}
+
+module.exports = {
+  CONTENT_TYPE,
+  createRegistry,
+};
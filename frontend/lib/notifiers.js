@@ -0,0 +1,86 @@
+// Alert notification channels. Each notifier is an async function taking an alert event;
+// only channels with configuration present are enabled, so local stand-ins
+// (a request bin, a dev SMTP server, a local broker) can be swapped in via the alerts config.
+const nodemailer = require('nodemailer');
+
+function formatSubject({ type, alert }) {
+  const label = type === 'test' ? 'TEST' : type.toUpperCase();
+  return `[${label}] ${alert.severity || 'info'}: ${alert.ruleName} on ${alert.deviceId}`;
+}
+
+function formatBody({ type, alert }) {
+  const lines = [
+    `${alert.ruleName} is ${type} for device ${alert.deviceId}.`,
+    `Metric: ${alert.metric} ${alert.comparator} ${alert.threshold}`,
+    `Value: ${alert.lastValue ?? alert.value}`,
+  ];
+  if (alert.openedAt) lines.push(`Opened: ${new Date(alert.openedAt).toISOString()}`);
+  if (alert.resolvedAt) lines.push(`Resolved: ${new Date(alert.resolvedAt).toISOString()}`);
+  if (alert.acknowledgedBy) lines.push(`Acknowledged by: ${alert.acknowledgedBy}`);
+  return lines.join('\n');
+}
+
+function createWebhookNotifier(url) {
+  return async (event) => {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ type: event.type, subject: formatSubject(event), alert: event.alert }),
+      signal: AbortSignal.timeout(5000),
+    });
+    if (!response.ok) {
+      throw new Error(`Webhook responded with ${response.status}`);
+    }
+  };
+}
+
+function createSmtpNotifier({ smtp, emailFrom, emailTo }) {
+  const transport = nodemailer.createTransport({
+    host: smtp.host,
+    port: smtp.port,
+    secure: smtp.secure,
+    auth: smtp.user ? { user: smtp.user, pass: smtp.pass } : undefined,
+  });
+  return async (event) => {
+    await transport.sendMail({
+      from: emailFrom,
+      to: emailTo,
+      subject: formatSubject(event),
+      text: formatBody(event),
+    });
+  };
+}
+
+// publish(topic, payload) is supplied by createApp (app.js) so alerts reuse the ingestion MQTT connection
+function createMqttNotifier(topicPrefix, publish) {
+  return async (event) => {
+    const delivered = await publish(
+      `${topicPrefix}/${event.alert.deviceId}`,
+      JSON.stringify({ type: event.type, subject: formatSubject(event), alert: event.alert }),
+    );
+    if (!delivered) {
+      throw new Error('MQTT client not connected');
+    }
+  };
+}
+
+// config is the alerts section of lib/config.js
+function createNotifiers({ config, publishMqtt }) {
+  const notifiers = {};
+  if (config.webhookUrl) {
+    notifiers.webhook = createWebhookNotifier(config.webhookUrl);
+  }
+  if (config.smtp.host && config.emailTo) {
+    notifiers.smtp = createSmtpNotifier(config);
+  }
+  if (publishMqtt && config.mqttTopic) {
+    notifiers.mqtt = createMqttNotifier(config.mqttTopic, publishMqtt);
+  }
+  return notifiers;
+}
+
+module.exports = {
+  createNotifiers,
+  formatBody,
+  formatSubject,
+};
@@ -0,0 +1,151 @@
+// Tracks whether each device is alive from the messages it sends.
+// A device is online while it keeps sending anything (any topic or HTTP post), goes offline
+// on an explicit disconnect status (including the firmware's MQTT last-will) or after a period
+// of silence, and every return from offline counts as a reconnect.
+
+const ONLINE_WORDS = ['online', 'connected', 'up'];
+const OFFLINE_WORDS = ['offline', 'disconnected', 'down', 'lost'];
+
+// Maps a status payload ({ status } or { message }) to 'online', 'offline' or null if unclear
+function parseStatus(payload) {
+  const status = typeof payload.status === 'string' ? payload.status.trim().toLowerCase() : '';
+  if (ONLINE_WORDS.includes(status)) return 'online';
+  if (OFFLINE_WORDS.includes(status)) return 'offline';
+  const message = typeof payload.message === 'string' ? payload.message.toLowerCase() : '';
+  if (/\b(disconnect(ed)?|offline|lost)\b/.test(message)) return 'offline';
+  if (/\b(connected|online)\b/.test(message)) return 'online';
+  return null;
+}
+
+function createPresenceTracker({ offlineAfterMs, onChange = () => {} }) {
+  const devices = new Map();
+
+  function record(deviceId) {
+    if (!devices.has(deviceId)) {
+      devices.set(deviceId, {
+        deviceId,
+        state: 'unknown',
+        stateReason: null,
+        stateChangedAt: null,
+        lastSeenAt: null,
+        lastSeenVia: null,
+        connectedSince: null,
+        reconnectCount: 0,
+        lastStatus: null,
+        lastStatusAt: null,
+      });
+    }
+    return devices.get(deviceId);
+  }
+
+  function transition(entry, state, reason, at) {
+    const previous = entry.state;
+    if (state === 'online') {
+      // Coming back from a known offline state (or a fresh connect while we still thought it
+      // was online, i.e. a quick reboot) is a reconnect; the very first sighting is not.
+      if (previous === 'offline' || (previous === 'online' && reason === 'connect')) {
+        entry.reconnectCount += 1;
+      }
+      // connectedSince survives a server restart (state 'unknown') unless the device reconnected
+      if (reason === 'connect' || !entry.connectedSince) {
+        entry.connectedSince = at;
+      }
+    } else {
+      entry.connectedSince = null;
+    }
+    entry.state = state;
+    entry.stateReason = reason;
+    entry.stateChangedAt = at;
+    if (previous !== state || reason === 'connect') {
+      onChange({ ...entry }, previous);
+    }
+  }
+
+  // Any message from the device proves it is alive
+  function seen(deviceId, { via, at = new Date() }) {
+    const entry = record(deviceId);
+    entry.lastSeenAt = at;
+    entry.lastSeenVia = via;
+    if (entry.state !== 'online') {
+      transition(entry, 'online', 'message', at);
+    }
+    return entry;
+  }
+
+  // Retained messages are replayed by the broker on subscribe, so they only fill in unknown state
+  function statusMessage(deviceId, payload, { at = new Date(), retained = false } = {}) {
+    const entry = record(deviceId);
+    const status = parseStatus(payload);
+    entry.lastStatus = payload.status || payload.message || null;
+    entry.lastStatusAt = at;
+    if (!status || (retained && entry.state !== 'unknown')) {
+      return entry;
+    }
+    if (retained) {
+      entry.state = status;
+      entry.stateReason = 'retained';
+      return entry;
+    }
+    if (status === 'online') {
+      entry.lastSeenAt = at;
+      entry.lastSeenVia = 'status';
+      transition(entry, 'online', 'connect', at);
+    } else if (entry.state !== 'offline') {
+      transition(entry, 'offline', 'disconnect', at);
+    }
+    return entry;
+  }
+
+  // Called periodically; marks silent devices offline
+  function checkTimeouts(now = new Date()) {
+    for (const entry of devices.values()) {
+      if (entry.state === 'online' && entry.lastSeenAt && now - entry.lastSeenAt > offlineAfterMs) {
+        transition(entry, 'offline', 'timeout', now);
+      }
+    }
+  }
+
+  function get(deviceId) {
+    return devices.get(deviceId) || null;
+  }
+
+  // Reload persisted records after a restart. Devices that were online become 'unknown' until
+  // they are heard from again, so the server's own downtime is not counted as a reconnect.
+  function restore(records) {
+    for (const saved of records) {
+      const entry = record(saved.deviceId);
+      Object.assign(entry, {
+        state: saved.state === 'offline' ? 'offline' : 'unknown',
+        stateReason: saved.stateReason || null,
+        stateChangedAt: saved.stateChangedAt ? new Date(saved.stateChangedAt) : null,
+        lastSeenAt: saved.lastSeenAt ? new Date(saved.lastSeenAt) : null,
+        lastSeenVia: saved.lastSeenVia || null,
+        connectedSince: saved.connectedSince ? new Date(saved.connectedSince) : null,
+        reconnectCount: saved.reconnectCount || 0,
+        lastStatus: saved.lastStatus || null,
+        lastStatusAt: saved.lastStatusAt ? new Date(saved.lastStatusAt) : null,
+      });
+    }
+  }
+
+  // Number of tracked devices per state, for metrics
+  function counts() {
+    const result = { online: 0, offline: 0, unknown: 0 };
+    for (const entry of devices.values()) result[entry.state] += 1;
+    return result;
+  }
+
+  return {
+    checkTimeouts,
+    counts,
+    get,
+    restore,
+    seen,
+    statusMessage,
+  };
+}
+
+module.exports = {
+  createPresenceTracker,
+  parseStatus,
+};
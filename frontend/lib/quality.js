@@ -0,0 +1,71 @@
+// Plausibility checks for sensor readings. Suspicious readings are stored with flags
+// (quality.flags) instead of being rejected, so faults stay visible in the history.
+
+const PLAUSIBLE_RANGES = {
+  ph: [0, 14],
+  soil: [0, 100],
+  temperature: [-40, 80], // DHT22 operating range
+  humidity: [0, 100],
+};
+const STUCK_REPEAT_COUNT = 30; // identical consecutive values (~2.5 min at 5 s) before flagging
+
+function createQualityChecker({ stuckRepeatCount = STUCK_REPEAT_COUNT } = {}) {
+  // `${deviceId}:${field}` -> { value, repeats }
+  const history = new Map();
+
+  function trackRepeat(deviceId, field, value) {
+    const key = `${deviceId}:${field}`;
+    const previous = history.get(key);
+    const repeats = previous && previous.value === value ? previous.repeats + 1 : 1;
+    history.set(key, { value, repeats });
+    return repeats;
+  }
+
+  // Returns { ok, flags } where each flag is `${field}_${problem}`. Fields listed in calibrating
+  // have the probe in a reference (see calibration.js) and are only flagged as such.
+  function assess(deviceId, reading, { calibrating = [] } = {}) {
+    const flags = [];
+    for (const [field, [min, max]] of Object.entries(PLAUSIBLE_RANGES)) {
+      const value = reading[field];
+      if (value === undefined) continue;
+      if (calibrating.includes(field)) {
+        flags.push(`${field}_calibrating`);
+        history.delete(`${deviceId}:${field}`);
+        continue;
+      }
+      if (value === null || typeof value !== 'number' || !Number.isFinite(value)) {
+        flags.push(`${field}_missing`);
+        history.delete(`${deviceId}:${field}`);
+        continue;
+      }
+      if (value < min || value > max) {
+        flags.push(`${field}_out_of_range`);
+      }
+      if (trackRepeat(deviceId, field, value) >= stuckRepeatCount) {
+        flags.push(`${field}_stuck`);
+      }
+    }
+    return { ok: flags.length === 0, flags };
+  }
+
+  return { assess };
+}
+
+// Copy of the reading without fields that are missing, out of range or being calibrated, for use
+// by the fuzzy controller and alert rules so a faulty probe cannot drive the valve.
+function usableReading(reading) {
+  const flags = (reading.quality && reading.quality.flags) || [];
+  const usable = { ...reading };
+  for (const field of Object.keys(PLAUSIBLE_RANGES)) {
+    if (['missing', 'out_of_range', 'calibrating'].some((problem) => flags.includes(`${field}_${problem}`))) {
+      delete usable[field];
+    }
+  }
+  return usable;
+}
+
+module.exports = {
+  PLAUSIBLE_RANGES,
+  createQualityChecker,
+  usableReading,
+};
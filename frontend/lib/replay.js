@@ -0,0 +1,163 @@
+// Replays an exported readings CSV (GET /api/sensors/export?format=csv) through ingestion, for
+// demos and regression tests. Readings go out in measured order over a simulator transport
+// (lib/simulator.js), so they take the same path as a board's. The original spacing is divided
+// by `speed` (0 sends as fast as the server takes them) and long gaps are shortened to maxGapMs.
+// By default the server stamps each reading with the time it arrives, as for a live board;
+// keepTimes sends the original measured_at instead, e.g. to rebuild a database from an export.
+const { SENSOR_METRICS } = require('./simulator');
+
+const DEFAULT_DEVICE_ID = 'unifi';
+
+// RFC 4180: quoted fields may contain commas, quotes ("") and line breaks; returns rows of strings
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((cells) => cells.some((cell) => cell !== ''));
+}
+
+function parseNumber(text) {
+  if (text === undefined || text.trim() === '') return null;
+  const value = Number(text);
+  return Number.isFinite(value) ? value : undefined;
+}
+
+// Returns { readings: [{ deviceId, measuredAt, values }], skipped: [{ line, error }] } sorted by
+// measuredAt, or { error } when the file is not a readings export. deviceId replaces the
+// file's deviceId column.
+function readingsFromCsv(text, { deviceId = null } = {}) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) {
+    return { error: 'The file is empty' };
+  }
+  const column = Object.fromEntries(header.map((name, index) => [name.trim(), index]));
+  if (column.measuredAt === undefined) {
+    return { error: 'The file has no measuredAt column; replay needs a readings export' };
+  }
+  if (column.ph === undefined || column.soil === undefined) {
+    return { error: 'The file needs ph and soil columns' };
+  }
+
+  const readings = [];
+  const skipped = [];
+  rows.forEach((cells, index) => {
+    // Line numbers count the header; quoted line breaks are rare enough in exports to ignore
+    const line = index + 2;
+    const measuredAt = new Date(cells[column.measuredAt]);
+    if (Number.isNaN(measuredAt.getTime())) {
+      skipped.push({ line, error: 'measuredAt is not a valid date' });
+      return;
+    }
+    const values = {};
+    for (const metric of SENSOR_METRICS) {
+      if (column[metric] === undefined) continue;
+      const value = parseNumber(cells[column[metric]]);
+      if (value === undefined) {
+        skipped.push({ line, error: `${metric} is not a number` });
+        return;
+      }
+      values[metric] = value;
+    }
+    if (column.servo_position !== undefined) {
+      const position = parseNumber(cells[column.servo_position]);
+      if (Number.isInteger(position)) values.servo_position = position;
+    }
+    const fromFile = column.deviceId === undefined ? '' : cells[column.deviceId].trim();
+    readings.push({ deviceId: deviceId || fromFile || DEFAULT_DEVICE_ID, measuredAt, values });
+  });
+  readings.sort((a, b) => a.measuredAt - b.measuredAt);
+  return { readings, skipped };
+}
+
+function createReplay({ readings, transport, speed = 1, keepTimes = false, maxGapMs = 60_000, log = console }) {
+  let stopped = false;
+  let wake = null;
+
+  function pause(ms) {
+    if (ms <= 0 || stopped) return Promise.resolve();
+    return new Promise((resolve) => {
+      const timer = setTimeout(resolve, ms);
+      wake = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+    });
+  }
+
+  // Resolves with { sent, failed } once every reading was sent or stop() was called
+  async function run() {
+    const deviceIds = [...new Set(readings.map((reading) => reading.deviceId))];
+    // Replayed devices do not act on servo commands
+    await transport.connect(deviceIds, () => {});
+    log.info('Replay started', { readings: readings.length, devices: deviceIds, speed, keepTimes });
+    let sent = 0;
+    let failed = 0;
+    try {
+      for (let i = 0; i < readings.length && !stopped; i += 1) {
+        const reading = readings[i];
+        if (i > 0 && speed > 0) {
+          await pause(Math.min(reading.measuredAt - readings[i - 1].measuredAt, maxGapMs) / speed);
+          if (stopped) break;
+        }
+        const payload = { ...reading.values, device_id: reading.deviceId };
+        if (keepTimes) payload.measured_at = reading.measuredAt.toISOString();
+        try {
+          await transport.sendReading(reading.deviceId, payload);
+          sent += 1;
+        } catch (error) {
+          failed += 1;
+          log.error('Failed to replay reading', { deviceId: reading.deviceId, measuredAt: reading.measuredAt, err: error });
+        }
+      }
+    } finally {
+      await transport.close();
+    }
+    log.info('Replay finished', { sent, failed, stopped });
+    return { sent, failed };
+  }
+
+  function stop() {
+    stopped = true;
+    if (wake) wake();
+  }
+
+  return { run, stop };
+}
+
+module.exports = {
+  createReplay,
+  parseCsv,
+  readingsFromCsv,
+};
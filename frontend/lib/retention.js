@@ -0,0 +1,339 @@
+// Keeps the raw collections from growing without bound. Three jobs run in this order on a timer
+// and can be triggered from the admin API:
+//   rollup  - hourly and daily min/max/avg summaries of sensor readings, kept forever
+//   archive - raw documents that are about to expire are written to gzipped JSON Lines files,
+//             one per collection and UTC day, in the file store's format
+//   prune   - raw documents older than their collection's retention are deleted
+// Progress is kept as watermarks in the retention_state collection. Prune never deletes past a
+// watermark, so nothing is removed before it has been rolled up and (if enabled) archived.
+// This is also why expiry is a job and not a TTL index: the database would delete on its own clock.
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { pipeline } = require('stream/promises');
+const { Readable } = require('stream');
+const { AGGREGATE_FIELDS } = require('./aggregate');
+const { serialize } = require('./storage/file');
+
+const HOUR_MS = 60 * 60_000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Raw collections and the date each document is aged by
+const RAW_COLLECTIONS = {
+  sensors: 'measuredAt',
+  servo: 'receivedAt',
+  status: 'receivedAt',
+};
+
+const ROLLUPS = {
+  hourly: { collection: 'sensors_hourly', bucketMs: HOUR_MS },
+  daily: { collection: 'sensors_daily', bucketMs: DAY_MS },
+};
+
+const JOBS = ['rollup', 'archive', 'prune'];
+
+// Devices upload buffered readings late (see /api/sensors/batch), so recent buckets are recomputed;
+// batches reaching further back than this move the watermark with invalidateRollups
+const ROLLUP_LOOKBACK_MS = 6 * HOUR_MS;
+// Bounds the work (and memory for the in-process stores) of one aggregation call
+const ROLLUP_CHUNK_BUCKETS = 24 * 7;
+
+function floorTo(ms, bucketMs) {
+  return ms - (ms % bucketMs);
+}
+
+function dayName(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+// config: { retentionDays: { sensors, servo, status } (0 keeps forever), archiveDirectory (null
+// disables archiving), intervalMs }. listDeviceIds() returns every device with stored readings,
+// including ones removed from the registry, since prune deletes them all; deviceMatch(id) returns
+// the query selecting that device's readings.
+function createRetention({ storage, config, listDeviceIds, deviceMatch, log = console }) {
+  const jobs = {};
+  for (const name of JOBS) {
+    jobs[name] = { lastRunAt: null, lastDurationMs: null, lastResult: null, lastError: null };
+  }
+  let running = null;
+  let timer = null;
+
+  const state = () => storage.collection('retention_state');
+
+  async function getWatermark(name) {
+    const doc = await state().findOne({ name });
+    return doc ? doc.until : null;
+  }
+
+  async function setWatermark(name, until) {
+    await state().replaceOne({ name }, { name, until, updatedAt: new Date() }, { upsert: true });
+  }
+
+  function retentionCutoff(collection, now) {
+    const days = config.retentionDays[collection];
+    return days > 0 ? new Date(now - days * DAY_MS) : null;
+  }
+
+  async function oldest(collection, query = {}) {
+    const timeField = RAW_COLLECTIONS[collection];
+    const doc = await storage.collection(collection).findOne(
+      { ...query, [timeField]: { $exists: true } },
+      { sort: { [timeField]: 1 } },
+    );
+    return doc ? new Date(doc[timeField]).getTime() : null;
+  }
+
+  async function rollupResolution(name, now) {
+    const { collection, bucketMs } = ROLLUPS[name];
+    const end = floorTo(now, bucketMs); // only complete buckets
+    const watermark = await getWatermark(`rollup:${name}`);
+    let from = watermark
+      ? floorTo(watermark.getTime() - ROLLUP_LOOKBACK_MS, bucketMs)
+      : await oldest('sensors');
+    let until = watermark;
+    if (from === null) return { buckets: 0, until };
+    from = floorTo(from, bucketMs);
+
+    const deviceIds = await listDeviceIds();
+    let buckets = 0;
+    while (from < end) {
+      const to = Math.min(from + ROLLUP_CHUNK_BUCKETS * bucketMs, end);
+      for (const deviceId of deviceIds) {
+        const groups = await storage.collection('sensors').aggregateBuckets({
+          match: { ...deviceMatch(deviceId), measuredAt: { $gte: new Date(from), $lt: new Date(to) } },
+          bucketMs,
+          fields: AGGREGATE_FIELDS,
+          timeField: 'measuredAt',
+        });
+        for (const group of groups) {
+          await storage.collection(collection).replaceOne(
+            { deviceId, bucketStart: group.bucketStart },
+            { deviceId, ...group, updatedAt: new Date() },
+            { upsert: true },
+          );
+        }
+        buckets += groups.length;
+      }
+      until = new Date(to);
+      await setWatermark(`rollup:${name}`, until);
+      from = to;
+    }
+    return { buckets, until };
+  }
+
+  async function rollup(now) {
+    const result = {};
+    for (const name of Object.keys(ROLLUPS)) {
+      result[name] = await rollupResolution(name, now);
+    }
+    return result;
+  }
+
+  // Writes one UTC day of a collection to <archiveDirectory>/<collection>/<day>.jsonl.gz
+  async function archiveDay(collection, dayStart) {
+    const timeField = RAW_COLLECTIONS[collection];
+    const directory = path.join(config.archiveDirectory, collection);
+    await fs.promises.mkdir(directory, { recursive: true });
+    const file = path.join(directory, `${dayName(dayStart)}.jsonl.gz`);
+    const temp = `${file}.tmp`;
+    let documents = 0;
+    const cursor = storage.collection(collection).iterate(
+      { [timeField]: { $gte: new Date(dayStart), $lt: new Date(dayStart + DAY_MS) } },
+      { sort: { [timeField]: 1 } },
+    );
+    async function* lines() {
+      for await (const doc of cursor) {
+        documents += 1;
+        yield `${serialize(doc)}\n`;
+      }
+    }
+    await pipeline(Readable.from(lines()), zlib.createGzip(), fs.createWriteStream(temp));
+    if (documents) {
+      await fs.promises.rename(temp, file);
+    } else {
+      await fs.promises.unlink(temp);
+    }
+    return documents;
+  }
+
+  async function archive(now) {
+    if (!config.archiveDirectory) return { skipped: 'archiving is disabled' };
+    const result = {};
+    for (const collection of Object.keys(RAW_COLLECTIONS)) {
+      const cutoff = retentionCutoff(collection, now);
+      if (!cutoff) continue;
+      // Whole days only, so a day's file is written once and never appended to
+      const end = floorTo(cutoff.getTime(), DAY_MS);
+      const watermark = await getWatermark(`archive:${collection}`);
+      let from = watermark ? watermark.getTime() : await oldest(collection);
+      const summary = { files: 0, documents: 0, until: watermark };
+      if (from !== null) {
+        from = floorTo(from, DAY_MS);
+        for (; from < end; from += DAY_MS) {
+          const documents = await archiveDay(collection, from);
+          if (documents) {
+            summary.files += 1;
+            summary.documents += documents;
+          }
+          await setWatermark(`archive:${collection}`, new Date(from + DAY_MS));
+          summary.until = new Date(from + DAY_MS);
+        }
+      }
+      result[collection] = summary;
+    }
+    return result;
+  }
+
+  // The point up to which a collection may be deleted: its retention, held back by the rollups
+  // (sensors only) and the archive
+  async function pruneLimit(collection, now) {
+    const cutoff = retentionCutoff(collection, now);
+    if (!cutoff) return null;
+    const limits = [cutoff];
+    if (config.archiveDirectory) {
+      limits.push(await getWatermark(`archive:${collection}`) || new Date(0));
+    }
+    if (collection === 'sensors') {
+      for (const name of Object.keys(ROLLUPS)) {
+        limits.push(await getWatermark(`rollup:${name}`) || new Date(0));
+      }
+    }
+    return new Date(Math.min(...limits.map((date) => date.getTime())));
+  }
+
+  async function prune(now) {
+    const result = {};
+    for (const collection of Object.keys(RAW_COLLECTIONS)) {
+      const limit = await pruneLimit(collection, now);
+      if (!limit) continue;
+      const deleted = await storage.collection(collection).deleteMany({ [RAW_COLLECTIONS[collection]]: { $lt: limit } });
+      result[collection] = { deleted, before: limit };
+    }
+    return result;
+  }
+
+  const RUNNERS = { rollup, archive, prune };
+
+  async function runJob(name, now) {
+    const job = jobs[name];
+    const started = Date.now();
+    job.lastRunAt = new Date(started);
+    try {
+      job.lastResult = await RUNNERS[name](now);
+      job.lastError = null;
+      return job.lastResult;
+    } catch (error) {
+      job.lastResult = null;
+      job.lastError = error.message;
+      throw error;
+    } finally {
+      job.lastDurationMs = Date.now() - started;
+    }
+  }
+
+  // name is one of JOBS or 'all'; one run at a time, so returns null when one is in progress
+  function run(name = 'all') {
+    if (running) return null;
+    const names = name === 'all' ? JOBS : [name];
+    const now = Date.now();
+    running = (async () => {
+      const results = {};
+      for (const job of names) {
+        results[job] = await runJob(job, now);
+      }
+      return results;
+    })().finally(() => {
+      running = null;
+    });
+    return running;
+  }
+
+  async function runScheduled() {
+    try {
+      const results = await run();
+      if (results) {
+        log.info('Retention run finished', { results });
+      }
+    } catch (error) {
+      log.error('Retention run failed', { err: error });
+    }
+  }
+
+  // Stored readings from `from` on were changed (e.g. recalibrated or uploaded late): the rollups
+  // are rebuilt from there on the next run. Waits for a run in progress so it cannot move the
+  // watermarks forward again.
+  async function invalidateRollups(from) {
+    if (running) await running.catch(() => {});
+    for (const name of Object.keys(ROLLUPS)) {
+      const watermark = await getWatermark(`rollup:${name}`);
+      const until = new Date(floorTo(from.getTime(), ROLLUPS[name].bucketMs));
+      if (watermark && until < watermark) await setWatermark(`rollup:${name}`, until);
+    }
+  }
+
+  function start() {
+    if (timer || !config.intervalMs) return;
+    timer = setInterval(runScheduled, config.intervalMs);
+    timer.unref();
+    setImmediate(runScheduled);
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  async function collectionStats(name, timeField) {
+    const collection = storage.collection(name);
+    const stats = await collection.stats();
+    if (!timeField) return { name, ...stats };
+    const [first, last] = await Promise.all([
+      collection.findOne({ [timeField]: { $exists: true } }, { sort: { [timeField]: 1 } }),
+      collection.findOne({ [timeField]: { $exists: true } }, { sort: { [timeField]: -1 } }),
+    ]);
+    return {
+      name,
+      ...stats,
+      oldest: first ? first[timeField] : null,
+      newest: last ? last[timeField] : null,
+    };
+  }
+
+  // Sizes and date ranges of the raw and rollup collections, plus retention settings and job status
+  async function stats() {
+    const raw = [];
+    for (const [name, timeField] of Object.entries(RAW_COLLECTIONS)) {
+      raw.push({
+        ...await collectionStats(name, timeField),
+        retentionDays: config.retentionDays[name] || null,
+        archivedUntil: config.archiveDirectory ? await getWatermark(`archive:${name}`) : null,
+      });
+    }
+    const rollups = [];
+    for (const [resolution, { collection }] of Object.entries(ROLLUPS)) {
+      rollups.push({
+        resolution,
+        ...await collectionStats(collection, 'bucketStart'),
+        rolledUpUntil: await getWatermark(`rollup:${resolution}`),
+      });
+    }
+    return {
+      driver: storage.driver,
+      raw,
+      rollups,
+      archiveDirectory: config.archiveDirectory,
+      intervalMs: config.intervalMs,
+      running: Boolean(running),
+      jobs,
+    };
+  }
+
+  return { run, start, stop, stats, invalidateRollups };
+}
+
+module.exports = {
+  JOBS,
+  RAW_COLLECTIONS,
+  ROLLUPS,
+  createRetention,
+};
@@ -0,0 +1,118 @@
+// Declared payload schemas for the three plant_monitoring topic kinds.
+// Hard limits here reject a message; plausibility (sensor faults, odd values) is handled in quality.js.
+
+const DEVICE_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+const common = {
+  timestamp: { type: 'integer', min: 0 },
+  board_type: { type: 'string', maxLength: 64 },
+  device_id: { type: 'string', pattern: DEVICE_ID_PATTERN },
+};
+
+// Numeric sensor fields are nullable: a null (or NaN from the firmware) is a sensor fault, not a bad message
+const SCHEMAS = {
+  sensors: {
+    ph: { type: 'number', required: true, nullable: true },
+    soil: { type: 'number', required: true, nullable: true },
+    temperature: { type: 'number', nullable: true },
+    humidity: { type: 'number', nullable: true },
+    servo_position: { type: 'integer', min: 0, max: 180 },
+    // Device clock time of the reading; timestamp is the firmware's millis() uptime counter
+    measured_at: { type: 'datetime' },
+    ...common,
+  },
+  servo: {
+    servo_position: { type: 'integer', required: true, min: 0, max: 180 },
+    mode: { type: 'string', enum: ['auto', 'manual'] },
+    ...common,
+  },
+  status: {
+    status: { type: 'string', maxLength: 64 },
+    message: { type: 'string', maxLength: 256 },
+    ...common,
+  },
+};
+
+function checkField(name, rule, value) {
+  if (value === null) {
+    return rule.nullable ? null : `${name} must not be null`;
+  }
+  switch (rule.type) {
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return `${name} must be a number`;
+      break;
+    case 'integer':
+      if (!Number.isInteger(value)) return `${name} must be an integer`;
+      break;
+    case 'string':
+      if (typeof value !== 'string') return `${name} must be a string`;
+      if (rule.maxLength && value.length > rule.maxLength) return `${name} must be at most ${rule.maxLength} characters`;
+      if (rule.pattern && !rule.pattern.test(value)) return `${name} has an invalid format`;
+      if (rule.enum && !rule.enum.includes(value)) return `${name} must be one of: ${rule.enum.join(', ')}`;
+      break;
+    case 'datetime':
+      // Epoch milliseconds or an ISO 8601 string
+      if (typeof value === 'number' ? !Number.isInteger(value) || value < 0 : typeof value !== 'string') {
+        return `${name} must be epoch milliseconds or an ISO 8601 string`;
+      }
+      if (Number.isNaN(new Date(value).getTime())) return `${name} is not a valid date`;
+      return null;
+    default:
+      return `${name} has an unsupported type`;
+  }
+  if (rule.min !== undefined && value < rule.min) return `${name} must be >= ${rule.min}`;
+  if (rule.max !== undefined && value > rule.max) return `${name} must be <= ${rule.max}`;
+  return null;
+}
+
+// Returns a list of { field, message }; empty when the payload matches the schema
+function validatePayload(kind, payload) {
+  const schema = SCHEMAS[kind];
+  if (!schema) {
+    return [{ field: null, message: `Unknown message kind: ${kind}` }];
+  }
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    return [{ field: null, message: 'Payload must be a JSON object' }];
+  }
+  const errors = [];
+  for (const [field, rule] of Object.entries(schema)) {
+    if (payload[field] === undefined) {
+      if (rule.required) errors.push({ field, message: `${field} is required` });
+      continue;
+    }
+    const message = checkField(field, rule, payload[field]);
+    if (message) errors.push({ field, message });
+  }
+  for (const field of Object.keys(payload)) {
+    if (!schema[field]) {
+      errors.push({ field, message: `${field} is not an allowed field` });
+    }
+  }
+  return errors;
+}
+
+// Parses a raw MQTT payload. ArduinoJson prints NaN/Infinity for failed DHT reads, which is not
+// valid JSON, so those become null; plain-text status messages are wrapped as { message }.
+function parseMessage(kind, text) {
+  let payload;
+  try {
+    payload = JSON.parse(text.replace(/:\s*-?(NaN|nan|Infinity|inf)\b/g, ': null'));
+  } catch (error) {
+    if (kind === 'status' && text.trim()) {
+      payload = { message: text.trim() };
+    } else {
+      return { payload: null, errors: [{ field: null, message: `Invalid JSON: ${error.message}` }] };
+    }
+  }
+  if (kind === 'status' && typeof payload === 'string') {
+    payload = { message: payload };
+  }
+  return { payload, errors: validatePayload(kind, payload) };
+}
+
+module.exports = {
+  DEVICE_ID_PATTERN,
+  SCHEMAS,
+  parseMessage,
+  validatePayload,
+};
@@ -0,0 +1,376 @@
+// Virtual devices for running without hardware (simulate.js). Each device models a bed: a daily
+// temperature and humidity cycle, soil that dries with the heat and wets while the valve is open,
+// and pH that irrigation water pulls up. It talks to the server like the firmware in backendn/:
+// readings on <prefix>/sensors/<deviceId> (or POST /api/sensors with X-API-Key), valve reports
+// on <prefix>/servo/<deviceId>, a retained online status with an offline last-will, and servo
+// commands from <prefix>/servo/<deviceId>/set. Injected faults make the readings misbehave the
+// way real probes do. Everything random comes from a seed, so a run can be repeated exactly.
+const mqtt = require('mqtt');
+
+const MINUTE_MS = 60_000;
+const HOUR_MS = 60 * MINUTE_MS;
+const SENSOR_METRICS = ['ph', 'soil', 'temperature', 'humidity'];
+// offline applies to the whole device (metric "all"); the others to one metric
+const FAULT_TYPES = ['stuck', 'spike', 'drift', 'dropout', 'offline'];
+// Size of a spike, and how far a drifting probe moves per hour
+const SPIKE_SIZE = { ph: 3, soil: 60, temperature: 25, humidity: 40 };
+const DRIFT_PER_HOUR = { ph: 0.5, soil: 5, temperature: 2, humidity: 5 };
+const DECIMALS = { ph: 2, soil: 1, temperature: 1, humidity: 1 };
+const METRIC_LIMITS = { ph: [0, 14], soil: [0, 100], temperature: [-40, 80], humidity: [0, 100] };
+// Noise of each probe (standard deviation)
+const NOISE = { ph: 0.02, soil: 0.3, temperature: 0.15, humidity: 0.8 };
+const IRRIGATION_WATER_PH = 6.2;
+const BOARD_TYPE = 'Simulator';
+// Mirrors the firmware: a server angle is followed for 30 s, moves under 10 degrees are skipped
+const SERVER_ANGLE_TIMEOUT_MS = 30_000;
+const MIN_SERVO_MOVE = 10;
+
+// mulberry32; returns a function giving numbers in [0, 1)
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return function next() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function clamp(value, [min, max]) {
+  return Math.min(max, Math.max(min, value));
+}
+
+function round(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+// "<deviceId>:<metric>:<type>:<startMinute>[:<durationMinutes>]", e.g. "sim-1:ph:stuck:30" or
+// "sim-2:all:offline:10:5". Minutes count from the start of the run; without a duration the
+// fault lasts until the end. Returns { fault } or { error }.
+function parseFault(text) {
+  const parts = String(text).split(':');
+  if (parts.length < 4 || parts.length > 5) {
+    return { error: `Fault "${text}" must look like <deviceId>:<metric>:<type>:<startMinute>[:<durationMinutes>]` };
+  }
+  const [deviceId, metric, type, start, duration] = parts;
+  if (!FAULT_TYPES.includes(type)) {
+    return { error: `Fault "${text}": type must be one of: ${FAULT_TYPES.join(', ')}` };
+  }
+  if (type === 'offline' ? metric !== 'all' : !SENSOR_METRICS.includes(metric)) {
+    return { error: `Fault "${text}": metric must be ${type === 'offline' ? '"all" for offline' : `one of: ${SENSOR_METRICS.join(', ')}`}` };
+  }
+  const startMinute = Number(start);
+  const durationMinutes = duration === undefined ? null : Number(duration);
+  if (!Number.isFinite(startMinute) || startMinute < 0) {
+    return { error: `Fault "${text}": start must be a non-negative number of minutes` };
+  }
+  if (durationMinutes !== null && (!Number.isFinite(durationMinutes) || durationMinutes <= 0)) {
+    return { error: `Fault "${text}": duration must be a positive number of minutes` };
+  }
+  return { fault: { deviceId, metric, type, startMinute, durationMinutes } };
+}
+
+// The firmware's local rules (controlServoWithFuzzyLogic), used while the server sends no angle
+function firmwareAngle({ ph, soil }) {
+  if (ph < 4.4 || soil < 30) return 180;
+  if (ph > 5.5 || soil > 70) return 0;
+  if (soil < 40) return 90;
+  if (soil < 50) return 45;
+  return 0;
+}
+
+// One bed and its board. read(at) advances the model to `at` and returns what the probes report;
+// control(at) and command(payload, at) return the new valve position when the valve moves.
+function createVirtualDevice({ deviceId, seed = 1, startAt = new Date(), faults = [] }) {
+  const random = seededRandom(seed);
+  const gaussian = () => Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+  const startMs = startAt.getTime();
+  // Every bed is a little different
+  const base = {
+    temperature: 20 + random() * 4,
+    humidity: 55 + random() * 10,
+    ph: 4.8 + random() * 0.4,
+  };
+  const state = {
+    at: startMs,
+    soil: 35 + random() * 25,
+    ph: base.ph,
+    servo: 0,
+    manual: false,
+    serverAngle: null,
+    serverAngleAt: null,
+  };
+  const faultState = new Map(); // fault -> { value } frozen by stuck, { fired } for spike
+  let last = null;
+
+  function activeFaults(at) {
+    const minute = (at - startMs) / MINUTE_MS;
+    return faults.filter((fault) => minute >= fault.startMinute
+      && (fault.durationMinutes === null || minute < fault.startMinute + fault.durationMinutes));
+  }
+
+  function airTemperature(at) {
+    const hour = (at % (24 * HOUR_MS)) / HOUR_MS;
+    // Coolest around 03:00 UTC, warmest around 15:00
+    return base.temperature + 5 * Math.sin((2 * Math.PI * (hour - 9)) / 24);
+  }
+
+  // Integrates in steps of at most a minute so long gaps behave like many short ones
+  function advance(to) {
+    while (state.at < to) {
+      const stepMs = Math.min(MINUTE_MS, to - state.at);
+      const minutes = stepMs / MINUTE_MS;
+      const opening = state.servo / 180;
+      const temperature = airTemperature(state.at);
+      const drying = 0.005 + 0.001 * Math.max(temperature - 15, 0);
+      state.soil = clamp(state.soil + (0.6 * opening * (1 - state.soil / 100) - drying) * minutes, METRIC_LIMITS.soil);
+      state.ph += ((base.ph - state.ph) * 0.001 + (IRRIGATION_WATER_PH - state.ph) * 0.02 * opening) * minutes;
+      state.at += stepMs;
+    }
+  }
+
+  function read(at = new Date()) {
+    const atMs = at.getTime();
+    advance(atMs);
+    const temperature = airTemperature(atMs);
+    const truth = {
+      ph: state.ph,
+      soil: state.soil,
+      temperature,
+      humidity: base.humidity - 2.5 * (temperature - base.temperature),
+    };
+    const reading = {};
+    for (const metric of SENSOR_METRICS) {
+      reading[metric] = round(clamp(truth[metric] + gaussian() * NOISE[metric], METRIC_LIMITS[metric]), DECIMALS[metric]);
+    }
+    for (const fault of activeFaults(atMs)) {
+      if (fault.type === 'offline') continue;
+      const { metric } = fault;
+      if (!faultState.has(fault)) faultState.set(fault, { value: last ? last[metric] : reading[metric], fired: false });
+      const faulty = faultState.get(fault);
+      if (fault.type === 'stuck') {
+        reading[metric] = faulty.value;
+      } else if (fault.type === 'spike' && !faulty.fired) {
+        faulty.fired = true;
+        reading[metric] = round(clamp(reading[metric] + SPIKE_SIZE[metric], METRIC_LIMITS[metric]), DECIMALS[metric]);
+      } else if (fault.type === 'drift') {
+        const hours = (atMs - startMs) / HOUR_MS - fault.startMinute / 60;
+        reading[metric] = round(clamp(reading[metric] + DRIFT_PER_HOUR[metric] * hours, METRIC_LIMITS[metric]), DECIMALS[metric]);
+      } else if (fault.type === 'dropout') {
+        // The firmware sends NaN from a disconnected probe, which arrives as null
+        reading[metric] = null;
+      }
+    }
+    reading.servo_position = state.servo;
+    last = reading;
+    return reading;
+  }
+
+  function move(angle) {
+    if (Math.abs(angle - state.servo) <= MIN_SERVO_MOVE) return null;
+    state.servo = angle;
+    return angle;
+  }
+
+  function control(at = new Date()) {
+    if (state.manual || !last) return null;
+    if (state.serverAngle !== null && at.getTime() - state.serverAngleAt < SERVER_ANGLE_TIMEOUT_MS) {
+      return move(state.serverAngle);
+    }
+    if (last.ph === null || last.soil === null) return null;
+    return move(firmwareAngle(last));
+  }
+
+  // { mode: 'manual', angle } moves at once; { mode: 'auto', angle } is followed on the next
+  // control(); { mode: 'auto' } hands back to the local rules
+  function command(payload, at = new Date()) {
+    advance(at.getTime());
+    const angle = Number.isFinite(payload.angle) ? clamp(Math.round(payload.angle), [0, 180]) : null;
+    if (payload.mode === 'manual') {
+      state.manual = true;
+      state.servo = angle ?? 0;
+      return state.servo;
+    }
+    state.manual = false;
+    state.serverAngle = angle;
+    state.serverAngleAt = angle === null ? null : at.getTime();
+    return null;
+  }
+
+  return {
+    deviceId,
+    read,
+    control,
+    command,
+    isOffline: (at = new Date()) => activeFaults(at.getTime()).some((fault) => fault.type === 'offline'),
+    // The firmware's millis() counter
+    uptimeMs: (at = new Date()) => at.getTime() - startMs,
+  };
+}
+
+// Publishes over MQTT with one connection per device, like the boards do. connectOptions are
+// passed to mqtt.connect (username, password, TLS files...).
+function createMqttTransport({ url, topicPrefix, connectOptions = {}, log = console }) {
+  const clients = new Map();
+  const topic = (kind, deviceId) => `${topicPrefix}/${kind}/${deviceId}`;
+
+  async function publish(deviceId, kind, payload, options = {}) {
+    await clients.get(deviceId).publishAsync(topic(kind, deviceId), JSON.stringify(payload), options);
+  }
+
+  return {
+    name: 'mqtt',
+    // onCommand(deviceId, payload) receives the servo commands sent to each device
+    async connect(deviceIds, onCommand) {
+      for (const deviceId of deviceIds) {
+        const commandTopic = `${topic('servo', deviceId)}/set`;
+        const client = await mqtt.connectAsync(url, {
+          ...connectOptions,
+          clientId: `simulator-${deviceId}-${Math.random().toString(16).slice(2, 8)}`,
+          will: { topic: topic('status', deviceId), payload: JSON.stringify({ status: 'offline' }), qos: 0, retain: true },
+        });
+        clients.set(deviceId, client);
+        client.on('message', (received, message) => {
+          if (received !== commandTopic) return;
+          try {
+            onCommand(deviceId, JSON.parse(message.toString()));
+          } catch (error) {
+            log.warn('Invalid servo command', { deviceId, err: error });
+          }
+        });
+        client.on('connect', () => {
+          publish(deviceId, 'status', { status: 'online', message: 'Simulator connected' }, { retain: true })
+            .catch((error) => log.error('Failed to publish status', { deviceId, err: error }));
+        });
+        await publish(deviceId, 'status', { status: 'online', message: 'Simulator connected' }, { retain: true });
+        await client.subscribeAsync(commandTopic);
+      }
+    },
+    sendReading: (deviceId, payload) => publish(deviceId, 'sensors', payload),
+    sendServo: (deviceId, payload) => publish(deviceId, 'servo', payload),
+    sendStatus: (deviceId, payload) => publish(deviceId, 'status', payload, { retain: true }),
+    async close() {
+      for (const [deviceId, client] of clients) {
+        // A clean disconnect suppresses the last-will, so say goodbye explicitly
+        await publish(deviceId, 'status', { status: 'offline', message: 'Simulator stopped' }, { retain: true }).catch(() => {});
+        await client.endAsync();
+      }
+      clients.clear();
+    },
+  };
+}
+
+// Posts readings to /api/sensors like the HTTP firmware (backendn/main), which sends neither
+// valve reports nor status messages and receives no commands. Each device uses its key from
+// apiKeys; devices without one post with `token` (an admin session) when given.
+function createHttpTransport({ baseUrl, apiKeys = {}, token = null }) {
+  async function sendReading(deviceId, payload) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKeys[deviceId]) {
+      headers['X-API-Key'] = apiKeys[deviceId];
+    } else if (token) {
+      headers.Authorization = `Bearer ${token}`;
+    }
+    const response = await fetch(new URL('/api/sensors', baseUrl), { method: 'POST', headers, body: JSON.stringify(payload) });
+    if (!response.ok) {
+      const body = await response.json().catch(() => ({}));
+      throw new Error(`Server answered ${response.status}: ${body.error || response.statusText}`);
+    }
+  }
+
+  return {
+    name: 'http',
+    async connect() {},
+    sendReading,
+    async sendServo() {},
+    async sendStatus() {},
+    async close() {},
+  };
+}
+
+// Runs devices (createVirtualDevice) every intervalMs: each tick sends a reading per device, then
+// lets the device move its valve, as the firmware loop does. tick(at) can also be called directly.
+function createSimulator({ devices, transport, intervalMs = 5000, log = console }) {
+  const offline = new Set();
+  let timer = null;
+
+  async function sendServo(device, position, mode, at) {
+    await transport.sendServo(device.deviceId, { servo_position: position, mode, timestamp: device.uptimeMs(at) });
+  }
+
+  function onCommand(deviceId, payload) {
+    const device = devices.find((item) => item.deviceId === deviceId);
+    const at = new Date();
+    const moved = device.command(payload, at);
+    log.info('Servo command', { deviceId, mode: payload.mode, angle: payload.angle });
+    if (moved !== null) {
+      sendServo(device, moved, 'manual', at).catch((error) => log.error('Failed to report valve position', { deviceId, err: error }));
+    }
+  }
+
+  // Resolves with what was sent: [{ deviceId, reading }] for devices that are not offline
+  async function tick(at = new Date()) {
+    const sent = [];
+    for (const device of devices) {
+      const { deviceId } = device;
+      if (device.isOffline(at)) {
+        if (!offline.has(deviceId)) {
+          offline.add(deviceId);
+          // What the broker sends for the board's last-will when it loses power
+          await transport.sendStatus(deviceId, { status: 'offline', message: 'Connection lost' });
+          log.info('Device offline', { deviceId });
+        }
+        continue;
+      }
+      if (offline.delete(deviceId)) {
+        await transport.sendStatus(deviceId, { status: 'online', message: 'Simulator connected' });
+        log.info('Device back online', { deviceId });
+      }
+      try {
+        const reading = device.read(at);
+        await transport.sendReading(deviceId, {
+          ...reading,
+          timestamp: device.uptimeMs(at),
+          board_type: BOARD_TYPE,
+          device_id: deviceId,
+        });
+        sent.push({ deviceId, reading });
+        const moved = device.control(at);
+        if (moved !== null) await sendServo(device, moved, 'auto', at);
+      } catch (error) {
+        log.error('Failed to send reading', { deviceId, err: error });
+      }
+    }
+    return sent;
+  }
+
+  async function start() {
+    await transport.connect(devices.map((device) => device.deviceId), onCommand);
+    log.info('Simulator started', { devices: devices.length, transport: transport.name, intervalMs });
+    await tick();
+    timer = setInterval(() => {
+      tick().catch((error) => log.error('Simulator tick failed', { err: error }));
+    }, intervalMs);
+  }
+
+  async function stop() {
+    clearInterval(timer);
+    timer = null;
+    await transport.close();
+  }
+
+  return { start, stop, tick, onCommand };
+}
+
+module.exports = {
+  FAULT_TYPES,
+  SENSOR_METRICS,
+  createHttpTransport,
+  createMqttTransport,
+  createSimulator,
+  createVirtualDevice,
+  firmwareAngle,
+  parseFault,
+};
@@ -0,0 +1,105 @@
+// File-backed store for running without a database: each collection is a JSON Lines file in
+// one directory, fully loaded on connect. Inserts are appended; other writes rewrite the file.
+const fs = require('fs');
+const path = require('path');
+const { createMemoryCollection } = require('./memory');
+
+// Dates are written as { $date: iso } (as in MongoDB extended JSON) so they come back as Dates
+function serialize(doc) {
+  return JSON.stringify(doc, function replacer(key, value) {
+    return this[key] instanceof Date ? { $date: value } : value;
+  });
+}
+
+function deserialize(line) {
+  return JSON.parse(line, (key, value) => (
+    value && typeof value === 'object' && typeof value.$date === 'string' && Object.keys(value).length === 1
+      ? new Date(value.$date)
+      : value
+  ));
+}
+
+function createFileStorage({ directory, collections = {}, log = console }) {
+  const stores = new Map();
+
+  function fileFor(name) {
+    return path.join(directory, `${name}.jsonl`);
+  }
+
+  // Writes to one file are chained so appends and rewrites never interleave
+  function createPersister(name) {
+    const file = fileFor(name);
+    let queue = Promise.resolve();
+    const enqueue = (write) => {
+      queue = queue.then(write, write);
+      return queue;
+    };
+    return {
+      append: (docs) => enqueue(() => fs.promises.appendFile(file, docs.map((doc) => `${serialize(doc)}\n`).join(''))),
+      rewrite: (docs) => {
+        const content = docs.map((doc) => `${serialize(doc)}\n`).join('');
+        return enqueue(async () => {
+          const temp = `${file}.tmp`;
+          await fs.promises.writeFile(temp, content);
+          await fs.promises.rename(temp, file);
+        });
+      },
+      size: async () => {
+        await queue;
+        return fs.promises.stat(file).then((stat) => stat.size, () => 0);
+      },
+    };
+  }
+
+  function load(name) {
+    const file = fileFor(name);
+    if (!fs.existsSync(file)) return [];
+    return fs.readFileSync(file, 'utf8')
+      .split('\n')
+      .filter((line) => line.trim())
+      .map((line, index) => {
+        try {
+          return deserialize(line);
+        } catch (error) {
+          throw new Error(`Corrupt line ${index + 1} in ${file}: ${error.message}`);
+        }
+      });
+  }
+
+  function open(name) {
+    stores.set(name, createMemoryCollection(name, {
+      indexes: collections[name] || [],
+      persist: createPersister(name),
+      initialDocs: load(name),
+    }));
+  }
+
+  return {
+    driver: 'file',
+
+    async connect() {
+      await fs.promises.mkdir(directory, { recursive: true });
+      for (const entry of await fs.promises.readdir(directory)) {
+        if (entry.endsWith('.jsonl')) open(entry.slice(0, -'.jsonl'.length));
+      }
+      log.info('Using file storage', { directory });
+    },
+
+    async close() {},
+
+    async ping() {
+      await fs.promises.access(directory, fs.constants.W_OK);
+    },
+
+    collection(name) {
+      if (!stores.has(name)) open(name);
+      return stores.get(name);
+    },
+  };
+}
+
+module.exports = {
+  createFileStorage,
+  deserialize,
+  serialize,
+};
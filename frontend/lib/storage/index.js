@@ -0,0 +1,90 @@
+// Storage backends behind one collection API (insertOne, find, iterate, findOne, distinct, replaceOne,
+// updateOne, bulkUpdate, deleteOne, aggregateBuckets, backfillField, stats...) and a ping() for
+// health checks. The driver is picked by config; every driver stores each collection separately
+// and understands the same queries, so dev and tests match production.
+const { createFileStorage } = require('./file');
+const { createMemoryStorage } = require('./memory');
+const { createMongoStorage } = require('./mongo');
+
+const DRIVERS = ['mongo', 'memory', 'file'];
+
+// Every collection the app uses, with its indexes (created on connect)
+const COLLECTIONS = {
+  sensors: [{ key: { deviceId: 1, measuredAt: -1 } }, { key: { measuredAt: -1 } }],
+  servo: [{ key: { deviceId: 1, receivedAt: -1 } }, { key: { receivedAt: -1 } }],
+  status: [{ key: { deviceId: 1, receivedAt: -1 } }, { key: { receivedAt: -1 } }],
+  sensors_hourly: [{ key: { deviceId: 1, bucketStart: 1 }, unique: true }, { key: { bucketStart: 1 } }],
+  sensors_daily: [{ key: { deviceId: 1, bucketStart: 1 }, unique: true }, { key: { bucketStart: 1 } }],
+  retention_state: [{ key: { name: 1 }, unique: true }],
+  servo_commands: [],
+  control_rules: [],
+  devices: [{ key: { deviceId: 1 }, unique: true }],
+  alert_rules: [],
+  alerts: [{ key: { alertId: 1 }, unique: true }, { key: { state: 1, openedAt: -1 } }],
+  ingest_rejections: [{ key: { receivedAt: -1 } }],
+  users: [{ key: { username: 1 }, unique: true }],
+  sessions: [{ key: { tokenHash: 1 }, unique: true }, { key: { expiresAt: 1 }, expireAfterSeconds: 0 }],
+  api_keys: [{ key: { hash: 1 }, unique: true }],
+  device_presence: [{ key: { deviceId: 1 }, unique: true }],
+  schedules: [{ key: { scheduleId: 1 }, unique: true }],
+  irrigation_policies: [{ key: { deviceId: 1 }, unique: true }],
+  flow_profiles: [{ key: { deviceId: 1 }, unique: true }],
+  schedule_runs: [{ key: { deviceId: 1, triggeredAt: -1 } }, { key: { triggeredAt: -1 } }],
+  calibration_profiles: [{ key: { profileId: 1 }, unique: true }, { key: { deviceId: 1, sensor: 1, effectiveFrom: 1 } }],
+  anomalies: [{ key: { anomalyId: 1 }, unique: true }, { key: { deviceId: 1, detectedAt: -1 } }, { key: { detectedAt: -1 } }],
+};
+
+const WRITE_METHODS = [
+  'insertOne', 'insertMany', 'replaceOne', 'updateOne', 'updateMany', 'bulkUpdate',
+  'findOneAndUpdate', 'deleteOne', 'deleteMany', 'backfillField',
+];
+
+// Calls onWrite({ collection, operation, seconds, error }) after every write, for metrics
+function observeWrites(storage, onWrite) {
+  return {
+    ...storage,
+    collection(name) {
+      const collection = storage.collection(name);
+      const observed = { ...collection };
+      for (const method of WRITE_METHODS) {
+        observed[method] = async (...args) => {
+          const started = process.hrtime.bigint();
+          let error = null;
+          try {
+            return await collection[method](...args);
+          } catch (caught) {
+            error = caught;
+            throw caught;
+          } finally {
+            onWrite({ collection: name, operation: method, seconds: Number(process.hrtime.bigint() - started) / 1e9, error });
+          }
+        };
+      }
+      return observed;
+    },
+  };
+}
+
+function createDriver({ driver, mongoUri, mongoDb, directory, log }) {
+  switch (driver) {
+    case 'mongo':
+      return createMongoStorage({ uri: mongoUri, dbName: mongoDb, collections: COLLECTIONS, log });
+    case 'memory':
+      return createMemoryStorage({ collections: COLLECTIONS });
+    case 'file':
+      return createFileStorage({ directory, collections: COLLECTIONS, log });
+    default:
+      throw new Error(`Unknown storage driver "${driver}"; use one of: ${DRIVERS.join(', ')}`);
+  }
+}
+
+function createStorage({ onWrite = null, log = console, ...options }) {
+  const storage = createDriver({ ...options, log });
+  return onWrite ? observeWrites(storage, onWrite) : storage;
+}
+
+module.exports = {
+  COLLECTIONS,
+  DRIVERS,
+  createStorage,
+};
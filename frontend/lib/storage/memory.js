@@ -0,0 +1,228 @@
+// In-process store with the same collection API as the MongoDB store. Unique and TTL indexes
+// from the collection spec are enforced so behaviour matches production.
+const crypto = require('crypto');
+const aggregate = require('../aggregate');
+const { applyUpdate, matches, sortDocs } = require('./query');
+
+// 24 hex characters, like an ObjectId
+function newId() {
+  return crypto.randomBytes(12).toString('hex');
+}
+
+function keyOf(doc, fields) {
+  return JSON.stringify(fields.map((field) => {
+    const value = doc[field];
+    return value instanceof Date ? value.getTime() : value;
+  }));
+}
+
+// persist (optional) is told about every write: append(doc) for inserts, rewrite(docs) otherwise
+function createMemoryCollection(name, { indexes = [], persist = null, initialDocs = [] } = {}) {
+  let docs = initialDocs;
+  const uniqueKeys = indexes.filter((index) => index.unique).map((index) => Object.keys(index.key));
+  const ttl = indexes.find((index) => index.expireAfterSeconds !== undefined);
+
+  function checkUnique(doc, ignore) {
+    for (const fields of uniqueKeys) {
+      const key = keyOf(doc, fields);
+      if (docs.some((other) => other !== ignore && keyOf(other, fields) === key)) {
+        const error = new Error(`E11000 duplicate key error collection: ${name} index: ${fields.join('_')}`);
+        error.code = 11000;
+        throw error;
+      }
+    }
+  }
+
+  // Drops documents whose TTL field is in the past; MongoDB does the same in the background
+  function expire() {
+    if (!ttl) return false;
+    const field = Object.keys(ttl.key)[0];
+    const cutoff = Date.now() - ttl.expireAfterSeconds * 1000;
+    const before = docs.length;
+    docs = docs.filter((doc) => !(doc[field] instanceof Date) || doc[field].getTime() > cutoff);
+    return docs.length < before;
+  }
+
+  async function rewrite() {
+    if (persist) await persist.rewrite(docs);
+  }
+
+  function select(query, { sort, limit } = {}) {
+    const selected = sortDocs(docs.filter((doc) => matches(doc, query)), sort);
+    return limit ? selected.slice(0, limit) : selected;
+  }
+
+  async function insertMany(newDocs) {
+    const expired = expire();
+    for (const doc of newDocs) {
+      if (doc._id === undefined) doc._id = newId();
+      checkUnique(doc);
+      docs.push(structuredClone(doc));
+    }
+    if (expired) {
+      await rewrite();
+    } else if (persist) {
+      await persist.append(newDocs);
+    }
+    return newDocs;
+  }
+
+  return {
+    name,
+
+    async insertOne(doc) {
+      await insertMany([doc]);
+      return doc;
+    },
+
+    insertMany,
+
+    async find(query = {}, options = {}) {
+      return select(query, options).map((doc) => structuredClone(doc));
+    },
+
+    // Cursor-style iteration for exports; works on a snapshot of the matching documents
+    async* iterate(query = {}, options = {}) {
+      for (const doc of select(query, options)) {
+        yield structuredClone(doc);
+      }
+    },
+
+    async findOne(query = {}, { sort } = {}) {
+      const [doc] = select(query, { sort, limit: 1 });
+      return doc ? structuredClone(doc) : null;
+    },
+
+    async count(query = {}) {
+      return select(query).length;
+    },
+
+    // Values of field among the matching documents; documents without it are skipped, as in MongoDB
+    async distinct(field, query = {}) {
+      const values = select(query).map((doc) => doc[field]).filter((value) => value !== undefined);
+      return [...new Set(values)];
+    },
+
+    // Returns true when a document was replaced or inserted
+    async replaceOne(query, replacement, { upsert = false } = {}) {
+      const [existing] = select(query, { limit: 1 });
+      if (!existing) {
+        if (!upsert) return false;
+        const doc = { ...replacement };
+        if (doc._id === undefined && query._id !== undefined) doc._id = query._id;
+        await insertMany([doc]);
+        return true;
+      }
+      const doc = structuredClone({ ...replacement, _id: existing._id });
+      checkUnique(doc, existing);
+      docs[docs.indexOf(existing)] = doc;
+      await rewrite();
+      return true;
+    },
+
+    async updateOne(query, update) {
+      const [existing] = select(query, { limit: 1 });
+      if (!existing) return false;
+      applyUpdate(existing, structuredClone(update));
+      await rewrite();
+      return true;
+    },
+
+    async updateMany(query, update) {
+      const selected = select(query);
+      for (const doc of selected) applyUpdate(doc, structuredClone(update));
+      if (selected.length) await rewrite();
+      return selected.length;
+    },
+
+    // [{ query, update }], each applied to its first match; one rewrite for the whole batch.
+    // Returns the number of documents updated.
+    async bulkUpdate(operations) {
+      // Batches are usually by _id; look those up directly instead of scanning per operation
+      const byId = new Map(docs.map((doc) => [doc._id, doc]));
+      let updated = 0;
+      for (const { query, update } of operations) {
+        const byIdOnly = Object.keys(query).length === 1 && query._id !== undefined && typeof query._id !== 'object';
+        const [existing] = byIdOnly ? [byId.get(query._id)].filter(Boolean) : select(query, { limit: 1 });
+        if (!existing) continue;
+        applyUpdate(existing, structuredClone(update));
+        updated += 1;
+      }
+      if (updated) await rewrite();
+      return updated;
+    },
+
+    // Returns the document as it was before the update, like MongoDB's default
+    async findOneAndUpdate(query, update) {
+      const [existing] = select(query, { limit: 1 });
+      if (!existing) return null;
+      const before = structuredClone(existing);
+      applyUpdate(existing, structuredClone(update));
+      await rewrite();
+      return before;
+    },
+
+    async deleteOne(query) {
+      const [existing] = select(query, { limit: 1 });
+      if (!existing) return false;
+      docs = docs.filter((doc) => doc !== existing);
+      await rewrite();
+      return true;
+    },
+
+    async deleteMany(query = {}) {
+      const before = docs.length;
+      docs = docs.filter((doc) => !matches(doc, query));
+      if (docs.length < before) await rewrite();
+      return before - docs.length;
+    },
+
+    // Sizes are only known for the file store (the file on disk)
+    async stats() {
+      return {
+        count: docs.length,
+        sizeBytes: persist && persist.size ? await persist.size() : null,
+        indexes: indexes.length + 1,
+      };
+    },
+
+    // Time-bucketed min/max/avg; same output as the MongoDB $group pipeline
+    async aggregateBuckets({ match, bucketMs, fields, timeField }) {
+      return aggregate.aggregateReadings(select(match), { bucketMs, fields, timeField });
+    },
+
+    // Copies source into target on documents that lack target (schema migrations)
+    async backfillField(target, source) {
+      const selected = select({ [target]: { $exists: false }, [source]: { $exists: true } });
+      for (const doc of selected) doc[target] = doc[source];
+      if (selected.length) await rewrite();
+      return selected.length;
+    },
+  };
+}
+
+function createMemoryStorage({ collections = {} } = {}) {
+  const stores = new Map();
+
+  return {
+    driver: 'memory',
+
+    async connect() {},
+
+    async close() {},
+
+    async ping() {},
+
+    collection(name) {
+      if (!stores.has(name)) {
+        stores.set(name, createMemoryCollection(name, { indexes: collections[name] || [] }));
+      }
+      return stores.get(name);
+    },
+  };
+}
+
+module.exports = {
+  createMemoryCollection,
+  createMemoryStorage,
+};
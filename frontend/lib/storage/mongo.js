@@ -0,0 +1,165 @@
+// MongoDB store. Collections and indexes from the collection spec are created on connect.
+const { MongoClient } = require('mongodb');
+const aggregate = require('../aggregate');
+
+function wrapCollection(collection) {
+  return {
+    name: collection.collectionName,
+
+    async insertOne(doc) {
+      await collection.insertOne(doc);
+      return doc;
+    },
+
+    async insertMany(docs) {
+      if (docs.length) await collection.insertMany(docs);
+      return docs;
+    },
+
+    find(query = {}, { sort, limit } = {}) {
+      let cursor = collection.find(query);
+      if (sort) cursor = cursor.sort(sort);
+      if (limit) cursor = cursor.limit(limit);
+      return cursor.toArray();
+    },
+
+    // The driver's cursor is async-iterable and fetches in batches
+    iterate(query = {}, { sort, limit } = {}) {
+      let cursor = collection.find(query);
+      if (sort) cursor = cursor.sort(sort);
+      if (limit) cursor = cursor.limit(limit);
+      return cursor;
+    },
+
+    findOne(query = {}, { sort } = {}) {
+      return collection.findOne(query, sort ? { sort } : {});
+    },
+
+    count(query = {}) {
+      return collection.countDocuments(query);
+    },
+
+    distinct(field, query = {}) {
+      return collection.distinct(field, query);
+    },
+
+    async replaceOne(query, replacement, { upsert = false } = {}) {
+      const result = await collection.replaceOne(query, replacement, { upsert });
+      return result.matchedCount > 0 || result.upsertedCount > 0;
+    },
+
+    async updateOne(query, update) {
+      const result = await collection.updateOne(query, update);
+      return result.matchedCount > 0;
+    },
+
+    async updateMany(query, update) {
+      const result = await collection.updateMany(query, update);
+      return result.matchedCount;
+    },
+
+    async bulkUpdate(operations) {
+      if (!operations.length) return 0;
+      const result = await collection.bulkWrite(
+        operations.map(({ query, update }) => ({ updateOne: { filter: query, update } })),
+        { ordered: false },
+      );
+      return result.matchedCount;
+    },
+
+    findOneAndUpdate(query, update) {
+      return collection.findOneAndUpdate(query, update);
+    },
+
+    async deleteOne(query) {
+      const result = await collection.deleteOne(query);
+      return result.deletedCount > 0;
+    },
+
+    async deleteMany(query = {}) {
+      const result = await collection.deleteMany(query);
+      return result.deletedCount;
+    },
+
+    // Storage statistics from $collStats; sizeBytes is the uncompressed data size
+    async stats() {
+      const [result] = await collection.aggregate([{ $collStats: { storageStats: {} } }]).toArray();
+      const storageStats = (result && result.storageStats) || {};
+      return {
+        count: storageStats.count || 0,
+        sizeBytes: storageStats.size ?? null,
+        storageBytes: storageStats.storageSize ?? null,
+        indexBytes: storageStats.totalIndexSize ?? null,
+        indexes: storageStats.nindexes ?? null,
+      };
+    },
+
+    async aggregateBuckets({ match, bucketMs, fields, timeField }) {
+      const groups = await collection
+        .aggregate(aggregate.buildAggregationPipeline({ match, bucketMs, fields, timeField }))
+        .toArray();
+      return aggregate.formatGroups(groups, fields);
+    },
+
+    async backfillField(target, source) {
+      const result = await collection.updateMany(
+        { [target]: { $exists: false }, [source]: { $exists: true } },
+        [{ $set: { [target]: `$${source}` } }],
+      );
+      return result.modifiedCount;
+    },
+  };
+}
+
+function createMongoStorage({ uri, dbName, collections = {}, log = console }) {
+  let client;
+  let db;
+
+  return {
+    driver: 'mongo',
+
+    async connect() {
+      if (db) return;
+      client = new MongoClient(uri, {
+        // These are the ONLY recommended options for Atlas
+        serverSelectionTimeoutMS: 5000,
+      });
+      await client.connect();
+      db = client.db(dbName);
+      log.info('Connected to MongoDB', { db: dbName });
+      // Ensure collections exist; ignore if already created
+      await Promise.all(Object.keys(collections).map((name) => db.createCollection(name).catch(() => {})));
+      await Promise.all(Object.entries(collections).flatMap(([name, indexes]) => indexes.map(
+        ({ key, ...options }) => db.collection(name).createIndex(key, options),
+      )));
+    },
+
+    async close() {
+      if (client) {
+        await client.close();
+        client = null;
+        db = null;
+        log.info('MongoDB connection closed');
+      }
+    },
+
+    // Round trip to the server, for readiness checks
+    async ping() {
+      if (!db) {
+        throw new Error('Database not connected');
+      }
+      await db.command({ ping: 1 });
+    },
+
+    collection(name) {
+      if (!db) {
+        throw new Error('Database not connected');
+      }
+      return wrapCollection(db.collection(name));
+    },
+  };
+}
+
+module.exports = {
+  createMongoStorage,
+};
@@ -0,0 +1,109 @@
+// The subset of MongoDB query/update/sort semantics the app relies on, so the in-memory and
+// file-backed stores answer the same queries the same way the database does.
+
+function getPath(doc, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+}
+
+function comparable(value) {
+  return value instanceof Date ? value.getTime() : value;
+}
+
+function equals(actual, expected) {
+  // Like MongoDB, { field: null } also matches documents where the field is missing
+  if (expected === null) return actual === null || actual === undefined;
+  if (Array.isArray(actual) && !Array.isArray(expected)) {
+    return actual.some((item) => equals(item, expected));
+  }
+  return comparable(actual) === comparable(expected);
+}
+
+// Range operators only compare values of the same kind (numbers with numbers, dates with dates...)
+function compare(actual, expected, test) {
+  if (actual === undefined || actual === null) return false;
+  const a = comparable(actual);
+  const b = comparable(expected);
+  if (typeof a !== typeof b) return false;
+  return test(a, b);
+}
+
+const OPERATORS = {
+  $eq: (actual, expected) => equals(actual, expected),
+  $ne: (actual, expected) => !equals(actual, expected),
+  $gt: (actual, expected) => compare(actual, expected, (a, b) => a > b),
+  $gte: (actual, expected) => compare(actual, expected, (a, b) => a >= b),
+  $lt: (actual, expected) => compare(actual, expected, (a, b) => a < b),
+  $lte: (actual, expected) => compare(actual, expected, (a, b) => a <= b),
+  $in: (actual, expected) => expected.some((value) => equals(actual, value)),
+  $nin: (actual, expected) => !expected.some((value) => equals(actual, value)),
+  $exists: (actual, expected) => (actual !== undefined) === Boolean(expected),
+};
+
+function isOperatorObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date)
+    && Object.keys(value).length > 0 && Object.keys(value).every((key) => key.startsWith('$'));
+}
+
+function matches(doc, query = {}) {
+  return Object.entries(query).every(([key, condition]) => {
+    if (key === '$or') return condition.some((sub) => matches(doc, sub));
+    if (key === '$and') return condition.every((sub) => matches(doc, sub));
+    if (key === '$nor') return !condition.some((sub) => matches(doc, sub));
+    const actual = getPath(doc, key);
+    if (!isOperatorObject(condition)) {
+      return equals(actual, condition);
+    }
+    return Object.entries(condition).every(([operator, expected]) => {
+      if (!OPERATORS[operator]) {
+        throw new Error(`Unsupported query operator: ${operator}`);
+      }
+      return OPERATORS[operator](actual, expected);
+    });
+  });
+}
+
+// Missing values sort first, as in MongoDB
+function compareValues(a, b) {
+  const x = comparable(a);
+  const y = comparable(b);
+  if (x === y) return 0;
+  if (x === undefined || x === null) return -1;
+  if (y === undefined || y === null) return 1;
+  return x < y ? -1 : 1;
+}
+
+function sortDocs(docs, sort) {
+  const keys = Object.entries(sort || {});
+  if (!keys.length) return docs;
+  return docs.sort((a, b) => {
+    for (const [key, direction] of keys) {
+      const result = compareValues(getPath(a, key), getPath(b, key));
+      if (result !== 0) return direction < 0 ? -result : result;
+    }
+    return 0;
+  });
+}
+
+function applyUpdate(doc, update) {
+  for (const [operator, fields] of Object.entries(update)) {
+    for (const [key, value] of Object.entries(fields)) {
+      if (operator === '$set') {
+        doc[key] = value;
+      } else if (operator === '$unset') {
+        delete doc[key];
+      } else if (operator === '$inc') {
+        doc[key] = (doc[key] || 0) + value;
+      } else {
+        throw new Error(`Unsupported update operator: ${operator}`);
+      }
+    }
+  }
+  return doc;
+}
+
+module.exports = {
+  applyUpdate,
+  getPath,
+  matches,
+  sortDocs,
+};
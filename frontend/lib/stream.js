@@ -0,0 +1,70 @@
+// In-process fan-out of stored readings to Server-Sent Events clients.
+// Recent events are kept in a ring buffer so reconnecting clients can resume from Last-Event-ID.
+
+function createEventHub({ bufferSize = 1000 } = {}) {
+  const buffer = [];
+  const subscribers = new Set();
+  // Seeded from the clock so ids from a previous server run are never mistaken for current ones
+  let sequence = Date.now();
+
+  function matches(filter, event) {
+    if (filter.deviceId && event.deviceId !== filter.deviceId) return false;
+    if (filter.topics && !filter.topics.includes(event.topic)) return false;
+    return true;
+  }
+
+  // topic is the message kind (sensors, servo, status); data is the stored document
+  function publish(topic, deviceId, data) {
+    sequence += 1;
+    const event = { id: sequence, topic, deviceId, data };
+    buffer.push(event);
+    if (buffer.length > bufferSize) {
+      buffer.shift();
+    }
+    for (const subscriber of subscribers) {
+      if (matches(subscriber.filter, event)) {
+        subscriber.send(event);
+      }
+    }
+    return event;
+  }
+
+  function subscribe(filter, send) {
+    const subscriber = { filter, send };
+    subscribers.add(subscriber);
+    return () => subscribers.delete(subscriber);
+  }
+
+  // Returns events after lastId, or null when they have already left the buffer
+  // (or the id comes from a previous server run) and the client must refetch instead.
+  function replaySince(lastId, filter) {
+    if (!Number.isInteger(lastId) || lastId < 0 || lastId > sequence) {
+      return null;
+    }
+    if (lastId === sequence) {
+      return [];
+    }
+    if (!buffer.length || buffer[0].id > lastId + 1) {
+      return null;
+    }
+    return buffer.filter((event) => event.id > lastId && matches(filter, event));
+  }
+
+  return {
+    publish,
+    replaySince,
+    subscribe,
+    get clientCount() {
+      return subscribers.size;
+    },
+  };
+}
+
+function formatEvent(event) {
+  return `id: ${event.id}\nevent: ${event.topic}\ndata: ${JSON.stringify(event.data)}\n\n`;
+}
+
+module.exports = {
+  createEventHub,
+  formatEvent,
+};
@@ -0,0 +1,72 @@
+// IANA time zone helpers shared by exports and the irrigation scheduler. "Wall" times are
+// epoch-style milliseconds whose UTC fields read as the local time in the zone.
+
+const DAY_MS = 24 * 60 * 60_000;
+
+function parseTimeZone(rawTimeZone) {
+  const timeZone = rawTimeZone || 'UTC';
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+  } catch (error) {
+    return { error: `Unknown time zone: ${timeZone}` };
+  }
+  return { timeZone };
+}
+
+// Converts between instants and wall-clock time in one zone; the formatter is cached because
+// this runs per cell in exports
+function createClock(timeZone) {
+  const utc = timeZone === 'UTC' || timeZone === 'Etc/UTC';
+  const formatter = utc ? null : new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  });
+
+  function offsetMs(date) {
+    if (utc) return 0;
+    const parts = {};
+    for (const part of formatter.formatToParts(date)) parts[part.type] = part.value;
+    const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return wall - (date.getTime() - date.getUTCMilliseconds());
+  }
+
+  // Wall-clock time as epoch-style milliseconds, for spreadsheets that have no zone
+  function wallMs(date) {
+    return date.getTime() + offsetMs(date);
+  }
+
+  // Inverse of wallMs. A wall time that occurs twice (clocks set back) resolves to the first
+  // occurrence; one skipped when clocks go forward is moved forward by the size of the jump.
+  function toInstant(wall) {
+    if (utc) return new Date(wall);
+    const offsets = [offsetMs(new Date(wall - DAY_MS)), offsetMs(new Date(wall + DAY_MS))].sort((a, b) => b - a);
+    for (const offset of offsets) {
+      const instant = new Date(wall - offset);
+      if (instant.getTime() + offsetMs(instant) === wall) return instant;
+    }
+    return new Date(wall - offsets[1]);
+  }
+
+  // ISO 8601 with the zone's offset, e.g. 2026-06-01T08:00:00.000+07:00
+  function iso(date) {
+    if (utc) return date.toISOString();
+    const offset = offsetMs(date);
+    const sign = offset < 0 ? '-' : '+';
+    const minutes = Math.abs(offset) / 60_000;
+    const suffix = `${sign}${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+    return new Date(date.getTime() + offset).toISOString().slice(0, -1) + suffix;
+  }
+
+  return { iso, toInstant, wallMs };
+}
+
+module.exports = {
+  createClock,
+  parseTimeZone,
+};
@@ -0,0 +1,238 @@
+// Water usage from valve positions. Positions come from sensor readings (servo_position) and the
+// servo topic; each position is assumed to hold until the next sample, or for at most maxGapMs
+// when samples stop (device offline). Flow is interpolated from a per-device table of litres per
+// minute by valve angle. An actuation cycle is the valve going from closed to open; its soil
+// moisture recovery is the highest soil reading within RECOVERY_WINDOW_MS of closing minus the
+// last reading before opening.
+
+const MINUTE_MS = 60_000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const PERIODS = { day: 1, week: 7 };
+// Angles below this count as closed, so servo jitter around 0 is not water
+const OPEN_THRESHOLD_DEG = 10;
+const RECOVERY_WINDOW_MS = 60 * MINUTE_MS;
+const MAX_FLOW_POINTS = 19;
+
+function defaultFlowProfile(deviceId, fullOpenLitresPerMinute) {
+  return {
+    deviceId,
+    points: [
+      { angle: 0, litresPerMinute: 0 },
+      { angle: 180, litresPerMinute: fullOpenLitresPerMinute },
+    ],
+  };
+}
+
+function validateFlowProfile(body) {
+  const { points } = body;
+  if (!Array.isArray(points) || points.length < 2 || points.length > MAX_FLOW_POINTS) {
+    return { error: `points must be an array of 2 to ${MAX_FLOW_POINTS} { angle, litresPerMinute } entries` };
+  }
+  const parsed = [];
+  for (const [index, point] of points.entries()) {
+    const angle = Number(point && point.angle);
+    const litresPerMinute = Number(point && point.litresPerMinute);
+    if (!Number.isInteger(angle) || angle < 0 || angle > 180) {
+      return { error: `points[${index}].angle must be an integer between 0 and 180` };
+    }
+    if (!Number.isFinite(litresPerMinute) || litresPerMinute < 0 || litresPerMinute > 1000) {
+      return { error: `points[${index}].litresPerMinute must be between 0 and 1000` };
+    }
+    parsed.push({ angle, litresPerMinute });
+  }
+  parsed.sort((a, b) => a.angle - b.angle);
+  if (parsed.some((point, i) => i > 0 && point.angle === parsed[i - 1].angle)) {
+    return { error: 'points must not repeat an angle' };
+  }
+  return { points: parsed };
+}
+
+// Linear between the profile's points, flat beyond the first and last
+function flowRate(points, angle) {
+  if (angle <= points[0].angle) return points[0].litresPerMinute;
+  for (let i = 1; i < points.length; i += 1) {
+    const next = points[i];
+    if (angle <= next.angle) {
+      const previous = points[i - 1];
+      const share = (angle - previous.angle) / (next.angle - previous.angle);
+      return previous.litresPerMinute + share * (next.litresPerMinute - previous.litresPerMinute);
+    }
+  }
+  return points[points.length - 1].litresPerMinute;
+}
+
+// Pearson's r, or null with fewer than three pairs or no variation
+function correlation(pairs) {
+  if (pairs.length < 3) return null;
+  const meanX = pairs.reduce((sum, [x]) => sum + x, 0) / pairs.length;
+  const meanY = pairs.reduce((sum, [, y]) => sum + y, 0) / pairs.length;
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  for (const [x, y] of pairs) {
+    covariance += (x - meanX) * (y - meanY);
+    varianceX += (x - meanX) ** 2;
+    varianceY += (y - meanY) ** 2;
+  }
+  return varianceX && varianceY ? covariance / Math.sqrt(varianceX * varianceY) : null;
+}
+
+function round(value, digits = 2) {
+  return value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits;
+}
+
+// Merges [{ iterable, field }], each sorted by its date field, into one sorted sequence of
+// { source (index), doc }
+async function* mergeByTime(sources) {
+  const iterators = sources.map(({ iterable }) => iterable[Symbol.asyncIterator]());
+  const heads = await Promise.all(iterators.map((iterator) => iterator.next()));
+  for (;;) {
+    let pick = -1;
+    for (let i = 0; i < heads.length; i += 1) {
+      if (heads[i].done) continue;
+      if (pick < 0 || heads[i].value[sources[i].field] < heads[pick].value[sources[pick].field]) pick = i;
+    }
+    if (pick < 0) return;
+    yield { source: pick, doc: heads[pick].value };
+    heads[pick] = await iterators[pick].next();
+  }
+}
+
+// Feed samples { at: Date, position?, soil? } in time order, then call result(). Periods are
+// local days or ISO weeks (starting Monday) in the clock's time zone.
+function createWaterAnalyzer({ points, clock, period = 'day', start, end, maxGapMs }) {
+  const periods = new Map(); // local period start (wall ms) -> totals
+  const cycles = [];
+  let lastAt = null;
+  let lastPosition = null;
+  let lastSoil = null;
+  let openCycle = null;
+  const recovering = [];
+
+  function periodKey(at) {
+    const wall = clock.wallMs(new Date(at));
+    let day = wall - (wall % DAY_MS);
+    if (period === 'week') day -= ((new Date(day).getUTCDay() + 6) % 7) * DAY_MS;
+    return day;
+  }
+
+  function totals(at) {
+    const key = periodKey(at);
+    if (!periods.has(key)) {
+      periods.set(key, { openMs: 0, litres: 0, cycles: [], soilMin: null, soilMax: null, soilFirst: null, soilLast: null });
+    }
+    return periods.get(key);
+  }
+
+  // The position held from lastAt to `at`; intervals are short, so each is booked to the period it starts in
+  function accumulate(at) {
+    if (lastAt === null || lastPosition === null) return;
+    const until = Math.min(at, lastAt + maxGapMs);
+    if (until <= lastAt || lastPosition < OPEN_THRESHOLD_DEG) return;
+    const litres = flowRate(points, lastPosition) * (until - lastAt) / MINUTE_MS;
+    const bucket = totals(lastAt);
+    bucket.openMs += until - lastAt;
+    bucket.litres += litres;
+    if (openCycle) {
+      openCycle.openMs += until - lastAt;
+      openCycle.litres += litres;
+    }
+  }
+
+  function settleRecoveries(at) {
+    while (recovering.length && recovering[0].closedAt + RECOVERY_WINDOW_MS < at) {
+      recovering.shift();
+    }
+  }
+
+  function add({ at, position = null, soil = null }) {
+    const time = at.getTime();
+    accumulate(time);
+    // The device went quiet for longer than maxGapMs: the valve state is unknown, end the cycle
+    if (openCycle && lastAt !== null && time - lastAt > maxGapMs) {
+      openCycle.closedAt = lastAt + maxGapMs;
+      recovering.push(openCycle);
+      openCycle = null;
+    }
+    settleRecoveries(time);
+    if (soil !== null) {
+      lastSoil = soil;
+      const bucket = totals(time);
+      bucket.soilMin = bucket.soilMin === null ? soil : Math.min(bucket.soilMin, soil);
+      bucket.soilMax = bucket.soilMax === null ? soil : Math.max(bucket.soilMax, soil);
+      if (bucket.soilFirst === null) bucket.soilFirst = soil;
+      bucket.soilLast = soil;
+      for (const cycle of recovering) cycle.soilPeak = Math.max(cycle.soilPeak ?? soil, soil);
+      if (openCycle) openCycle.soilPeak = Math.max(openCycle.soilPeak ?? soil, soil);
+    }
+    if (position !== null) {
+      const open = position >= OPEN_THRESHOLD_DEG;
+      if (open && !openCycle) {
+        openCycle = { openedAt: time, closedAt: null, openMs: 0, litres: 0, soilBefore: lastSoil, soilPeak: null };
+        cycles.push(openCycle);
+        totals(time).cycles.push(openCycle);
+      } else if (!open && openCycle) {
+        openCycle.closedAt = time;
+        recovering.push(openCycle);
+        openCycle = null;
+      }
+      lastPosition = position;
+    }
+    lastAt = time;
+  }
+
+  function recoveryOf(cycle) {
+    return cycle.soilBefore !== null && cycle.soilPeak !== null ? cycle.soilPeak - cycle.soilBefore : null;
+  }
+
+  function summarize(list, openMs, litres, spanMs) {
+    const measured = list.filter((cycle) => recoveryOf(cycle) !== null);
+    const totalRecovery = measured.reduce((sum, cycle) => sum + recoveryOf(cycle), 0);
+    const measuredLitres = measured.reduce((sum, cycle) => sum + cycle.litres, 0);
+    return {
+      openMinutes: round(openMs / MINUTE_MS, 1),
+      dutyCycle: spanMs > 0 ? round(openMs / spanMs, 4) : null,
+      litres: round(litres),
+      cycles: list.length,
+      recovery: {
+        cycles: measured.length,
+        meanSoilRise: measured.length ? round(totalRecovery / measured.length) : null,
+        soilRisePerLitre: measuredLitres > 0 ? round(totalRecovery / measuredLitres, 3) : null,
+        litresVsSoilRise: round(correlation(measured.map((cycle) => [cycle.litres, recoveryOf(cycle)])), 3),
+      },
+    };
+  }
+
+  function result() {
+    accumulate(end.getTime());
+    const data = [...periods.keys()].sort((a, b) => a - b).map((key) => {
+      const bucket = periods.get(key);
+      const periodStart = clock.toInstant(key);
+      const periodEnd = clock.toInstant(key + PERIODS[period] * DAY_MS);
+      const spanMs = Math.min(periodEnd, end) - Math.max(periodStart, start);
+      return {
+        periodStart,
+        ...summarize(bucket.cycles, bucket.openMs, bucket.litres, spanMs),
+        soil: { min: bucket.soilMin, max: bucket.soilMax, first: bucket.soilFirst, last: bucket.soilLast },
+      };
+    });
+    const openMs = [...periods.values()].reduce((sum, bucket) => sum + bucket.openMs, 0);
+    const litres = [...periods.values()].reduce((sum, bucket) => sum + bucket.litres, 0);
+    return {
+      totals: summarize(cycles, openMs, litres, end - start),
+      data,
+    };
+  }
+
+  return { add, result };
+}
+
+module.exports = {
+  OPEN_THRESHOLD_DEG,
+  PERIODS,
+  createWaterAnalyzer,
+  defaultFlowProfile,
+  flowRate,
+  mergeByTime,
+  validateFlowProfile,
+};
@@ -0,0 +1,228 @@
+// Minimal streaming XLSX (Office Open XML spreadsheet) writer. Rows are deflated straight into the
+// output as they arrive, so exports of any length use constant memory. Sheets roll over at Excel's
+// row limit. Only what exports need is supported: text, numbers and date-times.
+const zlib = require('zlib');
+
+const MAX_SHEET_ROWS = 1_048_576;
+const EXCEL_EPOCH_OFFSET_DAYS = 25569; // days from 1899-12-30 to 1970-01-01
+const DAY_MS = 24 * 60 * 60_000;
+
+// XML 1.0 forbids most control characters even when escaped
+function escapeXml(value) {
+  return String(value)
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Wall-clock milliseconds (already shifted to the export time zone) to an Excel serial date
+function excelSerial(wallMs) {
+  return wallMs / DAY_MS + EXCEL_EPOCH_OFFSET_DAYS;
+}
+
+function dosDateTime(date) {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+  const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  return { time, day };
+}
+
+// Zip container with deflated entries and data descriptors (sizes are only known afterwards)
+function createZipStream(write) {
+  const entries = [];
+  let offset = 0;
+  const { time, day } = dosDateTime(new Date());
+
+  async function emit(chunk) {
+    offset += chunk.length;
+    await write(chunk);
+  }
+
+  // Entries are written one at a time: open, write text, close
+  async function openEntry(name) {
+    const nameBytes = Buffer.from(name, 'utf8');
+    const entry = { nameBytes, offset, crc: 0, compressed: 0, size: 0 };
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4); // version needed
+    header.writeUInt16LE(0x0808, 6); // data descriptor + UTF-8 names
+    header.writeUInt16LE(8, 8); // deflate
+    header.writeUInt16LE(time, 10);
+    header.writeUInt16LE(day, 12);
+    header.writeUInt16LE(nameBytes.length, 26);
+    await emit(Buffer.concat([header, nameBytes]));
+
+    const deflate = zlib.createDeflateRaw();
+    const pending = [];
+    deflate.on('data', (chunk) => pending.push(chunk));
+    async function flush() {
+      while (pending.length) {
+        const chunk = pending.shift();
+        entry.compressed += chunk.length;
+        await emit(chunk);
+      }
+    }
+
+    return {
+      async write(text) {
+        const data = Buffer.from(text, 'utf8');
+        entry.crc = zlib.crc32(data, entry.crc);
+        entry.size += data.length;
+        await new Promise((resolve) => deflate.write(data, resolve));
+        await flush();
+      },
+
+      async close() {
+        // 'end' (not the end() callback) fires once all compressed output has been emitted
+        await new Promise((resolve) => {
+          deflate.once('end', resolve);
+          deflate.end();
+        });
+        await flush();
+        const descriptor = Buffer.alloc(16);
+        descriptor.writeUInt32LE(0x08074b50, 0);
+        descriptor.writeUInt32LE(entry.crc, 4);
+        descriptor.writeUInt32LE(entry.compressed, 8);
+        descriptor.writeUInt32LE(entry.size, 12);
+        await emit(descriptor);
+        entries.push(entry);
+      },
+    };
+  }
+
+  async function addFile(name, text) {
+    const entry = await openEntry(name);
+    await entry.write(text);
+    await entry.close();
+  }
+
+  async function finish() {
+    const start = offset;
+    for (const entry of entries) {
+      const record = Buffer.alloc(46);
+      record.writeUInt32LE(0x02014b50, 0);
+      record.writeUInt16LE(20, 4); // version made by
+      record.writeUInt16LE(20, 6); // version needed
+      record.writeUInt16LE(0x0808, 8);
+      record.writeUInt16LE(8, 10);
+      record.writeUInt16LE(time, 12);
+      record.writeUInt16LE(day, 14);
+      record.writeUInt32LE(entry.crc, 16);
+      record.writeUInt32LE(entry.compressed, 20);
+      record.writeUInt32LE(entry.size, 24);
+      record.writeUInt16LE(entry.nameBytes.length, 28);
+      record.writeUInt32LE(entry.offset, 42);
+      await emit(Buffer.concat([record, entry.nameBytes]));
+    }
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(offset - start, 12);
+    end.writeUInt32LE(start, 16);
+    await emit(end);
+  }
+
+  return { addFile, finish, openEntry };
+}
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const MAIN_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const REL_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const PKG_REL_NS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+
+const STYLES = `${XML_HEADER}<styleSheet xmlns="${MAIN_NS}">`
+  + '<numFmts count="1"><numFmt numFmtId="164" formatCode="yyyy-mm-dd hh:mm:ss"/></numFmts>'
+  + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+  + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+  + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+  + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+  + '<cellXfs count="3"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'
+  + '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>'
+  + '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>'
+  + '</styleSheet>';
+
+// columns: [{ name, type }] where type is string, number, integer or datetime.
+// Row values for datetime columns are wall-clock milliseconds (see excelSerial).
+function createXlsxWriter(write, { columns, sheetName = 'Data' }) {
+  const zip = createZipStream(write);
+  const headerRow = `<row>${columns.map((column) => `<c t="inlineStr" s="2"><is><t>${escapeXml(column.name)}</t></is></c>`).join('')}</row>`;
+  const sheetNames = [];
+  let sheet = null;
+  let sheetRows = 0;
+  let buffered = '';
+
+  function cell(column, value) {
+    if (value === null || value === undefined || value === '') return '<c/>';
+    if (column.type === 'datetime') return `<c s="1"><v>${excelSerial(value)}</v></c>`;
+    if ((column.type === 'number' || column.type === 'integer') && Number.isFinite(value)) return `<c><v>${value}</v></c>`;
+    return `<c t="inlineStr"><is><t>${escapeXml(value)}</t></is></c>`;
+  }
+
+  async function flush() {
+    if (buffered) {
+      const text = buffered;
+      buffered = '';
+      await sheet.write(text);
+    }
+  }
+
+  async function closeSheet() {
+    await flush();
+    await sheet.write('</sheetData></worksheet>');
+    await sheet.close();
+  }
+
+  async function openSheet() {
+    const index = sheetNames.length + 1;
+    sheetNames.push(index === 1 ? sheetName : `${sheetName} ${index}`);
+    sheet = await zip.openEntry(`xl/worksheets/sheet${index}.xml`);
+    await sheet.write(`${XML_HEADER}<worksheet xmlns="${MAIN_NS}"><sheetData>${headerRow}`);
+    sheetRows = 1;
+  }
+
+  return {
+    async writeRow(values) {
+      if (!sheet) {
+        await openSheet();
+      } else if (sheetRows >= MAX_SHEET_ROWS) {
+        await closeSheet();
+        await openSheet();
+      }
+      buffered += `<row>${columns.map((column, i) => cell(column, values[i])).join('')}</row>`;
+      sheetRows += 1;
+      if (buffered.length >= 64 * 1024) {
+        await flush();
+      }
+    },
+
+    async end() {
+      if (!sheet) await openSheet();
+      await closeSheet();
+      const sheets = sheetNames.map((name, i) => `<sheet name="${escapeXml(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('');
+      const sheetRels = sheetNames.map((name, i) => `<Relationship Id="rId${i + 1}" Type="${REL_NS}/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('');
+      const sheetTypes = sheetNames.map((name, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('');
+      await zip.addFile('xl/workbook.xml', `${XML_HEADER}<workbook xmlns="${MAIN_NS}" xmlns:r="${REL_NS}"><sheets>${sheets}</sheets></workbook>`);
+      await zip.addFile('xl/_rels/workbook.xml.rels', `${XML_HEADER}<Relationships xmlns="${PKG_REL_NS}">${sheetRels}`
+        + `<Relationship Id="rId${sheetNames.length + 1}" Type="${REL_NS}/styles" Target="styles.xml"/></Relationships>`);
+      await zip.addFile('xl/styles.xml', STYLES);
+      await zip.addFile('_rels/.rels', `${XML_HEADER}<Relationships xmlns="${PKG_REL_NS}">`
+        + `<Relationship Id="rId1" Type="${REL_NS}/officeDocument" Target="xl/workbook.xml"/></Relationships>`);
+      await zip.addFile('[Content_Types].xml', `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`
+        + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+        + '<Default Extension="xml" ContentType="application/xml"/>'
+        + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+        + `${sheetTypes}<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>`
+        + '</Types>');
+      await zip.finish();
+    },
+  };
+}
+
+module.exports = {
+  MAX_SHEET_ROWS,
+  createXlsxWriter,
+  escapeXml,
+  excelSerial,
+};
@@ -0,0 +1,354 @@
+// Minimal canvas line charts for the dashboard (no external dependencies so it works offline).
+// Usage:
+//   const chart = PlantCharts.createLineChart(canvas, { label: 'pH', color: '#4CAF50', bands: [...] });
+//   chart.setData([{ t: Date.now(), v: 5.1 }]);  // optional min/max per point draws an envelope
+//   chart.append({ t: Date.now(), v: 5.2 });
+//   chart.setMarkers([{ t: Date.now(), label: 'spike', color: '#e53935' }]);  // vertical event markers
+(function () {
+  const PADDING = { top: 22, right: 14, bottom: 28, left: 48 };
+  const MIN_SPAN_MS = 10_000;
+
+  function niceStep(span, ticks) {
+    const raw = span / ticks;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(raw)));
+    const normalized = raw / magnitude;
+    const nice = normalized < 1.5 ? 1 : normalized < 3 ? 2 : normalized < 7 ? 5 : 10;
+    return nice * magnitude;
+  }
+
+  function formatTime(ts, span) {
+    const date = new Date(ts);
+    const hm = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    if (span > 2 * 24 * 3600_000) {
+      return date.toLocaleDateString([], { month: 'short', day: 'numeric' });
+    }
+    if (span > 12 * 3600_000) {
+      return date.toLocaleDateString([], { month: 'short', day: 'numeric' }) + ' ' + hm;
+    }
+    return hm;
+  }
+
+  // Index of the first point with t >= ts
+  function lowerBound(points, ts) {
+    let lo = 0;
+    let hi = points.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (points[mid].t < ts) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  }
+
+  function createLineChart(canvas, options) {
+    const opts = Object.assign({ color: '#4CAF50', unit: '', bands: [], decimals: 1 }, options);
+    const ctx = canvas.getContext('2d');
+    let points = [];
+    let markers = [];
+    let view = null; // { min, max } when zoomed/panned; null follows the data
+    let hover = null;
+    let drag = null;
+    const listeners = [];
+
+    function dataExtent() {
+      if (!points.length) {
+        const now = Date.now();
+        return { min: now - 3600_000, max: now };
+      }
+      const min = points[0].t;
+      const max = points[points.length - 1].t;
+      return max - min < MIN_SPAN_MS ? { min: max - MIN_SPAN_MS, max } : { min, max };
+    }
+
+    function currentView() {
+      return view || dataExtent();
+    }
+
+    function visiblePoints() {
+      const { min, max } = currentView();
+      const from = Math.max(lowerBound(points, min) - 1, 0);
+      const to = Math.min(lowerBound(points, max) + 1, points.length);
+      return points.slice(from, to);
+    }
+
+    function yExtent(visible) {
+      let min = Infinity;
+      let max = -Infinity;
+      visible.forEach((point) => {
+        min = Math.min(min, point.min ?? point.v);
+        max = Math.max(max, point.max ?? point.v);
+      });
+      // Keep threshold bands in view so readings can be judged against them
+      opts.bands.forEach((band) => {
+        min = Math.min(min, band.from);
+        max = Math.max(max, band.to);
+      });
+      if (!Number.isFinite(min)) {
+        min = 0;
+        max = 1;
+      }
+      if (min === max) {
+        min -= 1;
+        max += 1;
+      }
+      const pad = (max - min) * 0.08;
+      return { min: min - pad, max: max + pad };
+    }
+
+    function resize() {
+      const ratio = window.devicePixelRatio || 1;
+      const width = canvas.clientWidth || 600;
+      const height = canvas.clientHeight || 200;
+      if (canvas.width !== width * ratio || canvas.height !== height * ratio) {
+        canvas.width = width * ratio;
+        canvas.height = height * ratio;
+      }
+      ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+      return { width, height };
+    }
+
+    function draw() {
+      const { width, height } = resize();
+      const plotW = width - PADDING.left - PADDING.right;
+      const plotH = height - PADDING.top - PADDING.bottom;
+      const xRange = currentView();
+      const visible = visiblePoints();
+      const yRange = yExtent(visible);
+      const x = (t) => PADDING.left + ((t - xRange.min) / (xRange.max - xRange.min)) * plotW;
+      const y = (v) => PADDING.top + (1 - (v - yRange.min) / (yRange.max - yRange.min)) * plotH;
+
+      ctx.clearRect(0, 0, width, height);
+      ctx.font = '11px Arial, sans-serif';
+
+      ctx.fillStyle = '#333';
+      ctx.textAlign = 'left';
+      ctx.fillText(opts.label + (opts.unit ? ' (' + opts.unit + ')' : ''), PADDING.left, 14);
+      if (view) {
+        ctx.fillStyle = '#888';
+        ctx.textAlign = 'right';
+        ctx.fillText('zoomed - double-click to reset', width - PADDING.right, 14);
+      }
+
+      ctx.save();
+      ctx.beginPath();
+      ctx.rect(PADDING.left, PADDING.top, plotW, plotH);
+      ctx.clip();
+
+      opts.bands.forEach((band) => {
+        ctx.fillStyle = band.color || 'rgba(76, 175, 80, 0.12)';
+        ctx.fillRect(PADDING.left, y(band.to), plotW, y(band.from) - y(band.to));
+      });
+
+      const yStep = niceStep(yRange.max - yRange.min, 4);
+      ctx.strokeStyle = '#eee';
+      ctx.lineWidth = 1;
+      for (let v = Math.ceil(yRange.min / yStep) * yStep; v <= yRange.max; v += yStep) {
+        ctx.beginPath();
+        ctx.moveTo(PADDING.left, y(v));
+        ctx.lineTo(PADDING.left + plotW, y(v));
+        ctx.stroke();
+      }
+
+      const hasEnvelope = visible.some((point) => point.min !== undefined && point.max !== undefined);
+      if (hasEnvelope && visible.length > 1) {
+        ctx.fillStyle = opts.color;
+        ctx.globalAlpha = 0.15;
+        ctx.beginPath();
+        visible.forEach((point, i) => {
+          const px = x(point.t);
+          const py = y(point.max ?? point.v);
+          if (i === 0) ctx.moveTo(px, py);
+          else ctx.lineTo(px, py);
+        });
+        for (let i = visible.length - 1; i >= 0; i -= 1) {
+          ctx.lineTo(x(visible[i].t), y(visible[i].min ?? visible[i].v));
+        }
+        ctx.closePath();
+        ctx.fill();
+        ctx.globalAlpha = 1;
+      }
+
+      markers.forEach((marker) => {
+        if (marker.t < xRange.min || marker.t > xRange.max) return;
+        const mx = x(marker.t);
+        ctx.strokeStyle = marker.color || '#e53935';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 3]);
+        ctx.beginPath();
+        ctx.moveTo(mx, PADDING.top);
+        ctx.lineTo(mx, PADDING.top + plotH);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        ctx.fillStyle = marker.color || '#e53935';
+        ctx.beginPath();
+        ctx.moveTo(mx - 4, PADDING.top);
+        ctx.lineTo(mx + 4, PADDING.top);
+        ctx.lineTo(mx, PADDING.top + 6);
+        ctx.closePath();
+        ctx.fill();
+      });
+
+      ctx.strokeStyle = opts.color;
+      ctx.lineWidth = 1.5;
+      ctx.beginPath();
+      visible.forEach((point, i) => {
+        if (i === 0) ctx.moveTo(x(point.t), y(point.v));
+        else ctx.lineTo(x(point.t), y(point.v));
+      });
+      ctx.stroke();
+      if (visible.length === 1) {
+        ctx.fillStyle = opts.color;
+        ctx.beginPath();
+        ctx.arc(x(visible[0].t), y(visible[0].v), 3, 0, Math.PI * 2);
+        ctx.fill();
+      }
+      ctx.restore();
+
+      ctx.strokeStyle = '#ccc';
+      ctx.strokeRect(PADDING.left, PADDING.top, plotW, plotH);
+      ctx.fillStyle = '#666';
+      ctx.textAlign = 'right';
+      for (let v = Math.ceil(yRange.min / yStep) * yStep; v <= yRange.max; v += yStep) {
+        ctx.fillText(v.toFixed(yStep < 1 ? 1 : 0), PADDING.left - 6, y(v) + 4);
+      }
+      const span = xRange.max - xRange.min;
+      ctx.textAlign = 'center';
+      for (let i = 0; i <= 4; i += 1) {
+        const t = xRange.min + (span * i) / 4;
+        ctx.fillText(formatTime(t, span), x(t), height - 10);
+      }
+
+      if (!points.length) {
+        ctx.fillStyle = '#999';
+        ctx.fillText('No data', PADDING.left + plotW / 2, PADDING.top + plotH / 2);
+      }
+
+      if (hover && visible.length) {
+        const ts = xRange.min + ((hover.x - PADDING.left) / plotW) * span;
+        let nearest = visible[0];
+        visible.forEach((point) => {
+          if (Math.abs(point.t - ts) < Math.abs(nearest.t - ts)) nearest = point;
+        });
+        const px = x(nearest.t);
+        const py = y(nearest.v);
+        ctx.strokeStyle = '#999';
+        ctx.beginPath();
+        ctx.moveTo(px, PADDING.top);
+        ctx.lineTo(px, PADDING.top + plotH);
+        ctx.stroke();
+        ctx.fillStyle = opts.color;
+        ctx.beginPath();
+        ctx.arc(px, py, 3.5, 0, Math.PI * 2);
+        ctx.fill();
+
+        const lines = [new Date(nearest.t).toLocaleString(), nearest.v.toFixed(opts.decimals) + (opts.unit ? ' ' + opts.unit : '')];
+        if (nearest.min !== undefined && nearest.max !== undefined) {
+          lines.push('min ' + nearest.min.toFixed(opts.decimals) + ' / max ' + nearest.max.toFixed(opts.decimals));
+        }
+        // Markers within a few pixels of the cursor
+        markers
+          .filter((marker) => marker.label && Math.abs(x(marker.t) - hover.x) <= 4)
+          .forEach((marker) => lines.push(marker.label));
+        const boxW = Math.max(...lines.map((line) => ctx.measureText(line).width)) + 12;
+        const boxH = lines.length * 14 + 8;
+        const boxX = Math.min(px + 8, width - PADDING.right - boxW);
+        const boxY = PADDING.top + 4;
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.92)';
+        ctx.strokeStyle = '#bbb';
+        ctx.fillRect(boxX, boxY, boxW, boxH);
+        ctx.strokeRect(boxX, boxY, boxW, boxH);
+        ctx.fillStyle = '#333';
+        ctx.textAlign = 'left';
+        lines.forEach((line, i) => ctx.fillText(line, boxX + 6, boxY + 16 + i * 14));
+      }
+    }
+
+    function setView(next, silent) {
+      view = next;
+      draw();
+      if (!silent) listeners.forEach((listener) => listener(view));
+    }
+
+    function plotWidth() {
+      return (canvas.clientWidth || 600) - PADDING.left - PADDING.right;
+    }
+
+    canvas.addEventListener('wheel', (event) => {
+      event.preventDefault();
+      const range = currentView();
+      const span = range.max - range.min;
+      const anchor = range.min + ((event.offsetX - PADDING.left) / plotWidth()) * span;
+      const factor = event.deltaY < 0 ? 0.8 : 1.25;
+      const nextSpan = Math.max(span * factor, MIN_SPAN_MS);
+      const ratio = (anchor - range.min) / span;
+      setView({ min: anchor - nextSpan * ratio, max: anchor + nextSpan * (1 - ratio) });
+    }, { passive: false });
+
+    canvas.addEventListener('mousedown', (event) => {
+      drag = { x: event.offsetX, range: currentView() };
+    });
+    window.addEventListener('mouseup', () => {
+      drag = null;
+    });
+    canvas.addEventListener('mousemove', (event) => {
+      hover = { x: event.offsetX, y: event.offsetY };
+      if (drag) {
+        const span = drag.range.max - drag.range.min;
+        const shift = ((event.offsetX - drag.x) / plotWidth()) * span;
+        setView({ min: drag.range.min - shift, max: drag.range.max - shift });
+      } else {
+        draw();
+      }
+    });
+    canvas.addEventListener('mouseleave', () => {
+      hover = null;
+      draw();
+    });
+    canvas.addEventListener('dblclick', () => setView(null));
+    window.addEventListener('resize', draw);
+
+    draw();
+
+    return {
+      setData(nextPoints) {
+        points = nextPoints
+          .filter((point) => Number.isFinite(point.t) && typeof point.v === 'number' && Number.isFinite(point.v))
+          .sort((a, b) => a.t - b.t);
+        view = null;
+        draw();
+      },
+      append(point) {
+        if (!Number.isFinite(point.t) || typeof point.v !== 'number' || !Number.isFinite(point.v)) return;
+        if (points.length && point.t <= points[points.length - 1].t) return;
+        points.push(point);
+        draw();
+      },
+      setMarkers(nextMarkers) {
+        markers = nextMarkers.filter((marker) => Number.isFinite(marker.t));
+        draw();
+      },
+      lastTimestamp() {
+        return points.length ? points[points.length - 1].t : null;
+      },
+      setView(next) {
+        setView(next, true);
+      },
+      onViewChange(listener) {
+        listeners.push(listener);
+      },
+    };
+  }
+
+  // Keeps zoom/pan in sync across several charts sharing the same time axis
+  function linkCharts(charts) {
+    charts.forEach((chart) => {
+      chart.onViewChange((view) => {
+        charts.forEach((other) => {
+          if (other !== chart) other.setView(view);
+        });
+      });
+    });
+  }
+
+  window.PlantCharts = { createLineChart, linkCharts };
+})();
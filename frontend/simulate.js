@@ -0,0 +1,184 @@
+require('dotenv').config();
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { loadConfig } = require('./lib/config');
+const { LEVELS, createLogger } = require('./lib/logger');
+const simulator = require('./lib/simulator');
+const replay = require('./lib/replay');
+
+// Virtual devices, or a replay of an exported readings CSV, sent to the server like real boards.
+// The broker, topic prefix, port and admin account come from the same settings as the server.
+//   node simulate.js [--devices 3] [--interval 5] [--fault sim-1:ph:stuck:30] [--transport http]
+//   node simulate.js replay readings.csv [--speed 60] [--device bed-2] [--keep-times]
+// Over HTTP each device posts with its --api-key <deviceId>=<key>, or else as the admin account.
+const USAGE = `Usage:
+  node simulate.js [options]              run virtual devices
+  node simulate.js replay <file> [options] replay a readings CSV export
+
+Options:
+  --transport mqtt|http   how readings are sent (default mqtt)
+  --url <url>             server for http (default http://localhost:$PORT)
+  --api-key <id>=<key>    device API key for http, repeatable
+  --log-level <level>     debug, info, warn or error (default info)
+Simulator:
+  --devices <n>           number of devices (default 1)
+  --prefix <name>         device ids are <prefix>-1, <prefix>-2... (default sim)
+  --interval <seconds>    time between readings (default 5)
+  --seed <n>              random seed; the same seed repeats a run (default 1)
+  --fault <spec>          <deviceId>:<metric>:<type>:<startMinute>[:<minutes>], repeatable;
+                          types: ${simulator.FAULT_TYPES.join(', ')} (offline takes metric "all")
+Replay:
+  --speed <n>             playback speed, 0 for as fast as possible (default 1)
+  --max-gap <seconds>     longest wait between readings before speed (default 60)
+  --device <id>           send every reading as this device
+  --keep-times            send the original measured times instead of live ones`;
+
+const OPTIONS = {
+  transport: { type: 'string', default: 'mqtt' },
+  url: { type: 'string' },
+  'api-key': { type: 'string', multiple: true, default: [] },
+  'log-level': { type: 'string', default: 'info' },
+  devices: { type: 'string', default: '1' },
+  prefix: { type: 'string', default: 'sim' },
+  interval: { type: 'string', default: '5' },
+  seed: { type: 'string', default: '1' },
+  fault: { type: 'string', multiple: true, default: [] },
+  speed: { type: 'string', default: '1' },
+  'max-gap': { type: 'string', default: '60' },
+  device: { type: 'string' },
+  'keep-times': { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false },
+};
+
+function fail(message) {
+  process.stderr.write(`${message}\n\n${USAGE}\n`);
+  process.exit(2);
+}
+
+function positiveNumber(name, raw, { allowZero = false } = {}) {
+  const value = Number(raw);
+  if (!Number.isFinite(value) || value < 0 || (!allowZero && value === 0)) {
+    fail(`--${name} must be a ${allowZero ? 'non-negative' : 'positive'} number`);
+  }
+  return value;
+}
+
+let parsed;
+try {
+  parsed = parseArgs({ options: OPTIONS, allowPositionals: true });
+} catch (error) {
+  fail(error.message);
+}
+const { values: options, positionals } = parsed;
+if (options.help) {
+  process.stdout.write(`${USAGE}\n`);
+  process.exit(0);
+}
+const [command = 'run', file] = positionals;
+if (!['run', 'replay'].includes(command)) fail(`Unknown command: ${command}`);
+if (command === 'replay' && !file) fail('replay needs the CSV file to send');
+if (!['mqtt', 'http'].includes(options.transport)) fail('--transport must be mqtt or http');
+if (!LEVELS[options['log-level']]) fail(`--log-level must be one of: ${Object.keys(LEVELS).join(', ')}`);
+
+// Only the MQTT (for --transport mqtt), port and admin settings matter here; a missing database URI does not
+const { config, errors } = loadConfig();
+const relevantPattern = options.transport === 'mqtt' ? /^(MQTT_|PORT|ADMIN_)/ : /^(PORT|ADMIN_)/;
+const relevant = errors.filter((message) => relevantPattern.test(message));
+if (relevant.length) fail(relevant.join('\n'));
+const log = createLogger({ level: options['log-level'], format: 'text' });
+
+async function createTransport() {
+  if (options.transport === 'mqtt') {
+    const { url, username, password, tls } = config.mqtt;
+    return simulator.createMqttTransport({
+      url,
+      topicPrefix: config.mqtt.topicPrefix,
+      connectOptions: {
+        connectTimeout: 4000,
+        reconnectPeriod: 1000,
+        username: username || undefined,
+        password: password || undefined,
+        ca: tls.ca ? fs.readFileSync(tls.ca) : undefined,
+        cert: tls.cert ? fs.readFileSync(tls.cert) : undefined,
+        key: tls.key ? fs.readFileSync(tls.key) : undefined,
+        rejectUnauthorized: tls.rejectUnauthorized,
+      },
+      log,
+    });
+  }
+  const baseUrl = options.url || `http://localhost:${config.http.port}`;
+  const apiKeys = {};
+  for (const entry of options['api-key']) {
+    const [deviceId, key] = entry.split('=');
+    if (!deviceId || !key) fail(`--api-key must be <deviceId>=<key>, got "${entry}"`);
+    apiKeys[deviceId] = key;
+  }
+  let token = null;
+  if (config.admin.password) {
+    const response = await fetch(new URL('/api/auth/login', baseUrl), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username: config.admin.username, password: config.admin.password }),
+    });
+    if (!response.ok) throw new Error(`Admin login failed with ${response.status}`);
+    token = (await response.json()).token;
+  } else if (!Object.keys(apiKeys).length) {
+    fail('Over http, pass --api-key for each device or set ADMIN_PASSWORD');
+  }
+  return simulator.createHttpTransport({ baseUrl, apiKeys, token });
+}
+
+async function run() {
+  const count = positiveNumber('devices', options.devices);
+  if (!Number.isInteger(count)) fail('--devices must be a whole number');
+  const seed = positiveNumber('seed', options.seed, { allowZero: true });
+  const deviceIds = Array.from({ length: count }, (_, i) => `${options.prefix}-${i + 1}`);
+  const faults = options.fault.map((spec) => {
+    const { fault, error } = simulator.parseFault(spec);
+    if (error) fail(error);
+    if (!deviceIds.includes(fault.deviceId)) fail(`Fault "${spec}" is for an unknown device; devices are ${deviceIds.join(', ')}`);
+    return fault;
+  });
+  const startAt = new Date();
+  const devices = deviceIds.map((deviceId, i) => simulator.createVirtualDevice({
+    deviceId,
+    seed: seed + i,
+    startAt,
+    faults: faults.filter((fault) => fault.deviceId === deviceId),
+  }));
+  const running = simulator.createSimulator({
+    devices,
+    transport: await createTransport(),
+    intervalMs: positiveNumber('interval', options.interval) * 1000,
+    log,
+  });
+  process.on('SIGINT', async () => {
+    await running.stop();
+    process.exit(0);
+  });
+  await running.start();
+}
+
+async function runReplay() {
+  const parsedFile = replay.readingsFromCsv(fs.readFileSync(file, 'utf8'), { deviceId: options.device || null });
+  if (parsedFile.error) fail(`${file}: ${parsedFile.error}`);
+  for (const { line, error } of parsedFile.skipped) {
+    log.warn('Skipping line', { file, line, problem: error });
+  }
+  const replaying = replay.createReplay({
+    readings: parsedFile.readings,
+    transport: await createTransport(),
+    speed: positiveNumber('speed', options.speed, { allowZero: true }),
+    keepTimes: options['keep-times'],
+    maxGapMs: positiveNumber('max-gap', options['max-gap'], { allowZero: true }) * 1000,
+    log,
+  });
+  process.on('SIGINT', () => replaying.stop());
+  const { failed } = await replaying.run();
+  process.exit(failed ? 1 : 0);
+}
+
+(command === 'replay' ? runReplay() : run()).catch((error) => {
+  log.error('Simulator failed', { err: error });
+  process.exit(1);
+});
@@ -0,0 +1,163 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createAnomalyDetector } = require('../lib/anomaly');
+const { createMemoryStorage } = require('../lib/storage/memory');
+const { startTestServer } = require('./helpers');
+
+const BASE_TIME = Date.parse('2025-06-01T00:00:00Z');
+const MINUTE_MS = 60_000;
+const silentLog = { info() {}, error() {} };
+
+function at(minutes) {
+  return new Date(BASE_TIME + minutes * MINUTE_MS);
+}
+
+function createDetector(storage = createMemoryStorage()) {
+  return createAnomalyDetector({
+    storage,
+    listDeviceIds: async () => ['bed-1'],
+    deviceMatch: (deviceId) => ({ deviceId }),
+    log: silentLog,
+  });
+}
+
+// Stores and observes readings in order; resolves with everything detected
+async function feed(detector, storage, readings) {
+  const found = [];
+  for (const reading of readings) {
+    const stored = { deviceId: 'bed-1', measuredAt: at(reading.minute), ...reading };
+    delete stored.minute;
+    await storage.collection('sensors').insertOne(stored);
+    found.push(...await detector.observe(stored));
+  }
+  return found;
+}
+
+// A reading a minute with a little noise, so nothing looks stuck
+function steady(minutes, values) {
+  return Array.from({ length: minutes }, (_, minute) => {
+    const wobble = minute % 2 ? 1 : -1;
+    return { minute, ph: 6.5 + wobble * 0.02, soil: 20 + wobble * 0.5, temperature: 21 + wobble * 0.1, humidity: 55 + wobble, ...values };
+  });
+}
+
+test('anomaly detector', async (t) => {
+  await t.test('flags a soil jump from 20% to 90% as a spike and an impossible rate', async () => {
+    const storage = createMemoryStorage();
+    const detector = createDetector(storage);
+    const found = await feed(detector, storage, [...steady(20), { minute: 20, ph: 6.5, soil: 90, temperature: 21, humidity: 55 }]);
+    assert.deepEqual(found.map((item) => `${item.metric}:${item.type}`).sort(), ['soil:rate', 'soil:spike']);
+    const rate = found.find((item) => item.type === 'rate');
+    assert.equal(rate.value, 90);
+    assert.equal(rate.expected, 20.5);
+    assert.deepEqual(rate.readings.map((reading) => reading.value), [20.5, 90]);
+    assert.ok(rate.readings.every((reading) => typeof reading.readingId === 'string'));
+    assert.equal(await storage.collection('anomalies').count({}), 2);
+  });
+
+  await t.test('flags a flat-lined pH probe once per episode', async () => {
+    const storage = createMemoryStorage();
+    const detector = createDetector(storage);
+    const flat = steady(90).map((reading) => ({ ...reading, ph: 6.8 }));
+    const found = await feed(detector, storage, flat);
+    assert.deepEqual(found.map((item) => `${item.metric}:${item.type}`), ['ph:stuck']);
+    assert.equal(found[0].detectedAt.getTime(), at(30).getTime());
+    assert.deepEqual(found[0].readings.map((reading) => reading.measuredAt.getTime()), [at(0).getTime(), at(30).getTime()]);
+  });
+
+  await t.test('flags a DHT returning the same temperature for hours, not for minutes', async () => {
+    const storage = createMemoryStorage();
+    const detector = createDetector(storage);
+    const readings = steady(180).map((reading) => ({ ...reading, temperature: 23.4 }));
+    const found = await feed(detector, storage, readings);
+    assert.deepEqual(found.map((item) => `${item.metric}:${item.type}`), ['temperature:stuck']);
+    assert.equal(found[0].detectedAt.getTime(), at(120).getTime());
+    assert.equal(found[0].score, 120);
+  });
+
+  await t.test('flags pH drifting away from its baseline', async () => {
+    const storage = createMemoryStorage();
+    const detector = createDetector(storage);
+    // Seven steady hours at a reading every five minutes, then a slow climb of one pH unit
+    const readings = [];
+    for (let minute = 0; minute < 7 * 60; minute += 5) {
+      readings.push({ minute, ph: minute % 10 ? 6.52 : 6.48 });
+    }
+    for (let step = 1; step <= 36; step += 1) {
+      readings.push({ minute: 7 * 60 + step * 5, ph: 6.5 + Math.min(step, 12) / 12 + (step % 2 ? 0.02 : -0.02) });
+    }
+    const found = await feed(detector, storage, readings);
+    const drift = found.filter((item) => item.type === 'drift');
+    assert.equal(drift.length, 1);
+    assert.equal(drift[0].metric, 'ph');
+    assert.ok(drift[0].score >= 0.5);
+    assert.ok(Math.abs(drift[0].expected - 6.5) < 0.2);
+    assert.ok(!found.some((item) => item.type === 'rate'), 'a slow climb is not an impossible rate');
+  });
+
+  await t.test('skips flagged values and out-of-order readings', async () => {
+    const storage = createMemoryStorage();
+    const detector = createDetector(storage);
+    const readings = steady(20);
+    readings.push({ minute: 20, ph: 6.5, soil: 95, quality: { ok: false, flags: ['soil_calibrating'] } });
+    readings.push({ minute: 5, ph: 6.5, soil: 95 });
+    assert.deepEqual(await feed(detector, storage, readings), []);
+  });
+
+  await t.test('warms up from stored readings without reporting again', async () => {
+    const storage = createMemoryStorage();
+    const first = createDetector(storage);
+    const flat = steady(40).map((reading) => ({ ...reading, ph: 6.8 }));
+    assert.equal((await feed(first, storage, flat)).length, 1);
+
+    const restarted = createDetector(storage);
+    await restarted.load();
+    const later = await feed(restarted, storage, [{ minute: 40, ph: 6.8, soil: 20, temperature: 21, humidity: 55 }]);
+    assert.deepEqual(later, []);
+    const jump = await feed(restarted, storage, [{ minute: 41, ph: 6.8, soil: 90, temperature: 21, humidity: 55 }]);
+    assert.ok(jump.some((item) => item.metric === 'soil' && item.type === 'spike'), 'the window was restored');
+  });
+});
+
+test('anomalies API', async (t) => {
+  const server = await startTestServer();
+  t.after(() => server.stop());
+  const start = Date.now() - 30 * MINUTE_MS;
+  const post = (minute, soil) => server.request('/api/sensors', {
+    method: 'POST',
+    body: { device_id: 'bed-1', ph: 6.5 + (minute % 2) * 0.03, soil, temperature: 21 + (minute % 2) * 0.2, humidity: 50 + (minute % 2), measured_at: new Date(start + minute * MINUTE_MS).toISOString() },
+  });
+  for (let minute = 0; minute < 15; minute += 1) {
+    assert.equal((await post(minute, 20 + (minute % 2))).status, 200);
+  }
+  assert.equal((await post(15, 90)).status, 200);
+
+  await t.test('lists detections from the ingestion path', async () => {
+    const { status, body } = await server.request('/api/anomalies?deviceId=bed-1');
+    assert.equal(status, 200);
+    assert.deepEqual(body.data.map((item) => item.type).sort(), ['rate', 'spike']);
+    assert.ok(body.data.every((item) => item.metric === 'soil' && item.value === 90));
+    const spikes = await server.request('/api/anomalies?type=spike&metric=soil');
+    assert.equal(spikes.body.count, 1);
+    assert.equal((await server.request('/api/anomalies?deviceId=bed-2')).body.count, 0);
+  });
+
+  await t.test('returns one detection with its readings', async () => {
+    const list = await server.request('/api/anomalies?type=rate');
+    const { status, body } = await server.request(`/api/anomalies/${list.body.data[0].anomalyId}`);
+    assert.equal(status, 200);
+    assert.deepEqual(body.readings.map((reading) => reading.value), [20, 90]);
+    assert.equal((await server.request('/api/anomalies/unknown')).status, 404);
+  });
+
+  await t.test('validates filters', async () => {
+    assert.equal((await server.request('/api/anomalies?metric=servo_position')).status, 400);
+    assert.equal((await server.request('/api/anomalies?type=noise')).status, 400);
+    assert.equal((await server.request('/api/anomalies?start=soon')).body.error, 'Invalid start date');
+  });
+
+  await t.test('counts detections in /metrics', async () => {
+    const response = await server.request('/metrics', { auth: false });
+    assert.match(response.text, /plant_anomalies_total\{metric="soil",type="spike"\} 1/);
+  });
+});
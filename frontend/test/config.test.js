@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig } = require('../lib/config');
+const alerts = require('../lib/alerts');
+
+const BASE_ENV = { MQTT_URL: 'mqtt://127.0.0.1:1883', STORAGE_DRIVER: 'memory' };
+
+test('configuration', async (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'plant-config-'));
+  const file = path.join(directory, 'config.json');
+  fs.writeFileSync(file, '{}');
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  await t.test('refuses to start without MQTT_URL', () => {
+    const { errors } = loadConfig({ file, env: { STORAGE_DRIVER: 'memory' } });
+    assert.deepEqual(errors, ['MQTT_URL (mqtt.url) is required']);
+  });
+
+  await t.test('reads thresholds from the environment', () => {
+    const { config, errors } = loadConfig({ file, env: { ...BASE_ENV, PH_MIN: '5.2', PH_MAX: '6.1', SOIL_MAX: '80' } });
+    assert.deepEqual(errors, []);
+    assert.deepEqual(config.thresholds, { ph: { min: 5.2, max: 6.1 }, soil: { min: 30, max: 80 } });
+  });
+
+  await t.test('rejects a minimum that is not below the maximum', () => {
+    const { errors } = loadConfig({ file, env: { ...BASE_ENV, SOIL_MIN: '70' } });
+    assert.deepEqual(errors, ['SOIL_MIN must be below SOIL_MAX']);
+  });
+
+  await t.test('seeds the default alert rules from the thresholds', () => {
+    const rules = alerts.defaultAlertRules({ ph: { min: 5.5, max: 6.5 }, soil: { min: 25, max: 75 } });
+    assert.deepEqual(rules.map((rule) => [rule.metric, rule.comparator, rule.threshold]), [
+      ['ph', 'lt', 5.5],
+      ['ph', 'gt', 6.5],
+      ['soil', 'lt', 25],
+      ['soil', 'gt', 75],
+    ]);
+  });
+});
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+
+test('dummy data mode', async (t) => {
+  // Without STORAGE_DRIVER, USE_DUMMY_DATA picks the memory driver
+  const server = await startTestServer({ USE_DUMMY_DATA: 'true', STORAGE_DRIVER: '' });
+  t.after(() => server.stop());
+
+  await t.test('uses the memory driver and seeds readings', async () => {
+    assert.equal(server.storage.driver, 'memory');
+    const { body } = await server.request('/api/sensors/range');
+    assert.equal(body.count, 2);
+    assert.ok(body.data.every((item) => item.deviceId === 'unifi'));
+  });
+
+  await t.test('/latest returns the newest seeded reading', async () => {
+    const { status, body } = await server.request('/api/sensors/latest');
+    assert.equal(status, 200);
+    assert.equal(body.ph, 5);
+    assert.equal(body.soil, 55);
+  });
+
+  await t.test('registers the dummy device', async () => {
+    const { status, body } = await server.request('/api/devices/unifi');
+    assert.equal(status, 200);
+    assert.equal(body.name, 'Unifi bed');
+  });
+
+  await t.test('reports healthy and ready', async () => {
+    const health = await server.request('/healthz', { auth: false });
+    assert.equal(health.status, 200);
+    assert.equal(health.body.mqtt.connected, true);
+    const ready = await server.request('/readyz', { auth: false });
+    assert.equal(ready.status, 200);
+    assert.equal(ready.body.checks.storage, true);
+  });
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fuzzy = require('../lib/fuzzy');
+
+function ruleSet() {
+  return structuredClone(fuzzy.DEFAULT_RULE_SET);
+}
+
+test('rule set validation', async (t) => {
+  await t.test('accepts the default rule set', () => {
+    assert.deepEqual(fuzzy.validateRuleSet(ruleSet()), []);
+  });
+
+  await t.test('rejects set names inherited from Object.prototype', () => {
+    const set = ruleSet();
+    set.rules[0].output = 'constructor';
+    set.rules[0].conditions[0].is = 'toString';
+    assert.deepEqual(fuzzy.validateRuleSet(set), [
+      'rules[0].output must reference a defined output set',
+      'rules[0].conditions[0] must reference a defined input set',
+    ]);
+    const inherited = ruleSet();
+    inherited.inputs.constructor = {};
+    assert.match(fuzzy.validateRuleSet(inherited)[0], /^inputs\.constructor is not a known variable/);
+  });
+
+  await t.test('rejects rules and conditions that are not objects', () => {
+    const nullRule = ruleSet();
+    nullRule.rules = [null];
+    assert.deepEqual(fuzzy.validateRuleSet(nullRule), ['rules[0] must be an object']);
+    const nullCondition = ruleSet();
+    nullCondition.rules[0].conditions = [null];
+    assert.deepEqual(fuzzy.validateRuleSet(nullCondition), ['rules[0].conditions[0] must be an object']);
+  });
+});
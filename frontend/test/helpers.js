@@ -0,0 +1,135 @@
+// Shared setup for the integration tests: an embedded MQTT broker (aedes), storage (the memory
+// driver, or an in-memory MongoDB from mongodb-memory-server with TEST_STORAGE_DRIVER=mongo) and
+// an app instance listening on a random port.
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const mqtt = require('mqtt');
+const { Aedes } = require('aedes');
+const { createApp } = require('../app');
+const { loadConfig } = require('../lib/config');
+const { createLogger } = require('../lib/logger');
+
+const ADMIN_PASSWORD = 'test-password';
+const TOPIC_PREFIX = 'plant_monitoring';
+
+async function startBroker() {
+  const broker = await Aedes.createBroker();
+  const server = net.createServer(broker.handle);
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return {
+    broker,
+    url: `mqtt://127.0.0.1:${server.address().port}`,
+    async close() {
+      await new Promise((resolve) => broker.close(resolve));
+      await new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+const MEMORY_STORAGE = { env: { STORAGE_DRIVER: 'memory' }, stop: async () => {} };
+
+// The memory driver implements the same queries and indexes, so the tests run anywhere by default.
+// TEST_STORAGE_DRIVER=mongo (npm run test:mongo) runs them against a real mongod instead, which
+// mongodb-memory-server downloads on first use; the run fails if that is not possible.
+async function startStorage() {
+  if (process.env.TEST_STORAGE_DRIVER !== 'mongo') return MEMORY_STORAGE;
+  const { MongoMemoryServer } = require('mongodb-memory-server');
+  const mongod = await MongoMemoryServer.create();
+  return {
+    env: { STORAGE_DRIVER: 'mongo', MONGODB_URI: mongod.getUri(), MONGODB_DB: 'plant_test' },
+    stop: () => mongod.stop(),
+  };
+}
+
+async function waitFor(check, { timeoutMs = 5000, intervalMs = 20 } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const result = await check();
+    if (result) return result;
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise((resolve) => setTimeout(resolve, intervalMs));
+  }
+}
+
+// Starts broker, storage and app; env overrides the settings (same names as the environment
+// variables), and setting STORAGE_DRIVER there skips the in-memory MongoDB. Resolves once the app
+// has subscribed to its topics.
+async function startTestServer(env = {}) {
+  const storage = 'STORAGE_DRIVER' in env ? MEMORY_STORAGE : await startStorage();
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'plant-test-'));
+  const configFile = path.join(directory, 'config.json');
+  fs.writeFileSync(configFile, '{}');
+  const broker = await startBroker();
+
+  const loadedConfig = loadConfig({
+    file: configFile,
+    env: {
+      MQTT_URL: broker.url,
+      ADMIN_PASSWORD,
+      LOG_LEVEL: process.env.TEST_LOG_LEVEL || 'error',
+      RETENTION_ARCHIVE: 'false',
+      STORAGE_PATH: path.join(directory, 'data'),
+      ...storage.env,
+      ...env,
+    },
+  });
+  if (loadedConfig.errors.length) throw new Error(loadedConfig.errors.join('; '));
+
+  const subscribed = new Promise((resolve) => {
+    broker.broker.on('subscribe', (subscriptions) => {
+      if (subscriptions.some((item) => item.topic === `${TOPIC_PREFIX}/+/+`)) resolve();
+    });
+  });
+  const instance = createApp({ loadedConfig, log: createLogger({ level: loadedConfig.config.log.level }) });
+  const server = await instance.start({ port: 0, host: '127.0.0.1' });
+  await subscribed;
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const publisher = await mqtt.connectAsync(broker.url);
+  let token = null;
+
+  async function request(urlPath, { method = 'GET', body, headers = {}, auth = true } = {}) {
+    const response = await fetch(baseUrl + urlPath, {
+      method,
+      headers: {
+        ...(body === undefined ? {} : { 'Content-Type': 'application/json' }),
+        ...(auth && token ? { Authorization: `Bearer ${token}` } : {}),
+        ...headers,
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const text = await response.text();
+    const isJson = (response.headers.get('content-type') || '').includes('application/json');
+    return { status: response.status, headers: response.headers, text, body: isJson ? JSON.parse(text) : null };
+  }
+
+  const login = await request('/api/auth/login', { method: 'POST', body: { username: 'admin', password: ADMIN_PASSWORD } });
+  token = login.body.token;
+
+  return {
+    instance,
+    storage: instance.storage,
+    baseUrl,
+    mqttUrl: broker.url,
+    // Admin session, for clients other than request()
+    token,
+    request,
+    // Resolves once the broker has accepted the message
+    publish: (topic, payload) => publisher.publishAsync(topic, typeof payload === 'string' ? payload : JSON.stringify(payload), { qos: 1 }),
+    async stop() {
+      await publisher.endAsync();
+      await instance.stop();
+      await broker.close();
+      await storage.stop();
+      fs.rmSync(directory, { recursive: true, force: true });
+    },
+  };
+}
+
+module.exports = {
+  TOPIC_PREFIX,
+  startTestServer,
+  waitFor,
+};
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+
+const BASE_TIME = Date.parse('2025-06-01T00:00:00Z');
+const MINUTE_MS = 60_000;
+
+function at(minutes) {
+  return new Date(BASE_TIME + minutes * MINUTE_MS);
+}
+
+test('servo and status history API', async (t) => {
+  const server = await startTestServer();
+  t.after(() => server.stop());
+  // Valve reports every 10 minutes, moving at 20 and 40; the device drops off at 25
+  await server.storage.collection('servo').insertMany([0, 10, 20, 30, 40].map((minute) => ({
+    deviceId: 'bed-1',
+    servo_position: minute < 20 ? 0 : minute < 40 ? 90 : 45,
+    mode: 'auto',
+    receivedAt: at(minute),
+  })));
+  await server.storage.collection('servo').insertOne({ deviceId: 'bed-2', servo_position: 180, receivedAt: at(15) });
+  await server.storage.collection('status').insertMany([
+    { deviceId: 'bed-1', status: 'online', message: 'Connected', receivedAt: at(1) },
+    { deviceId: 'bed-1', status: 'offline', message: 'Connection lost', receivedAt: at(25) },
+  ]);
+  await server.storage.collection('sensors').insertMany([5, 35].map((minute) => ({
+    deviceId: 'bed-1',
+    ph: 6.5,
+    soil: 40,
+    measuredAt: at(minute),
+    receivedAt: at(minute),
+  })));
+
+  await t.test('/api/servo/range returns reports newest first within the dates', async () => {
+    const { status, body } = await server.request(`/api/servo/range?deviceId=bed-1&start=${at(10).toISOString()}&end=${at(30).toISOString()}`);
+    assert.equal(status, 200);
+    assert.equal(body.count, 3);
+    assert.deepEqual(body.data.map((item) => item.servo_position), [90, 90, 0]);
+  });
+
+  await t.test('/api/servo/range validates dates, device and limit', async () => {
+    assert.equal((await server.request('/api/servo/range?start=soon')).body.error, 'Invalid start date');
+    assert.equal((await server.request('/api/servo/range?end=later')).body.error, 'Invalid end date');
+    assert.equal((await server.request('/api/servo/range?deviceId=no%20spaces')).status, 400);
+    const limited = await server.request('/api/servo/range?limit=2');
+    assert.equal(limited.body.count, 2);
+    assert.equal((await server.request('/api/servo/range?limit=abc')).body.count, 6);
+  });
+
+  await t.test('/api/servo/latest returns the last report', async () => {
+    const { body } = await server.request('/api/servo/latest?deviceId=bed-1');
+    assert.equal(body.servo_position, 45);
+    assert.deepEqual((await server.request('/api/servo/latest?deviceId=bed-9')).body, {});
+  });
+
+  await t.test('/api/status/range returns status events', async () => {
+    const { status, body } = await server.request('/api/status/range?deviceId=bed-1');
+    assert.equal(status, 200);
+    assert.deepEqual(body.data.map((item) => item.status), ['offline', 'online']);
+    assert.equal((await server.request('/api/status/range?start=bad')).status, 400);
+  });
+
+  await t.test('CSV exports of servo and status history', async () => {
+    const servo = await server.request('/api/servo/csv?deviceId=bed-1&limit=2');
+    assert.equal(servo.status, 200);
+    assert.match(servo.headers.get('content-disposition'), /filename="servo-bed-1-/);
+    const servoLines = servo.text.trim().split(/\r?\n/);
+    assert.equal(servoLines[0].replace(/^\uFEFF/, ''), 'receivedAt,deviceId,servo_position,mode,timestamp,board_type,topic');
+    assert.equal(servoLines.length, 3);
+    assert.match(servoLines[1], /,bed-1,0,auto,/);
+
+    const statusCsv = await server.request('/api/status/export?format=csv&columns=receivedAt,status');
+    assert.equal(statusCsv.status, 200);
+    assert.deepEqual(statusCsv.text.trim().split(/\r?\n/).slice(1).map((line) => line.split(',')[1]), ['online', 'offline']);
+    assert.equal((await server.request('/api/status/csv?columns=ph')).status, 400);
+  });
+
+  await t.test('/api/timeline interleaves readings, valve moves and status events', async () => {
+    const { status, body } = await server.request('/api/timeline?deviceId=bed-1');
+    assert.equal(status, 200);
+    assert.deepEqual(body.data.map((entry) => [entry.kind, new Date(entry.at).getTime()]), [
+      ['servo', at(40).getTime()],
+      ['sensors', at(35).getTime()],
+      ['status', at(25).getTime()],
+      ['servo', at(20).getTime()],
+      ['sensors', at(5).getTime()],
+      ['status', at(1).getTime()],
+      ['servo', at(0).getTime()],
+    ]);
+  });
+
+  await t.test('/api/timeline filters by kind and validates it', async () => {
+    const { body } = await server.request('/api/timeline?deviceId=bed-1&kinds=status');
+    assert.deepEqual(body.data.map((entry) => entry.data.status), ['offline', 'online']);
+    assert.equal((await server.request('/api/timeline?kinds=alerts')).status, 400);
+  });
+});
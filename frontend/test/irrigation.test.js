@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+const irrigation = require('../lib/irrigation');
+const { createMemoryStorage } = require('../lib/storage/memory');
+
+const MINUTE_MS = 60_000;
+
+// A fixed-offset zone in which it is now around noon, so the test never straddles local midnight
+function noonTimeZone() {
+  const offset = 12 - new Date().getUTCHours();
+  return `Etc/GMT${offset > 0 ? '-' : '+'}${Math.abs(offset)}`;
+}
+
+test('irrigation daily limit', async (t) => {
+  const server = await startTestServer();
+  t.after(() => server.stop());
+  const now = Date.now();
+  // The automatic controller held the valve open for 30 minutes, reporting every 30 seconds
+  const reports = [];
+  for (let at = now - 40 * MINUTE_MS; at < now - 10 * MINUTE_MS; at += MINUTE_MS / 2) {
+    reports.push({ deviceId: 'bed-1', servo_position: 180, mode: 'auto', receivedAt: new Date(at) });
+  }
+  reports.push({ deviceId: 'bed-1', servo_position: 0, mode: 'auto', receivedAt: new Date(now - 10 * MINUTE_MS) });
+  await server.storage.collection('servo').insertMany(reports);
+
+  const policy = await server.request('/api/schedules/policies/bed-1', {
+    method: 'PUT',
+    body: { timeZone: noonTimeZone(), maxOpenMinutesPerDay: 60 },
+  });
+  assert.equal(policy.status, 200);
+  const schedule = await server.request('/api/schedules', {
+    method: 'POST',
+    body: { deviceId: 'bed-1', cron: '0 * * * *', durationMinutes: 45 },
+  });
+  assert.equal(schedule.status, 201);
+
+  await t.test('counts valve time that did not come from the scheduler', async () => {
+    const { body } = await server.request('/api/schedules/upcoming?deviceId=bed-1&hours=2');
+    const runs = body.data.filter((event) => event.type === 'watering');
+    assert.deepEqual(runs.map((run) => [run.status, run.durationMinutes]), [['shortened', 30], ['blocked', 0]]);
+  });
+});
+
+test('irrigation scheduler', async (t) => {
+  await t.test('runs the other due schedules when one device fails', async () => {
+    const storage = createMemoryStorage();
+    const commands = [];
+    const errors = [];
+    const scheduler = irrigation.createIrrigationScheduler({
+      storage,
+      applyServoCommand: async (command) => {
+        if (command.deviceId === 'bed-1') throw new Error('broker down');
+        commands.push(command);
+        return { published: true };
+      },
+      getServoControl: () => ({ mode: 'auto' }),
+      valveOpenMinutes: async () => 0,
+      log: { info() {}, error: (message, fields) => errors.push(fields.deviceId) },
+    });
+    await scheduler.saveSchedule({ deviceId: 'bed-1', cron: '* * * * *', durationMinutes: 5, angle: 180, enabled: true });
+    const last = await scheduler.saveSchedule({ deviceId: 'bed-2', cron: '* * * * *', durationMinutes: 5, angle: 180, enabled: true });
+    await scheduler.tick(last.nextRunAt.getTime());
+    assert.deepEqual(commands.map((command) => command.deviceId), ['bed-2']);
+    assert.deepEqual(errors, ['bed-1']);
+  });
+});
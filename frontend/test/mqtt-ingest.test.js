@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { TOPIC_PREFIX, startTestServer, waitFor } = require('./helpers');
+
+test('MQTT ingestion', async (t) => {
+  const server = await startTestServer();
+  t.after(() => server.stop());
+  const collection = (name) => server.storage.collection(name);
+
+  await t.test('stores sensor readings with the device from the topic', async () => {
+    await server.publish(`${TOPIC_PREFIX}/sensors/bed-1`, { ph: 6.4, soil: 41, temperature: 22.5, humidity: 55 });
+    const reading = await waitFor(() => collection('sensors').findOne({ deviceId: 'bed-1' }));
+    assert.equal(reading.ph, 6.4);
+    assert.equal(reading.soil, 41);
+    assert.equal(reading.topic, `${TOPIC_PREFIX}/sensors/bed-1`);
+    assert.ok(reading.measuredAt instanceof Date);
+    assert.ok(reading.quality);
+    assert.ok(await collection('devices').findOne({ deviceId: 'bed-1' }), 'device is registered');
+  });
+
+  await t.test('stores servo and status messages in their own collections', async () => {
+    await server.publish(`${TOPIC_PREFIX}/servo/bed-1`, { servo_position: 90, mode: 'auto' });
+    await server.publish(`${TOPIC_PREFIX}/status/bed-1`, { status: 'online', message: 'Connected' });
+    const servo = await waitFor(() => collection('servo').findOne({ deviceId: 'bed-1' }));
+    const status = await waitFor(() => collection('status').findOne({ deviceId: 'bed-1' }));
+    assert.equal(servo.servo_position, 90);
+    assert.equal(status.status, 'online');
+    assert.equal(await collection('sensors').count({ topic: `${TOPIC_PREFIX}/servo/bed-1` }), 0);
+    assert.equal(await collection('sensors').count({ topic: `${TOPIC_PREFIX}/status/bed-1` }), 0);
+  });
+
+  await t.test('takes the device from the topic, never from the payload', async () => {
+    await server.publish(`${TOPIC_PREFIX}/sensors/bed-1`, { ph: 7, soil: 30, device_id: 'bed-2' });
+    const reading = await waitFor(() => collection('sensors').findOne({ deviceId: 'bed-1', ph: 7 }));
+    assert.equal(reading.soil, 30);
+    assert.equal(await collection('sensors').count({ deviceId: 'bed-2' }), 0);
+    assert.equal(await collection('devices').findOne({ deviceId: 'bed-2' }), null);
+  });
+
+  await t.test('rejects messages without a valid device id in the topic', async () => {
+    const topic = `${TOPIC_PREFIX}/servo/bad!id`;
+    await server.publish(topic, { servo_position: 90 });
+    const rejection = await waitFor(() => collection('ingest_rejections').findOne({ topic }));
+    assert.equal(rejection.deviceId, null);
+    assert.equal(await collection('servo').count({ topic }), 0);
+    assert.equal(await collection('devices').findOne({ deviceId: 'bad!id' }), null);
+  });
+
+  await t.test('sends invalid payloads to ingest_rejections', async () => {
+    await server.publish(`${TOPIC_PREFIX}/sensors/bed-3`, { ph: 'acidic' });
+    await server.publish(`${TOPIC_PREFIX}/servo/bed-3`, 'not json');
+    const rejections = await waitFor(async () => {
+      const found = await collection('ingest_rejections').find({ deviceId: 'bed-3' });
+      return found.length === 2 && found;
+    });
+    assert.deepEqual(rejections.map((item) => item.kind).sort(), ['sensors', 'servo']);
+    assert.equal(await collection('sensors').count({ deviceId: 'bed-3' }), 0);
+    assert.equal(await collection('servo').count({ deviceId: 'bed-3' }), 0);
+  });
+
+  await t.test('ignores topics it does not store', async () => {
+    await server.publish(`${TOPIC_PREFIX}/alerts/bed-4`, { ph: 6, soil: 40 });
+    // Sent after the ignored message on the same connection, so processed after it
+    await server.publish(`${TOPIC_PREFIX}/sensors/bed-4`, { ph: 6, soil: 40 });
+    await waitFor(() => collection('sensors').findOne({ deviceId: 'bed-4' }));
+    assert.equal(await collection('sensors').count({ deviceId: 'bed-4' }), 1);
+    assert.equal(await collection('ingest_rejections').count({ deviceId: 'bed-4' }), 0);
+  });
+
+  await t.test('counts messages in /metrics', async () => {
+    const response = await server.request('/metrics', { auth: false });
+    assert.equal(response.status, 200);
+    assert.match(response.text, /plant_mqtt_messages_total\{kind="sensors"\} [1-9]/);
+    assert.match(response.text, /plant_ingest_parse_errors_total\{source="mqtt",kind="sensors"\} 1/);
+  });
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, waitFor } = require('./helpers');
+
+const HOUR_MS = 60 * 60_000;
+const DAY_MS = 24 * HOUR_MS;
+
+test('retention jobs', async (t) => {
+  const server = await startTestServer({ RETENTION_SENSORS_DAYS: '30' });
+  t.after(() => server.stop());
+  // The scheduled run on start must be over before the fixtures go in
+  await waitFor(async () => (await server.request('/api/storage/stats')).body.jobs.prune.lastRunAt);
+
+  // Two days of hourly readings from 40 days ago, for a registered device and one that was removed
+  const from = Math.floor((Date.now() - 40 * DAY_MS) / DAY_MS) * DAY_MS;
+  const readings = [];
+  for (const deviceId of ['bed-1', 'gone-1']) {
+    for (let hour = 0; hour < 48; hour += 1) {
+      readings.push({
+        deviceId,
+        ph: 6.5,
+        soil: 40,
+        measuredAt: new Date(from + hour * HOUR_MS),
+        receivedAt: new Date(from + hour * HOUR_MS),
+      });
+    }
+  }
+  await server.storage.collection('sensors').insertMany(readings);
+  await server.request('/api/devices', { method: 'POST', body: { deviceId: 'gone-1' } });
+  await server.request('/api/devices/gone-1', { method: 'DELETE' });
+
+  await t.test('rolls up readings of removed devices before pruning them', async () => {
+    const { status } = await server.request('/api/storage/jobs/all', { method: 'POST' });
+    assert.equal(status, 200);
+    assert.equal(await server.storage.collection('sensors').count({ deviceId: 'gone-1' }), 0);
+    const hourly = await server.storage.collection('sensors_hourly').find({ deviceId: 'gone-1' });
+    const daily = await server.storage.collection('sensors_daily').find({ deviceId: 'gone-1' });
+    assert.equal(hourly.length, 48);
+    assert.equal(daily.length, 2);
+    assert.equal(daily[0].ph.avg, 6.5);
+  });
+
+  await t.test('rolls up batch readings uploaded after their hour was rolled up', async () => {
+    const bucketStart = Math.floor((Date.now() - 2 * DAY_MS) / HOUR_MS) * HOUR_MS;
+    const upload = await server.request('/api/sensors/batch', {
+      method: 'POST',
+      body: { device_id: 'bed-1', readings: [{ ph: 7.2, soil: 50, measured_at: new Date(bucketStart + 5 * 60_000).toISOString() }] },
+    });
+    assert.equal(upload.status, 200);
+    await waitFor(async () => {
+      const { body } = await server.request('/api/storage/stats');
+      return body.rollups.every((rollup) => new Date(rollup.rolledUpUntil) <= bucketStart + HOUR_MS);
+    });
+    await server.request('/api/storage/jobs/rollup', { method: 'POST' });
+    const hourly = await server.storage.collection('sensors_hourly').findOne({ deviceId: 'bed-1', bucketStart: new Date(bucketStart) });
+    assert.equal(hourly.ph.avg, 7.2);
+  });
+});
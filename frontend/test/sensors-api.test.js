@@ -0,0 +1,157 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+
+const BASE_TIME = Date.parse('2025-06-01T00:00:00Z');
+const HOUR_MS = 60 * 60_000;
+
+// Ten hourly readings for bed-1 (pH 6.0 to 6.9) and one for bed-2
+function fixtures() {
+  const readings = Array.from({ length: 10 }, (_, i) => ({
+    deviceId: 'bed-1',
+    ph: 6 + i / 10,
+    soil: 40 + i,
+    temperature: 21,
+    humidity: 50,
+    measuredAt: new Date(BASE_TIME + i * HOUR_MS),
+    receivedAt: new Date(BASE_TIME + i * HOUR_MS),
+    quality: { ok: true, flags: [] },
+  }));
+  readings.push({
+    deviceId: 'bed-2',
+    ph: 7.5,
+    soil: 20,
+    measuredAt: new Date(BASE_TIME + 5 * HOUR_MS),
+    receivedAt: new Date(BASE_TIME + 5 * HOUR_MS),
+    quality: { ok: true, flags: [] },
+  });
+  return readings;
+}
+
+function at(hours) {
+  return new Date(BASE_TIME + hours * HOUR_MS).toISOString();
+}
+
+test('sensor API', async (t) => {
+  const server = await startTestServer();
+  t.after(() => server.stop());
+  await server.storage.collection('sensors').insertMany(fixtures());
+
+  await t.test('requires authentication', async () => {
+    const response = await server.request('/api/sensors/range', { auth: false });
+    assert.equal(response.status, 401);
+  });
+
+  await t.test('/range returns readings newest first within the dates', async () => {
+    const { status, body } = await server.request(`/api/sensors/range?deviceId=bed-1&start=${at(2)}&end=${at(5)}`);
+    assert.equal(status, 200);
+    assert.equal(body.count, 4);
+    assert.deepEqual(body.data.map((item) => item.ph), [6.5, 6.4, 6.3, 6.2]);
+  });
+
+  await t.test('/range filters by device', async () => {
+    const { body } = await server.request('/api/sensors/range?deviceId=bed-2');
+    assert.equal(body.count, 1);
+    assert.equal(body.data[0].ph, 7.5);
+  });
+
+  await t.test('/range applies limit and ignores unusable ones', async () => {
+    const limited = await server.request('/api/sensors/range?deviceId=bed-1&limit=3');
+    assert.deepEqual(limited.body.data.map((item) => item.ph), [6.9, 6.8, 6.7]);
+    for (const limit of ['0', '-5', 'abc']) {
+      const { status, body } = await server.request(`/api/sensors/range?deviceId=bed-1&limit=${limit}`);
+      assert.equal(status, 200);
+      assert.equal(body.count, 10, `limit=${limit} falls back to the default`);
+    }
+  });
+
+  await t.test('/range rejects invalid dates and device ids', async () => {
+    const badStart = await server.request('/api/sensors/range?start=yesterday-ish');
+    assert.equal(badStart.status, 400);
+    assert.equal(badStart.body.error, 'Invalid start date');
+    const badEnd = await server.request('/api/sensors/range?end=2025-13-45');
+    assert.equal(badEnd.status, 400);
+    assert.equal(badEnd.body.error, 'Invalid end date');
+    const badDevice = await server.request('/api/sensors/range?deviceId=bad%20id');
+    assert.equal(badDevice.status, 400);
+  });
+
+  await t.test('/latest returns the newest reading', async () => {
+    const { status, body } = await server.request('/api/sensors/latest?deviceId=bed-1');
+    assert.equal(status, 200);
+    assert.equal(body.ph, 6.9);
+    assert.equal(body.measuredAt, at(9));
+  });
+
+  await t.test('/latest returns an empty object for a device without readings', async () => {
+    const { status, body } = await server.request('/api/sensors/latest?deviceId=bed-9');
+    assert.equal(status, 200);
+    assert.deepEqual(body, {});
+  });
+
+  await t.test('/csv streams readings oldest first', async () => {
+    const { status, headers, text } = await server.request(`/api/sensors/csv?deviceId=bed-1&start=${at(0)}&end=${at(2)}`);
+    assert.equal(status, 200);
+    assert.match(headers.get('content-type'), /text\/csv/);
+    assert.match(headers.get('content-disposition'), /attachment; filename="sensors-bed-1-/);
+    const lines = text.trim().split(/\r?\n/);
+    assert.equal(lines[0].replace(/^\uFEFF/, ''), 'measuredAt,receivedAt,deviceId,ph,soil,temperature,humidity,servo_position,quality_flags');
+    assert.equal(lines.length, 4);
+    assert.match(lines[1], /,bed-1,6,40,/);
+    assert.match(lines[3], /,bed-1,6.2,42,/);
+  });
+
+  await t.test('/csv validates dates and limit', async () => {
+    assert.equal((await server.request('/api/sensors/csv?start=nope')).status, 400);
+    assert.equal((await server.request('/api/sensors/csv?end=nope')).status, 400);
+    const badLimit = await server.request('/api/sensors/csv?limit=-1');
+    assert.equal(badLimit.status, 400);
+    assert.equal(badLimit.body.error, 'limit must be a positive integer');
+    const limited = await server.request('/api/sensors/csv?deviceId=bed-1&limit=2');
+    assert.equal(limited.text.trim().split(/\r?\n/).length, 3);
+  });
+
+  await t.test('/api/analytics/water rejects invalid dates', async () => {
+    const badEnd = await server.request('/api/analytics/water?deviceId=bed-1&end=nope');
+    assert.equal(badEnd.status, 400);
+    assert.equal(badEnd.body.error, 'Invalid end date');
+    const badStart = await server.request(`/api/analytics/water?deviceId=bed-1&start=nope&end=${at(9)}`);
+    assert.equal(badStart.status, 400);
+    assert.equal(badStart.body.error, 'Invalid start date');
+  });
+
+  await t.test('POST /api/sensors stores a reading from an admin', async () => {
+    const { status, body } = await server.request('/api/sensors', {
+      method: 'POST',
+      body: { device_id: 'bed-5', ph: 6.8, soil: 33, measured_at: new Date().toISOString() },
+    });
+    assert.equal(status, 200);
+    assert.equal(body.success, true);
+    const latest = await server.request('/api/sensors/latest?deviceId=bed-5');
+    assert.equal(latest.body.ph, 6.8);
+  });
+
+  await t.test('POST /api/sensors accepts a device API key and records its use once a minute', async () => {
+    await server.request('/api/devices', { method: 'POST', body: { deviceId: 'bed-6' } });
+    const { body: key } = await server.request('/api/devices/bed-6/keys', { method: 'POST' });
+    const post = () => server.request('/api/sensors', {
+      method: 'POST',
+      auth: false,
+      headers: { 'X-API-Key': key.key },
+      body: { ph: 6.1, soil: 35 },
+    });
+    assert.equal((await post()).status, 200);
+    const [first] = (await server.request('/api/devices/bed-6/keys')).body.data;
+    assert.ok(first.lastUsedAt);
+    assert.equal((await post()).status, 200);
+    const [second] = (await server.request('/api/devices/bed-6/keys')).body.data;
+    assert.equal(second.lastUsedAt, first.lastUsedAt);
+  });
+
+  await t.test('POST /api/sensors rejects invalid payloads', async () => {
+    const { status, body } = await server.request('/api/sensors', { method: 'POST', body: { ph: 'low' } });
+    assert.equal(status, 400);
+    assert.equal(body.success, false);
+    assert.ok(body.details.some((item) => item.field === 'soil'));
+  });
+});
@@ -0,0 +1,181 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const simulator = require('../lib/simulator');
+const { createReplay, parseCsv, readingsFromCsv } = require('../lib/replay');
+const { startTestServer, waitFor } = require('./helpers');
+
+const BASE_TIME = Date.parse('2025-06-01T00:00:00Z');
+const MINUTE_MS = 60_000;
+const silentLog = { info() {}, warn() {}, error() {} };
+
+function at(minutes) {
+  return new Date(BASE_TIME + minutes * MINUTE_MS);
+}
+
+function readEvery(device, minutes, step = 1) {
+  const readings = [];
+  for (let minute = step; minute <= minutes; minute += step) {
+    readings.push(device.read(at(minute)));
+  }
+  return readings;
+}
+
+const faults = (...specs) => specs.map((spec) => simulator.parseFault(spec).fault);
+
+test('virtual devices', async (t) => {
+  await t.test('repeat a run exactly from the same seed', () => {
+    const first = readEvery(simulator.createVirtualDevice({ deviceId: 'sim-1', seed: 7, startAt: at(0) }), 30);
+    const again = readEvery(simulator.createVirtualDevice({ deviceId: 'sim-1', seed: 7, startAt: at(0) }), 30);
+    const other = readEvery(simulator.createVirtualDevice({ deviceId: 'sim-1', seed: 8, startAt: at(0) }), 30);
+    assert.deepEqual(first, again);
+    assert.notDeepEqual(first, other);
+  });
+
+  await t.test('follow a daily temperature cycle', () => {
+    const device = simulator.createVirtualDevice({ deviceId: 'sim-1', startAt: at(0) });
+    const night = device.read(at(3 * 60));
+    const afternoon = device.read(at(15 * 60));
+    assert.ok(afternoon.temperature - night.temperature > 8, `${night.temperature} -> ${afternoon.temperature}`);
+    assert.ok(afternoon.humidity < night.humidity);
+  });
+
+  await t.test('wet the soil and raise pH while the valve is open', () => {
+    const closed = simulator.createVirtualDevice({ deviceId: 'sim-1', startAt: at(0) });
+    const open = simulator.createVirtualDevice({ deviceId: 'sim-1', startAt: at(0) });
+    const before = open.read(at(0));
+    closed.read(at(0));
+    closed.command({ mode: 'manual', angle: 0 }, at(0));
+    assert.equal(open.command({ mode: 'manual', angle: 180 }, at(0)), 180);
+    const dry = closed.read(at(60));
+    const wet = open.read(at(60));
+    assert.ok(dry.soil < before.soil, 'closed soil dries');
+    assert.ok(wet.soil - before.soil > 10, `${before.soil} -> ${wet.soil}`);
+    assert.ok(wet.ph > dry.ph + 0.3);
+    assert.equal(wet.servo_position, 180);
+  });
+
+  await t.test('move the valve like the firmware', () => {
+    const device = simulator.createVirtualDevice({ deviceId: 'sim-1', startAt: at(0) });
+    assert.equal(simulator.firmwareAngle({ ph: 5, soil: 20 }), 180);
+    assert.equal(simulator.firmwareAngle({ ph: 6, soil: 45 }), 0);
+    assert.equal(simulator.firmwareAngle({ ph: 5, soil: 45 }), 45);
+    const reading = device.read(at(1));
+    assert.equal(device.control(at(1)), simulator.firmwareAngle(reading) || null);
+    // An angle from the server wins for 30 seconds; small moves are skipped
+    device.command({ mode: 'auto', angle: 120 }, at(1));
+    assert.equal(device.control(new Date(at(1).getTime() + 10_000)), 120);
+    device.command({ mode: 'auto', angle: 125 }, at(2));
+    assert.equal(device.control(at(2)), null);
+    device.command({ mode: 'manual', angle: 30 }, at(3));
+    assert.equal(device.control(at(3)), null, 'manual mode holds the angle');
+  });
+
+  await t.test('inject faults', () => {
+    const device = simulator.createVirtualDevice({
+      deviceId: 'sim-1',
+      startAt: at(0),
+      faults: faults('sim-1:ph:stuck:10:20', 'sim-1:humidity:dropout:5:2', 'sim-1:soil:spike:15', 'sim-1:all:offline:40:5'),
+    });
+    const readings = readEvery(device, 45);
+    const stuck = readings.slice(9, 29).map((reading) => reading.ph);
+    assert.equal(new Set(stuck).size, 1, 'pH is frozen for 20 minutes');
+    assert.ok(readings.slice(29, 35).some((reading) => reading.ph !== stuck[0]));
+    assert.deepEqual(readings.slice(3, 8).map((reading) => reading.humidity === null), [false, true, true, false, false]);
+    assert.ok(readings[14].soil - readings[13].soil > 40, 'one spike');
+    assert.ok(Math.abs(readings[15].soil - readings[13].soil) < 5);
+    assert.equal(device.isOffline(at(39)), false);
+    assert.equal(device.isOffline(at(42)), true);
+    assert.equal(device.isOffline(at(45)), false);
+  });
+
+  await t.test('validate fault specs', () => {
+    assert.deepEqual(simulator.parseFault('sim-2:ph:drift:30:90').fault, { deviceId: 'sim-2', metric: 'ph', type: 'drift', startMinute: 30, durationMinutes: 90 });
+    assert.match(simulator.parseFault('sim-1:ph:melted:0').error, /type must be one of/);
+    assert.match(simulator.parseFault('sim-1:ph:offline:0').error, /"all"/);
+    assert.match(simulator.parseFault('sim-1:servo:stuck:0').error, /metric must be/);
+    assert.match(simulator.parseFault('sim-1:ph:stuck:-1').error, /start/);
+    assert.match(simulator.parseFault('sim-1:ph:stuck').error, /must look like/);
+  });
+});
+
+test('CSV replay parsing', async (t) => {
+  await t.test('reads quoted fields, a BOM and CRLF line endings', () => {
+    assert.deepEqual(parseCsv('\uFEFFa,b\r\n"x, ""y""",2\r\n\r\n'), [['a', 'b'], ['x, "y"', '2']]);
+  });
+
+  await t.test('turns an export into readings in measured order', () => {
+    const csv = [
+      'measuredAt,receivedAt,deviceId,ph,soil,temperature,humidity,servo_position,quality_flags',
+      '2025-06-01T02:10:00+02:00,,bed-1,6.1,41,,55,90,',
+      '2025-06-01T00:00:00.000Z,,bed-1,6,40,21,50,,',
+      'yesterday,,bed-1,6,40,21,50,,',
+      '2025-06-01T00:20:00.000Z,,bed-1,acid,40,21,50,,',
+    ].join('\n');
+    const { readings, skipped } = readingsFromCsv(csv);
+    assert.deepEqual(readings.map((reading) => reading.measuredAt.toISOString()), ['2025-06-01T00:00:00.000Z', '2025-06-01T00:10:00.000Z']);
+    assert.deepEqual(readings[1].values, { ph: 6.1, soil: 41, temperature: null, humidity: 55, servo_position: 90 });
+    assert.deepEqual(skipped.map((item) => item.line), [4, 5]);
+    assert.equal(readingsFromCsv(csv, { deviceId: 'bed-9' }).readings[0].deviceId, 'bed-9');
+    assert.match(readingsFromCsv('receivedAt,status\n').error, /measuredAt/);
+  });
+});
+
+test('simulator and replay against the server', async (t) => {
+  const server = await startTestServer();
+  t.after(() => server.stop());
+
+  await t.test('virtual devices publish over MQTT and follow commands', async () => {
+    const transport = simulator.createMqttTransport({ url: server.mqttUrl, topicPrefix: 'plant_monitoring', log: silentLog });
+    const device = simulator.createVirtualDevice({ deviceId: 'sim-1', seed: 3 });
+    const running = simulator.createSimulator({ devices: [device], transport, intervalMs: 60_000, log: silentLog });
+    await running.start();
+    try {
+      const reading = await waitFor(() => server.storage.collection('sensors').findOne({ deviceId: 'sim-1' }));
+      assert.equal(reading.board_type, 'Simulator');
+      assert.equal(typeof reading.ph, 'number');
+      await waitFor(() => server.storage.collection('status').findOne({ deviceId: 'sim-1', status: 'online' }));
+
+      const response = await server.request('/api/servo', { method: 'POST', body: { deviceId: 'sim-1', mode: 'manual', angle: 150 } });
+      assert.equal(response.status, 200);
+      const report = await waitFor(() => server.storage.collection('servo').findOne({ deviceId: 'sim-1', mode: 'manual' }));
+      assert.equal(report.servo_position, 150);
+      await running.tick();
+      await waitFor(() => server.storage.collection('sensors').findOne({ deviceId: 'sim-1', servo_position: 150 }));
+    } finally {
+      await running.stop();
+    }
+  });
+
+  await t.test('a CSV export replays over HTTP into another device', async () => {
+    await server.storage.collection('sensors').insertMany(Array.from({ length: 5 }, (_, i) => ({
+      deviceId: 'bed-1',
+      ph: 6 + i / 10,
+      soil: 40 + i,
+      temperature: 21,
+      humidity: 50,
+      measuredAt: at(i * 10),
+      receivedAt: at(i * 10),
+    })));
+    const exported = await server.request('/api/sensors/csv?deviceId=bed-1');
+    const { readings } = readingsFromCsv(exported.text, { deviceId: 'bed-copy' });
+    const transport = simulator.createHttpTransport({ baseUrl: server.baseUrl, token: server.token });
+    const result = await createReplay({ readings, transport, speed: 0, keepTimes: true, log: silentLog }).run();
+    assert.deepEqual(result, { sent: 5, failed: 0 });
+
+    const { body } = await server.request('/api/sensors/range?deviceId=bed-copy');
+    assert.deepEqual(body.data.map((item) => [item.measuredAt, item.ph, item.soil]).reverse(),
+      Array.from({ length: 5 }, (_, i) => [at(i * 10).toISOString(), 6 + i / 10, 40 + i]));
+  });
+
+  await t.test('replay waits between readings by their spacing over speed', async () => {
+    const readings = [0, 1, 2].map((minute) => ({ deviceId: 'bed-live', measuredAt: at(minute), values: { ph: 6, soil: 40 } }));
+    const transport = simulator.createHttpTransport({ baseUrl: server.baseUrl, token: server.token });
+    const started = Date.now();
+    await createReplay({ readings, transport, speed: 600, log: silentLog }).run();
+    const elapsed = Date.now() - started;
+    assert.ok(elapsed >= 190, `took ${elapsed} ms`);
+    const { body } = await server.request('/api/sensors/range?deviceId=bed-live');
+    assert.equal(body.count, 3);
+    assert.ok(body.data.every((item) => Date.now() - Date.parse(item.measuredAt) < MINUTE_MS), 'stamped on arrival');
+  });
+});